@@ -7,6 +7,9 @@ import React, {
   useState,
 } from 'react';
 import {
+  Alert,
+  AlertDescription,
+  AlertIcon,
   Badge,
   Box,
   Button,
@@ -17,54 +20,377 @@ import {
   HStack,
   IconButton,
   Input,
+  Progress,
+  Select,
   Slider,
   SliderFilledTrack,
   SliderThumb,
   SliderTrack,
   Switch,
   Text,
+  Textarea,
   Tooltip,
   VStack,
   useToast,
 } from '@chakra-ui/react';
 import {
+  AlignCenter,
+  AlignLeft,
+  AlignRight,
+  Aperture,
   ArrowDown,
+  ArrowLeftRight,
   ArrowUp,
+  Blend,
   Brush,
   Check,
+  Circle,
+  CircleDashed,
+  CircleOff,
+  ClipboardPaste,
+  Contrast,
   Copy,
   Crop,
   Eraser,
   Eye,
+  EyeClosed,
   EyeOff,
+  FolderDown,
   GripVertical,
+  History,
   ImagePlus,
+  Lasso,
+  LassoSelect,
   Layers,
   Maximize2,
+  MessageSquareText,
+  Minus,
   MousePointer2,
+  MoveUpRight,
+  PaintBucket,
+  Palette,
+  Pipette,
   Plus,
   Redo2,
   RotateCcw,
+  Ruler,
+  Scissors,
+  Shapes,
+  Shrink,
   SlidersHorizontal,
+  Square,
+  SquareDashed,
+  SquareSquare,
+  SunMedium,
   Trash2,
+  Type,
   Undo2,
   Upload,
+  WandSparkles,
   X,
+  ZoomIn,
+  ZoomOut,
 } from 'lucide-react';
 import { useImageExportControls } from '../utils/useImageExportControls';
+import { copyToClipboard } from '../utils/imageExport';
+import { isSameClipboardImage } from '../utils/clipboardImage';
+import {
+  BLEND_MODES,
+  LAYER_TYPES,
+  MAX_DIMENSION,
+  MIN_DIMENSION,
+  clampDimension,
+  cloneCanvas,
+  createCanvas,
+  createLayer,
+  createLayerId,
+  getActiveLayer,
+  getLayerX,
+  getLayerY,
+  isAdjustmentLayer,
+  isCalloutLayer,
+  isShapeLayer,
+  isTextLayer,
+  isVectorLayer,
+  rasterizeLayer,
+  updateLayer,
+} from '../utils/documentLayers';
+import {
+  TEXT_ALIGNMENTS,
+  TEXT_FONT_FAMILIES,
+  TEXT_FONT_WEIGHTS,
+  createDefaultTextSettings,
+  renderTextCanvas,
+} from '../utils/textLayer';
+import {
+  ARROW_HEADS,
+  DASH_STYLES,
+  OPPOSITE_SHAPE_HANDLES,
+  SHAPE_KINDS,
+  createDefaultShapeStyle,
+  getShapeCenter,
+  getShapeHandles,
+  isLinearShape,
+  renderShapeCanvas,
+  resizeBoxShape,
+  scaleBoxShape,
+  snapSegmentEnd,
+  translateShape,
+} from '../utils/shapeLayer';
+import {
+  getPerspectiveOutputSize,
+  isPerspectiveQuadValid,
+  warpPerspective,
+} from '../utils/perspective';
+import { TRIM_MODES, findUniformBorderBounds } from '../utils/trim';
+import {
+  CROP_ASPECT_OPTIONS,
+  clampCropToDocument,
+  createDefaultCrop,
+  cropFromAnchor,
+  cropFromEdges,
+  fitCropToAspect,
+  fitRotatedCrop,
+  getCropAspectRatio,
+  getCropCenter,
+  getCropCorners,
+  getCropDragAspectRatio,
+  getCropHitMode,
+  getCropLocalPoint,
+  isCropInsideDocument,
+  mapRotatedCropPoint,
+  moveCrop,
+  placeRotatedCropSource,
+  resizeCrop,
+  resizeCropWithAspect,
+  resizeRotatedCrop,
+  setCropValue,
+} from '../utils/cropGeometry';
+import {
+  CANVAS_ANCHORS,
+  getCanvasAnchor,
+  getCanvasSizeFromInput,
+  getCanvasSizeInputValue,
+  resizeCanvasDocument,
+} from '../utils/canvasSize';
+import {
+  CALLOUT_KINDS,
+  createDefaultCalloutStyle,
+  isStepBadgeLayer,
+  renderCalloutLayer,
+  renumberStepBadges,
+  translateCallout,
+  updateCalloutLayer,
+} from '../utils/calloutLayer';
+import {
+  REDACTION_AREAS,
+  REDACTION_MODES,
+  REDACTION_TARGETS,
+  createDefaultRedactionSettings,
+  isRedactionRegionUsable,
+  redactDocument,
+  traceRedactionRegion,
+} from '../utils/redaction';
+import {
+  SELECTION_MODES,
+  SELECTION_SHAPES,
+  clipCanvasToSelection,
+  combineSelectionMasks,
+  createFullSelectionMask,
+  createRegionSelectionMask,
+  createShapeSelectionMask,
+  describeSelectionMask,
+  findColorRegion,
+  getSelectionModeFromEvent,
+  invertSelectionMask,
+  isSelectionShapeUsable,
+  mergeWithinSelection,
+  traceSelectionShape,
+} from '../utils/selection';
+import {
+  clampViewportPan,
+  getFitViewport,
+  getSteppedZoom,
+  viewportToDocument,
+  zoomViewportAt,
+} from '../utils/viewport';
+import {
+  createHistoryEntry,
+  getHistoryMemoryUsage,
+  markCanvasDirty,
+  restoreHistoryEntry,
+  trimHistoryToBudget,
+} from '../utils/history';
+import { deserializeDocument } from '../utils/documentSerialization';
+import {
+  FILTER_OPTIONS,
+  FILTER_SLIDERS,
+  FILTER_TYPES,
+  createDefaultFilter,
+  getFilterLabel,
+} from '../utils/imageDataFilters';
+import { isFilterCancelled, runImageDataFilter } from '../utils/filterRunner';
+import {
+  ADJUSTMENT_OPTIONS,
+  ADJUSTMENT_SLIDERS,
+  ADJUSTMENT_TYPES,
+  COLOR_BALANCE_RANGES,
+  adjustCanvas,
+  createDefaultAdjustment,
+  getAdjustmentLabel,
+  getCurveLookup,
+  isAdjustmentIdentity,
+} from '../utils/adjustments';
+import {
+  applyLayerMask,
+  createLayerMask,
+  createSelectionLayerMask,
+  getMaskPaint,
+  hasLayerMask,
+  invertLayerMask,
+  isLayerMaskEnabled,
+  remapLayerMask,
+  renderLayerMaskPreview,
+} from '../utils/layerMask';
+import {
+  GRADIENT_TYPES,
+  createDefaultGradient,
+  createRegionFillCanvas,
+  getGradientCss,
+  getRegionBounds,
+  renderGradientCanvas,
+} from '../utils/paintFill';
+import {
+  EYEDROPPER_SAMPLE_SIZES,
+  MAX_PALETTE_COLORS,
+  addRecentColor,
+  formatHslColor,
+  formatRgbColor,
+  loadColorSwatches,
+  parseHexColor,
+  parseHslColor,
+  parseRgbColor,
+  sampleCanvasColor,
+  saveColorSwatches,
+} from '../utils/colorSwatches';
+import {
+  BRUSH_MODES,
+  BRUSH_PRESETS,
+  BRUSH_SLIDERS,
+  beginBrushStroke,
+  continueBrushStroke,
+  createDefaultBrushSettings,
+  findTextRowBounds,
+  getPointerPressure,
+  loadBrushPresets,
+  redrawStraightBrushStroke,
+  saveBrushPresets,
+} from '../utils/brushEngine';
+import {
+  PROJECT_FILE_EXTENSION,
+  downloadProjectFile,
+  isProjectFile,
+  isProjectText,
+  parseProjectText,
+  readProjectFile,
+} from '../utils/projectFile';
+import {
+  clearSession,
+  formatByteSize,
+  isSessionStoreAvailable,
+  loadSession,
+  saveSession,
+} from '../utils/sessionStore';
 
-const HISTORY_LIMIT = 30;
-const MAX_DIMENSION = 12000;
-const MIN_DIMENSION = 1;
 const DEFAULT_BRUSH_COLOR = '#ff2b2b';
 const LAYER_DRAG_TYPE = 'application/x-clipboard-photo-layer';
+const AUTOSAVE_DELAY_MS = 400;
+
+const SESSION_STATUS = {
+  CHECKING: 'checking',
+  PENDING: 'pending',
+  READY: 'ready',
+};
 
 const TOOLS = {
   MOVE: 'move',
   BRUSH: 'brush',
   ERASER: 'eraser',
+  FILL: 'fill',
+  GRADIENT: 'gradient',
+  EYEDROPPER: 'eyedropper',
   CROP: 'crop',
   RESIZE: 'resize',
+  TEXT: 'text',
+  SHAPE: 'shape',
+  CALLOUT: 'callout',
+  REDACT: 'redact',
+  SELECT: 'select',
+};
+
+const SELECTION_SHAPE_OPTIONS = [
+  { shape: SELECTION_SHAPES.RECTANGLE, label: 'Rectangular marquee', icon: SquareDashed },
+  { shape: SELECTION_SHAPES.ELLIPSE, label: 'Elliptical marquee', icon: CircleDashed },
+  { shape: SELECTION_SHAPES.POLYGON, label: 'Polygon lasso', icon: LassoSelect },
+  { shape: SELECTION_SHAPES.FREEHAND, label: 'Freehand lasso', icon: Lasso },
+  { shape: SELECTION_SHAPES.WAND, label: 'Magic wand', icon: WandSparkles },
+];
+
+const SELECTION_MODE_OPTIONS = [
+  { mode: SELECTION_MODES.REPLACE, label: 'New' },
+  { mode: SELECTION_MODES.ADD, label: 'Add' },
+  { mode: SELECTION_MODES.SUBTRACT, label: 'Subtract' },
+  { mode: SELECTION_MODES.INTERSECT, label: 'Intersect' },
+];
+
+const BRUSH_MODE_OPTIONS = [
+  { mode: BRUSH_MODES.PAINT, label: 'Paint', strokeLabel: 'Brush stroke' },
+  { mode: BRUSH_MODES.MARKER, label: 'Marker', strokeLabel: 'Marker stroke' },
+  { mode: BRUSH_MODES.HIGHLIGHTER, label: 'Highlighter', strokeLabel: 'Highlighter stroke' },
+];
+
+const TEXT_ROW_SEARCH_WIDTH = 200;
+const TEXT_ROW_SEARCH_HEIGHT = 80;
+const TEXT_ROW_PADDING = 2;
+
+const GRADIENT_TYPE_OPTIONS = [
+  { type: GRADIENT_TYPES.LINEAR, label: 'Linear' },
+  { type: GRADIENT_TYPES.RADIAL, label: 'Radial' },
+  { type: GRADIENT_TYPES.ANGULAR, label: 'Angular' },
+];
+
+const BLEND_MODE_OPTIONS = [
+  { mode: BLEND_MODES.NORMAL, label: 'Normal' },
+  { mode: BLEND_MODES.MULTIPLY, label: 'Multiply' },
+  { mode: BLEND_MODES.SCREEN, label: 'Screen' },
+  { mode: BLEND_MODES.OVERLAY, label: 'Overlay' },
+  { mode: BLEND_MODES.DARKEN, label: 'Darken' },
+  { mode: BLEND_MODES.LIGHTEN, label: 'Lighten' },
+  { mode: BLEND_MODES.COLOR_DODGE, label: 'Color Dodge' },
+  { mode: BLEND_MODES.COLOR_BURN, label: 'Color Burn' },
+  { mode: BLEND_MODES.DIFFERENCE, label: 'Difference' },
+  { mode: BLEND_MODES.HUE, label: 'Hue' },
+  { mode: BLEND_MODES.SATURATION, label: 'Saturation' },
+  { mode: BLEND_MODES.COLOR, label: 'Color' },
+  { mode: BLEND_MODES.LUMINOSITY, label: 'Luminosity' },
+];
+
+const SHAPE_OPTIONS = [
+  { kind: SHAPE_KINDS.RECTANGLE, label: 'Rectangle', icon: Square },
+  { kind: SHAPE_KINDS.ELLIPSE, label: 'Ellipse', icon: Circle },
+  { kind: SHAPE_KINDS.LINE, label: 'Line', icon: Minus },
+  { kind: SHAPE_KINDS.ARROW, label: 'Arrow', icon: MoveUpRight },
+];
+
+const CALLOUT_KIND_OPTIONS = [
+  { kind: CALLOUT_KINDS.BADGE, label: 'Step Badge' },
+  { kind: CALLOUT_KINDS.BUBBLE, label: 'Callout Box' },
+];
+
+const TEXT_ALIGN_ICONS = {
+  left: AlignLeft,
+  center: AlignCenter,
+  right: AlignRight,
 };
 
 const TOOL_SHORTCUTS = {
@@ -76,10 +402,35 @@ const TOOL_SHORTCUTS = {
   c: TOOLS.CROP,
   4: TOOLS.RESIZE,
   r: TOOLS.RESIZE,
+  5: TOOLS.TEXT,
+  t: TOOLS.TEXT,
+  6: TOOLS.SHAPE,
+  u: TOOLS.SHAPE,
+  7: TOOLS.REDACT,
+  x: TOOLS.REDACT,
+  8: TOOLS.SELECT,
+  s: TOOLS.SELECT,
+  9: TOOLS.FILL,
+  k: TOOLS.FILL,
+  0: TOOLS.GRADIENT,
+  g: TOOLS.GRADIENT,
+  i: TOOLS.EYEDROPPER,
+  n: TOOLS.CALLOUT,
 };
 
 const TRANSFORM_HANDLES = ['nw', 'n', 'ne', 'e', 'se', 's', 'sw', 'w'];
 
+const CROP_MODE_OPTIONS = [
+  { mode: 'rectangle', label: 'Rectangle' },
+  { mode: 'perspective', label: 'Perspective' },
+];
+
+const CROP_GUIDE_OPTIONS = [
+  { id: 'none', label: 'None' },
+  { id: 'thirds', label: 'Rule of thirds', lines: [1 / 3, 2 / 3] },
+  { id: 'golden', label: 'Golden ratio', lines: [0.382, 0.618] },
+];
+
 const createDefaultTransformDraft = () => ({
   dx: 0,
   dy: 0,
@@ -97,73 +448,151 @@ const createEmptyDocument = () => ({
 
 const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
 
-const clampDimension = (value) => {
-  const number = Math.round(Number(value));
-  if (!Number.isFinite(number)) return MIN_DIMENSION;
-  return clamp(number, MIN_DIMENSION, MAX_DIMENSION);
-};
+const cloneLayer = (layer) => ({
+  ...layer,
+  canvas: layer.canvas && cloneCanvas(layer.canvas),
+  mask: layer.mask && cloneCanvas(layer.mask),
+});
 
-const createCanvas = (width, height) => {
-  const canvas = document.createElement('canvas');
-  canvas.width = clampDimension(width);
-  canvas.height = clampDimension(height);
-  return canvas;
+const hasDocument = (doc) => doc.width > 0 && doc.height > 0 && doc.layers.length > 0;
+
+const getLayerBlendMode = (layer) => layer.blendMode ?? BLEND_MODES.NORMAL;
+
+const getBlendCompositeOperation = (layer) => {
+  const blendMode = getLayerBlendMode(layer);
+  return blendMode === BLEND_MODES.NORMAL ? 'source-over' : blendMode;
 };
 
-const cloneCanvas = (sourceCanvas) => {
-  const canvas = createCanvas(sourceCanvas.width, sourceCanvas.height);
-  const ctx = canvas.getContext('2d');
-  ctx.drawImage(sourceCanvas, 0, 0);
-  return canvas;
+const getVectorLayerLabel = (layer) => {
+  if (isTextLayer(layer)) return 'Text';
+  if (isCalloutLayer(layer)) return 'Callout';
+  return 'Shape';
 };
 
-const cloneLayer = (layer) => ({
-  ...layer,
-  canvas: cloneCanvas(layer.canvas),
+const createTextLayer = ({ name, x, y, text }) => ({
+  id: createLayerId(),
+  type: LAYER_TYPES.TEXT,
+  name,
+  canvas: renderTextCanvas(text),
+  text,
+  x: Math.round(x),
+  y: Math.round(y),
+  visible: true,
+  opacity: 100,
+  blendMode: BLEND_MODES.NORMAL,
 });
 
-const cloneDocument = (doc) => ({
-  width: doc.width,
-  height: doc.height,
-  activeLayerId: doc.activeLayerId,
-  layers: doc.layers.map(cloneLayer),
+const createAdjustmentLayer = ({ name, adjustment }) => ({
+  id: createLayerId(),
+  type: LAYER_TYPES.ADJUSTMENT,
+  name,
+  canvas: null,
+  adjustment,
+  x: 0,
+  y: 0,
+  visible: true,
+  opacity: 100,
+  blendMode: BLEND_MODES.NORMAL,
 });
 
-const hasDocument = (doc) => doc.width > 0 && doc.height > 0 && doc.layers.length > 0;
-
-const getActiveLayer = (doc) => (
-  doc.layers.find((layer) => layer.id === doc.activeLayerId) || null
-);
+const updateTextLayer = (layer, changes) => {
+  const text = {
+    ...layer.text,
+    ...changes,
+  };
 
-const createLayerId = () => {
-  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
-    return crypto.randomUUID();
-  }
-  return `layer-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+  return {
+    ...layer,
+    text,
+    canvas: renderTextCanvas(text),
+  };
 };
 
-const getLayerX = (layer) => layer.x ?? 0;
-
-const getLayerY = (layer) => layer.y ?? 0;
-
-const createLayer = ({ name, width, height, x = 0, y = 0, draw }) => {
-  const canvas = createCanvas(width, height);
-  const ctx = canvas.getContext('2d');
-  if (draw) {
-    draw(ctx, canvas);
-  }
+const renderShapeLayer = (layer, shape) => {
+  const { canvas, offsetX, offsetY } = renderShapeCanvas(shape);
 
   return {
-    id: createLayerId(),
-    name,
+    ...layer,
     canvas,
-    x,
-    y,
-    visible: true,
-    opacity: 100,
+    shape: translateShape(shape, -offsetX, -offsetY),
+    x: getLayerX(layer) + offsetX,
+    y: getLayerY(layer) + offsetY,
   };
 };
 
+const createShapeLayer = ({ name, shape }) => renderShapeLayer({
+  id: createLayerId(),
+  type: LAYER_TYPES.SHAPE,
+  name,
+  x: 0,
+  y: 0,
+  visible: true,
+  opacity: 100,
+  blendMode: BLEND_MODES.NORMAL,
+}, shape);
+
+const updateShapeLayer = (layer, changes) => renderShapeLayer(layer, {
+  ...layer.shape,
+  ...changes,
+});
+
+const getShapeDocumentShape = (layer) => (
+  translateShape(layer.shape, getLayerX(layer), getLayerY(layer))
+);
+
+const setShapeDocumentShape = (layer, shape) => renderShapeLayer({
+  ...layer,
+  x: 0,
+  y: 0,
+}, shape);
+
+const createCalloutLayer = ({ name, callout }) => renderCalloutLayer({
+  id: createLayerId(),
+  type: LAYER_TYPES.CALLOUT,
+  name,
+  x: 0,
+  y: 0,
+  visible: true,
+  opacity: 100,
+  blendMode: BLEND_MODES.NORMAL,
+}, callout);
+
+const getCalloutDocumentCallout = (layer) => (
+  translateCallout(layer.callout, getLayerX(layer), getLayerY(layer))
+);
+
+const setCalloutDocumentCallout = (layer, callout) => renderCalloutLayer({
+  ...layer,
+  x: 0,
+  y: 0,
+}, callout);
+
+const getDefaultFontSize = (doc) => (
+  clamp(Math.round(Math.min(doc.width, doc.height) / 18), 12, 240)
+);
+
+const findTextLayerAtPoint = (doc, point) => (
+  [...doc.layers].reverse().find((layer) => (
+    isTextLayer(layer) &&
+    layer.visible &&
+    point.x >= getLayerX(layer) &&
+    point.x <= getLayerX(layer) + layer.canvas.width &&
+    point.y >= getLayerY(layer) &&
+    point.y <= getLayerY(layer) + layer.canvas.height
+  )) || null
+);
+
+const findCalloutLayerAtPoint = (doc, point) => (
+  [...doc.layers].reverse().find((layer) => (
+    isCalloutLayer(layer) &&
+    layer.visible &&
+    point.x >= getLayerX(layer) &&
+    point.x <= getLayerX(layer) + layer.canvas.width &&
+    point.y >= getLayerY(layer) &&
+    point.y <= getLayerY(layer) + layer.canvas.height
+  )) || null
+);
+
 const getFittedImageRect = (image, width, height) => {
   const scale = Math.min(1, width / image.naturalWidth, height / image.naturalHeight);
   const drawWidth = Math.max(1, Math.round(image.naturalWidth * scale));
@@ -195,33 +624,132 @@ const createImageLayer = (image, doc, layerNumber) => {
   });
 };
 
-const renderLayer = (ctx, layer, transformDraft = null) => {
+const applyStrokeToCanvas = (canvas, stroke) => {
+  const ctx = canvas.getContext('2d');
+  ctx.save();
+  ctx.globalAlpha = stroke.opacity ?? 1;
+  ctx.globalCompositeOperation = stroke.compositeOperation;
+  ctx.drawImage(stroke.canvas, 0, 0);
+  ctx.restore();
+  return canvas;
+};
+
+const findTextRowAtPoint = (doc, point) => {
+  const left = Math.max(0, Math.floor(point.x) - TEXT_ROW_SEARCH_WIDTH);
+  const top = Math.max(0, Math.floor(point.y) - TEXT_ROW_SEARCH_HEIGHT);
+  const right = Math.min(doc.width, Math.floor(point.x) + TEXT_ROW_SEARCH_WIDTH);
+  const bottom = Math.min(doc.height, Math.floor(point.y) + TEXT_ROW_SEARCH_HEIGHT);
+  if (right <= left || bottom <= top) return null;
+
+  const imageData = makeCompositeCanvas(doc)
+    .getContext('2d', { willReadFrequently: true })
+    .getImageData(left, top, right - left, bottom - top);
+  const row = findTextRowBounds(imageData, point.y - top);
+  return row && { top: top + row.top, bottom: top + row.bottom };
+};
+
+const maskedLayerCanvases = new WeakMap();
+
+const getVisibleLayerCanvas = (layer, strokePreview = null) => {
+  const isMaskStroke = strokePreview?.target === 'mask';
+  const canvas = strokePreview && !isMaskStroke
+    ? applyStrokeToCanvas(cloneCanvas(layer.canvas), strokePreview)
+    : layer.canvas;
+  if (!isLayerMaskEnabled(layer)) return canvas;
+
+  if (!strokePreview) {
+    if (!maskedLayerCanvases.has(layer)) {
+      maskedLayerCanvases.set(layer, applyLayerMask(layer.canvas, layer.mask));
+    }
+    return maskedLayerCanvases.get(layer);
+  }
+
+  const mask = isMaskStroke
+    ? applyStrokeToCanvas(cloneCanvas(layer.mask), strokePreview)
+    : layer.mask;
+  return applyLayerMask(canvas, mask);
+};
+
+const renderLayer = (ctx, layer, transformDraft = null, strokePreview = null) => {
   const opacity = clamp(layer.opacity ?? 100, 0, 100) / 100;
   if (!layer.visible || opacity <= 0) return;
 
   ctx.save();
   ctx.globalAlpha = opacity;
+  ctx.globalCompositeOperation = getBlendCompositeOperation(layer);
 
   if (transformDraft && hasTransform(transformDraft)) {
-    drawTransformedLayer(ctx, layer, transformDraft);
+    drawTransformedLayer(ctx, layer, transformDraft, getVisibleLayerCanvas(layer));
   } else {
-    ctx.drawImage(layer.canvas, getLayerX(layer), getLayerY(layer));
+    ctx.drawImage(getVisibleLayerCanvas(layer, strokePreview), getLayerX(layer), getLayerY(layer));
   }
 
   ctx.restore();
 };
 
+const adjustedBackdrops = new WeakMap();
+
+const areLayerListsSame = (first, second) => (
+  first.length === second.length && first.every((layer, index) => layer === second[index])
+);
+
+const renderAdjustmentLayer = (ctx, layer, layersBelow, canUseCache) => {
+  const opacity = clamp(layer.opacity ?? 100, 0, 100) / 100;
+  if (!layer.visible || opacity <= 0 || isAdjustmentIdentity(layer.adjustment)) return;
+
+  const backdrop = ctx.canvas;
+  const cached = adjustedBackdrops.get(layer);
+  let adjusted = cached?.canvas;
+  if (
+    !canUseCache ||
+    !cached ||
+    cached.width !== backdrop.width ||
+    cached.height !== backdrop.height ||
+    !areLayerListsSame(cached.layersBelow, layersBelow)
+  ) {
+    adjusted = adjustCanvas(backdrop, layer.adjustment);
+    if (canUseCache) {
+      adjustedBackdrops.set(layer, {
+        layersBelow,
+        width: backdrop.width,
+        height: backdrop.height,
+        canvas: adjusted,
+      });
+    }
+  }
+
+  ctx.save();
+  ctx.globalAlpha = opacity;
+  ctx.globalCompositeOperation = getLayerBlendMode(layer) === BLEND_MODES.NORMAL
+    ? 'source-atop'
+    : getBlendCompositeOperation(layer);
+  ctx.drawImage(adjusted, 0, 0);
+  ctx.restore();
+};
+
 const renderDocument = (ctx, doc, options = {}) => {
   ctx.clearRect(0, 0, doc.width, doc.height);
+  let canUseBackdropCache = true;
+
+  doc.layers.forEach((layer, index) => {
+    if (isAdjustmentLayer(layer)) {
+      renderAdjustmentLayer(ctx, layer, doc.layers.slice(0, index), canUseBackdropCache);
+      return;
+    }
 
-  doc.layers.forEach((layer) => {
     const shouldTransform = options.transformLayerIds
       ? options.transformLayerIds.has(layer.id)
       : layer.id === options.transformLayerId;
     const transformDraft = shouldTransform
       ? options.transformDraft
       : null;
-    renderLayer(ctx, layer, transformDraft);
+    const strokePreview = options.strokePreview?.layerId === layer.id
+      ? options.strokePreview
+      : null;
+    if (strokePreview || (transformDraft && hasTransform(transformDraft))) {
+      canUseBackdropCache = false;
+    }
+    renderLayer(ctx, layer, transformDraft, strokePreview);
   });
 };
 
@@ -234,113 +762,103 @@ const makeCompositeCanvas = (doc) => {
   return canvas;
 };
 
-const createDefaultCrop = (doc) => {
-  const insetX = Math.max(1, Math.round(doc.width * 0.1));
-  const insetY = Math.max(1, Math.round(doc.height * 0.1));
-  const width = Math.max(1, doc.width - insetX * 2);
-  const height = Math.max(1, doc.height - insetY * 2);
+const isPointInQuad = (point, quad) => (
+  quad.every((corner, index) => {
+    const next = quad[(index + 1) % 4];
+    return (next.x - corner.x) * (point.y - corner.y) - (next.y - corner.y) * (point.x - corner.x) >= 0;
+  })
+);
 
-  return {
-    x: insetX,
-    y: insetY,
-    width,
-    height,
+const drawPerspectiveOverlay = (ctx, doc, quad, pixelScale) => {
+  if (!quad) return;
+
+  const lineWidth = 1.5 * pixelScale;
+  const [nw, ne, se, sw] = quad;
+  const lerp = (a, b, t) => ({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+  const traceQuad = () => {
+    ctx.moveTo(nw.x, nw.y);
+    ctx.lineTo(ne.x, ne.y);
+    ctx.lineTo(se.x, se.y);
+    ctx.lineTo(sw.x, sw.y);
+    ctx.closePath();
   };
-};
 
-const cropFromEdges = (left, top, right, bottom, doc) => {
-  let nextLeft = clamp(Math.min(left, right), 0, Math.max(0, doc.width - 1));
-  let nextRight = clamp(Math.max(left, right), 1, doc.width);
-  let nextTop = clamp(Math.min(top, bottom), 0, Math.max(0, doc.height - 1));
-  let nextBottom = clamp(Math.max(top, bottom), 1, doc.height);
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(0, 0, doc.width, doc.height);
+  traceQuad();
+  ctx.fillStyle = 'rgba(15, 23, 42, 0.46)';
+  ctx.fill('evenodd');
 
-  if (nextRight - nextLeft < 1) {
-    if (nextRight >= doc.width) {
-      nextLeft = Math.max(0, nextRight - 1);
-    } else {
-      nextRight = Math.min(doc.width, nextLeft + 1);
-    }
-  }
+  ctx.beginPath();
+  [1 / 3, 2 / 3].forEach((t) => {
+    const top = lerp(nw, ne, t);
+    const bottom = lerp(sw, se, t);
+    const left = lerp(nw, sw, t);
+    const right = lerp(ne, se, t);
+    ctx.moveTo(top.x, top.y);
+    ctx.lineTo(bottom.x, bottom.y);
+    ctx.moveTo(left.x, left.y);
+    ctx.lineTo(right.x, right.y);
+  });
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+  ctx.lineWidth = lineWidth;
+  ctx.stroke();
 
-  if (nextBottom - nextTop < 1) {
-    if (nextBottom >= doc.height) {
-      nextTop = Math.max(0, nextBottom - 1);
-    } else {
-      nextBottom = Math.min(doc.height, nextTop + 1);
-    }
-  }
+  ctx.beginPath();
+  traceQuad();
+  ctx.strokeStyle = '#0f172a';
+  ctx.lineWidth = lineWidth * 2;
+  ctx.stroke();
+  ctx.setLineDash([lineWidth * 4, lineWidth * 3]);
+  ctx.strokeStyle = '#ffffff';
+  ctx.lineWidth = lineWidth;
+  ctx.stroke();
+  ctx.restore();
 
-  return {
-    x: Math.round(nextLeft),
-    y: Math.round(nextTop),
-    width: Math.round(nextRight - nextLeft),
-    height: Math.round(nextBottom - nextTop),
-  };
+  drawPointHandles(ctx, quad, pixelScale);
 };
 
-const getCropHitMode = (crop, point, tolerance) => {
-  if (!crop) return 'create';
-
-  const left = crop.x;
-  const right = crop.x + crop.width;
-  const top = crop.y;
-  const bottom = crop.y + crop.height;
-  const nearLeft = Math.abs(point.x - left) <= tolerance;
-  const nearRight = Math.abs(point.x - right) <= tolerance;
-  const nearTop = Math.abs(point.y - top) <= tolerance;
-  const nearBottom = Math.abs(point.y - bottom) <= tolerance;
-  const inside = point.x >= left && point.x <= right && point.y >= top && point.y <= bottom;
-
-  if (nearLeft && nearTop) return 'nw';
-  if (nearRight && nearTop) return 'ne';
-  if (nearLeft && nearBottom) return 'sw';
-  if (nearRight && nearBottom) return 'se';
-  if (nearLeft && inside) return 'w';
-  if (nearRight && inside) return 'e';
-  if (nearTop && inside) return 'n';
-  if (nearBottom && inside) return 's';
-  if (inside) return 'move';
-  return 'create';
-};
-
-const moveCrop = (originCrop, dx, dy, doc) => {
-  const x = clamp(originCrop.x + dx, 0, Math.max(0, doc.width - originCrop.width));
-  const y = clamp(originCrop.y + dy, 0, Math.max(0, doc.height - originCrop.height));
-  return {
-    ...originCrop,
-    x: Math.round(x),
-    y: Math.round(y),
-  };
+const getStraightenAngle = (start, end) => {
+  const angle = Math.atan2(end.y - start.y, end.x - start.x) * 180 / Math.PI;
+  return normalizeRotation(angle - Math.round(angle / 90) * 90);
 };
 
-const resizeCrop = (originCrop, mode, dx, dy, doc) => {
-  let left = originCrop.x;
-  let right = originCrop.x + originCrop.width;
-  let top = originCrop.y;
-  let bottom = originCrop.y + originCrop.height;
-
-  if (mode.includes('w')) left += dx;
-  if (mode.includes('e')) right += dx;
-  if (mode.includes('n')) top += dy;
-  if (mode.includes('s')) bottom += dy;
+const drawStraightenLine = (ctx, line, pixelScale) => {
+  if (!line) return;
 
-  return cropFromEdges(left, top, right, bottom, doc);
+  ctx.save();
+  ctx.lineCap = 'round';
+  ctx.beginPath();
+  ctx.moveTo(line.start.x, line.start.y);
+  ctx.lineTo(line.end.x, line.end.y);
+  ctx.strokeStyle = '#0f172a';
+  ctx.lineWidth = 4 * pixelScale;
+  ctx.stroke();
+  ctx.strokeStyle = '#facc15';
+  ctx.lineWidth = 2 * pixelScale;
+  ctx.stroke();
+  ctx.restore();
 };
 
-const drawCropOverlay = (ctx, doc, crop) => {
+const drawCropOverlay = (ctx, doc, crop, pixelScale, guide = null) => {
   if (!crop) return;
 
-  const lineWidth = Math.max(2, Math.round(Math.min(doc.width, doc.height) / 500));
-  const handleSize = Math.max(8, Math.round(Math.min(doc.width, doc.height) / 70));
+  const lineWidth = 1.5 * pixelScale;
+  const handleSize = 10 * pixelScale;
   const right = crop.x + crop.width;
   const bottom = crop.y + crop.height;
+  const center = getCropCenter(crop);
 
   ctx.save();
+  ctx.beginPath();
+  ctx.rect(0, 0, doc.width, doc.height);
+  ctx.translate(center.x, center.y);
+  ctx.rotate(toRadians(crop.rotationDeg ?? 0));
+  ctx.translate(-center.x, -center.y);
+  ctx.rect(crop.x, crop.y, crop.width, crop.height);
   ctx.fillStyle = 'rgba(15, 23, 42, 0.46)';
-  ctx.fillRect(0, 0, doc.width, crop.y);
-  ctx.fillRect(0, bottom, doc.width, doc.height - bottom);
-  ctx.fillRect(0, crop.y, crop.x, crop.height);
-  ctx.fillRect(right, crop.y, doc.width - right, crop.height);
+  ctx.fill('evenodd');
 
   ctx.strokeStyle = '#0f172a';
   ctx.lineWidth = lineWidth * 2;
@@ -351,6 +869,25 @@ const drawCropOverlay = (ctx, doc, crop) => {
   ctx.strokeRect(crop.x, crop.y, crop.width, crop.height);
   ctx.setLineDash([]);
 
+  const guideLines = CROP_GUIDE_OPTIONS.find((option) => option.id === guide)?.lines || [];
+  if (guideLines.length > 0) {
+    ctx.beginPath();
+    guideLines.forEach((position) => {
+      const x = crop.x + crop.width * position;
+      const y = crop.y + crop.height * position;
+      ctx.moveTo(x, crop.y);
+      ctx.lineTo(x, bottom);
+      ctx.moveTo(crop.x, y);
+      ctx.lineTo(right, y);
+    });
+    ctx.strokeStyle = 'rgba(15, 23, 42, 0.5)';
+    ctx.lineWidth = lineWidth * 2;
+    ctx.stroke();
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.85)';
+    ctx.lineWidth = lineWidth;
+    ctx.stroke();
+  }
+
   const handles = [
     [crop.x, crop.y],
     [right, crop.y],
@@ -441,6 +978,8 @@ const hasTransform = (draft) => (
 );
 
 const getLayerDocumentBounds = (layer) => {
+  if (isAdjustmentLayer(layer)) return null;
+
   const bounds = getLayerBounds(layer.canvas);
   if (!bounds) return null;
 
@@ -551,7 +1090,7 @@ const getBoundsFromPoints = (points) => {
   };
 };
 
-const drawTransformedLayer = (ctx, layer, draft) => {
+const drawTransformedLayer = (ctx, layer, draft, source = layer.canvas) => {
   const geometry = getTransformedGeometry(layer, draft);
   if (!geometry) return;
 
@@ -559,7 +1098,7 @@ const drawTransformedLayer = (ctx, layer, draft) => {
   ctx.translate(geometry.center.x, geometry.center.y);
   ctx.rotate(toRadians(geometry.rotationDeg));
   ctx.drawImage(
-    layer.canvas,
+    source,
     geometry.bounds.x - getLayerX(layer),
     geometry.bounds.y - getLayerY(layer),
     geometry.bounds.width,
@@ -609,20 +1148,102 @@ const rasterizeTransform = (layer, draft) => {
     geometry.height
   );
 
+  const mask = layer.mask && remapLayerMask(layer.mask, nextWidth, nextHeight, (maskCtx) => {
+    maskCtx.translate(geometry.center.x - rasterX, geometry.center.y - rasterY);
+    maskCtx.rotate(toRadians(geometry.rotationDeg));
+    maskCtx.translate(-geometry.width / 2, -geometry.height / 2);
+    maskCtx.scale(geometry.width / bounds.width, geometry.height / bounds.height);
+    maskCtx.translate(-bounds.x, -bounds.y);
+  });
+
   return {
     ...layer,
     canvas: nextCanvas,
+    mask,
     x: rasterX,
     y: rasterY,
   };
 };
 
-const drawLayerBounds = (ctx, layer, draft, doc) => {
+const createTransformPointMapper = (geometry, draft) => {
+  const scaleX = clamp(getDraftScaleX(draft), 1, 300) / 100;
+  const scaleY = clamp(getDraftScaleY(draft), 1, 300) / 100;
+  const originCenter = {
+    x: geometry.bounds.x + geometry.bounds.width / 2,
+    y: geometry.bounds.y + geometry.bounds.height / 2,
+  };
+
+  return (point) => rotateLocalPoint(geometry.center, {
+    x: (point.x - originCenter.x) * scaleX,
+    y: (point.y - originCenter.y) * scaleY,
+  }, geometry.rotationDeg);
+};
+
+const transformShapeLayer = (layer, draft) => {
+  const geometry = getTransformedGeometry(layer, draft);
+  if (!geometry) return layer;
+
+  const scaleX = clamp(getDraftScaleX(draft), 1, 300) / 100;
+  const scaleY = clamp(getDraftScaleY(draft), 1, 300) / 100;
+  const mapPoint = createTransformPointMapper(geometry, draft);
+  const shape = getShapeDocumentShape(layer);
+
+  if (isLinearShape(shape)) {
+    return setShapeDocumentShape(layer, {
+      ...shape,
+      start: mapPoint(shape.start),
+      end: mapPoint(shape.end),
+    });
+  }
+
+  return setShapeDocumentShape(layer, {
+    ...scaleBoxShape(shape, mapPoint(getShapeCenter(shape)), scaleX, scaleY),
+    rotationDeg: normalizeRotation((shape.rotationDeg ?? 0) + geometry.rotationDeg),
+  });
+};
+
+const transformCalloutLayer = (layer, draft) => {
+  const geometry = getTransformedGeometry(layer, draft);
+  if (!geometry) return layer;
+
+  const scale = (getDraftScaleX(draft) + getDraftScaleY(draft)) / 200;
+  const mapPoint = createTransformPointMapper(geometry, draft);
+  const callout = getCalloutDocumentCallout(layer);
+
+  return setCalloutDocumentCallout(layer, {
+    ...callout,
+    position: mapPoint(callout.position),
+    tip: callout.tip ? mapPoint(callout.tip) : null,
+    fontSize: clamp(Math.round(callout.fontSize * scale), 1, 2000),
+    borderWidth: Math.round(callout.borderWidth * scale * 10) / 10,
+  });
+};
+
+const transformTextLayer = (layer, draft) => {
+  const geometry = getTransformedGeometry(layer, draft);
+  if (!geometry) return layer;
+
+  const scale = (getDraftScaleX(draft) + getDraftScaleY(draft)) / 200;
+  const nextLayer = updateTextLayer(layer, {
+    fontSize: clamp(Math.round(layer.text.fontSize * scale), 1, 2000),
+    outlineWidth: Math.round(layer.text.outlineWidth * scale * 10) / 10,
+    backgroundPadding: Math.round(layer.text.backgroundPadding * scale),
+    rotationDeg: normalizeRotation((layer.text.rotationDeg ?? 0) + getDraftRotation(draft)),
+  });
+
+  return {
+    ...nextLayer,
+    x: Math.round(geometry.center.x - nextLayer.canvas.width / 2),
+    y: Math.round(geometry.center.y - nextLayer.canvas.height / 2),
+  };
+};
+
+const drawLayerBounds = (ctx, layer, draft, pixelScale) => {
   const geometry = getTransformedGeometry(layer, draft);
   if (!geometry) return;
 
-  const lineWidth = Math.max(2, Math.round(Math.min(doc.width, doc.height) / 600));
-  const handleSize = Math.max(9, Math.round(Math.min(doc.width, doc.height) / 70));
+  const lineWidth = 1.5 * pixelScale;
+  const handleSize = 10 * pixelScale;
   const { nw, ne, se, sw } = geometry.corners;
 
   ctx.save();
@@ -649,11 +1270,39 @@ const drawLayerBounds = (ctx, layer, draft, doc) => {
   ctx.restore();
 };
 
-const drawLayerGroupBounds = (ctx, layers, draft, doc) => {
+const drawPointHandles = (ctx, points, pixelScale) => {
+  const lineWidth = 1.5 * pixelScale;
+  const handleSize = 10 * pixelScale;
+
+  ctx.save();
+  ctx.lineWidth = lineWidth;
+  ctx.fillStyle = '#ffffff';
+  ctx.strokeStyle = '#1d4ed8';
+  points.forEach((point) => {
+    ctx.beginPath();
+    ctx.arc(point.x, point.y, handleSize / 2, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+  });
+  ctx.restore();
+};
+
+const drawShapeHandles = (ctx, layer, pixelScale) => {
+  drawPointHandles(ctx, Object.values(getShapeHandles(getShapeDocumentShape(layer))), pixelScale);
+};
+
+const drawCalloutHandles = (ctx, layer, pixelScale) => {
+  const { tip } = getCalloutDocumentCallout(layer);
+  if (tip) {
+    drawPointHandles(ctx, [tip], pixelScale);
+  }
+};
+
+const drawLayerGroupBounds = (ctx, layers, draft, pixelScale) => {
   const bounds = getLayerGroupBounds(layers);
   if (!bounds) return;
 
-  const lineWidth = Math.max(2, Math.round(Math.min(doc.width, doc.height) / 600));
+  const lineWidth = 1.5 * pixelScale;
   const dx = draft?.dx ?? 0;
   const dy = draft?.dy ?? 0;
 
@@ -796,13 +1445,28 @@ const getResizeTransformDraft = (interaction, point, shiftKey) => {
 const cropDocument = (doc, crop) => {
   const safeCrop = cropFromEdges(crop.x, crop.y, crop.x + crop.width, crop.y + crop.height, doc);
   const layers = doc.layers.map((layer) => {
+    if (isAdjustmentLayer(layer)) return layer;
+
+    if (isVectorLayer(layer)) {
+      return {
+        ...layer,
+        x: getLayerX(layer) - safeCrop.x,
+        y: getLayerY(layer) - safeCrop.y,
+      };
+    }
+
+    const offsetX = getLayerX(layer) - safeCrop.x;
+    const offsetY = getLayerY(layer) - safeCrop.y;
     const canvas = createCanvas(safeCrop.width, safeCrop.height);
     const ctx = canvas.getContext('2d');
-    ctx.drawImage(layer.canvas, getLayerX(layer) - safeCrop.x, getLayerY(layer) - safeCrop.y);
+    ctx.drawImage(layer.canvas, offsetX, offsetY);
 
     return {
       ...layer,
       canvas,
+      mask: layer.mask && remapLayerMask(layer.mask, canvas.width, canvas.height, (maskCtx) => {
+        maskCtx.translate(offsetX, offsetY);
+      }),
       x: 0,
       y: 0,
     };
@@ -816,59 +1480,460 @@ const cropDocument = (doc, crop) => {
   };
 };
 
-const resizeDocument = (doc, width, height) => {
-  const nextWidth = clampDimension(width);
-  const nextHeight = clampDimension(height);
-  const scaleX = nextWidth / doc.width;
-  const scaleY = nextHeight / doc.height;
+const rotateCropDocument = (doc, crop) => {
+  const width = clampDimension(crop.width);
+  const height = clampDimension(crop.height);
+  const rotationDeg = crop.rotationDeg ?? 0;
+  const mapPoint = (point) => mapRotatedCropPoint(crop, point);
+  const placeSource = (ctx, layer) => placeRotatedCropSource(ctx, crop, getLayerX(layer), getLayerY(layer));
 
   const layers = doc.layers.map((layer) => {
-    const canvas = createCanvas(
-      Math.max(1, Math.round(layer.canvas.width * scaleX)),
-      Math.max(1, Math.round(layer.canvas.height * scaleY))
-    );
+    if (isAdjustmentLayer(layer)) return layer;
+
+    if (isTextLayer(layer)) {
+      const layerCenter = mapPoint({
+        x: getLayerX(layer) + layer.canvas.width / 2,
+        y: getLayerY(layer) + layer.canvas.height / 2,
+      });
+      const nextLayer = updateTextLayer(layer, {
+        rotationDeg: normalizeRotation((layer.text.rotationDeg ?? 0) - rotationDeg),
+      });
+
+      return {
+        ...nextLayer,
+        x: Math.round(layerCenter.x - nextLayer.canvas.width / 2),
+        y: Math.round(layerCenter.y - nextLayer.canvas.height / 2),
+      };
+    }
+
+    if (isShapeLayer(layer)) {
+      const shape = getShapeDocumentShape(layer);
+      if (isLinearShape(shape)) {
+        return setShapeDocumentShape(layer, {
+          ...shape,
+          start: mapPoint(shape.start),
+          end: mapPoint(shape.end),
+        });
+      }
+
+      const shapeCenter = mapPoint(getShapeCenter(shape));
+      const halfWidth = Math.abs(shape.end.x - shape.start.x) / 2;
+      const halfHeight = Math.abs(shape.end.y - shape.start.y) / 2;
+      return setShapeDocumentShape(layer, {
+        ...shape,
+        start: { x: shapeCenter.x - halfWidth, y: shapeCenter.y - halfHeight },
+        end: { x: shapeCenter.x + halfWidth, y: shapeCenter.y + halfHeight },
+        rotationDeg: normalizeRotation((shape.rotationDeg ?? 0) - rotationDeg),
+      });
+    }
+
+    if (isCalloutLayer(layer)) {
+      const callout = getCalloutDocumentCallout(layer);
+      return setCalloutDocumentCallout(layer, {
+        ...callout,
+        position: mapPoint(callout.position),
+        tip: callout.tip ? mapPoint(callout.tip) : null,
+      });
+    }
+
+    const canvas = createCanvas(width, height);
     const ctx = canvas.getContext('2d');
     ctx.imageSmoothingQuality = 'high';
-    ctx.drawImage(layer.canvas, 0, 0, canvas.width, canvas.height);
+    placeSource(ctx, layer);
+    ctx.drawImage(layer.canvas, 0, 0);
 
     return {
       ...layer,
       canvas,
-      x: Math.round(getLayerX(layer) * scaleX),
-      y: Math.round(getLayerY(layer) * scaleY),
+      mask: layer.mask && remapLayerMask(layer.mask, width, height, (maskCtx) => {
+        placeSource(maskCtx, layer);
+      }),
+      x: 0,
+      y: 0,
     };
   });
 
   return {
     ...doc,
-    width: nextWidth,
-    height: nextHeight,
+    width,
+    height,
     layers,
   };
 };
 
-const getLayerPoint = (layer, point) => ({
-  x: point.x - getLayerX(layer),
-  y: point.y - getLayerY(layer),
-});
-
-const updateLayer = (doc, layerId, updater) => ({
-  ...doc,
-  layers: doc.layers.map((layer) => (
-    layer.id === layerId ? updater(layer) : layer
-  )),
-});
-
-const getUniqueLayerIds = (layerIds) => (
-  Array.from(new Set(layerIds.filter(Boolean)))
-);
+const perspectiveCropDocument = (doc, quad, width, height) => {
+  const outputWidth = clampDimension(width);
+  const outputHeight = clampDimension(height);
 
-const areLayerIdListsEqual = (first, second) => (
-  first.length === second.length && first.every((layerId, index) => layerId === second[index])
-);
+  const layers = doc.layers.map((layer) => {
+    if (isAdjustmentLayer(layer)) return layer;
 
-const reorderLayer = (doc, draggedLayerId, targetLayerId, placement) => {
-  if (!draggedLayerId || !targetLayerId || draggedLayerId === targetLayerId) return doc;
+    const rasterLayer = isVectorLayer(layer) ? rasterizeLayer(layer) : layer;
+    const layerQuad = quad.map((point) => ({
+      x: point.x - getLayerX(rasterLayer),
+      y: point.y - getLayerY(rasterLayer),
+    }));
+
+    return {
+      ...rasterLayer,
+      canvas: warpPerspective(rasterLayer.canvas, layerQuad, outputWidth, outputHeight),
+      mask: rasterLayer.mask && warpPerspective(rasterLayer.mask, layerQuad, outputWidth, outputHeight),
+      x: 0,
+      y: 0,
+    };
+  });
+
+  return {
+    ...doc,
+    width: outputWidth,
+    height: outputHeight,
+    layers,
+  };
+};
+
+const resizeDocument = (doc, width, height) => {
+  const nextWidth = clampDimension(width);
+  const nextHeight = clampDimension(height);
+  const scaleX = nextWidth / doc.width;
+  const scaleY = nextHeight / doc.height;
+
+  const layers = doc.layers.map((layer) => {
+    if (isAdjustmentLayer(layer)) return layer;
+
+    if (isTextLayer(layer)) {
+      const scale = (scaleX + scaleY) / 2;
+      const nextLayer = updateTextLayer(layer, {
+        fontSize: clamp(Math.round(layer.text.fontSize * scale), 1, 2000),
+        outlineWidth: Math.round(layer.text.outlineWidth * scale * 10) / 10,
+        backgroundPadding: Math.round(layer.text.backgroundPadding * scale),
+      });
+
+      return {
+        ...nextLayer,
+        x: Math.round(getLayerX(layer) * scaleX),
+        y: Math.round(getLayerY(layer) * scaleY),
+      };
+    }
+
+    if (isShapeLayer(layer)) {
+      const shape = getShapeDocumentShape(layer);
+      const scalePoint = (point) => ({ x: point.x * scaleX, y: point.y * scaleY });
+
+      return setShapeDocumentShape(layer, {
+        ...shape,
+        start: scalePoint(shape.start),
+        end: scalePoint(shape.end),
+        strokeWidth: Math.max(1, Math.round(shape.strokeWidth * (scaleX + scaleY) / 2)),
+      });
+    }
+
+    if (isCalloutLayer(layer)) {
+      const callout = getCalloutDocumentCallout(layer);
+      const scale = (scaleX + scaleY) / 2;
+      const scalePoint = (point) => ({ x: point.x * scaleX, y: point.y * scaleY });
+
+      return setCalloutDocumentCallout(layer, {
+        ...callout,
+        position: scalePoint(callout.position),
+        tip: callout.tip ? scalePoint(callout.tip) : null,
+        fontSize: clamp(Math.round(callout.fontSize * scale), 1, 2000),
+        borderWidth: Math.round(callout.borderWidth * scale * 10) / 10,
+      });
+    }
+
+    const canvas = createCanvas(
+      Math.max(1, Math.round(layer.canvas.width * scaleX)),
+      Math.max(1, Math.round(layer.canvas.height * scaleY))
+    );
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(layer.canvas, 0, 0, canvas.width, canvas.height);
+
+    return {
+      ...layer,
+      canvas,
+      mask: layer.mask && remapLayerMask(layer.mask, canvas.width, canvas.height, (maskCtx) => {
+        maskCtx.scale(canvas.width / layer.canvas.width, canvas.height / layer.canvas.height);
+      }),
+      x: Math.round(getLayerX(layer) * scaleX),
+      y: Math.round(getLayerY(layer) * scaleY),
+    };
+  });
+
+  return {
+    ...doc,
+    width: nextWidth,
+    height: nextHeight,
+    layers,
+  };
+};
+
+const drawMarchingAnts = (ctx, selection, phase, lineWidth) => {
+  if (!selection) return;
+
+  ctx.save();
+  ctx.lineWidth = lineWidth;
+  ctx.strokeStyle = '#ffffff';
+  ctx.stroke(selection.outline);
+  ctx.setLineDash([lineWidth * 4, lineWidth * 4]);
+  ctx.lineDashOffset = -phase * lineWidth;
+  ctx.strokeStyle = '#000000';
+  ctx.stroke(selection.outline);
+  ctx.restore();
+};
+
+const drawSelectionDraft = (ctx, draft, pixelScale) => {
+  if (!draft) return;
+
+  const lineWidth = pixelScale;
+
+  ctx.save();
+  if (draft.isOpen) {
+    ctx.beginPath();
+    draft.points.forEach((point, index) => {
+      if (index === 0) {
+        ctx.moveTo(point.x, point.y);
+      } else {
+        ctx.lineTo(point.x, point.y);
+      }
+    });
+  } else {
+    traceSelectionShape(ctx, draft);
+  }
+  ctx.lineWidth = lineWidth;
+  ctx.strokeStyle = '#ffffff';
+  ctx.stroke();
+  ctx.setLineDash([lineWidth * 4, lineWidth * 4]);
+  ctx.strokeStyle = '#0f172a';
+  ctx.stroke();
+  ctx.restore();
+};
+
+const drawGradientGuide = (ctx, interaction, pixelScale) => {
+  const { start, end } = interaction;
+  const lineWidth = 1.5 * pixelScale;
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.moveTo(start.x, start.y);
+  ctx.lineTo(end.x, end.y);
+  ctx.strokeStyle = '#0f172a';
+  ctx.lineWidth = lineWidth * 2;
+  ctx.stroke();
+  ctx.setLineDash([lineWidth * 4, lineWidth * 3]);
+  ctx.strokeStyle = '#ffffff';
+  ctx.lineWidth = lineWidth;
+  ctx.stroke();
+  ctx.setLineDash([]);
+  [start, end].forEach((point) => {
+    ctx.beginPath();
+    ctx.arc(point.x, point.y, 4 * pixelScale, 0, Math.PI * 2);
+    ctx.fillStyle = '#ffffff';
+    ctx.fill();
+    ctx.strokeStyle = '#0f172a';
+    ctx.stroke();
+  });
+  ctx.restore();
+};
+
+const drawRedactionDraft = (ctx, region, pixelScale) => {
+  if (!region) return;
+
+  const lineWidth = 1.5 * pixelScale;
+
+  ctx.save();
+  traceRedactionRegion(ctx, region);
+  ctx.fillStyle = 'rgba(15, 23, 42, 0.35)';
+  ctx.fill();
+  ctx.strokeStyle = '#0f172a';
+  ctx.lineWidth = lineWidth * 2;
+  ctx.stroke();
+  ctx.setLineDash([lineWidth * 4, lineWidth * 3]);
+  ctx.strokeStyle = '#ffffff';
+  ctx.lineWidth = lineWidth;
+  ctx.stroke();
+  ctx.restore();
+};
+
+let checkerboardTile = null;
+
+const getCheckerboardTile = () => {
+  if (checkerboardTile) return checkerboardTile;
+
+  checkerboardTile = createCanvas(18, 18);
+  const ctx = checkerboardTile.getContext('2d');
+  ctx.fillStyle = '#f8fafc';
+  ctx.fillRect(0, 0, 18, 18);
+  ctx.fillStyle = '#e2e8f0';
+  ctx.fillRect(0, 0, 9, 9);
+  ctx.fillRect(9, 9, 9, 9);
+  return checkerboardTile;
+};
+
+const drawViewportBackdrop = (ctx, doc, viewport) => {
+  const x = Math.round(viewport.panX);
+  const y = Math.round(viewport.panY);
+  const width = Math.round(doc.width * viewport.zoom);
+  const height = Math.round(doc.height * viewport.zoom);
+
+  ctx.save();
+  ctx.shadowColor = 'rgba(0, 0, 0, 0.45)';
+  ctx.shadowBlur = 12;
+  ctx.fillStyle = '#f8fafc';
+  ctx.fillRect(x, y, width, height);
+  ctx.restore();
+
+  ctx.save();
+  ctx.translate(x, y);
+  ctx.fillStyle = ctx.createPattern(getCheckerboardTile(), 'repeat');
+  ctx.fillRect(0, 0, width, height);
+  ctx.restore();
+};
+
+const copyCanvasRegion = (sourceCanvas, rect) => {
+  const canvas = createCanvas(rect.width, rect.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(sourceCanvas, -rect.x, -rect.y);
+  return canvas;
+};
+
+const extractLayerPixels = (layer, selection) => {
+  if (isAdjustmentLayer(layer)) return null;
+
+  let sourceCanvas = getVisibleLayerCanvas(layer);
+  let originX = getLayerX(layer);
+  let originY = getLayerY(layer);
+
+  if (selection) {
+    const { bounds, mask } = selection;
+    sourceCanvas = createCanvas(bounds.width, bounds.height);
+    sourceCanvas.getContext('2d').drawImage(getVisibleLayerCanvas(layer), originX - bounds.x, originY - bounds.y);
+    clipCanvasToSelection(sourceCanvas, mask, bounds.x, bounds.y);
+    originX = bounds.x;
+    originY = bounds.y;
+  }
+
+  const contentBounds = getLayerBounds(sourceCanvas);
+  if (!contentBounds) return null;
+
+  return {
+    canvas: copyCanvasRegion(sourceCanvas, contentBounds),
+    x: originX + contentBounds.x,
+    y: originY + contentBounds.y,
+  };
+};
+
+const clearLayerPixels = (layer, selection) => {
+  const rasterLayer = isVectorLayer(layer) ? rasterizeLayer(layer) : layer;
+  const canvas = createCanvas(rasterLayer.canvas.width, rasterLayer.canvas.height);
+
+  if (selection) {
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(rasterLayer.canvas, 0, 0);
+    ctx.globalCompositeOperation = 'destination-out';
+    ctx.drawImage(selection.mask, -getLayerX(layer), -getLayerY(layer));
+  }
+
+  return {
+    ...rasterLayer,
+    canvas,
+  };
+};
+
+const adjustLayerCanvas = (layer, adjustment, selection) => {
+  const adjusted = adjustCanvas(layer.canvas, adjustment);
+  return selection
+    ? mergeWithinSelection(layer.canvas, adjusted, selection.mask, getLayerX(layer), getLayerY(layer))
+    : adjusted;
+};
+
+const formatSliderValue = (value, control) => {
+  const text = control.step < 1 ? value.toFixed(2) : String(value);
+  return `${value > 0 && control.min < 0 ? '+' : ''}${text}${control.unit ?? ''}`;
+};
+
+const getLayerPoint = (layer, point) => ({
+  x: point.x - getLayerX(layer),
+  y: point.y - getLayerY(layer),
+});
+
+const getPaintBlocker = (layer) => {
+  if (!layer.visible) {
+    return {
+      title: 'Layer hidden',
+      description: 'Make the active layer visible before drawing on it.',
+    };
+  }
+
+  if (isVectorLayer(layer)) {
+    return {
+      title: `${getVectorLayerLabel(layer)} layer`,
+      description: 'Rasterize the layer before painting on it.',
+    };
+  }
+
+  if (isAdjustmentLayer(layer)) {
+    return {
+      title: 'Adjustment layer',
+      description: 'Adjustment layers have no pixels. Select a raster layer to paint on.',
+    };
+  }
+
+  return null;
+};
+
+const getLayerChangeLabel = (changes) => {
+  if ('name' in changes) return 'Rename layer';
+  if ('visible' in changes) return changes.visible ? 'Show layer' : 'Hide layer';
+  if ('opacity' in changes) return `Opacity ${changes.opacity}%`;
+  if ('blendMode' in changes) {
+    const option = BLEND_MODE_OPTIONS.find(({ mode }) => mode === changes.blendMode);
+    return `Blend ${option?.label ?? changes.blendMode}`;
+  }
+  return 'Edit layer';
+};
+
+const getTextChangeLabel = (changes) => {
+  if ('content' in changes) return 'Edit text';
+  if ('fontSize' in changes) return `Font size ${changes.fontSize}px`;
+  if ('fontFamily' in changes) return 'Font';
+  if ('fontWeight' in changes) return 'Font weight';
+  if ('align' in changes) return `Align ${changes.align}`;
+  if ('color' in changes) return 'Text color';
+  if (Object.keys(changes).some((key) => key.startsWith('outline'))) return 'Text outline';
+  if (Object.keys(changes).some((key) => key.startsWith('background'))) return 'Text background';
+  return 'Edit text';
+};
+
+const getShapeChangeLabel = (changes) => {
+  if ('strokeWidth' in changes) return `Stroke width ${changes.strokeWidth}px`;
+  if ('strokeColor' in changes) return 'Stroke color';
+  if ('fillEnabled' in changes || 'fillColor' in changes) return 'Shape fill';
+  if ('dashStyle' in changes) return 'Dash style';
+  if ('arrowHead' in changes || 'arrowBothEnds' in changes) return 'Arrow heads';
+  return 'Shape style';
+};
+
+const getCalloutChangeLabel = (changes) => {
+  if ('content' in changes) return 'Edit callout';
+  if ('fontSize' in changes) return `Callout size ${changes.fontSize}px`;
+  if ('fontFamily' in changes) return 'Callout font';
+  if ('fillColor' in changes) return 'Callout fill';
+  if ('textColor' in changes) return 'Callout text color';
+  if ('borderColor' in changes || 'borderWidth' in changes) return 'Callout border';
+  return 'Callout style';
+};
+
+const getUniqueLayerIds = (layerIds) => (
+  Array.from(new Set(layerIds.filter(Boolean)))
+);
+
+const areLayerIdListsEqual = (first, second) => (
+  first.length === second.length && first.every((layerId, index) => layerId === second[index])
+);
+
+const reorderLayer = (doc, draggedLayerId, targetLayerId, placement) => {
+  if (!draggedLayerId || !targetLayerId || draggedLayerId === targetLayerId) return doc;
 
   const draggedLayer = doc.layers.find((layer) => layer.id === draggedLayerId);
   if (!draggedLayer) return doc;
@@ -894,17 +1959,11 @@ const reorderLayer = (doc, draggedLayerId, targetLayerId, placement) => {
 const editorReducer = (state, action) => {
   switch (action.type) {
     case 'commit': {
-      const stateDoc = cloneDocument(action.doc);
-      const historyDoc = cloneDocument(action.doc);
       const baseHistory = state.history.slice(0, state.historyIndex + 1);
-      let history = [...baseHistory, historyDoc];
-
-      if (history.length > HISTORY_LIMIT) {
-        history = history.slice(history.length - HISTORY_LIMIT);
-      }
+      const history = trimHistoryToBudget([...baseHistory, action.entry]);
 
       return {
-        doc: stateDoc,
+        doc: action.doc,
         history,
         historyIndex: history.length - 1,
       };
@@ -925,25 +1984,12 @@ const editorReducer = (state, action) => {
         },
       };
 
-    case 'undo': {
-      if (state.historyIndex <= 0) return state;
-      const historyIndex = state.historyIndex - 1;
-      return {
-        ...state,
-        doc: cloneDocument(state.history[historyIndex]),
-        historyIndex,
-      };
-    }
-
-    case 'redo': {
-      if (state.historyIndex >= state.history.length - 1) return state;
-      const historyIndex = state.historyIndex + 1;
+    case 'restore':
       return {
         ...state,
-        doc: cloneDocument(state.history[historyIndex]),
-        historyIndex,
+        doc: action.doc,
+        historyIndex: action.historyIndex,
       };
-    }
 
     case 'reset':
       return {
@@ -966,6 +2012,14 @@ const loadImage = (url) => (
   })
 );
 
+const getViewportElementPoint = (element, clientX, clientY) => {
+  const rect = element.getBoundingClientRect();
+  return {
+    x: clientX - rect.left - element.clientLeft,
+    y: clientY - rect.top - element.clientTop,
+  };
+};
+
 const isEditableShortcutTarget = (target) => {
   if (!target) return false;
   if (target.isContentEditable) return true;
@@ -974,6 +2028,16 @@ const isEditableShortcutTarget = (target) => {
   return tagName === 'input' || tagName === 'textarea' || tagName === 'select';
 };
 
+const hasPageTextSelection = () => {
+  const selection = window.getSelection?.();
+  return Boolean(selection) && !selection.isCollapsed && selection.toString().trim() !== '';
+};
+
+const canCopyLayerPixels = (doc) => {
+  const layer = getActiveLayer(doc);
+  return Boolean(layer) && !isAdjustmentLayer(layer) && !hasPageTextSelection();
+};
+
 const ToolButton = ({ icon: Icon, label, isActive, onClick, isDisabled = false }) => (
   <Tooltip label={label} placement="right" hasArrow>
     <IconButton
@@ -993,12 +2057,13 @@ const LayerThumbnail = ({ layer }) => {
 
   useEffect(() => {
     const canvas = canvasRef.current;
-    if (!canvas) return;
+    if (!canvas || !layer.canvas) return;
 
     const ctx = canvas.getContext('2d');
     ctx.clearRect(0, 0, canvas.width, canvas.height);
     ctx.save();
     ctx.globalAlpha = clamp(layer.opacity ?? 100, 0, 100) / 100;
+    ctx.globalCompositeOperation = getBlendCompositeOperation(layer);
 
     const scale = Math.min(canvas.width / layer.canvas.width, canvas.height / layer.canvas.height);
     const width = layer.canvas.width * scale;
@@ -1013,6 +2078,24 @@ const LayerThumbnail = ({ layer }) => {
     ctx.restore();
   }, [layer]);
 
+  if (isAdjustmentLayer(layer)) {
+    return (
+      <Box
+        w="64px"
+        h="44px"
+        flexShrink={0}
+        display="flex"
+        alignItems="center"
+        justifyContent="center"
+        border="1px solid #cbd5e1"
+        bg="gray.700"
+        color="white"
+      >
+        <SunMedium size={20} />
+      </Box>
+    );
+  }
+
   return (
     <canvas
       ref={canvasRef}
@@ -1032,54 +2115,503 @@ const LayerThumbnail = ({ layer }) => {
   );
 };
 
-function UnifiedPhotoEditor() {
-  const toast = useToast();
-  const fileInputRef = useRef(null);
-  const displayCanvasRef = useRef(null);
-  const interactionRef = useRef(null);
-  const docRef = useRef(createEmptyDocument());
-  const cropRef = useRef(null);
-  const transformDraftRef = useRef(createDefaultTransformDraft());
-  const selectedLayerIdsRef = useRef([]);
-
-  const [{ doc, history, historyIndex }, dispatch] = useReducer(editorReducer, {
-    doc: createEmptyDocument(),
-    history: [],
-    historyIndex: -1,
-  });
-
-  const [activeTool, setActiveTool] = useState(TOOLS.MOVE);
-  const [brushColor, setBrushColor] = useState(DEFAULT_BRUSH_COLOR);
-  const [brushSize, setBrushSize] = useState(8);
-  const [crop, setCrop] = useState(null);
-  const [aspectLocked, setAspectLocked] = useState(true);
-  const [resizeDraft, setResizeDraft] = useState({ width: 0, height: 0, scale: 100 });
-  const [transformDraft, setTransformDraft] = useState(createDefaultTransformDraft());
-  const [draggedLayerId, setDraggedLayerId] = useState(null);
-  const [layerDropTarget, setLayerDropTarget] = useState(null);
-  const [selectedLayerIds, setSelectedLayerIds] = useState([]);
-
-  const activeLayer = useMemo(() => getActiveLayer(doc), [doc]);
-  const selectedLayerIdSet = useMemo(() => new Set(selectedLayerIds), [selectedLayerIds]);
-  const selectedMoveLayers = useMemo(() => (
-    doc.layers.filter((layer) => selectedLayerIdSet.has(layer.id))
-  ), [doc.layers, selectedLayerIdSet]);
-  const hasMultiLayerSelection = selectedMoveLayers.length > 1;
-  const canUndo = historyIndex > 0;
-  const canRedo = historyIndex >= 0 && historyIndex < history.length - 1;
-  const documentWidth = doc.width;
-  const documentHeight = doc.height;
-  const documentLayerCount = doc.layers.length;
+const LayerMaskThumbnail = ({ layer, isEditing }) => {
+  const canvasRef = useRef(null);
 
   useEffect(() => {
-    docRef.current = doc;
-  }, [doc]);
+    const canvas = canvasRef.current;
+    if (!canvas || !layer.mask) return;
 
-  useEffect(() => {
-    cropRef.current = crop;
-  }, [crop]);
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
 
-  useEffect(() => {
+    const scale = Math.min(canvas.width / layer.mask.width, canvas.height / layer.mask.height);
+    const width = Math.max(1, Math.round(layer.mask.width * scale));
+    const height = Math.max(1, Math.round(layer.mask.height * scale));
+    ctx.drawImage(
+      renderLayerMaskPreview(layer.mask, width, height),
+      Math.round((canvas.width - width) / 2),
+      Math.round((canvas.height - height) / 2)
+    );
+  }, [layer]);
+
+  return (
+    <Box position="relative" flexShrink={0}>
+      <canvas
+        ref={canvasRef}
+        width={44}
+        height={44}
+        style={{
+          width: '44px',
+          height: '44px',
+          border: isEditing ? '2px solid #3182ce' : '1px solid #cbd5e1',
+          backgroundColor: '#f8fafc',
+          opacity: isLayerMaskEnabled(layer) ? 1 : 0.45,
+        }}
+      />
+      {!isLayerMaskEnabled(layer) && (
+        <Box position="absolute" inset={0} display="flex" alignItems="center" justifyContent="center" color="red.500">
+          <X size={28} />
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+const CurvesEditor = ({ points, onChange, onChangeEnd }) => {
+  const svgRef = useRef(null);
+  const dragIndexRef = useRef(null);
+  const curvePath = useMemo(() => (
+    Array.from(getCurveLookup(points), (value, x) => `${x === 0 ? 'M' : 'L'}${x} ${255 - value}`).join(' ')
+  ), [points]);
+
+  const getCurvePoint = (event) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return {
+      x: clamp(Math.round(((event.clientX - rect.left) / rect.width) * 255), 0, 255),
+      y: clamp(Math.round(255 - ((event.clientY - rect.top) / rect.height) * 255), 0, 255),
+    };
+  };
+
+  const movePoint = (index, point) => {
+    const minX = index === 0 ? 0 : points[index - 1].x + 1;
+    const maxX = index === points.length - 1 ? 255 : points[index + 1].x - 1;
+    const nextPoints = [...points];
+    nextPoints[index] = { x: clamp(point.x, minX, maxX), y: point.y };
+    onChange(nextPoints);
+  };
+
+  const handlePointerDown = (event) => {
+    const point = getCurvePoint(event);
+    let index = points.findIndex((candidate) => Math.abs(candidate.x - point.x) <= 6 && Math.abs(candidate.y - point.y) <= 12);
+
+    if (index === -1) {
+      if (points.some((candidate) => candidate.x === point.x)) return;
+      index = points.findIndex((candidate) => candidate.x > point.x);
+      if (index === -1) index = points.length;
+      onChange([...points.slice(0, index), point, ...points.slice(index)]);
+    }
+
+    dragIndexRef.current = index;
+    event.currentTarget.setPointerCapture(event.pointerId);
+  };
+
+  const handlePointerMove = (event) => {
+    if (dragIndexRef.current === null) return;
+    movePoint(dragIndexRef.current, getCurvePoint(event));
+  };
+
+  const handlePointerUp = () => {
+    if (dragIndexRef.current === null) return;
+    dragIndexRef.current = null;
+    onChangeEnd?.();
+  };
+
+  const removePoint = (index) => {
+    if (index === 0 || index === points.length - 1) return;
+    onChange(points.filter((_, candidateIndex) => candidateIndex !== index));
+    onChangeEnd?.();
+  };
+
+  return (
+    <svg
+      ref={svgRef}
+      viewBox="0 0 255 255"
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+      style={{
+        width: '100%',
+        aspectRatio: '1',
+        border: '1px solid #cbd5e1',
+        backgroundColor: '#f8fafc',
+        cursor: 'crosshair',
+        touchAction: 'none',
+      }}
+    >
+      {[64, 128, 192].map((position) => (
+        <g key={position} stroke="#e2e8f0" strokeWidth="1">
+          <line x1={position} y1="0" x2={position} y2="255" />
+          <line x1="0" y1={position} x2="255" y2={position} />
+        </g>
+      ))}
+      <line x1="0" y1="255" x2="255" y2="0" stroke="#cbd5e1" strokeDasharray="4 4" />
+      <path d={curvePath} fill="none" stroke="#3182ce" strokeWidth="2" />
+      {points.map((point, index) => (
+        <circle
+          key={index}
+          cx={point.x}
+          cy={255 - point.y}
+          r="5"
+          fill="#ffffff"
+          stroke="#2b6cb0"
+          strokeWidth="2"
+          onDoubleClick={() => removePoint(index)}
+        />
+      ))}
+    </svg>
+  );
+};
+
+const ColorValueInput = ({ label, value, parse, onCommit }) => {
+  const [draft, setDraft] = useState(value);
+
+  useEffect(() => {
+    setDraft(value);
+  }, [value]);
+
+  const commitDraft = () => {
+    if (draft === value) return;
+    const color = parse(draft);
+    if (color) {
+      onCommit(color);
+    } else {
+      setDraft(value);
+    }
+  };
+
+  return (
+    <HStack justify="space-between">
+      <Text fontSize="sm" w="36px">{label}</Text>
+      <Input
+        size="sm"
+        flex={1}
+        value={draft}
+        onChange={(event) => setDraft(event.target.value)}
+        onBlur={commitDraft}
+        onKeyDown={(event) => {
+          if (event.key === 'Enter') event.currentTarget.blur();
+          if (event.key === 'Escape') setDraft(value);
+        }}
+        fontFamily="mono"
+      />
+    </HStack>
+  );
+};
+
+const ColorSwatchGrid = ({ colors, activeColor, onSelect }) => (
+  <Flex wrap="wrap" gap={1}>
+    {colors.map((color) => (
+      <Tooltip key={color} label={color}>
+        <Box
+          as="button"
+          type="button"
+          aria-label={`Use ${color}`}
+          w="22px"
+          h="22px"
+          bg={color}
+          border="2px solid"
+          borderColor={color === activeColor ? 'blue.500' : 'gray.300'}
+          borderRadius="sm"
+          onClick={() => onSelect(color)}
+        />
+      </Tooltip>
+    ))}
+  </Flex>
+);
+
+const GradientEditor = ({ stops, onChange }) => {
+  const barRef = useRef(null);
+  const dragIndexRef = useRef(null);
+  const [selectedIndex, setSelectedIndex] = useState(0);
+  const activeIndex = Math.min(selectedIndex, stops.length - 1);
+  const selectedStop = stops[activeIndex];
+
+  const getBarPosition = (event) => {
+    const rect = barRef.current.getBoundingClientRect();
+    return clamp(Math.round(((event.clientX - rect.left) / rect.width) * 100), 0, 100);
+  };
+
+  const updateStop = (index, changes) => {
+    onChange(stops.map((stop, candidateIndex) => (
+      candidateIndex === index ? { ...stop, ...changes } : stop
+    )));
+  };
+
+  const handlePointerDown = (event) => {
+    const position = getBarPosition(event);
+    let index = stops.findIndex((stop) => Math.abs(stop.position - position) <= 3);
+
+    if (index === -1) {
+      index = stops.length;
+      onChange([...stops, { ...selectedStop, position }]);
+    }
+
+    setSelectedIndex(index);
+    dragIndexRef.current = index;
+    event.currentTarget.setPointerCapture(event.pointerId);
+  };
+
+  const handlePointerMove = (event) => {
+    if (dragIndexRef.current === null) return;
+    updateStop(dragIndexRef.current, { position: getBarPosition(event) });
+  };
+
+  const handlePointerUp = () => {
+    dragIndexRef.current = null;
+  };
+
+  const removeStop = () => {
+    if (stops.length <= 2) return;
+    onChange(stops.filter((_, index) => index !== activeIndex));
+    setSelectedIndex(Math.max(0, activeIndex - 1));
+  };
+
+  const reverseStops = () => {
+    onChange(stops.map((stop) => ({ ...stop, position: 100 - stop.position })));
+  };
+
+  return (
+    <VStack align="stretch" spacing={3}>
+      <Box
+        ref={barRef}
+        position="relative"
+        h="40px"
+        cursor="pointer"
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        style={{ touchAction: 'none' }}
+      >
+        <Box
+          h="24px"
+          border="1px solid"
+          borderColor="gray.300"
+          borderRadius="sm"
+          bg="#f8fafc"
+          backgroundImage={`${getGradientCss(stops)}, linear-gradient(45deg, #e2e8f0 25%, transparent 25%), linear-gradient(-45deg, #e2e8f0 25%, transparent 25%), linear-gradient(45deg, transparent 75%, #e2e8f0 75%), linear-gradient(-45deg, transparent 75%, #e2e8f0 75%)`}
+          backgroundSize="100% 100%, 12px 12px, 12px 12px, 12px 12px, 12px 12px"
+          backgroundPosition="0 0, 0 0, 0 6px, 6px -6px, -6px 0px"
+        />
+        {stops.map((stop, index) => (
+          <Box
+            key={index}
+            position="absolute"
+            top="26px"
+            left={`${stop.position}%`}
+            transform="translateX(-50%)"
+            w="12px"
+            h="12px"
+            border="2px solid"
+            borderColor={index === activeIndex ? 'blue.500' : 'gray.400'}
+            borderRadius="sm"
+            bg={stop.color}
+          />
+        ))}
+      </Box>
+      <HStack justify="space-between">
+        <Text fontSize="sm">Stop color</Text>
+        <Input
+          type="color"
+          value={selectedStop.color}
+          onChange={(event) => updateStop(activeIndex, { color: event.target.value })}
+          w="86px"
+          h="36px"
+          p={1}
+        />
+      </HStack>
+      <Box>
+        <HStack justify="space-between" mb={2}>
+          <Text fontSize="sm">Location</Text>
+          <Text fontSize="sm" color="gray.600">{selectedStop.position}%</Text>
+        </HStack>
+        <Slider
+          value={selectedStop.position}
+          min={0}
+          max={100}
+          onChange={(position) => updateStop(activeIndex, { position })}
+        >
+          <SliderTrack><SliderFilledTrack /></SliderTrack>
+          <SliderThumb />
+        </Slider>
+      </Box>
+      <Box>
+        <HStack justify="space-between" mb={2}>
+          <Text fontSize="sm">Stop opacity</Text>
+          <Text fontSize="sm" color="gray.600">{selectedStop.opacity}%</Text>
+        </HStack>
+        <Slider
+          value={selectedStop.opacity}
+          min={0}
+          max={100}
+          onChange={(opacity) => updateStop(activeIndex, { opacity })}
+        >
+          <SliderTrack><SliderFilledTrack /></SliderTrack>
+          <SliderThumb />
+        </Slider>
+      </Box>
+      <HStack>
+        <Button size="sm" flex={1} leftIcon={<ArrowLeftRight size={16} />} onClick={reverseStops}>
+          Reverse
+        </Button>
+        <Button
+          size="sm"
+          flex={1}
+          leftIcon={<Trash2 size={16} />}
+          onClick={removeStop}
+          isDisabled={stops.length <= 2}
+        >
+          Remove Stop
+        </Button>
+      </HStack>
+    </VStack>
+  );
+};
+
+function UnifiedPhotoEditor() {
+  const toast = useToast();
+  const fileInputRef = useRef(null);
+  const displayCanvasRef = useRef(null);
+  const viewportElementRef = useRef(null);
+  const compositeCanvasRef = useRef(null);
+  const viewportRef = useRef({ zoom: 1, panX: 0, panY: 0, isFit: true });
+  const viewportSizeRef = useRef({ width: 0, height: 0 });
+  const viewportGestureRef = useRef(null);
+  const touchPointsRef = useRef(new Map());
+  const spaceHeldRef = useRef(false);
+  const interactionRef = useRef(null);
+  const docRef = useRef(createEmptyDocument());
+  const historyStateRef = useRef({ history: [], historyIndex: -1 });
+  const cropRef = useRef(null);
+  const [isStraightening, setIsStraightening] = useState(false);
+  const [perspectiveQuad, setPerspectiveQuad] = useState(null);
+  const perspectiveQuadRef = useRef(null);
+  const [perspectiveSize, setPerspectiveSize] = useState({ isAuto: true, width: 0, height: 0 });
+  const [straightenLine, setStraightenLine] = useState(null);
+  const straightenLineRef = useRef(null);
+  const cropRotationBaseRef = useRef(null);
+  const [cropSettings, setCropSettings] = useState({
+    mode: 'rectangle',
+    trimTolerance: 16,
+    aspect: 'free',
+    customWidth: 3,
+    customHeight: 2,
+    guide: 'thirds',
+  });
+  const transformDraftRef = useRef(createDefaultTransformDraft());
+  const selectedLayerIdsRef = useRef([]);
+  const selectionRef = useRef(null);
+  const filterAbortRef = useRef(null);
+  const clipboardRef = useRef(null);
+  const hasTransientChangesRef = useRef(false);
+  const [hasClipboard, setHasClipboard] = useState(false);
+
+  const [{ doc, history, historyIndex }, dispatch] = useReducer(editorReducer, {
+    doc: createEmptyDocument(),
+    history: [],
+    historyIndex: -1,
+  });
+
+  const [activeTool, setActiveTool] = useState(TOOLS.MOVE);
+  const [brushColor, setBrushColor] = useState(DEFAULT_BRUSH_COLOR);
+  const [brushSettings, setBrushSettings] = useState(createDefaultBrushSettings);
+  const [brushPresetId, setBrushPresetId] = useState(BRUSH_PRESETS[0].id);
+  const [savedBrushPresets, setSavedBrushPresets] = useState(loadBrushPresets);
+  const [brushPresetName, setBrushPresetName] = useState('');
+  const [colorSwatches, setColorSwatches] = useState(loadColorSwatches);
+  const [eyedropperSettings, setEyedropperSettings] = useState({
+    radius: 0,
+    sampleMerged: true,
+  });
+  const [isMaskEditing, setIsMaskEditing] = useState(false);
+  const [fillSettings, setFillSettings] = useState({
+    tolerance: 32,
+    contiguous: true,
+    sampleMerged: false,
+  });
+  const [gradient, setGradient] = useState(() => createDefaultGradient(DEFAULT_BRUSH_COLOR));
+  const [adjustment, setAdjustment] = useState(() => createDefaultAdjustment(ADJUSTMENT_TYPES.BRIGHTNESS_CONTRAST));
+  const [adjustmentPreview, setAdjustmentPreview] = useState(null);
+  const [colorBalanceRange, setColorBalanceRange] = useState('midtones');
+  const [filter, setFilter] = useState(() => createDefaultFilter(FILTER_TYPES.GAUSSIAN_BLUR));
+  const [filterProgress, setFilterProgress] = useState(null);
+  const [shapeKind, setShapeKind] = useState(SHAPE_KINDS.ARROW);
+  const [shapeStyle, setShapeStyle] = useState(() => createDefaultShapeStyle());
+  const [calloutKind, setCalloutKind] = useState(CALLOUT_KINDS.BADGE);
+  const [calloutStyle, setCalloutStyle] = useState(() => createDefaultCalloutStyle());
+  const [redactionSettings, setRedactionSettings] = useState(createDefaultRedactionSettings);
+  const [redactionDraft, setRedactionDraft] = useState(null);
+  const [selection, setSelection] = useState(null);
+  const [selectionShape, setSelectionShape] = useState(SELECTION_SHAPES.RECTANGLE);
+  const [selectionMode, setSelectionMode] = useState(SELECTION_MODES.REPLACE);
+  const [selectionDraft, setSelectionDraft] = useState(null);
+  const [marchingAntsPhase, setMarchingAntsPhase] = useState(0);
+  const [wandSettings, setWandSettings] = useState({
+    tolerance: 32,
+    contiguous: true,
+    sampleMerged: false,
+  });
+  const [crop, setCrop] = useState(null);
+  const [aspectLocked, setAspectLocked] = useState(true);
+  const [resizeMode, setResizeMode] = useState('image');
+  const [canvasSizeDraft, setCanvasSizeDraft] = useState({
+    width: 0,
+    height: 0,
+    isRelative: false,
+    anchorId: 'center',
+    fillEnabled: false,
+    fillColor: '#ffffff',
+  });
+  const [resizeDraft, setResizeDraft] = useState({ width: 0, height: 0, scale: 100 });
+  const [transformDraft, setTransformDraft] = useState(createDefaultTransformDraft());
+  const [draggedLayerId, setDraggedLayerId] = useState(null);
+  const [layerDropTarget, setLayerDropTarget] = useState(null);
+  const [selectedLayerIds, setSelectedLayerIds] = useState([]);
+  const [viewport, setViewport] = useState(viewportRef.current);
+  const [viewportSize, setViewportSize] = useState(viewportSizeRef.current);
+  const [isSpaceHeld, setIsSpaceHeld] = useState(false);
+  const [isPanning, setIsPanning] = useState(false);
+  const [sessionStatus, setSessionStatus] = useState(SESSION_STATUS.CHECKING);
+  const [savedSession, setSavedSession] = useState(null);
+  const [sessionSize, setSessionSize] = useState(null);
+  const [isConfirmingRestore, setIsConfirmingRestore] = useState(false);
+
+  const activeLayer = useMemo(() => getActiveLayer(doc), [doc]);
+  const editedAdjustment = isAdjustmentLayer(activeLayer) ? activeLayer.adjustment : adjustment;
+  const selectedLayerIdSet = useMemo(() => new Set(selectedLayerIds), [selectedLayerIds]);
+  const selectedMoveLayers = useMemo(() => (
+    doc.layers.filter((layer) => selectedLayerIdSet.has(layer.id))
+  ), [doc.layers, selectedLayerIdSet]);
+  const hasMultiLayerSelection = selectedMoveLayers.length > 1;
+  const historyMemoryUsage = useMemo(() => getHistoryMemoryUsage(history), [history]);
+  const canUndo = historyIndex > 0;
+  const canRedo = historyIndex >= 0 && historyIndex < history.length - 1;
+  const documentWidth = doc.width;
+  const documentHeight = doc.height;
+  const documentLayerCount = doc.layers.length;
+  const vectorLayerCount = useMemo(() => doc.layers.filter(isVectorLayer).length, [doc.layers]);
+
+  useEffect(() => {
+    docRef.current = doc;
+  }, [doc]);
+
+  useEffect(() => {
+    historyStateRef.current = { history, historyIndex };
+  }, [history, historyIndex]);
+
+  useEffect(() => {
+    cropRef.current = crop;
+  }, [crop]);
+
+  useEffect(() => {
+    straightenLineRef.current = straightenLine;
+  }, [straightenLine]);
+
+  useEffect(() => {
+    perspectiveQuadRef.current = perspectiveQuad;
+  }, [perspectiveQuad]);
+
+  useEffect(() => {
+    saveColorSwatches(colorSwatches);
+  }, [colorSwatches]);
+
+  useEffect(() => {
+    saveBrushPresets(savedBrushPresets);
+  }, [savedBrushPresets]);
+
+  useEffect(() => {
     transformDraftRef.current = transformDraft;
   }, [transformDraft]);
 
@@ -1087,6 +2619,27 @@ function UnifiedPhotoEditor() {
     selectedLayerIdsRef.current = selectedLayerIds;
   }, [selectedLayerIds]);
 
+  useEffect(() => {
+    selectionRef.current = selection;
+  }, [selection]);
+
+  useEffect(() => {
+    if (!selection) return undefined;
+
+    const intervalId = window.setInterval(() => {
+      setMarchingAntsPhase((phase) => (phase + 1) % 8);
+    }, 150);
+    return () => window.clearInterval(intervalId);
+  }, [selection]);
+
+  useEffect(() => {
+    const mask = selectionRef.current?.mask;
+    if (!mask || (mask.width === doc.width && mask.height === doc.height)) return;
+
+    selectionRef.current = null;
+    setSelection(null);
+  }, [doc.width, doc.height]);
+
   useEffect(() => {
     const layerIds = new Set(doc.layers.map((layer) => layer.id));
     let nextSelectedLayerIds = selectedLayerIdsRef.current.filter((layerId) => (
@@ -1107,22 +2660,150 @@ function UnifiedPhotoEditor() {
     setSelectedLayerIds(nextSelectedLayerIds);
   }, [doc]);
 
-  const commitDocument = useCallback((nextDoc) => {
-    docRef.current = nextDoc;
-    dispatch({ type: 'commit', doc: nextDoc });
+  const commitDocument = useCallback((nextDoc, label) => {
+    const numberedDoc = renumberStepBadges(nextDoc);
+    docRef.current = numberedDoc;
+    hasTransientChangesRef.current = false;
+    dispatch({ type: 'commit', doc: numberedDoc, entry: createHistoryEntry(numberedDoc, label) });
   }, []);
 
   const setDocumentTransient = useCallback((nextDoc) => {
-    docRef.current = nextDoc;
-    dispatch({ type: 'setDoc', doc: nextDoc });
+    const numberedDoc = renumberStepBadges(nextDoc);
+    docRef.current = numberedDoc;
+    hasTransientChangesRef.current = true;
+    dispatch({ type: 'setDoc', doc: numberedDoc });
   }, []);
 
+  const commitTransientChanges = useCallback((label) => {
+    if (!hasTransientChangesRef.current) return;
+    commitDocument(docRef.current, label);
+  }, [commitDocument]);
+
   const updateSelectedLayerIds = useCallback((layerIds) => {
     const nextLayerIds = getUniqueLayerIds(layerIds);
     selectedLayerIdsRef.current = nextLayerIds;
     setSelectedLayerIds(nextLayerIds);
   }, []);
 
+  const updateSelection = useCallback((mask, mode = SELECTION_MODES.REPLACE) => {
+    const combinedMask = combineSelectionMasks(selectionRef.current?.mask || null, mask, mode);
+    const description = describeSelectionMask(combinedMask);
+    const nextSelection = description
+      ? { mask: combinedMask, ...description }
+      : null;
+
+    selectionRef.current = nextSelection;
+    setSelection(nextSelection);
+  }, []);
+
+  const selectAll = useCallback(() => {
+    const currentDoc = docRef.current;
+    if (!hasDocument(currentDoc)) return;
+
+    updateSelection(createFullSelectionMask(currentDoc.width, currentDoc.height));
+  }, [updateSelection]);
+
+  const invertSelection = useCallback(() => {
+    const currentDoc = docRef.current;
+    if (!hasDocument(currentDoc)) return;
+
+    const mask = selectionRef.current?.mask;
+    updateSelection(mask
+      ? invertSelectionMask(mask)
+      : createFullSelectionMask(currentDoc.width, currentDoc.height));
+  }, [updateSelection]);
+
+  const deselect = useCallback(() => {
+    if (interactionRef.current?.type === 'select') {
+      interactionRef.current = null;
+    }
+    selectionRef.current = null;
+    setSelection(null);
+    setSelectionDraft(null);
+  }, []);
+
+  const copySelection = useCallback(async () => {
+    const currentDoc = docRef.current;
+    const layer = getActiveLayer(currentDoc);
+    if (!layer) return false;
+
+    const pixels = extractLayerPixels(layer, selectionRef.current);
+    if (!pixels) {
+      toast({
+        title: 'Nothing to copy',
+        description: 'The selected area of the active layer is empty.',
+        status: 'info',
+        duration: 2200,
+        isClosable: true,
+      });
+      return false;
+    }
+
+    clipboardRef.current = pixels;
+    setHasClipboard(true);
+    return copyToClipboard(pixels.canvas, 'image/png', 1, toast);
+  }, [toast]);
+
+  const cutSelection = useCallback(async () => {
+    const currentDoc = docRef.current;
+    const layer = getActiveLayer(currentDoc);
+    if (!layer) return;
+
+    const currentSelection = selectionRef.current;
+    const previousClipboard = clipboardRef.current;
+    const didCopyToSystem = await copySelection();
+    if (!didCopyToSystem) {
+      if (clipboardRef.current !== previousClipboard) {
+        toast({
+          title: 'Pixels kept',
+          description: 'The system clipboard could not be written, so nothing was cut. The pixels can still be pasted inside the editor.',
+          status: 'warning',
+          duration: 3500,
+          isClosable: true,
+        });
+      }
+      return;
+    }
+
+    const latestDoc = docRef.current;
+    commitDocument(updateLayer(latestDoc, layer.id, (candidate) => (
+      clearLayerPixels(candidate, currentSelection)
+    )), 'Cut');
+  }, [commitDocument, copySelection, toast]);
+
+  const pasteCanvasLayer = useCallback((pixels) => {
+    const currentDoc = docRef.current;
+    if (!hasDocument(currentDoc)) return;
+
+    const layer = createLayer({
+      name: `Pasted ${currentDoc.layers.length + 1}`,
+      width: pixels.canvas.width,
+      height: pixels.canvas.height,
+      x: pixels.x,
+      y: pixels.y,
+      draw: (ctx) => {
+        ctx.drawImage(pixels.canvas, 0, 0);
+      },
+    });
+    const activeIndex = currentDoc.layers.findIndex((candidate) => candidate.id === currentDoc.activeLayerId);
+    const layers = [...currentDoc.layers];
+    layers.splice(activeIndex === -1 ? layers.length : activeIndex + 1, 0, layer);
+
+    commitDocument({
+      ...currentDoc,
+      layers,
+      activeLayerId: layer.id,
+    }, 'Paste');
+    updateSelectedLayerIds([layer.id]);
+    deselect();
+    setActiveTool(TOOLS.MOVE);
+  }, [commitDocument, deselect, updateSelectedLayerIds]);
+
+  const pasteInternalClipboard = useCallback(() => {
+    if (!clipboardRef.current) return;
+    pasteCanvasLayer(clipboardRef.current);
+  }, [pasteCanvasLayer]);
+
   const resetTransformDraft = useCallback(() => {
     const nextDraft = createDefaultTransformDraft();
     transformDraftRef.current = nextDraft;
@@ -1137,75 +2818,363 @@ function UnifiedPhotoEditor() {
     ExportControls,
   } = useImageExportControls(getCompositeCanvas, toast, 'edited');
 
-  const undoDocument = useCallback(() => {
+  const jumpToHistoryStep = useCallback((index) => {
+    const hadTransientChanges = hasTransientChangesRef.current;
     interactionRef.current = null;
+    hasTransientChangesRef.current = false;
     resetTransformDraft();
-    dispatch({ type: 'undo' });
+
+    const { history: currentHistory, historyIndex: currentIndex } = historyStateRef.current;
+    const isOtherStep = index >= 0 && index < currentHistory.length && index !== currentIndex;
+    if (!isOtherStep && !(hadTransientChanges && currentHistory[currentIndex])) return;
+
+    const targetIndex = isOtherStep ? index : currentIndex;
+    const restoredDoc = restoreHistoryEntry(currentHistory[targetIndex], docRef.current);
+    docRef.current = restoredDoc;
+    dispatch({ type: 'restore', doc: restoredDoc, historyIndex: targetIndex });
   }, [resetTransformDraft]);
 
+  const undoDocument = useCallback(() => {
+    jumpToHistoryStep(historyStateRef.current.historyIndex - 1);
+  }, [jumpToHistoryStep]);
+
   const redoDocument = useCallback(() => {
-    interactionRef.current = null;
-    resetTransformDraft();
-    dispatch({ type: 'redo' });
-  }, [resetTransformDraft]);
+    jumpToHistoryStep(historyStateRef.current.historyIndex + 1);
+  }, [jumpToHistoryStep]);
 
-  const renderDisplay = useCallback(() => {
-    const canvas = displayCanvasRef.current;
-    if (!canvas || !hasDocument(doc)) return;
+  const applyViewport = useCallback((nextViewport) => {
+    const currentDoc = docRef.current;
+    const clampedViewport = hasDocument(currentDoc)
+      ? clampViewportPan(nextViewport, currentDoc, viewportSizeRef.current)
+      : nextViewport;
 
-    if (canvas.width !== doc.width) canvas.width = doc.width;
-    if (canvas.height !== doc.height) canvas.height = doc.height;
+    viewportRef.current = clampedViewport;
+    setViewport(clampedViewport);
+  }, []);
+
+  const fitViewport = useCallback(() => {
+    const currentDoc = docRef.current;
+    const size = viewportSizeRef.current;
+    if (!hasDocument(currentDoc) || size.width === 0 || size.height === 0) return;
+
+    applyViewport(getFitViewport(currentDoc, size));
+  }, [applyViewport]);
+
+  const zoomViewport = useCallback((zoom, anchor = null) => {
+    const size = viewportSizeRef.current;
+    if (!hasDocument(docRef.current) || size.width === 0 || size.height === 0) return;
+
+    applyViewport(zoomViewportAt(
+      viewportRef.current,
+      zoom,
+      anchor || { x: size.width / 2, y: size.height / 2 }
+    ));
+  }, [applyViewport]);
+
+  const stepViewportZoom = useCallback((direction) => {
+    zoomViewport(getSteppedZoom(viewportRef.current.zoom, direction));
+  }, [zoomViewport]);
+
+  const isGroupMove = activeTool === TOOLS.MOVE && hasMultiLayerSelection;
+  const transformDraftForRender = useMemo(() => (
+    isGroupMove ? getTranslationDraft(transformDraft) : transformDraft
+  ), [isGroupMove, transformDraft]);
+
+  const renderComposite = useCallback(() => {
+    if (!hasDocument(doc)) return;
+
+    if (!compositeCanvasRef.current) {
+      compositeCanvasRef.current = createCanvas(doc.width, doc.height);
+    }
+    const compositeCanvas = compositeCanvasRef.current;
+    if (compositeCanvas.width !== doc.width) compositeCanvas.width = doc.width;
+    if (compositeCanvas.height !== doc.height) compositeCanvas.height = doc.height;
 
-    const ctx = canvas.getContext('2d');
-    const isGroupMove = activeTool === TOOLS.MOVE && hasMultiLayerSelection;
-    const transformDraftForRender = isGroupMove
-      ? getTranslationDraft(transformDraft)
-      : transformDraft;
     const transformLayerId = activeTool === TOOLS.MOVE && !isGroupMove ? doc.activeLayerId : null;
     const transformLayerIds = isGroupMove
       ? new Set(selectedMoveLayers.map((layer) => layer.id))
       : null;
-    renderDocument(ctx, doc, {
+    const interaction = interactionRef.current;
+    const strokePreview = interaction?.canvas && ['stroke', 'gradient'].includes(interaction.type)
+      ? interaction
+      : null;
+    const renderedDoc = adjustmentPreview
+      ? updateLayer(doc, adjustmentPreview.layerId, (layer) => (
+        layer.canvas === adjustmentPreview.sourceCanvas
+          ? { ...layer, canvas: adjustmentPreview.canvas }
+          : layer
+      ))
+      : doc;
+    renderDocument(compositeCanvas.getContext('2d'), renderedDoc, {
       transformLayerId,
       transformLayerIds,
       transformDraft: transformDraftForRender,
+      strokePreview,
     });
+  }, [
+    activeTool,
+    adjustmentPreview,
+    doc,
+    isGroupMove,
+    selectedMoveLayers,
+    transformDraftForRender,
+  ]);
+
+  const drawDisplay = useCallback(() => {
+    const canvas = displayCanvasRef.current;
+    const compositeCanvas = compositeCanvasRef.current;
+    if (!canvas || !compositeCanvas || !hasDocument(doc) || viewportSize.width === 0 || viewportSize.height === 0) {
+      return;
+    }
+
+    const pixelRatio = window.devicePixelRatio || 1;
+    const canvasWidth = Math.round(viewportSize.width * pixelRatio);
+    const canvasHeight = Math.round(viewportSize.height * pixelRatio);
+    if (canvas.width !== canvasWidth) canvas.width = canvasWidth;
+    if (canvas.height !== canvasHeight) canvas.height = canvasHeight;
+
+    const interaction = interactionRef.current;
+    const ctx = canvas.getContext('2d');
+    const pixelScale = 1 / viewport.zoom;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    drawViewportBackdrop(ctx, doc, viewport);
+    ctx.setTransform(
+      pixelRatio * viewport.zoom,
+      0,
+      0,
+      pixelRatio * viewport.zoom,
+      pixelRatio * viewport.panX,
+      pixelRatio * viewport.panY
+    );
+    ctx.imageSmoothingEnabled = viewport.zoom < 2;
+    ctx.drawImage(compositeCanvas, 0, 0);
+    ctx.imageSmoothingEnabled = true;
 
     if (isGroupMove) {
-      drawLayerGroupBounds(ctx, selectedMoveLayers, transformDraftForRender, doc);
+      drawLayerGroupBounds(ctx, selectedMoveLayers, transformDraftForRender, pixelScale);
     } else if (activeTool === TOOLS.MOVE && activeLayer) {
-      drawLayerBounds(ctx, activeLayer, transformDraftForRender, doc);
+      drawLayerBounds(ctx, activeLayer, transformDraftForRender, pixelScale);
     }
 
-    if (activeTool === TOOLS.CROP) {
-      drawCropOverlay(ctx, doc, crop);
+    if (activeTool === TOOLS.TEXT && isTextLayer(activeLayer)) {
+      drawLayerGroupBounds(ctx, [activeLayer], null, pixelScale);
     }
-  }, [activeLayer, activeTool, crop, doc, hasMultiLayerSelection, selectedMoveLayers, transformDraft]);
 
-  useEffect(() => {
-    renderDisplay();
-  }, [renderDisplay]);
+    if (activeTool === TOOLS.SHAPE && isShapeLayer(activeLayer)) {
+      drawShapeHandles(ctx, activeLayer, pixelScale);
+    }
 
-  useEffect(() => {
-    updateOutputSizes();
-  }, [doc, updateOutputSizes]);
+    if (activeTool === TOOLS.CALLOUT && isCalloutLayer(activeLayer)) {
+      drawLayerGroupBounds(ctx, [activeLayer], null, pixelScale);
+      drawCalloutHandles(ctx, activeLayer, pixelScale);
+    }
 
-  useEffect(() => {
-    const handleKeyDown = (event) => {
-      if (isEditableShortcutTarget(event.target)) return;
-      const key = event.key.toLowerCase();
+    if (activeTool === TOOLS.CROP && cropSettings.mode === 'perspective') {
+      drawPerspectiveOverlay(ctx, doc, perspectiveQuad, pixelScale);
+    } else if (activeTool === TOOLS.CROP) {
+      drawCropOverlay(ctx, doc, crop, pixelScale, cropSettings.guide);
+      drawStraightenLine(ctx, straightenLine, pixelScale);
+    }
 
-      if (event.metaKey && key === 'z') {
-        event.preventDefault();
+    if (activeTool === TOOLS.REDACT) {
+      drawRedactionDraft(ctx, redactionDraft, pixelScale);
+    }
 
-        if (event.shiftKey) {
-          redoDocument();
-        } else {
+    if (activeTool === TOOLS.GRADIENT && interaction?.type === 'gradient') {
+      drawGradientGuide(ctx, interaction, pixelScale);
+    }
+
+    if (selection || selectionDraft) {
+      drawMarchingAnts(ctx, selection, marchingAntsPhase, pixelScale);
+      drawSelectionDraft(ctx, selectionDraft, pixelScale);
+    }
+  }, [
+    activeLayer,
+    activeTool,
+    crop,
+    cropSettings.guide,
+    cropSettings.mode,
+    doc,
+    isGroupMove,
+    marchingAntsPhase,
+    perspectiveQuad,
+    redactionDraft,
+    selectedMoveLayers,
+    selection,
+    selectionDraft,
+    straightenLine,
+    transformDraftForRender,
+    viewport,
+    viewportSize,
+  ]);
+
+  const renderDisplay = useCallback(() => {
+    renderComposite();
+    drawDisplay();
+  }, [drawDisplay, renderComposite]);
+
+  useEffect(() => {
+    const element = viewportElementRef.current;
+    if (!element) return undefined;
+
+    const updateViewportSize = () => {
+      const size = {
+        width: element.clientWidth,
+        height: element.clientHeight,
+      };
+      viewportSizeRef.current = size;
+      setViewportSize(size);
+    };
+
+    updateViewportSize();
+
+    if (typeof ResizeObserver === 'undefined') {
+      window.addEventListener('resize', updateViewportSize);
+      return () => window.removeEventListener('resize', updateViewportSize);
+    }
+
+    const observer = new ResizeObserver(updateViewportSize);
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    fitViewport();
+  }, [documentWidth, documentHeight, fitViewport]);
+
+  useEffect(() => {
+    if (viewportRef.current.isFit) {
+      fitViewport();
+    } else {
+      applyViewport(viewportRef.current);
+    }
+  }, [applyViewport, fitViewport, viewportSize]);
+
+  useEffect(() => {
+    const element = viewportElementRef.current;
+    if (!element) return undefined;
+
+    const handleWheel = (event) => {
+      if (!hasDocument(docRef.current)) return;
+
+      event.preventDefault();
+      const deltaScale = event.deltaMode === 1 ? 16 : 1;
+      const sensitivity = event.ctrlKey ? 0.01 : 0.002;
+      const factor = Math.exp(-event.deltaY * deltaScale * sensitivity);
+      zoomViewport(
+        viewportRef.current.zoom * factor,
+        getViewportElementPoint(element, event.clientX, event.clientY)
+      );
+    };
+
+    element.addEventListener('wheel', handleWheel, { passive: false });
+    return () => element.removeEventListener('wheel', handleWheel);
+  }, [zoomViewport]);
+
+  useEffect(() => {
+    renderComposite();
+  }, [renderComposite]);
+
+  useEffect(() => {
+    drawDisplay();
+  }, [drawDisplay, renderComposite]);
+
+  useEffect(() => {
+    updateOutputSizes();
+  }, [doc, updateOutputSizes]);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (isEditableShortcutTarget(event.target)) return;
+      const key = event.key.toLowerCase();
+
+      if (key === ' ' && hasDocument(docRef.current)) {
+        event.preventDefault();
+        if (!spaceHeldRef.current) {
+          spaceHeldRef.current = true;
+          setIsSpaceHeld(true);
+        }
+        return;
+      }
+
+      if (event.metaKey && key === 'z') {
+        event.preventDefault();
+
+        if (event.shiftKey) {
+          redoDocument();
+        } else {
           undoDocument();
         }
         return;
       }
 
+      if ((event.metaKey || event.ctrlKey) && hasDocument(docRef.current)) {
+        if (key === 'a') {
+          event.preventDefault();
+          selectAll();
+          return;
+        }
+
+        if (key === 'd') {
+          event.preventDefault();
+          deselect();
+          return;
+        }
+
+        if (key === 'i' && event.shiftKey) {
+          event.preventDefault();
+          invertSelection();
+          return;
+        }
+
+        if (key === 'c' && !event.shiftKey) {
+          if (!canCopyLayerPixels(docRef.current)) return;
+          event.preventDefault();
+          copySelection();
+          return;
+        }
+
+        if (key === 'x' && !event.shiftKey) {
+          if (!canCopyLayerPixels(docRef.current)) return;
+          event.preventDefault();
+          cutSelection();
+          return;
+        }
+
+        if (key === '=' || key === '+') {
+          event.preventDefault();
+          stepViewportZoom(1);
+          return;
+        }
+
+        if (key === '-') {
+          event.preventDefault();
+          stepViewportZoom(-1);
+          return;
+        }
+
+        if (key === '0') {
+          event.preventDefault();
+          fitViewport();
+          return;
+        }
+
+        if (key === '1') {
+          event.preventDefault();
+          zoomViewport(1);
+          return;
+        }
+      }
+
+      if (key === 'escape' && interactionRef.current?.type === 'select') {
+        event.preventDefault();
+        interactionRef.current = null;
+        setSelectionDraft(null);
+        return;
+      }
+
       if (event.metaKey || event.ctrlKey || event.altKey) return;
 
       const nextTool = TOOL_SHORTCUTS[key];
@@ -1215,13 +3184,47 @@ function UnifiedPhotoEditor() {
       setActiveTool(nextTool);
     };
 
+    const releaseSpace = () => {
+      spaceHeldRef.current = false;
+      setIsSpaceHeld(false);
+    };
+
+    const handleKeyUp = (event) => {
+      if (event.key === ' ') releaseSpace();
+    };
+
     window.addEventListener('keydown', handleKeyDown);
-    return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [redoDocument, undoDocument]);
+    window.addEventListener('keyup', handleKeyUp);
+    window.addEventListener('blur', releaseSpace);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+      window.removeEventListener('blur', releaseSpace);
+    };
+  }, [
+    copySelection,
+    cutSelection,
+    deselect,
+    fitViewport,
+    invertSelection,
+    redoDocument,
+    selectAll,
+    stepViewportZoom,
+    undoDocument,
+    zoomViewport,
+  ]);
+
+  useEffect(() => {
+    if (interactionRef.current?.type === 'select') {
+      interactionRef.current = null;
+    }
+    setSelectionDraft(null);
+  }, [activeTool, selectionShape]);
 
   useEffect(() => {
     if (documentWidth <= 0 || documentHeight <= 0 || documentLayerCount === 0) {
       setResizeDraft({ width: 0, height: 0, scale: 100 });
+      setCanvasSizeDraft((current) => ({ ...current, width: 0, height: 0 }));
       return;
     }
 
@@ -1230,6 +3233,7 @@ function UnifiedPhotoEditor() {
       height: documentHeight,
       scale: 100,
     });
+    setCanvasSizeDraft((current) => ({ ...current, width: documentWidth, height: documentHeight }));
   }, [documentWidth, documentHeight, documentLayerCount]);
 
   useEffect(() => {
@@ -1243,6 +3247,23 @@ function UnifiedPhotoEditor() {
     }
   }, [activeTool, crop, doc]);
 
+  useEffect(() => {
+    if (activeTool === TOOLS.CROP) return;
+    setIsStraightening(false);
+    setStraightenLine(null);
+  }, [activeTool]);
+
+  useEffect(() => {
+    setPerspectiveQuad(null);
+  }, [documentWidth, documentHeight]);
+
+  useEffect(() => {
+    if (activeTool !== TOOLS.CROP || cropSettings.mode !== 'perspective' || !hasDocument(doc)) return;
+    if (!perspectiveQuad) {
+      setPerspectiveQuad(getCropCorners(crop || createDefaultCrop(doc)));
+    }
+  }, [activeTool, crop, cropSettings.mode, doc, perspectiveQuad]);
+
   const importImageUrl = useCallback(async (url) => {
     try {
       const image = await loadImage(url);
@@ -1265,7 +3286,7 @@ function UnifiedPhotoEditor() {
             activeLayerId: layer.id,
           };
 
-      commitDocument(nextDoc);
+      commitDocument(nextDoc, `Import ${layer.name}`);
       updateSelectedLayerIds([layer.id]);
       setCrop(null);
       setActiveTool(TOOLS.BRUSH);
@@ -1293,12 +3314,58 @@ function UnifiedPhotoEditor() {
     }
   }, [commitDocument, toast, updateSelectedLayerIds]);
 
+  const openProject = useCallback(async (readDocument) => {
+    try {
+      const projectDoc = await readDocument();
+      if (!hasDocument(projectDoc)) {
+        throw new Error('Project has no layers');
+      }
+
+      commitDocument(projectDoc, 'Open project');
+      updateSelectedLayerIds(projectDoc.activeLayerId ? [projectDoc.activeLayerId] : []);
+      deselect();
+      setCrop(null);
+      setActiveTool(TOOLS.MOVE);
+      resetTransformDraft();
+      toast({
+        title: 'Project opened',
+        description: `${projectDoc.layers.length} layer${projectDoc.layers.length === 1 ? '' : 's'} restored. Undo returns to the previous document.`,
+        status: 'success',
+        duration: 2600,
+        isClosable: true,
+      });
+    } catch (err) {
+      console.error('Project open error:', err);
+      toast({
+        title: 'Open failed',
+        description: err.message || 'Could not read that project file.',
+        status: 'error',
+        duration: 3500,
+        isClosable: true,
+      });
+    }
+  }, [commitDocument, deselect, resetTransformDraft, toast, updateSelectedLayerIds]);
+
+  const saveProject = useCallback(() => {
+    const currentDoc = docRef.current;
+    if (!hasDocument(currentDoc)) return;
+
+    downloadProjectFile(currentDoc, 'edited-project', toast);
+  }, [toast]);
+
   const handleFiles = useCallback((files) => {
-    const file = Array.from(files || []).find((candidate) => candidate.type.startsWith('image/'));
+    const candidates = Array.from(files || []);
+    const projectFile = candidates.find(isProjectFile);
+    if (projectFile) {
+      openProject(() => readProjectFile(projectFile));
+      return;
+    }
+
+    const file = candidates.find((candidate) => candidate.type.startsWith('image/'));
     if (!file) {
       toast({
         title: 'No image found',
-        description: 'Choose an image file to import.',
+        description: `Choose an image or ${PROJECT_FILE_EXTENSION} project file to import.`,
         status: 'error',
         duration: 3000,
         isClosable: true,
@@ -1307,25 +3374,62 @@ function UnifiedPhotoEditor() {
     }
 
     importImageUrl(URL.createObjectURL(file));
-  }, [importImageUrl, toast]);
+  }, [importImageUrl, openProject, toast]);
 
   const handleFileInputChange = useCallback((event) => {
     handleFiles(event.target.files);
     event.target.value = '';
   }, [handleFiles]);
 
+  const pasteImageBlob = useCallback(async (blob) => {
+    const url = URL.createObjectURL(blob);
+    const internalClipboard = clipboardRef.current;
+
+    if (internalClipboard && hasDocument(docRef.current)) {
+      try {
+        const image = await loadImage(url);
+        const imageCanvas = createCanvas(image.naturalWidth, image.naturalHeight);
+        imageCanvas.getContext('2d').drawImage(image, 0, 0);
+        if (isSameClipboardImage(imageCanvas, internalClipboard)) {
+          URL.revokeObjectURL(url);
+          pasteCanvasLayer(internalClipboard);
+          return;
+        }
+      } catch (err) {
+        console.error('Clipboard image comparison failed:', err);
+      }
+    }
+
+    importImageUrl(url);
+  }, [importImageUrl, pasteCanvasLayer]);
+
   const handlePaste = useCallback((event) => {
-    const items = event.clipboardData?.items;
-    if (!items) return;
+    const items = Array.from(event.clipboardData?.items || []);
+    const projectFile = Array.from(event.clipboardData?.files || []).find(isProjectFile);
+    if (projectFile) {
+      event.preventDefault();
+      openProject(() => readProjectFile(projectFile));
+      return;
+    }
+
+    if (!isEditableShortcutTarget(event.target)) {
+      const text = event.clipboardData?.getData('text/plain');
+      if (isProjectText(text)) {
+        event.preventDefault();
+        openProject(() => parseProjectText(text));
+        return;
+      }
+    }
+
+    const imageItem = items.find((item) => item.type.startsWith('image/'));
 
-    const imageItem = Array.from(items).find((item) => item.type.startsWith('image/'));
     if (!imageItem) return;
 
     event.preventDefault();
     const blob = imageItem.getAsFile();
     if (!blob) return;
-    importImageUrl(URL.createObjectURL(blob));
-  }, [importImageUrl]);
+    pasteImageBlob(blob);
+  }, [openProject, pasteImageBlob]);
 
   useEffect(() => {
     window.addEventListener('paste', handlePaste);
@@ -1345,7 +3449,7 @@ function UnifiedPhotoEditor() {
     }));
 
     if (saveToHistory) {
-      commitDocument(nextDoc);
+      commitDocument(nextDoc, getLayerChangeLabel(changes));
     } else {
       setDocumentTransient(nextDoc);
     }
@@ -1373,7 +3477,7 @@ function UnifiedPhotoEditor() {
       ...currentDoc,
       layers: [...currentDoc.layers, layer],
       activeLayerId: layer.id,
-    });
+    }, 'New layer');
     updateSelectedLayerIds([layer.id]);
   }, [commitDocument, toast, updateSelectedLayerIds]);
 
@@ -1394,7 +3498,7 @@ function UnifiedPhotoEditor() {
       ...currentDoc,
       layers,
       activeLayerId: duplicate.id,
-    });
+    }, 'Duplicate layer');
     updateSelectedLayerIds([duplicate.id]);
   }, [commitDocument, updateSelectedLayerIds]);
 
@@ -1404,7 +3508,7 @@ function UnifiedPhotoEditor() {
     if (!layer) return;
 
     if (currentDoc.layers.length === 1) {
-      commitDocument(createEmptyDocument());
+      commitDocument(createEmptyDocument(), 'Delete layer');
       updateSelectedLayerIds([]);
       setCrop(null);
       return;
@@ -1417,7 +3521,7 @@ function UnifiedPhotoEditor() {
       ...currentDoc,
       layers,
       activeLayerId: fallbackLayer.id,
-    });
+    }, 'Delete layer');
     updateSelectedLayerIds([fallbackLayer.id]);
   }, [commitDocument, updateSelectedLayerIds]);
 
@@ -1435,7 +3539,7 @@ function UnifiedPhotoEditor() {
     commitDocument({
       ...currentDoc,
       layers,
-    });
+    }, direction === 'up' ? 'Move layer up' : 'Move layer down');
   }, [commitDocument]);
 
   const getCanvasPoint = useCallback((event, shouldClamp = true) => {
@@ -1446,10 +3550,10 @@ function UnifiedPhotoEditor() {
     const rect = canvas.getBoundingClientRect();
     if (rect.width === 0 || rect.height === 0) return null;
 
-    const point = {
-      x: (event.clientX - rect.left) * currentDoc.width / rect.width,
-      y: (event.clientY - rect.top) * currentDoc.height / rect.height,
-    };
+    const point = viewportToDocument(viewportRef.current, {
+      x: event.clientX - rect.left,
+      y: event.clientY - rect.top,
+    });
 
     if (!shouldClamp) return point;
 
@@ -1459,16 +3563,171 @@ function UnifiedPhotoEditor() {
     };
   }, []);
 
+  const getPointerTolerance = useCallback(() => 10 / viewportRef.current.zoom, []);
+
+  const rememberColor = useCallback((color) => {
+    setColorSwatches((current) => {
+      const recent = addRecentColor(current.recent, color);
+      return recent === current.recent ? current : { ...current, recent };
+    });
+  }, []);
+
+  const pickColor = useCallback((color) => {
+    setBrushColor(color);
+    rememberColor(color);
+  }, [rememberColor]);
+
+  const selectBrushPreset = useCallback((presetId) => {
+    const preset = [...BRUSH_PRESETS, ...savedBrushPresets].find((candidate) => candidate.id === presetId);
+    if (!preset) return;
+
+    setBrushPresetId(preset.id);
+    setBrushSettings({ ...preset.settings });
+  }, [savedBrushPresets]);
+
+  const saveBrushPreset = useCallback(() => {
+    const name = brushPresetName.trim();
+    if (!name) return;
+
+    const existing = savedBrushPresets.find((preset) => preset.name === name);
+    const preset = {
+      id: existing?.id || `custom-${Date.now().toString(36)}`,
+      name,
+      settings: { ...brushSettings },
+    };
+    setSavedBrushPresets((current) => (
+      existing
+        ? current.map((candidate) => (candidate.id === existing.id ? preset : candidate))
+        : [...current, preset]
+    ));
+    setBrushPresetId(preset.id);
+    setBrushPresetName('');
+    toast({
+      title: existing ? 'Brush preset updated' : 'Brush preset saved',
+      description: `"${name}" is available in the preset list.`,
+      status: 'success',
+      duration: 2000,
+      isClosable: true,
+    });
+  }, [brushPresetName, brushSettings, savedBrushPresets, toast]);
+
+  const deleteBrushPreset = useCallback(() => {
+    setSavedBrushPresets((current) => current.filter((preset) => preset.id !== brushPresetId));
+    setBrushPresetId(BRUSH_PRESETS[0].id);
+  }, [brushPresetId]);
+
+  const toggleSavedColor = useCallback((color) => {
+    setColorSwatches((current) => ({
+      ...current,
+      palette: current.palette.includes(color)
+        ? current.palette.filter((candidate) => candidate !== color)
+        : [...current.palette, color].slice(-MAX_PALETTE_COLORS),
+    }));
+  }, []);
+
+  const startEyedropperInteraction = useCallback((event) => {
+    const currentDoc = docRef.current;
+    const point = getCanvasPoint(event, false);
+    if (!point) return;
+
+    const layer = getActiveLayer(currentDoc);
+    const sampleMerged = eyedropperSettings.sampleMerged || !layer || isAdjustmentLayer(layer);
+    const interaction = {
+      type: 'eyedropper',
+      pointerId: event.pointerId,
+      canvas: sampleMerged ? makeCompositeCanvas(currentDoc) : getVisibleLayerCanvas(layer),
+      offsetX: sampleMerged ? 0 : getLayerX(layer),
+      offsetY: sampleMerged ? 0 : getLayerY(layer),
+      radius: eyedropperSettings.radius,
+      color: null,
+    };
+    interaction.color = sampleCanvasColor(
+      interaction.canvas,
+      point.x - interaction.offsetX,
+      point.y - interaction.offsetY,
+      interaction.radius
+    );
+
+    if (!interaction.color) {
+      toast({
+        title: 'Nothing to sample',
+        description: sampleMerged
+          ? 'The image is transparent at that point.'
+          : 'The active layer is transparent at that point.',
+        status: 'info',
+        duration: 2200,
+        isClosable: true,
+      });
+    } else {
+      setBrushColor(interaction.color);
+    }
+    interactionRef.current = interaction;
+  }, [eyedropperSettings, getCanvasPoint, toast]);
+
+  const continueEyedropperInteraction = useCallback((event) => {
+    const interaction = interactionRef.current;
+    if (!interaction || interaction.type !== 'eyedropper') return;
+
+    const point = getCanvasPoint(event, false);
+    if (!point) return;
+
+    const color = sampleCanvasColor(
+      interaction.canvas,
+      point.x - interaction.offsetX,
+      point.y - interaction.offsetY,
+      interaction.radius
+    );
+    if (!color || color === interaction.color) return;
+
+    interaction.color = color;
+    setBrushColor(color);
+  }, [getCanvasPoint]);
+
+  const finishEyedropperInteraction = useCallback(() => {
+    const interaction = interactionRef.current;
+    if (!interaction || interaction.type !== 'eyedropper') return;
+
+    interactionRef.current = null;
+    if (interaction.color) rememberColor(interaction.color);
+  }, [rememberColor]);
+
+  const canPaintOnLayer = useCallback((layer, canPaintMask = true) => {
+    const blocker = getPaintBlocker(layer);
+    if (blocker) {
+      toast({
+        ...blocker,
+        status: 'info',
+        duration: 2200,
+        isClosable: true,
+      });
+      return false;
+    }
+
+    if (!canPaintMask && isMaskEditing && hasLayerMask(layer)) {
+      toast({
+        title: 'Editing mask',
+        description: 'Turn off Edit mask to fill the layer pixels.',
+        status: 'info',
+        duration: 2200,
+        isClosable: true,
+      });
+      return false;
+    }
+
+    return true;
+  }, [isMaskEditing, toast]);
+
   const startStroke = useCallback((event) => {
     const currentDoc = docRef.current;
     const layer = getActiveLayer(currentDoc);
     const point = getCanvasPoint(event);
-    if (!layer || !point) return;
+    if (!layer || !point || !canPaintOnLayer(layer)) return;
 
-    if (!layer.visible) {
+    const isMaskStroke = isMaskEditing && hasLayerMask(layer);
+    if (isMaskStroke && !isLayerMaskEnabled(layer)) {
       toast({
-        title: 'Layer hidden',
-        description: 'Make the active layer visible before drawing on it.',
+        title: 'Mask disabled',
+        description: 'Enable the layer mask before painting on it.',
         status: 'info',
         duration: 2200,
         isClosable: true,
@@ -1476,40 +3735,93 @@ function UnifiedPhotoEditor() {
       return;
     }
 
-    const ctx = layer.canvas.getContext('2d');
+    const maskPaint = getMaskPaint(activeTool !== TOOLS.ERASER);
+    const strokeCanvas = createCanvas(layer.canvas.width, layer.canvas.height);
+    const ctx = strokeCanvas.getContext('2d');
+    const selectionMask = selectionRef.current?.mask || null;
+    const isPaintStroke = !isMaskStroke && activeTool !== TOOLS.ERASER;
+    const isHighlighter = isPaintStroke && brushSettings.mode === BRUSH_MODES.HIGHLIGHTER;
+    const textRow = isHighlighter && brushSettings.snapToText ? findTextRowAtPoint(currentDoc, point) : null;
+    const rowY = textRow ? (textRow.top + textRow.bottom + 1) / 2 - getLayerY(layer) : null;
     const layerPoint = getLayerPoint(layer, point);
-    ctx.save();
-    ctx.lineCap = 'round';
-    ctx.lineJoin = 'round';
-    ctx.lineWidth = brushSize;
-    ctx.strokeStyle = brushColor;
-    ctx.globalCompositeOperation = activeTool === TOOLS.ERASER ? 'destination-out' : 'source-over';
-    ctx.beginPath();
-    ctx.moveTo(layerPoint.x, layerPoint.y);
-    ctx.lineTo(layerPoint.x + 0.01, layerPoint.y + 0.01);
-    ctx.stroke();
+    let dabColor = activeTool === TOOLS.ERASER ? '#000000' : brushColor;
+    if (isMaskStroke) dabColor = maskPaint.color;
+    const stroke = beginBrushStroke(
+      ctx,
+      textRow
+        ? { ...brushSettings, size: textRow.bottom - textRow.top + 1 + TEXT_ROW_PADDING * 2 }
+        : brushSettings,
+      dabColor,
+      {
+        x: layerPoint.x,
+        y: rowY ?? layerPoint.y,
+        pressure: getPointerPressure(event),
+      }
+    );
+
+    if (selectionMask) {
+      clipCanvasToSelection(strokeCanvas, selectionMask, getLayerX(layer), getLayerY(layer));
+    }
 
     interactionRef.current = {
       type: 'stroke',
       pointerId: event.pointerId,
       ctx,
+      stroke,
+      canvas: strokeCanvas,
+      opacity: brushSettings.opacity / 100,
+      compositeOperation: isMaskStroke
+        ? maskPaint.compositeOperation
+        : activeTool === TOOLS.ERASER ? 'destination-out' : isHighlighter ? 'multiply' : 'source-over',
+      target: isMaskStroke ? 'mask' : 'layer',
+      mode: isPaintStroke ? brushSettings.mode : BRUSH_MODES.PAINT,
+      isStraight: rowY !== null,
+      rowY,
+      color: isMaskStroke || activeTool === TOOLS.ERASER ? null : brushColor,
+      selectionMask,
       layerId: layer.id,
     };
     renderDisplay();
-  }, [activeTool, brushColor, brushSize, getCanvasPoint, renderDisplay, toast]);
+  }, [activeTool, brushColor, brushSettings, canPaintOnLayer, getCanvasPoint, isMaskEditing, renderDisplay, toast]);
 
   const continueStroke = useCallback((event) => {
     const interaction = interactionRef.current;
     if (!interaction || interaction.type !== 'stroke') return;
 
-    const point = getCanvasPoint(event);
-    if (!point) return;
     const layer = docRef.current.layers.find((candidate) => candidate.id === interaction.layerId);
     if (!layer) return;
-    const layerPoint = getLayerPoint(layer, point);
 
-    interaction.ctx.lineTo(layerPoint.x, layerPoint.y);
-    interaction.ctx.stroke();
+    if (event.shiftKey) interaction.isStraight = true;
+
+    if (interaction.isStraight) {
+      const point = getCanvasPoint(event);
+      if (!point) return;
+
+      const layerPoint = getLayerPoint(layer, point);
+      let end = event.shiftKey ? snapSegmentEnd(interaction.stroke.startPoint, layerPoint) : layerPoint;
+      if (interaction.rowY !== null) end = { x: layerPoint.x, y: interaction.rowY };
+      redrawStraightBrushStroke(interaction.ctx, interaction.stroke, {
+        ...end,
+        pressure: getPointerPressure(event),
+      });
+    } else {
+      const coalescedEvents = event.nativeEvent.getCoalescedEvents?.() || [];
+      let hasPainted = false;
+      (coalescedEvents.length > 0 ? coalescedEvents : [event]).forEach((pointerEvent) => {
+        const point = getCanvasPoint(pointerEvent);
+        if (!point) return;
+
+        hasPainted = continueBrushStroke(interaction.ctx, interaction.stroke, {
+          ...getLayerPoint(layer, point),
+          pressure: getPointerPressure(pointerEvent),
+        }) || hasPainted;
+      });
+      if (!hasPainted) return;
+    }
+
+    if (interaction.selectionMask) {
+      clipCanvasToSelection(interaction.canvas, interaction.selectionMask, getLayerX(layer), getLayerY(layer));
+    }
     renderDisplay();
   }, [getCanvasPoint, renderDisplay]);
 
@@ -1517,52 +3829,293 @@ function UnifiedPhotoEditor() {
     const interaction = interactionRef.current;
     if (!interaction || interaction.type !== 'stroke') return;
 
-    interaction.ctx.closePath();
-    interaction.ctx.restore();
     interactionRef.current = null;
-    commitDocument(docRef.current);
-  }, [commitDocument]);
-
-  const startCropInteraction = useCallback((event) => {
     const currentDoc = docRef.current;
-    const point = getCanvasPoint(event);
-    const canvas = displayCanvasRef.current;
-    if (!point || !canvas) return;
+    const layer = currentDoc.layers.find((candidate) => candidate.id === interaction.layerId);
+    if (!layer) return;
 
-    const rect = canvas.getBoundingClientRect();
-    const tolerance = Math.max(
-      6,
-      Math.min(currentDoc.width / rect.width, currentDoc.height / rect.height) * 10
+    const isMaskStroke = interaction.target === 'mask';
+    const targetCanvas = isMaskStroke ? layer.mask : layer.canvas;
+    if (!targetCanvas) return;
+
+    applyStrokeToCanvas(targetCanvas, interaction);
+    markCanvasDirty(targetCanvas, interaction.stroke.bounds);
+    if (interaction.color) rememberColor(interaction.color);
+    const strokeLabel = interaction.compositeOperation === 'destination-out'
+      ? 'Eraser stroke'
+      : BRUSH_MODE_OPTIONS.find((option) => option.mode === interaction.mode)?.strokeLabel || 'Brush stroke';
+    commitDocument(
+      updateLayer(currentDoc, layer.id, (candidate) => ({ ...candidate })),
+      isMaskStroke ? `Mask ${strokeLabel.toLowerCase()}` : strokeLabel
     );
-    const currentCrop = cropRef.current || createDefaultCrop(currentDoc);
-    const mode = getCropHitMode(currentCrop, point, tolerance);
-    const originCrop = mode === 'create'
-      ? cropFromEdges(point.x, point.y, point.x + 1, point.y + 1, currentDoc)
-      : currentCrop;
+  }, [commitDocument, rememberColor]);
 
-    if (mode === 'create') {
-      setCrop(originCrop);
+  const fillAtPoint = useCallback((event) => {
+    const currentDoc = docRef.current;
+    const layer = getActiveLayer(currentDoc);
+    const point = getCanvasPoint(event, false);
+    if (!layer || !point || !canPaintOnLayer(layer, false)) return;
+
+    const layerX = getLayerX(layer);
+    const layerY = getLayerY(layer);
+    const { width, height } = layer.canvas;
+    let fillCanvas;
+    let bounds;
+
+    if (fillSettings.sampleMerged) {
+      if (point.x < 0 || point.y < 0 || point.x >= currentDoc.width || point.y >= currentDoc.height) return;
+
+      const sampleCanvas = makeCompositeCanvas(currentDoc);
+      const region = findColorRegion(
+        sampleCanvas
+          .getContext('2d', { willReadFrequently: true })
+          .getImageData(0, 0, sampleCanvas.width, sampleCanvas.height),
+        point.x,
+        point.y,
+        fillSettings.tolerance,
+        fillSettings.contiguous
+      );
+      const regionBounds = getRegionBounds(region, sampleCanvas.width);
+      fillCanvas = createCanvas(width, height);
+      fillCanvas.getContext('2d').drawImage(
+        createRegionFillCanvas(region, sampleCanvas.width, sampleCanvas.height, brushColor),
+        -layerX,
+        -layerY
+      );
+      bounds = regionBounds && { ...regionBounds, x: regionBounds.x - layerX, y: regionBounds.y - layerY };
+    } else {
+      const layerPoint = getLayerPoint(layer, point);
+      if (layerPoint.x < 0 || layerPoint.y < 0 || layerPoint.x >= width || layerPoint.y >= height) return;
+
+      const region = findColorRegion(
+        layer.canvas
+          .getContext('2d', { willReadFrequently: true })
+          .getImageData(0, 0, width, height),
+        layerPoint.x,
+        layerPoint.y,
+        fillSettings.tolerance,
+        fillSettings.contiguous
+      );
+      fillCanvas = createRegionFillCanvas(region, width, height, brushColor);
+      bounds = getRegionBounds(region, width);
+    }
+
+    if (!bounds) return;
+
+    const selectionMask = selectionRef.current?.mask;
+    if (selectionMask) {
+      clipCanvasToSelection(fillCanvas, selectionMask, layerX, layerY);
     }
 
+    layer.canvas.getContext('2d').drawImage(fillCanvas, 0, 0);
+    markCanvasDirty(layer.canvas, bounds);
+    rememberColor(brushColor);
+    commitDocument(
+      updateLayer(currentDoc, layer.id, (candidate) => ({ ...candidate })),
+      'Paint bucket fill'
+    );
+  }, [brushColor, canPaintOnLayer, commitDocument, fillSettings, getCanvasPoint, rememberColor]);
+
+  const startGradientInteraction = useCallback((event) => {
+    const layer = getActiveLayer(docRef.current);
+    const point = getCanvasPoint(event, false);
+    if (!layer || !point || !canPaintOnLayer(layer, false)) return;
+
     interactionRef.current = {
-      type: 'crop',
+      type: 'gradient',
       pointerId: event.pointerId,
-      mode,
-      startPoint: point,
-      originCrop,
+      layerId: layer.id,
+      gradient,
+      start: point,
+      end: point,
+      canvas: null,
+      compositeOperation: 'source-over',
+      target: 'layer',
+      selectionMask: selectionRef.current?.mask || null,
     };
-  }, [getCanvasPoint]);
+  }, [canPaintOnLayer, getCanvasPoint, gradient]);
 
-  const continueCropInteraction = useCallback((event) => {
+  const continueGradientInteraction = useCallback((event) => {
     const interaction = interactionRef.current;
-    if (!interaction || interaction.type !== 'crop') return;
-
-    const currentDoc = docRef.current;
-    const point = getCanvasPoint(event);
-    if (!point) return;
-
-    const dx = point.x - interaction.startPoint.x;
-    const dy = point.y - interaction.startPoint.y;
+    if (!interaction || interaction.type !== 'gradient') return;
+
+    const point = getCanvasPoint(event, false);
+    const layer = docRef.current.layers.find((candidate) => candidate.id === interaction.layerId);
+    if (!point || !layer) return;
+
+    interaction.end = event.shiftKey ? snapSegmentEnd(interaction.start, point) : point;
+    interaction.canvas = renderGradientCanvas(
+      layer.canvas.width,
+      layer.canvas.height,
+      interaction.gradient,
+      getLayerPoint(layer, interaction.start),
+      getLayerPoint(layer, interaction.end)
+    );
+    if (interaction.selectionMask) {
+      clipCanvasToSelection(interaction.canvas, interaction.selectionMask, getLayerX(layer), getLayerY(layer));
+    }
+    renderDisplay();
+  }, [getCanvasPoint, renderDisplay]);
+
+  const finishGradientInteraction = useCallback(() => {
+    const interaction = interactionRef.current;
+    if (!interaction || interaction.type !== 'gradient') return;
+
+    interactionRef.current = null;
+    const currentDoc = docRef.current;
+    const layer = currentDoc.layers.find((candidate) => candidate.id === interaction.layerId);
+    if (!layer || !interaction.canvas || getDistance(interaction.start, interaction.end) < 1) {
+      renderDisplay();
+      return;
+    }
+
+    applyStrokeToCanvas(layer.canvas, interaction);
+    markCanvasDirty(layer.canvas, { x: 0, y: 0, width: layer.canvas.width, height: layer.canvas.height });
+    const typeLabel = GRADIENT_TYPE_OPTIONS.find((option) => option.type === interaction.gradient.type)?.label || 'Linear';
+    commitDocument(
+      updateLayer(currentDoc, layer.id, (candidate) => ({ ...candidate })),
+      `${typeLabel} gradient`
+    );
+  }, [commitDocument, renderDisplay]);
+
+  const startCropInteraction = useCallback((event) => {
+    const currentDoc = docRef.current;
+    const point = getCanvasPoint(event);
+    if (!point) return;
+
+    if (cropSettings.mode === 'perspective') {
+      const quad = perspectiveQuadRef.current;
+      if (!quad) return;
+
+      const tolerance = getPointerTolerance();
+      const cornerIndex = quad.findIndex((corner) => getDistance(point, corner) <= tolerance);
+      if (cornerIndex === -1 && !isPointInQuad(point, quad)) return;
+
+      interactionRef.current = {
+        type: 'crop',
+        pointerId: event.pointerId,
+        mode: cornerIndex === -1 ? 'perspective-move' : 'perspective-corner',
+        cornerIndex,
+        startPoint: point,
+        originQuad: quad,
+      };
+      return;
+    }
+
+    if (isStraightening) {
+      interactionRef.current = {
+        type: 'crop',
+        pointerId: event.pointerId,
+        mode: 'straighten',
+        startPoint: point,
+      };
+      setStraightenLine({ start: point, end: point });
+      return;
+    }
+
+    const tolerance = getPointerTolerance();
+    const currentCrop = cropRef.current || createDefaultCrop(currentDoc);
+    const localPoint = getCropLocalPoint(currentCrop, point);
+    const hitMode = getCropHitMode(currentCrop, localPoint, tolerance);
+    const isNearCorner = getCropCorners({ ...currentCrop, rotationDeg: 0 }).some((corner) => (
+      getDistance(localPoint, corner) <= tolerance * 4
+    ));
+    const mode = hitMode === 'create' && cropRef.current && isNearCorner ? 'rotate' : hitMode;
+    const originCrop = mode === 'create'
+      ? cropFromEdges(point.x, point.y, point.x + 1, point.y + 1, currentDoc)
+      : currentCrop;
+
+    if (mode === 'create') {
+      setCrop(originCrop);
+    }
+
+    interactionRef.current = {
+      type: 'crop',
+      pointerId: event.pointerId,
+      mode,
+      startPoint: point,
+      originCrop,
+      aspectRatio: getCropAspectRatio(cropSettings, currentDoc),
+    };
+  }, [cropSettings, getCanvasPoint, getPointerTolerance, isStraightening]);
+
+  const continueCropInteraction = useCallback((event) => {
+    const interaction = interactionRef.current;
+    if (!interaction || interaction.type !== 'crop') return;
+
+    const currentDoc = docRef.current;
+    const point = getCanvasPoint(event);
+    if (!point) return;
+
+    const dx = point.x - interaction.startPoint.x;
+    const dy = point.y - interaction.startPoint.y;
+    const aspectRatio = getCropDragAspectRatio(
+      interaction.aspectRatio,
+      interaction.originCrop,
+      interaction.mode,
+      event.shiftKey
+    );
+
+    if (interaction.mode === 'straighten') {
+      setStraightenLine({ start: interaction.startPoint, end: point });
+      return;
+    }
+
+    if (interaction.mode === 'perspective-corner') {
+      const quad = interaction.originQuad.map((corner, index) => (
+        index === interaction.cornerIndex
+          ? { x: clamp(point.x, 0, currentDoc.width), y: clamp(point.y, 0, currentDoc.height) }
+          : corner
+      ));
+      if (isPerspectiveQuadValid(quad)) {
+        setPerspectiveQuad(quad);
+      }
+      return;
+    }
+
+    if (interaction.mode === 'perspective-move') {
+      const { originQuad } = interaction;
+      const offsetX = clamp(
+        dx,
+        -Math.min(...originQuad.map((corner) => corner.x)),
+        currentDoc.width - Math.max(...originQuad.map((corner) => corner.x))
+      );
+      const offsetY = clamp(
+        dy,
+        -Math.min(...originQuad.map((corner) => corner.y)),
+        currentDoc.height - Math.max(...originQuad.map((corner) => corner.y))
+      );
+      setPerspectiveQuad(originQuad.map((corner) => ({ x: corner.x + offsetX, y: corner.y + offsetY })));
+      return;
+    }
+
+    if (interaction.mode === 'rotate') {
+      const center = getCropCenter(interaction.originCrop);
+      const startAngle = Math.atan2(interaction.startPoint.y - center.y, interaction.startPoint.x - center.x);
+      const angle = Math.atan2(point.y - center.y, point.x - center.x);
+      const delta = (angle - startAngle) * 180 / Math.PI;
+      const rotationDeg = normalizeRotation((interaction.originCrop.rotationDeg ?? 0) + delta);
+      setCrop(fitRotatedCrop({
+        ...interaction.originCrop,
+        rotationDeg: event.shiftKey ? Math.round(rotationDeg / 15) * 15 : Math.round(rotationDeg * 10) / 10,
+      }, currentDoc));
+      return;
+    }
+
+    if (interaction.originCrop.rotationDeg && interaction.mode !== 'create') {
+      const nextCrop = interaction.mode === 'move'
+        ? { ...interaction.originCrop, x: Math.round(interaction.originCrop.x + dx), y: Math.round(interaction.originCrop.y + dy) }
+        : resizeRotatedCrop(interaction.originCrop, interaction.mode, dx, dy, currentDoc, aspectRatio);
+      if (isCropInsideDocument(nextCrop, currentDoc)) {
+        setCrop(nextCrop);
+      }
+      return;
+    }
+
+    if (interaction.mode === 'create' && aspectRatio) {
+      setCrop(cropFromAnchor(interaction.startPoint, point, aspectRatio, currentDoc));
+      return;
+    }
 
     if (interaction.mode === 'create') {
       setCrop(cropFromEdges(
@@ -1580,27 +4133,37 @@ function UnifiedPhotoEditor() {
       return;
     }
 
-    setCrop(resizeCrop(interaction.originCrop, interaction.mode, dx, dy, currentDoc));
+    setCrop(aspectRatio
+      ? resizeCropWithAspect(interaction.originCrop, interaction.mode, dx, dy, currentDoc, aspectRatio)
+      : resizeCrop(interaction.originCrop, interaction.mode, dx, dy, currentDoc));
   }, [getCanvasPoint]);
 
   const finishCropInteraction = useCallback(() => {
-    if (interactionRef.current?.type === 'crop') {
-      interactionRef.current = null;
-    }
+    const interaction = interactionRef.current;
+    if (interaction?.type !== 'crop') return;
+
+    interactionRef.current = null;
+    if (interaction.mode !== 'straighten') return;
+
+    const line = straightenLineRef.current;
+    setStraightenLine(null);
+    setIsStraightening(false);
+    if (!line || getDistance(line.start, line.end) < 4) return;
+
+    const currentDoc = docRef.current;
+    setCrop(fitRotatedCrop({
+      ...(cropRef.current || createDefaultCrop(currentDoc)),
+      rotationDeg: Math.round(getStraightenAngle(line.start, line.end) * 10) / 10,
+    }, currentDoc));
   }, []);
 
   const startMoveInteraction = useCallback((event) => {
     const currentDoc = docRef.current;
     const point = getCanvasPoint(event, false);
-    const canvas = displayCanvasRef.current;
-    if (!point || !canvas) return;
+    if (!point) return;
 
     const startDraft = transformDraftRef.current;
-    const rect = canvas.getBoundingClientRect();
-    const tolerance = Math.max(
-      6,
-      Math.min(currentDoc.width / rect.width, currentDoc.height / rect.height) * 10
-    );
+    const tolerance = getPointerTolerance();
     const selectedLayerIdSetForMove = new Set(selectedLayerIdsRef.current);
     const selectedLayersForMove = currentDoc.layers.filter((candidate) => (
       selectedLayerIdSetForMove.has(candidate.id)
@@ -1651,7 +4214,7 @@ function UnifiedPhotoEditor() {
       baseBounds,
       startAngle: getAngleFromCenter(startGeometry.center, point),
     };
-  }, [getCanvasPoint]);
+  }, [getCanvasPoint, getPointerTolerance]);
 
   const continueMoveInteraction = useCallback((event) => {
     const interaction = interactionRef.current;
@@ -1718,158 +4281,1530 @@ function UnifiedPhotoEditor() {
       };
 
       resetTransformDraft();
-      commitDocument(nextDoc);
+      commitDocument(nextDoc, 'Move layers');
       return;
     }
 
     if (!hasTransform(draft)) return;
 
     const layer = getActiveLayer(currentDoc);
-    if (!layer) return;
+    if (!layer || isAdjustmentLayer(layer)) return;
 
-    const nextDoc = updateLayer(currentDoc, layer.id, (candidate) => ({
-      ...rasterizeTransform(candidate, draft),
-    }));
+    const nextDoc = updateLayer(currentDoc, layer.id, (candidate) => {
+      if (isTextLayer(candidate)) return transformTextLayer(candidate, draft);
+      if (isShapeLayer(candidate)) return transformShapeLayer(candidate, draft);
+      if (isCalloutLayer(candidate)) return transformCalloutLayer(candidate, draft);
+      return rasterizeTransform(candidate, draft);
+    });
+
+    const isTranslation = Math.round(getDraftScaleX(draft)) === 100 &&
+      Math.round(getDraftScaleY(draft)) === 100 &&
+      Math.round(getDraftRotation(draft)) === 0;
 
     resetTransformDraft();
-    commitDocument(nextDoc);
+    commitDocument(nextDoc, isTranslation ? 'Move layer' : 'Transform layer');
   }, [commitDocument, resetTransformDraft]);
 
-  const finishMoveInteraction = useCallback(() => {
-    if (interactionRef.current?.type !== 'move') return;
-
-    interactionRef.current = null;
-    applyActiveTransform(transformDraftRef.current);
-  }, [applyActiveTransform]);
-
-  const handlePointerDown = useCallback((event) => {
-    if (!hasDocument(docRef.current)) return;
-
-    event.preventDefault();
-    event.currentTarget.setPointerCapture(event.pointerId);
-
-    if (activeTool === TOOLS.BRUSH || activeTool === TOOLS.ERASER) {
-      startStroke(event);
-      return;
-    }
+  const startTextInteraction = useCallback((event) => {
+    const currentDoc = docRef.current;
+    const point = getCanvasPoint(event);
+    if (!point) return;
 
-    if (activeTool === TOOLS.CROP) {
-      startCropInteraction(event);
+    const hitLayer = findTextLayerAtPoint(currentDoc, point);
+    if (hitLayer) {
+      dispatch({ type: 'selectLayer', layerId: hitLayer.id });
+      updateSelectedLayerIds([hitLayer.id]);
       return;
     }
 
-    if (activeTool === TOOLS.MOVE) {
-      startMoveInteraction(event);
-    }
-  }, [activeTool, startCropInteraction, startMoveInteraction, startStroke]);
-
-  const handlePointerMove = useCallback((event) => {
-    const interaction = interactionRef.current;
-    if (!interaction) return;
+    const currentLayer = getActiveLayer(currentDoc);
+    const fontSize = getDefaultFontSize(currentDoc);
+    const text = isTextLayer(currentLayer)
+      ? { ...currentLayer.text, content: 'Text', rotationDeg: 0 }
+      : createDefaultTextSettings({ fontSize, color: brushColor });
+    const layer = createTextLayer({
+      name: `Text ${currentDoc.layers.filter(isTextLayer).length + 1}`,
+      x: point.x,
+      y: point.y - text.fontSize * 0.6,
+      text,
+    });
 
-    event.preventDefault();
+    commitDocument({
+      ...currentDoc,
+      layers: [...currentDoc.layers, layer],
+      activeLayerId: layer.id,
+    }, 'Add text');
+    updateSelectedLayerIds([layer.id]);
+  }, [brushColor, commitDocument, getCanvasPoint, updateSelectedLayerIds]);
 
-    if (interaction.type === 'stroke') {
-      continueStroke(event);
-      return;
-    }
+  const updateTextSettings = useCallback((layerId, changes, saveToHistory = true) => {
+    const currentDoc = docRef.current;
+    const nextDoc = updateLayer(currentDoc, layerId, (layer) => (
+      isTextLayer(layer) ? updateTextLayer(layer, changes) : layer
+    ));
 
-    if (interaction.type === 'crop') {
-      continueCropInteraction(event);
-      return;
+    if (saveToHistory) {
+      commitDocument(nextDoc, getTextChangeLabel(changes));
+    } else {
+      setDocumentTransient(nextDoc);
     }
+  }, [commitDocument, setDocumentTransient]);
 
-    if (interaction.type === 'move') {
-      continueMoveInteraction(event);
-    }
-  }, [continueCropInteraction, continueMoveInteraction, continueStroke]);
+  const rasterizeActiveLayer = useCallback(() => {
+    const currentDoc = docRef.current;
+    const layer = getActiveLayer(currentDoc);
+    if (!isVectorLayer(layer)) return;
 
-  const handlePointerUp = useCallback((event) => {
-    const interaction = interactionRef.current;
-    if (!interaction) return;
+    commitDocument(updateLayer(currentDoc, layer.id, rasterizeLayer), 'Rasterize layer');
+  }, [commitDocument]);
 
-    event.preventDefault();
+  const addActiveLayerMask = useCallback(() => {
+    const currentDoc = docRef.current;
+    const layer = getActiveLayer(currentDoc);
+    if (!layer || hasLayerMask(layer) || isAdjustmentLayer(layer)) return;
 
-    if (interaction.type === 'stroke') {
-      finishStroke();
+    if (isVectorLayer(layer)) {
+      toast({
+        title: `${getVectorLayerLabel(layer)} layer`,
+        description: 'Rasterize the layer before adding a mask.',
+        status: 'info',
+        duration: 2200,
+        isClosable: true,
+      });
       return;
     }
 
-    if (interaction.type === 'crop') {
-      finishCropInteraction();
-      return;
-    }
+    const { width, height } = layer.canvas;
+    const mask = selectionRef.current
+      ? createSelectionLayerMask(width, height, selectionRef.current.mask, getLayerX(layer), getLayerY(layer))
+      : createLayerMask(width, height);
 
-    if (interaction.type === 'move') {
-      finishMoveInteraction();
-    }
-  }, [finishCropInteraction, finishMoveInteraction, finishStroke]);
+    commitDocument(updateLayer(currentDoc, layer.id, (candidate) => ({
+      ...candidate,
+      mask,
+      maskEnabled: true,
+    })), selectionRef.current ? 'Add mask from selection' : 'Add mask');
+    setIsMaskEditing(true);
+  }, [commitDocument, toast]);
 
-  const applyCrop = useCallback(() => {
+  const updateActiveLayerMask = useCallback((updater, label) => {
     const currentDoc = docRef.current;
-    const currentCrop = cropRef.current;
-    if (!hasDocument(currentDoc) || !currentCrop) return;
+    const layer = getActiveLayer(currentDoc);
+    if (!hasLayerMask(layer)) return;
 
-    const nextDoc = cropDocument(currentDoc, currentCrop);
-    setCrop(null);
-    setActiveTool(TOOLS.MOVE);
-    commitDocument(nextDoc);
+    commitDocument(updateLayer(currentDoc, layer.id, updater), label);
   }, [commitDocument]);
 
-  const applyResize = useCallback(() => {
+  const toggleActiveLayerMask = useCallback(() => {
+    const layer = getActiveLayer(docRef.current);
+    const maskEnabled = !isLayerMaskEnabled(layer);
+    updateActiveLayerMask((candidate) => ({
+      ...candidate,
+      maskEnabled,
+    }), maskEnabled ? 'Enable mask' : 'Disable mask');
+  }, [updateActiveLayerMask]);
+
+  const invertActiveLayerMask = useCallback(() => {
+    updateActiveLayerMask((candidate) => ({
+      ...candidate,
+      mask: invertLayerMask(candidate.mask),
+    }), 'Invert mask');
+  }, [updateActiveLayerMask]);
+
+  const applyActiveLayerMask = useCallback(() => {
+    updateActiveLayerMask(({ mask, maskEnabled, ...candidate }) => ({
+      ...candidate,
+      canvas: applyLayerMask(candidate.canvas, mask),
+    }), 'Apply mask');
+    setIsMaskEditing(false);
+  }, [updateActiveLayerMask]);
+
+  const deleteActiveLayerMask = useCallback(() => {
+    updateActiveLayerMask(({ mask, maskEnabled, ...candidate }) => candidate, 'Delete mask');
+    setIsMaskEditing(false);
+  }, [updateActiveLayerMask]);
+
+  const updateAdjustment = useCallback((changes) => {
+    setAdjustment((current) => ({
+      ...current,
+      ...changes,
+    }));
+  }, []);
+
+  const applyAdjustment = useCallback(() => {
     const currentDoc = docRef.current;
-    if (!hasDocument(currentDoc)) return;
+    const layer = getActiveLayer(currentDoc);
+    if (!layer || isAdjustmentLayer(layer) || isAdjustmentIdentity(adjustment)) return;
 
-    const nextDoc = resizeDocument(currentDoc, resizeDraft.width, resizeDraft.height);
-    setActiveTool(TOOLS.MOVE);
-    commitDocument(nextDoc);
-  }, [commitDocument, resizeDraft.height, resizeDraft.width]);
+    if (isVectorLayer(layer)) {
+      toast({
+        title: `${getVectorLayerLabel(layer)} layer`,
+        description: 'Rasterize the layer before adjusting it.',
+        status: 'info',
+        duration: 2200,
+        isClosable: true,
+      });
+      return;
+    }
 
-  const resetEditor = useCallback(() => {
-    dispatch({ type: 'reset' });
-    docRef.current = createEmptyDocument();
-    updateSelectedLayerIds([]);
-    setCrop(null);
-    setActiveTool(TOOLS.MOVE);
-    resetTransformDraft();
-    resetExportState();
-  }, [resetExportState, resetTransformDraft, updateSelectedLayerIds]);
+    commitDocument(updateLayer(currentDoc, layer.id, (candidate) => ({
+      ...candidate,
+      canvas: adjustLayerCanvas(candidate, adjustment, selectionRef.current),
+    })), getAdjustmentLabel(adjustment));
+    setAdjustment(createDefaultAdjustment(adjustment.type));
+  }, [adjustment, commitDocument, toast]);
 
-  const updateResizeWidth = useCallback((value) => {
-    const width = clampDimension(value);
-    setResizeDraft((current) => {
-      const height = aspectLocked && docRef.current.width > 0
-        ? clampDimension(width * docRef.current.height / docRef.current.width)
-        : current.height;
-      return {
-        width,
-        height,
-        scale: docRef.current.width ? Math.round(width / docRef.current.width * 100) : 100,
-      };
+  const addAdjustmentLayer = useCallback(() => {
+    const currentDoc = docRef.current;
+    if (!hasDocument(currentDoc)) return;
+
+    const layer = createAdjustmentLayer({
+      name: getAdjustmentLabel(adjustment),
+      adjustment,
     });
-  }, [aspectLocked]);
+    const activeIndex = currentDoc.layers.findIndex((candidate) => candidate.id === currentDoc.activeLayerId);
+    const layers = [...currentDoc.layers];
+    layers.splice(activeIndex === -1 ? layers.length : activeIndex + 1, 0, layer);
+    commitDocument({
+      ...currentDoc,
+      layers,
+      activeLayerId: layer.id,
+    }, 'New adjustment layer');
+    updateSelectedLayerIds([layer.id]);
+  }, [adjustment, commitDocument, updateSelectedLayerIds]);
+
+  const updateAdjustmentLayer = useCallback((layerId, changes, saveToHistory = true) => {
+    const currentDoc = docRef.current;
+    let label = 'Edit adjustment';
+    const nextDoc = updateLayer(currentDoc, layerId, (layer) => {
+      const nextAdjustment = changes.type && changes.type !== layer.adjustment.type
+        ? createDefaultAdjustment(changes.type)
+        : { ...layer.adjustment, ...changes };
+      label = `Edit ${getAdjustmentLabel(nextAdjustment)}`;
 
-  const updateResizeHeight = useCallback((value) => {
-    const height = clampDimension(value);
-    setResizeDraft((current) => {
-      const width = aspectLocked && docRef.current.height > 0
-        ? clampDimension(height * docRef.current.width / docRef.current.height)
-        : current.width;
       return {
-        width,
-        height,
-        scale: docRef.current.height ? Math.round(height / docRef.current.height * 100) : 100,
+        ...layer,
+        name: layer.name === getAdjustmentLabel(layer.adjustment)
+          ? getAdjustmentLabel(nextAdjustment)
+          : layer.name,
+        adjustment: nextAdjustment,
       };
     });
-  }, [aspectLocked]);
 
-  const updateResizeScale = useCallback((scale) => {
-    setResizeDraft({
-      width: clampDimension(docRef.current.width * scale / 100),
-      height: clampDimension(docRef.current.height * scale / 100),
-      scale,
-    });
-  }, []);
+    if (saveToHistory) {
+      commitDocument(nextDoc, label);
+    } else {
+      setDocumentTransient(nextDoc);
+    }
+  }, [commitDocument, setDocumentTransient]);
+
+  const changeAdjustment = useCallback((changes) => {
+    const layer = getActiveLayer(docRef.current);
+    if (isAdjustmentLayer(layer)) {
+      updateAdjustmentLayer(layer.id, changes, false);
+    } else {
+      updateAdjustment(changes);
+    }
+  }, [updateAdjustment, updateAdjustmentLayer]);
+
+  const finishAdjustmentChange = useCallback(() => {
+    const layer = getActiveLayer(docRef.current);
+    if (isAdjustmentLayer(layer)) {
+      commitTransientChanges(`Edit ${getAdjustmentLabel(layer.adjustment)}`);
+    }
+  }, [commitTransientChanges]);
+
+  const changeAdjustmentType = useCallback((type) => {
+    const layer = getActiveLayer(docRef.current);
+    if (isAdjustmentLayer(layer)) {
+      updateAdjustmentLayer(layer.id, { type });
+    } else {
+      setAdjustment(createDefaultAdjustment(type));
+    }
+  }, [updateAdjustmentLayer]);
+
+  const resetAdjustment = useCallback(() => {
+    const layer = getActiveLayer(docRef.current);
+    if (isAdjustmentLayer(layer)) {
+      updateAdjustmentLayer(layer.id, createDefaultAdjustment(layer.adjustment.type));
+    } else {
+      setAdjustment((current) => createDefaultAdjustment(current.type));
+    }
+  }, [updateAdjustmentLayer]);
+
+  useEffect(() => {
+    setAdjustment((current) => createDefaultAdjustment(current.type));
+  }, [doc.activeLayerId]);
+
+  const applyFilter = useCallback(async () => {
+    const currentDoc = docRef.current;
+    const layer = getActiveLayer(currentDoc);
+    if (!layer || filterAbortRef.current) return;
+
+    if (isVectorLayer(layer) || isAdjustmentLayer(layer)) {
+      toast({
+        title: 'No pixels to filter',
+        description: isAdjustmentLayer(layer)
+          ? 'Select a raster layer to apply a filter.'
+          : 'Rasterize the layer before applying a filter.',
+        status: 'info',
+        duration: 2200,
+        isClosable: true,
+      });
+      return;
+    }
+
+    const currentSelection = selectionRef.current;
+    const controller = new AbortController();
+    filterAbortRef.current = controller;
+    setFilterProgress(0);
+
+    try {
+      const { width, height } = layer.canvas;
+      const source = layer.canvas
+        .getContext('2d', { willReadFrequently: true })
+        .getImageData(0, 0, width, height);
+      const result = await runImageDataFilter(source, {
+        ...filter,
+        seed: Math.floor(Math.random() * 2 ** 31),
+      }, {
+        onProgress: setFilterProgress,
+        signal: controller.signal,
+      });
+
+      const latestDoc = docRef.current;
+      const latestLayer = latestDoc.layers.find((candidate) => candidate.id === layer.id);
+      if (latestLayer !== layer) {
+        toast({
+          title: 'Filter discarded',
+          description: 'The layer changed while the filter was running. Apply the filter again.',
+          status: 'warning',
+          duration: 3000,
+          isClosable: true,
+        });
+        return;
+      }
+
+      const filtered = createCanvas(width, height);
+      filtered.getContext('2d').putImageData(result, 0, 0);
+      commitDocument(updateLayer(latestDoc, layer.id, (candidate) => ({
+        ...candidate,
+        canvas: currentSelection
+          ? mergeWithinSelection(candidate.canvas, filtered, currentSelection.mask, getLayerX(candidate), getLayerY(candidate))
+          : filtered,
+      })), getFilterLabel(filter));
+    } catch (err) {
+      if (!isFilterCancelled(err)) {
+        console.error('Filter error:', err);
+        toast({
+          title: 'Error',
+          description: 'Failed to apply the filter',
+          status: 'error',
+          duration: 3000,
+          isClosable: true,
+        });
+      }
+    } finally {
+      filterAbortRef.current = null;
+      setFilterProgress(null);
+    }
+  }, [commitDocument, filter, toast]);
+
+  const cancelFilter = useCallback(() => {
+    filterAbortRef.current?.abort();
+  }, []);
+
+  useEffect(() => () => {
+    filterAbortRef.current?.abort();
+  }, []);
+
+  useEffect(() => {
+    if (
+      !activeLayer ||
+      isVectorLayer(activeLayer) ||
+      isAdjustmentLayer(activeLayer) ||
+      isAdjustmentIdentity(adjustment)
+    ) {
+      setAdjustmentPreview(null);
+      return undefined;
+    }
+
+    const frame = requestAnimationFrame(() => {
+      setAdjustmentPreview({
+        layerId: activeLayer.id,
+        sourceCanvas: activeLayer.canvas,
+        canvas: adjustLayerCanvas(activeLayer, adjustment, selection),
+      });
+    });
+    return () => cancelAnimationFrame(frame);
+  }, [activeLayer, adjustment, selection]);
+
+  const startShapeInteraction = useCallback((event) => {
+    const currentDoc = docRef.current;
+    const layer = getActiveLayer(currentDoc);
+    const point = getCanvasPoint(event, false);
+    if (!point) return;
+
+    if (isShapeLayer(layer)) {
+      const shape = getShapeDocumentShape(layer);
+      const handles = getShapeHandles(shape);
+      const tolerance = getPointerTolerance();
+      const handle = Object.keys(handles).find((handleId) => (
+        getDistance(point, handles[handleId]) <= tolerance
+      ));
+
+      if (handle) {
+        interactionRef.current = {
+          type: 'shape',
+          mode: 'handle',
+          handle,
+          anchor: handles[OPPOSITE_SHAPE_HANDLES[handle]],
+          pointerId: event.pointerId,
+          layerId: layer.id,
+          startShape: shape,
+          hasChanged: false,
+        };
+        return;
+      }
+
+      const layerRect = {
+        x: getLayerX(layer),
+        y: getLayerY(layer),
+        width: layer.canvas.width,
+        height: layer.canvas.height,
+      };
+      if (isPointInRect(point, layerRect)) {
+        interactionRef.current = {
+          type: 'shape',
+          mode: 'move',
+          pointerId: event.pointerId,
+          layerId: layer.id,
+          startPoint: point,
+          startShape: shape,
+          hasChanged: false,
+        };
+        return;
+      }
+    }
+
+    const startPoint = {
+      x: clamp(point.x, 0, currentDoc.width),
+      y: clamp(point.y, 0, currentDoc.height),
+    };
+    const shape = {
+      ...shapeStyle,
+      kind: shapeKind,
+      start: startPoint,
+      end: startPoint,
+      rotationDeg: 0,
+    };
+    const label = SHAPE_OPTIONS.find((option) => option.kind === shapeKind)?.label || 'Shape';
+    const shapeLayer = createShapeLayer({
+      name: `${label} ${currentDoc.layers.filter(isShapeLayer).length + 1}`,
+      shape,
+    });
+
+    setDocumentTransient({
+      ...currentDoc,
+      layers: [...currentDoc.layers, shapeLayer],
+      activeLayerId: shapeLayer.id,
+    });
+    updateSelectedLayerIds([shapeLayer.id]);
+    interactionRef.current = {
+      type: 'shape',
+      mode: 'create',
+      pointerId: event.pointerId,
+      layerId: shapeLayer.id,
+      anchor: startPoint,
+      startShape: shape,
+      startDoc: currentDoc,
+      hasChanged: false,
+    };
+  }, [
+    getCanvasPoint,
+    getPointerTolerance,
+    setDocumentTransient,
+    shapeKind,
+    shapeStyle,
+    updateSelectedLayerIds,
+  ]);
+
+  const continueShapeInteraction = useCallback((event) => {
+    const interaction = interactionRef.current;
+    if (!interaction || interaction.type !== 'shape') return;
+
+    const point = getCanvasPoint(event, false);
+    if (!point) return;
+
+    const { startShape } = interaction;
+    let shape = startShape;
+
+    if (interaction.mode === 'move') {
+      shape = translateShape(
+        startShape,
+        point.x - interaction.startPoint.x,
+        point.y - interaction.startPoint.y
+      );
+    } else if (isLinearShape(startShape)) {
+      const handle = interaction.mode === 'create' ? 'end' : interaction.handle;
+      shape = {
+        ...startShape,
+        [handle]: event.shiftKey ? snapSegmentEnd(interaction.anchor, point) : point,
+      };
+    } else {
+      shape = resizeBoxShape(startShape, interaction.anchor, point, event.shiftKey);
+    }
+
+    interaction.hasChanged = true;
+    setDocumentTransient(updateLayer(docRef.current, interaction.layerId, (layer) => (
+      setShapeDocumentShape(layer, shape)
+    )));
+  }, [getCanvasPoint, setDocumentTransient]);
+
+  const finishShapeInteraction = useCallback(() => {
+    const interaction = interactionRef.current;
+    if (!interaction || interaction.type !== 'shape') return;
+
+    interactionRef.current = null;
+    if (!interaction.hasChanged && interaction.mode !== 'create') return;
+
+    const layer = docRef.current.layers.find((candidate) => candidate.id === interaction.layerId);
+    const shape = layer ? getShapeDocumentShape(layer) : null;
+    if (interaction.mode === 'create' && (!shape || getDistance(shape.start, shape.end) < 3)) {
+      setDocumentTransient(interaction.startDoc);
+      return;
+    }
+
+    const shapeOption = SHAPE_OPTIONS.find((option) => option.kind === shape?.kind);
+    commitDocument(
+      docRef.current,
+      interaction.mode === 'create' && shapeOption ? `Draw ${shapeOption.label.toLowerCase()}` : 'Edit shape'
+    );
+  }, [commitDocument, setDocumentTransient]);
+
+  const updateShapeStyle = useCallback((changes, saveToHistory = true) => {
+    setShapeStyle((current) => ({
+      ...current,
+      ...changes,
+    }));
+
+    const currentDoc = docRef.current;
+    const layer = getActiveLayer(currentDoc);
+    if (!isShapeLayer(layer)) return;
+
+    const nextDoc = updateLayer(currentDoc, layer.id, (candidate) => (
+      updateShapeLayer(candidate, changes)
+    ));
+
+    if (saveToHistory) {
+      commitDocument(nextDoc, getShapeChangeLabel(changes));
+    } else {
+      setDocumentTransient(nextDoc);
+    }
+  }, [commitDocument, setDocumentTransient]);
+
+  const startCalloutInteraction = useCallback((event) => {
+    const currentDoc = docRef.current;
+    const point = getCanvasPoint(event, false);
+    if (!point) return;
+
+    const activeCalloutLayer = getActiveLayer(currentDoc);
+    if (isCalloutLayer(activeCalloutLayer)) {
+      const callout = getCalloutDocumentCallout(activeCalloutLayer);
+      if (callout.tip && getDistance(point, callout.tip) <= getPointerTolerance()) {
+        interactionRef.current = {
+          type: 'callout',
+          mode: 'tip',
+          pointerId: event.pointerId,
+          layerId: activeCalloutLayer.id,
+          startCallout: callout,
+          hasChanged: false,
+        };
+        return;
+      }
+    }
+
+    const hitLayer = findCalloutLayerAtPoint(currentDoc, point);
+    if (hitLayer) {
+      if (hitLayer.id !== currentDoc.activeLayerId) {
+        dispatch({ type: 'selectLayer', layerId: hitLayer.id });
+      }
+      updateSelectedLayerIds([hitLayer.id]);
+      interactionRef.current = {
+        type: 'callout',
+        mode: 'move',
+        pointerId: event.pointerId,
+        layerId: hitLayer.id,
+        startPoint: point,
+        startCallout: getCalloutDocumentCallout(hitLayer),
+        hasChanged: false,
+      };
+      return;
+    }
+
+    const startPoint = {
+      x: clamp(point.x, 0, currentDoc.width),
+      y: clamp(point.y, 0, currentDoc.height),
+    };
+    const isBadge = calloutKind === CALLOUT_KINDS.BADGE;
+    const callout = {
+      ...calloutStyle,
+      kind: calloutKind,
+      number: currentDoc.layers.filter(isStepBadgeLayer).length + 1,
+      content: isBadge ? '' : 'Callout',
+      position: startPoint,
+      tip: isBadge ? null : startPoint,
+    };
+    const calloutLayer = createCalloutLayer({
+      name: isBadge
+        ? `Step ${callout.number}`
+        : `Callout ${currentDoc.layers.filter((layer) => isCalloutLayer(layer) && !isStepBadgeLayer(layer)).length + 1}`,
+      callout,
+    });
+
+    setDocumentTransient({
+      ...currentDoc,
+      layers: [...currentDoc.layers, calloutLayer],
+      activeLayerId: calloutLayer.id,
+    });
+    updateSelectedLayerIds([calloutLayer.id]);
+    interactionRef.current = {
+      type: 'callout',
+      mode: 'create',
+      pointerId: event.pointerId,
+      layerId: calloutLayer.id,
+      startPoint,
+      startCallout: callout,
+      hasChanged: false,
+    };
+  }, [
+    calloutKind,
+    calloutStyle,
+    getCanvasPoint,
+    getPointerTolerance,
+    setDocumentTransient,
+    updateSelectedLayerIds,
+  ]);
+
+  const continueCalloutInteraction = useCallback((event) => {
+    const interaction = interactionRef.current;
+    if (!interaction || interaction.type !== 'callout') return;
+
+    const point = getCanvasPoint(event, false);
+    if (!point) return;
+
+    const { startCallout } = interaction;
+    let callout;
+    if (interaction.mode === 'tip') {
+      callout = { ...startCallout, tip: point };
+    } else if (interaction.mode === 'create') {
+      if (!interaction.hasChanged && getDistance(point, interaction.startPoint) < 3) return;
+      callout = { ...startCallout, position: point };
+    } else {
+      callout = translateCallout(
+        startCallout,
+        point.x - interaction.startPoint.x,
+        point.y - interaction.startPoint.y
+      );
+    }
+
+    interaction.hasChanged = true;
+    setDocumentTransient(updateLayer(docRef.current, interaction.layerId, (layer) => (
+      setCalloutDocumentCallout(layer, callout)
+    )));
+  }, [getCanvasPoint, setDocumentTransient]);
+
+  const finishCalloutInteraction = useCallback(() => {
+    const interaction = interactionRef.current;
+    if (!interaction || interaction.type !== 'callout') return;
+
+    interactionRef.current = null;
+    if (interaction.mode === 'create') {
+      const { startCallout } = interaction;
+      const isBadge = startCallout.kind === CALLOUT_KINDS.BADGE;
+      const nextDoc = isBadge || interaction.hasChanged
+        ? docRef.current
+        : updateLayer(docRef.current, interaction.layerId, (layer) => (
+          setCalloutDocumentCallout(layer, {
+            ...getCalloutDocumentCallout(layer),
+            position: {
+              x: startCallout.tip.x + startCallout.fontSize * 3,
+              y: startCallout.tip.y - startCallout.fontSize * 2.5,
+            },
+          })
+        ));
+      commitDocument(nextDoc, isBadge ? 'Add step badge' : 'Add callout');
+      return;
+    }
+
+    if (!interaction.hasChanged) return;
+    commitDocument(docRef.current, interaction.mode === 'tip' ? 'Move callout tail' : 'Move callout');
+  }, [commitDocument]);
+
+  const updateCalloutStyle = useCallback((changes, saveToHistory = true) => {
+    const { content, ...styleChanges } = changes;
+    setCalloutStyle((current) => ({
+      ...current,
+      ...styleChanges,
+    }));
+
+    const currentDoc = docRef.current;
+    const layer = getActiveLayer(currentDoc);
+    if (!isCalloutLayer(layer)) return;
+
+    const nextDoc = updateLayer(currentDoc, layer.id, (candidate) => (
+      updateCalloutLayer(candidate, changes)
+    ));
+
+    if (saveToHistory) {
+      commitDocument(nextDoc, getCalloutChangeLabel(changes));
+    } else {
+      setDocumentTransient(nextDoc);
+    }
+  }, [commitDocument, setDocumentTransient]);
+
+  const startRedactInteraction = useCallback((event) => {
+    const currentDoc = docRef.current;
+    const point = getCanvasPoint(event);
+    if (!point) return;
+
+    if (redactionSettings.target === REDACTION_TARGETS.LAYER) {
+      const layer = getActiveLayer(currentDoc);
+      if (!layer || isVectorLayer(layer) || isAdjustmentLayer(layer)) {
+        toast({
+          title: 'Raster layer needed',
+          description: 'Select a raster layer, or redact all layers instead.',
+          status: 'info',
+          duration: 2600,
+          isClosable: true,
+        });
+        return;
+      }
+    }
+
+    const region = redactionSettings.area === REDACTION_AREAS.FREEHAND
+      ? { type: REDACTION_AREAS.FREEHAND, points: [point] }
+      : { type: REDACTION_AREAS.RECTANGLE, x: point.x, y: point.y, width: 0, height: 0 };
+
+    interactionRef.current = {
+      type: 'redact',
+      pointerId: event.pointerId,
+      startPoint: point,
+      region,
+    };
+    setRedactionDraft(region);
+  }, [getCanvasPoint, redactionSettings.area, redactionSettings.target, toast]);
+
+  const continueRedactInteraction = useCallback((event) => {
+    const interaction = interactionRef.current;
+    if (!interaction || interaction.type !== 'redact') return;
+
+    const point = getCanvasPoint(event);
+    if (!point) return;
+
+    const { region, startPoint } = interaction;
+    if (region.type === REDACTION_AREAS.FREEHAND) {
+      const lastPoint = region.points[region.points.length - 1];
+      if (getDistance(lastPoint, point) < 1.5) return;
+      interaction.region = {
+        ...region,
+        points: [...region.points, point],
+      };
+    } else {
+      interaction.region = {
+        ...region,
+        x: Math.min(startPoint.x, point.x),
+        y: Math.min(startPoint.y, point.y),
+        width: Math.abs(point.x - startPoint.x),
+        height: Math.abs(point.y - startPoint.y),
+      };
+    }
+
+    setRedactionDraft(interaction.region);
+  }, [getCanvasPoint]);
+
+  const finishRedactInteraction = useCallback(() => {
+    const interaction = interactionRef.current;
+    if (!interaction || interaction.type !== 'redact') return;
+
+    interactionRef.current = null;
+    setRedactionDraft(null);
+    if (!isRedactionRegionUsable(interaction.region)) return;
+
+    const currentDoc = docRef.current;
+    const nextDoc = redactDocument(currentDoc, interaction.region, redactionSettings, makeCompositeCanvas);
+    if (nextDoc === currentDoc) return;
+
+    commitDocument(nextDoc, 'Redact');
+    updateSelectedLayerIds([nextDoc.activeLayerId]);
+  }, [commitDocument, redactionSettings, updateSelectedLayerIds]);
+
+  const startSelectInteraction = useCallback((event) => {
+    const currentDoc = docRef.current;
+    const point = getCanvasPoint(event);
+    if (!point) return;
+
+    const interaction = interactionRef.current;
+    if (interaction?.type === 'select' && interaction.shape === SELECTION_SHAPES.POLYGON) {
+      const firstPoint = interaction.points[0];
+      if (interaction.points.length >= 3 && getDistance(firstPoint, point) <= getPointerTolerance()) {
+        interactionRef.current = null;
+        setSelectionDraft(null);
+        updateSelection(
+          createShapeSelectionMask(currentDoc.width, currentDoc.height, {
+            type: SELECTION_SHAPES.POLYGON,
+            points: interaction.points,
+          }),
+          interaction.mode
+        );
+        return;
+      }
+
+      interaction.points = [...interaction.points, point];
+      setSelectionDraft({
+        type: SELECTION_SHAPES.POLYGON,
+        points: [...interaction.points, point],
+        isOpen: true,
+      });
+      return;
+    }
+
+    const mode = getSelectionModeFromEvent(event, selectionMode);
+
+    if (selectionShape === SELECTION_SHAPES.WAND) {
+      const layer = getActiveLayer(currentDoc);
+      let sampleCanvas;
+      if (wandSettings.sampleMerged || !layer || isAdjustmentLayer(layer)) {
+        sampleCanvas = makeCompositeCanvas(currentDoc);
+      } else {
+        sampleCanvas = createCanvas(currentDoc.width, currentDoc.height);
+        sampleCanvas.getContext('2d').drawImage(getVisibleLayerCanvas(layer), getLayerX(layer), getLayerY(layer));
+      }
+
+      const imageData = sampleCanvas
+        .getContext('2d', { willReadFrequently: true })
+        .getImageData(0, 0, sampleCanvas.width, sampleCanvas.height);
+      const region = findColorRegion(
+        imageData,
+        point.x,
+        point.y,
+        wandSettings.tolerance,
+        wandSettings.contiguous
+      );
+      updateSelection(createRegionSelectionMask(region, sampleCanvas.width, sampleCanvas.height), mode);
+      return;
+    }
+
+    interactionRef.current = {
+      type: 'select',
+      shape: selectionShape,
+      pointerId: event.pointerId,
+      mode,
+      startPoint: point,
+      points: [point],
+      draft: null,
+    };
+    setSelectionDraft(selectionShape === SELECTION_SHAPES.POLYGON
+      ? { type: SELECTION_SHAPES.POLYGON, points: [point, point], isOpen: true }
+      : null);
+  }, [getCanvasPoint, getPointerTolerance, selectionMode, selectionShape, updateSelection, wandSettings]);
+
+  const continueSelectInteraction = useCallback((event) => {
+    const interaction = interactionRef.current;
+    if (!interaction || interaction.type !== 'select') return;
+
+    const point = getCanvasPoint(event);
+    if (!point) return;
+
+    if (interaction.shape === SELECTION_SHAPES.POLYGON) {
+      setSelectionDraft({
+        type: SELECTION_SHAPES.POLYGON,
+        points: [...interaction.points, point],
+        isOpen: true,
+      });
+      return;
+    }
+
+    if (interaction.shape === SELECTION_SHAPES.FREEHAND) {
+      const lastPoint = interaction.points[interaction.points.length - 1];
+      if (getDistance(lastPoint, point) < 1.5) return;
+
+      interaction.points = [...interaction.points, point];
+      setSelectionDraft({
+        type: SELECTION_SHAPES.POLYGON,
+        points: interaction.points,
+        isOpen: true,
+      });
+      return;
+    }
+
+    const { startPoint } = interaction;
+    interaction.draft = {
+      type: interaction.shape,
+      x: Math.min(startPoint.x, point.x),
+      y: Math.min(startPoint.y, point.y),
+      width: Math.abs(point.x - startPoint.x),
+      height: Math.abs(point.y - startPoint.y),
+    };
+    setSelectionDraft(interaction.draft);
+  }, [getCanvasPoint]);
+
+  const finishSelectInteraction = useCallback(() => {
+    const interaction = interactionRef.current;
+    if (!interaction || interaction.type !== 'select') return;
+    if (interaction.shape === SELECTION_SHAPES.POLYGON) return;
+
+    interactionRef.current = null;
+    setSelectionDraft(null);
+
+    const shape = interaction.shape === SELECTION_SHAPES.FREEHAND
+      ? { type: SELECTION_SHAPES.POLYGON, points: interaction.points }
+      : interaction.draft;
+
+    if (!isSelectionShapeUsable(shape)) {
+      if (interaction.mode === SELECTION_MODES.REPLACE) {
+        deselect();
+      }
+      return;
+    }
+
+    const currentDoc = docRef.current;
+    updateSelection(
+      createShapeSelectionMask(currentDoc.width, currentDoc.height, shape),
+      interaction.mode
+    );
+  }, [deselect, updateSelection]);
+
+  const closePolygonSelection = useCallback(() => {
+    const interaction = interactionRef.current;
+    if (interaction?.type !== 'select' || interaction.shape !== SELECTION_SHAPES.POLYGON) return;
+
+    interactionRef.current = null;
+    setSelectionDraft(null);
+
+    const points = interaction.points.filter((point, index) => (
+      index === 0 || getDistance(point, interaction.points[index - 1]) >= 1
+    ));
+    const shape = { type: SELECTION_SHAPES.POLYGON, points };
+    if (!isSelectionShapeUsable(shape)) return;
+
+    const currentDoc = docRef.current;
+    updateSelection(
+      createShapeSelectionMask(currentDoc.width, currentDoc.height, shape),
+      interaction.mode
+    );
+  }, [updateSelection]);
+
+  const updateRedactionSettings = useCallback((changes) => {
+    setRedactionSettings((current) => ({
+      ...current,
+      ...changes,
+    }));
+  }, []);
+
+  const finishMoveInteraction = useCallback(() => {
+    if (interactionRef.current?.type !== 'move') return;
+
+    interactionRef.current = null;
+    applyActiveTransform(transformDraftRef.current);
+  }, [applyActiveTransform]);
+
+  const startViewportGesture = useCallback((event) => {
+    const touchPoints = Array.from(touchPointsRef.current.values());
+
+    if (touchPoints.length >= 2) {
+      const [first, second] = touchPoints;
+      viewportGestureRef.current = {
+        type: 'pinch',
+        startDistance: Math.max(1, getDistance(first, second)),
+        startCenter: getViewportElementPoint(
+          viewportElementRef.current,
+          (first.x + second.x) / 2,
+          (first.y + second.y) / 2
+        ),
+        startViewport: viewportRef.current,
+      };
+    } else {
+      viewportGestureRef.current = {
+        type: 'pan',
+        pointerId: event.pointerId,
+        startX: event.clientX,
+        startY: event.clientY,
+        startViewport: viewportRef.current,
+      };
+    }
+
+    setIsPanning(true);
+  }, []);
+
+  const continueViewportGesture = useCallback((event) => {
+    const gesture = viewportGestureRef.current;
+
+    if (gesture.type === 'pan') {
+      if (event.pointerId !== gesture.pointerId) return;
+
+      applyViewport({
+        ...gesture.startViewport,
+        panX: gesture.startViewport.panX + event.clientX - gesture.startX,
+        panY: gesture.startViewport.panY + event.clientY - gesture.startY,
+        isFit: false,
+      });
+      return;
+    }
+
+    const touchPoints = Array.from(touchPointsRef.current.values());
+    if (touchPoints.length < 2) return;
+
+    const [first, second] = touchPoints;
+    const center = getViewportElementPoint(
+      viewportElementRef.current,
+      (first.x + second.x) / 2,
+      (first.y + second.y) / 2
+    );
+    const zoomedViewport = zoomViewportAt(
+      gesture.startViewport,
+      gesture.startViewport.zoom * getDistance(first, second) / gesture.startDistance,
+      gesture.startCenter
+    );
+
+    applyViewport({
+      ...zoomedViewport,
+      panX: zoomedViewport.panX + center.x - gesture.startCenter.x,
+      panY: zoomedViewport.panY + center.y - gesture.startCenter.y,
+    });
+  }, [applyViewport]);
+
+  const finishViewportGesture = useCallback(() => {
+    viewportGestureRef.current = null;
+    setIsPanning(false);
+  }, []);
+
+  const handlePointerDown = useCallback((event) => {
+    if (!hasDocument(docRef.current)) return;
+
+    event.preventDefault();
+    event.currentTarget.setPointerCapture(event.pointerId);
+
+    if (event.pointerType === 'touch') {
+      touchPointsRef.current.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+      if (touchPointsRef.current.size === 2) {
+        if (interactionRef.current && interactionRef.current.type !== 'select') {
+          interactionRef.current = null;
+          renderDisplay();
+        }
+        startViewportGesture(event);
+        return;
+      }
+    }
+
+    if (viewportGestureRef.current) return;
+
+    if (event.button === 1 || spaceHeldRef.current) {
+      startViewportGesture(event);
+      return;
+    }
+
+    if (activeTool === TOOLS.EYEDROPPER || (event.altKey && [TOOLS.BRUSH, TOOLS.FILL].includes(activeTool))) {
+      startEyedropperInteraction(event);
+      return;
+    }
+
+    if (activeTool === TOOLS.BRUSH || activeTool === TOOLS.ERASER) {
+      startStroke(event);
+      return;
+    }
+
+    if (activeTool === TOOLS.FILL) {
+      fillAtPoint(event);
+      return;
+    }
+
+    if (activeTool === TOOLS.GRADIENT) {
+      startGradientInteraction(event);
+      return;
+    }
+
+    if (activeTool === TOOLS.CROP) {
+      startCropInteraction(event);
+      return;
+    }
+
+    if (activeTool === TOOLS.MOVE) {
+      startMoveInteraction(event);
+      return;
+    }
+
+    if (activeTool === TOOLS.TEXT) {
+      startTextInteraction(event);
+      return;
+    }
+
+    if (activeTool === TOOLS.SHAPE) {
+      startShapeInteraction(event);
+      return;
+    }
+
+    if (activeTool === TOOLS.CALLOUT) {
+      startCalloutInteraction(event);
+      return;
+    }
+
+    if (activeTool === TOOLS.REDACT) {
+      startRedactInteraction(event);
+      return;
+    }
+
+    if (activeTool === TOOLS.SELECT) {
+      startSelectInteraction(event);
+    }
+  }, [
+    activeTool,
+    fillAtPoint,
+    renderDisplay,
+    startCalloutInteraction,
+    startCropInteraction,
+    startEyedropperInteraction,
+    startGradientInteraction,
+    startMoveInteraction,
+    startRedactInteraction,
+    startSelectInteraction,
+    startShapeInteraction,
+    startStroke,
+    startTextInteraction,
+    startViewportGesture,
+  ]);
+
+  const handlePointerMove = useCallback((event) => {
+    if (touchPointsRef.current.has(event.pointerId)) {
+      touchPointsRef.current.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    }
+
+    if (viewportGestureRef.current) {
+      event.preventDefault();
+      continueViewportGesture(event);
+      return;
+    }
+
+    const interaction = interactionRef.current;
+    if (!interaction) return;
+
+    event.preventDefault();
+
+    if (interaction.type === 'stroke') {
+      continueStroke(event);
+      return;
+    }
+
+    if (interaction.type === 'gradient') {
+      continueGradientInteraction(event);
+      return;
+    }
+
+    if (interaction.type === 'eyedropper') {
+      continueEyedropperInteraction(event);
+      return;
+    }
+
+    if (interaction.type === 'crop') {
+      continueCropInteraction(event);
+      return;
+    }
+
+    if (interaction.type === 'move') {
+      continueMoveInteraction(event);
+      return;
+    }
+
+    if (interaction.type === 'shape') {
+      continueShapeInteraction(event);
+      return;
+    }
+
+    if (interaction.type === 'callout') {
+      continueCalloutInteraction(event);
+      return;
+    }
+
+    if (interaction.type === 'redact') {
+      continueRedactInteraction(event);
+      return;
+    }
+
+    if (interaction.type === 'select') {
+      continueSelectInteraction(event);
+    }
+  }, [
+    continueCalloutInteraction,
+    continueCropInteraction,
+    continueEyedropperInteraction,
+    continueGradientInteraction,
+    continueMoveInteraction,
+    continueRedactInteraction,
+    continueSelectInteraction,
+    continueShapeInteraction,
+    continueStroke,
+    continueViewportGesture,
+  ]);
+
+  const handlePointerUp = useCallback((event) => {
+    touchPointsRef.current.delete(event.pointerId);
+
+    const gesture = viewportGestureRef.current;
+    if (gesture) {
+      event.preventDefault();
+      if (gesture.type === 'pinch' || gesture.pointerId === event.pointerId) {
+        finishViewportGesture();
+      }
+      return;
+    }
+
+    const interaction = interactionRef.current;
+    if (!interaction) return;
+
+    event.preventDefault();
+
+    if (interaction.type === 'stroke') {
+      finishStroke();
+      return;
+    }
+
+    if (interaction.type === 'gradient') {
+      finishGradientInteraction();
+      return;
+    }
+
+    if (interaction.type === 'eyedropper') {
+      finishEyedropperInteraction();
+      return;
+    }
+
+    if (interaction.type === 'crop') {
+      finishCropInteraction();
+      return;
+    }
+
+    if (interaction.type === 'move') {
+      finishMoveInteraction();
+      return;
+    }
+
+    if (interaction.type === 'shape') {
+      finishShapeInteraction();
+      return;
+    }
+
+    if (interaction.type === 'callout') {
+      finishCalloutInteraction();
+      return;
+    }
+
+    if (interaction.type === 'redact') {
+      finishRedactInteraction();
+      return;
+    }
+
+    if (interaction.type === 'select') {
+      finishSelectInteraction();
+    }
+  }, [
+    finishCalloutInteraction,
+    finishCropInteraction,
+    finishEyedropperInteraction,
+    finishGradientInteraction,
+    finishMoveInteraction,
+    finishRedactInteraction,
+    finishSelectInteraction,
+    finishShapeInteraction,
+    finishStroke,
+    finishViewportGesture,
+  ]);
+
+  const applyCrop = useCallback(() => {
+    const currentDoc = docRef.current;
+    const currentCrop = cropRef.current;
+    if (!hasDocument(currentDoc) || !currentCrop) return;
+
+    const nextDoc = currentCrop.rotationDeg
+      ? rotateCropDocument(currentDoc, currentCrop)
+      : cropDocument(currentDoc, currentCrop);
+    setCrop(null);
+    setActiveTool(TOOLS.MOVE);
+    commitDocument(
+      nextDoc,
+      currentCrop.rotationDeg
+        ? `Crop ${nextDoc.width}x${nextDoc.height} at ${currentCrop.rotationDeg}°`
+        : `Crop ${nextDoc.width}x${nextDoc.height}`
+    );
+  }, [commitDocument]);
+
+  const applyResize = useCallback(() => {
+    const currentDoc = docRef.current;
+    if (!hasDocument(currentDoc)) return;
+
+    const nextDoc = resizeDocument(currentDoc, resizeDraft.width, resizeDraft.height);
+    setActiveTool(TOOLS.MOVE);
+    commitDocument(nextDoc, `Resize ${nextDoc.width}x${nextDoc.height}`);
+  }, [commitDocument, resizeDraft.height, resizeDraft.width]);
+
+  const updateCropSettings = useCallback((changes) => {
+    const nextSettings = {
+      ...cropSettings,
+      ...changes,
+    };
+    setCropSettings(nextSettings);
+
+    const currentDoc = docRef.current;
+    const ratio = getCropAspectRatio(nextSettings, currentDoc);
+    if (!hasDocument(currentDoc) || !ratio || getCropAspectRatio(cropSettings, currentDoc) === ratio) return;
+    const currentCrop = cropRef.current || createDefaultCrop(currentDoc);
+    const nextCrop = fitCropToAspect(currentCrop, ratio, currentDoc);
+    setCrop(currentCrop.rotationDeg
+      ? fitRotatedCrop({ ...nextCrop, rotationDeg: currentCrop.rotationDeg }, currentDoc)
+      : nextCrop);
+  }, [cropSettings]);
+
+  const trimDocument = useCallback((trimMode) => {
+    const currentDoc = docRef.current;
+    if (!hasDocument(currentDoc)) return;
+
+    const compositeCanvas = makeCompositeCanvas(currentDoc);
+    const bounds = trimMode === TRIM_MODES.TRANSPARENT
+      ? getLayerBounds(compositeCanvas)
+      : findUniformBorderBounds(
+        compositeCanvas
+          .getContext('2d', { willReadFrequently: true })
+          .getImageData(0, 0, compositeCanvas.width, compositeCanvas.height),
+        cropSettings.trimTolerance
+      );
+
+    if (!bounds || (bounds.width === currentDoc.width && bounds.height === currentDoc.height)) {
+      toast({
+        title: 'Nothing to trim',
+        description: !bounds
+          ? 'The image has no visible content to keep.'
+          : `No ${trimMode === TRIM_MODES.TRANSPARENT ? 'transparent' : 'uniform color'} border was found.`,
+        status: 'info',
+        duration: 2200,
+        isClosable: true,
+      });
+      return;
+    }
+
+    const nextDoc = cropDocument(currentDoc, bounds);
+    setCrop(null);
+    commitDocument(nextDoc, `Trim ${nextDoc.width}x${nextDoc.height}`);
+  }, [commitDocument, cropSettings.trimTolerance, toast]);
+
+  const applyPerspectiveCrop = useCallback(() => {
+    const currentDoc = docRef.current;
+    const quad = perspectiveQuadRef.current;
+    if (!hasDocument(currentDoc) || !quad || !isPerspectiveQuadValid(quad)) return;
+
+    const size = perspectiveSize.isAuto ? getPerspectiveOutputSize(quad) : perspectiveSize;
+    const rasterizedCount = currentDoc.layers.filter(isVectorLayer).length;
+    const nextDoc = perspectiveCropDocument(currentDoc, quad, size.width, size.height);
+    setPerspectiveQuad(null);
+    setActiveTool(TOOLS.MOVE);
+    commitDocument(
+      nextDoc,
+      `Perspective crop ${nextDoc.width}x${nextDoc.height}${rasterizedCount > 0
+        ? `, rasterized ${rasterizedCount} layer${rasterizedCount === 1 ? '' : 's'}`
+        : ''}`
+    );
+  }, [commitDocument, perspectiveSize]);
+
+  const rotateCrop = useCallback((rotationDeg, baseCrop = cropRef.current) => {
+    const currentDoc = docRef.current;
+    if (!hasDocument(currentDoc) || !baseCrop || !Number.isFinite(rotationDeg)) return;
+
+    setCrop(fitRotatedCrop({
+      ...baseCrop,
+      rotationDeg: clamp(Math.round(rotationDeg * 10) / 10, -180, 180),
+    }, currentDoc));
+  }, []);
+
+  const updateCropValue = useCallback((key, value) => {
+    const currentDoc = docRef.current;
+    const currentCrop = cropRef.current;
+    if (!hasDocument(currentDoc) || !currentCrop) return;
+
+    const ratio = getCropAspectRatio(cropSettings, currentDoc);
+    const nextCrop = setCropValue(currentCrop, key, value, ratio);
+    if (!nextCrop) return;
+
+    if (currentCrop.rotationDeg) {
+      setCrop(fitRotatedCrop({
+        ...nextCrop,
+        width: Math.max(1, nextCrop.width),
+        height: Math.max(1, nextCrop.height),
+      }, currentDoc));
+      return;
+    }
+
+    setCrop(clampCropToDocument(nextCrop, ratio, currentDoc));
+  }, [cropSettings]);
+
+  const updateCanvasSizeDraft = useCallback((changes) => {
+    setCanvasSizeDraft((current) => ({
+      ...current,
+      ...changes,
+    }));
+  }, []);
+
+  const applyCanvasSize = useCallback(() => {
+    const currentDoc = docRef.current;
+    if (!hasDocument(currentDoc)) return;
+
+    const nextDoc = resizeCanvasDocument(
+      currentDoc,
+      canvasSizeDraft.width,
+      canvasSizeDraft.height,
+      getCanvasAnchor(canvasSizeDraft.anchorId),
+      canvasSizeDraft.fillEnabled ? canvasSizeDraft.fillColor : null
+    );
+    if (nextDoc.width === currentDoc.width && nextDoc.height === currentDoc.height) return;
+
+    setActiveTool(TOOLS.MOVE);
+    commitDocument(nextDoc, `Canvas size ${nextDoc.width}x${nextDoc.height}`);
+  }, [canvasSizeDraft, commitDocument]);
+
+  const resetEditor = useCallback(() => {
+    dispatch({ type: 'reset' });
+    docRef.current = createEmptyDocument();
+    updateSelectedLayerIds([]);
+    deselect();
+    setCrop(null);
+    setActiveTool(TOOLS.MOVE);
+    resetTransformDraft();
+    resetExportState();
+  }, [deselect, resetExportState, resetTransformDraft, updateSelectedLayerIds]);
+
+  const restoreSession = useCallback(async () => {
+    if (!savedSession) return;
+
+    try {
+      const restoredDoc = await deserializeDocument(savedSession);
+      resetEditor();
+      commitDocument(restoredDoc, 'Restore session');
+      updateSelectedLayerIds(restoredDoc.activeLayerId ? [restoredDoc.activeLayerId] : []);
+      setSavedSession(null);
+      setIsConfirmingRestore(false);
+      setSessionStatus(SESSION_STATUS.READY);
+    } catch (err) {
+      console.error('Session restore failed:', err);
+      toast({
+        title: 'Restore failed',
+        description: 'The saved session could not be read. You can discard it and keep working.',
+        status: 'error',
+        duration: 4000,
+        isClosable: true,
+      });
+    }
+  }, [commitDocument, resetEditor, savedSession, toast, updateSelectedLayerIds]);
+
+  const requestRestoreSession = useCallback(() => {
+    if (hasDocument(docRef.current) || history.length > 0) {
+      setIsConfirmingRestore(true);
+      return;
+    }
+    restoreSession();
+  }, [history.length, restoreSession]);
+
+  const discardSession = useCallback(async () => {
+    setSavedSession(null);
+    setIsConfirmingRestore(false);
+    setSessionSize(null);
+    setSessionStatus(SESSION_STATUS.READY);
+
+    try {
+      await clearSession();
+    } catch (err) {
+      console.error('Session discard failed:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!isSessionStoreAvailable()) {
+      setSessionStatus(SESSION_STATUS.READY);
+      return undefined;
+    }
+
+    let isCancelled = false;
+    loadSession()
+      .then((record) => {
+        if (isCancelled) return;
+
+        if (record?.layers?.length) {
+          setSavedSession(record);
+          setSessionSize(record.size ?? null);
+          setSessionStatus(SESSION_STATUS.PENDING);
+        } else {
+          setSessionStatus(SESSION_STATUS.READY);
+        }
+      })
+      .catch((err) => {
+        console.error('Session lookup failed:', err);
+        if (!isCancelled) setSessionStatus(SESSION_STATUS.READY);
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (sessionStatus !== SESSION_STATUS.READY || !isSessionStoreAvailable()) return undefined;
+
+    const timeoutId = window.setTimeout(() => {
+      const currentDoc = docRef.current;
+      const write = hasDocument(currentDoc)
+        ? saveSession(currentDoc)
+        : clearSession().then(() => null);
+
+      write
+        .then(setSessionSize)
+        .catch((err) => console.error('Autosave failed:', err));
+    }, AUTOSAVE_DELAY_MS);
+
+    return () => window.clearTimeout(timeoutId);
+  }, [history, historyIndex, sessionStatus]);
+
+  const updateResizeWidth = useCallback((value) => {
+    const width = clampDimension(value);
+    setResizeDraft((current) => {
+      const height = aspectLocked && docRef.current.width > 0
+        ? clampDimension(width * docRef.current.height / docRef.current.width)
+        : current.height;
+      return {
+        width,
+        height,
+        scale: docRef.current.width ? Math.round(width / docRef.current.width * 100) : 100,
+      };
+    });
+  }, [aspectLocked]);
+
+  const updateResizeHeight = useCallback((value) => {
+    const height = clampDimension(value);
+    setResizeDraft((current) => {
+      const width = aspectLocked && docRef.current.height > 0
+        ? clampDimension(height * docRef.current.width / docRef.current.height)
+        : current.width;
+      return {
+        width,
+        height,
+        scale: docRef.current.height ? Math.round(height / docRef.current.height * 100) : 100,
+      };
+    });
+  }, [aspectLocked]);
+
+  const updateResizeScale = useCallback((scale) => {
+    setResizeDraft({
+      width: clampDimension(docRef.current.width * scale / 100),
+      height: clampDimension(docRef.current.height * scale / 100),
+      scale,
+    });
+  }, []);
 
   const selectLayer = useCallback((layerId, options = {}) => {
     const { replaceSelection = true } = options;
@@ -1962,7 +5897,7 @@ function UnifiedPhotoEditor() {
     setLayerDropTarget(null);
 
     if (nextDoc === currentDoc) return;
-    commitDocument(nextDoc);
+    commitDocument(nextDoc, 'Reorder layers');
   }, [commitDocument, draggedLayerId, layerDropTarget]);
 
   const handleLayerDragEnd = useCallback(() => {
@@ -1971,13 +5906,20 @@ function UnifiedPhotoEditor() {
   }, []);
 
   const toolCursor = useMemo(() => {
+    if (isPanning) return 'grabbing';
+    if (isSpaceHeld) return 'grab';
     if (activeTool === TOOLS.BRUSH || activeTool === TOOLS.ERASER) return 'crosshair';
     if (activeTool === TOOLS.CROP) return 'crosshair';
     if (activeTool === TOOLS.MOVE) return 'move';
+    if (activeTool === TOOLS.TEXT) return 'text';
+    if ([TOOLS.FILL, TOOLS.GRADIENT, TOOLS.EYEDROPPER, TOOLS.SHAPE, TOOLS.CALLOUT, TOOLS.REDACT, TOOLS.SELECT].includes(activeTool)) return 'crosshair';
     return 'default';
-  }, [activeTool]);
+  }, [activeTool, isPanning, isSpaceHeld]);
 
   const activeLayerIndex = doc.layers.findIndex((layer) => layer.id === doc.activeLayerId);
+  const activeShapeStyle = isShapeLayer(activeLayer) ? activeLayer.shape : shapeStyle;
+  const activeShapeKind = isShapeLayer(activeLayer) ? activeLayer.shape.kind : shapeKind;
+  const activeCalloutStyle = isCalloutLayer(activeLayer) ? activeLayer.callout : calloutStyle;
 
   return (
     <Box
@@ -1998,6 +5940,16 @@ function UnifiedPhotoEditor() {
                 {hasDocument(doc) ? `${doc.width} x ${doc.height}px` : 'No document'}
               </Badge>
               <Text>{doc.layers.length} layer{doc.layers.length === 1 ? '' : 's'}</Text>
+              {sessionStatus === SESSION_STATUS.READY && sessionSize !== null && (
+                <>
+                  <Tooltip label="Saved in this browser so the document survives a reload" hasArrow>
+                    <Text>Autosaved {formatByteSize(sessionSize)}</Text>
+                  </Tooltip>
+                  <Button size="xs" variant="link" colorScheme="red" onClick={discardSession}>
+                    Discard
+                  </Button>
+                </>
+              )}
             </HStack>
           </Box>
 
@@ -2044,10 +5996,38 @@ function UnifiedPhotoEditor() {
           </HStack>
         </Flex>
 
+        {sessionStatus === SESSION_STATUS.PENDING && savedSession && (
+          <Alert status={isConfirmingRestore ? 'warning' : 'info'} borderRadius="md" flexWrap="wrap" gap={3}>
+            <AlertIcon />
+            {isConfirmingRestore ? (
+              <AlertDescription flex="1" minW="240px" fontSize="sm">
+                Restoring the saved session replaces the current image and its undo history.
+              </AlertDescription>
+            ) : (
+              <AlertDescription flex="1" minW="240px" fontSize="sm">
+                A session from {new Date(savedSession.savedAt).toLocaleString()} can be restored
+                ({savedSession.width} x {savedSession.height}px, {savedSession.layers.length} layer{savedSession.layers.length === 1 ? '' : 's'}, {formatByteSize(savedSession.size ?? 0)}).
+                Autosave is paused until you restore or discard it.
+              </AlertDescription>
+            )}
+            {isConfirmingRestore ? (
+              <HStack spacing={2}>
+                <Button size="sm" colorScheme="red" onClick={restoreSession}>Replace current work</Button>
+                <Button size="sm" variant="outline" onClick={() => setIsConfirmingRestore(false)}>Cancel</Button>
+              </HStack>
+            ) : (
+              <HStack spacing={2}>
+                <Button size="sm" colorScheme="blue" onClick={requestRestoreSession}>Restore</Button>
+                <Button size="sm" variant="outline" onClick={discardSession}>Discard</Button>
+              </HStack>
+            )}
+          </Alert>
+        )}
+
         <input
           ref={fileInputRef}
           type="file"
-          accept="image/*"
+          accept={`image/*,${PROJECT_FILE_EXTENSION}`}
           onChange={handleFileInputChange}
           style={{ display: 'none' }}
         />
@@ -2069,8 +6049,16 @@ function UnifiedPhotoEditor() {
             <ToolButton icon={MousePointer2} label="Move" isActive={activeTool === TOOLS.MOVE} onClick={() => setActiveTool(TOOLS.MOVE)} isDisabled={!hasDocument(doc)} />
             <ToolButton icon={Brush} label="Brush" isActive={activeTool === TOOLS.BRUSH} onClick={() => setActiveTool(TOOLS.BRUSH)} isDisabled={!hasDocument(doc)} />
             <ToolButton icon={Eraser} label="Eraser" isActive={activeTool === TOOLS.ERASER} onClick={() => setActiveTool(TOOLS.ERASER)} isDisabled={!hasDocument(doc)} />
+            <ToolButton icon={PaintBucket} label="Paint Bucket" isActive={activeTool === TOOLS.FILL} onClick={() => setActiveTool(TOOLS.FILL)} isDisabled={!hasDocument(doc)} />
+            <ToolButton icon={Blend} label="Gradient" isActive={activeTool === TOOLS.GRADIENT} onClick={() => setActiveTool(TOOLS.GRADIENT)} isDisabled={!hasDocument(doc)} />
+            <ToolButton icon={Pipette} label="Eyedropper" isActive={activeTool === TOOLS.EYEDROPPER} onClick={() => setActiveTool(TOOLS.EYEDROPPER)} isDisabled={!hasDocument(doc)} />
             <ToolButton icon={Crop} label="Crop" isActive={activeTool === TOOLS.CROP} onClick={() => setActiveTool(TOOLS.CROP)} isDisabled={!hasDocument(doc)} />
             <ToolButton icon={Maximize2} label="Resize" isActive={activeTool === TOOLS.RESIZE} onClick={() => setActiveTool(TOOLS.RESIZE)} isDisabled={!hasDocument(doc)} />
+            <ToolButton icon={Type} label="Text" isActive={activeTool === TOOLS.TEXT} onClick={() => setActiveTool(TOOLS.TEXT)} isDisabled={!hasDocument(doc)} />
+            <ToolButton icon={Shapes} label="Shapes" isActive={activeTool === TOOLS.SHAPE} onClick={() => setActiveTool(TOOLS.SHAPE)} isDisabled={!hasDocument(doc)} />
+            <ToolButton icon={MessageSquareText} label="Callouts" isActive={activeTool === TOOLS.CALLOUT} onClick={() => setActiveTool(TOOLS.CALLOUT)} isDisabled={!hasDocument(doc)} />
+            <ToolButton icon={SquareDashed} label="Select" isActive={activeTool === TOOLS.SELECT} onClick={() => setActiveTool(TOOLS.SELECT)} isDisabled={!hasDocument(doc)} />
+            <ToolButton icon={EyeClosed} label="Redact" isActive={activeTool === TOOLS.REDACT} onClick={() => setActiveTool(TOOLS.REDACT)} isDisabled={!hasDocument(doc)} />
           </HStack>
 
           <VStack
@@ -2086,8 +6074,16 @@ function UnifiedPhotoEditor() {
             <ToolButton icon={MousePointer2} label="Move" isActive={activeTool === TOOLS.MOVE} onClick={() => setActiveTool(TOOLS.MOVE)} isDisabled={!hasDocument(doc)} />
             <ToolButton icon={Brush} label="Brush" isActive={activeTool === TOOLS.BRUSH} onClick={() => setActiveTool(TOOLS.BRUSH)} isDisabled={!hasDocument(doc)} />
             <ToolButton icon={Eraser} label="Eraser" isActive={activeTool === TOOLS.ERASER} onClick={() => setActiveTool(TOOLS.ERASER)} isDisabled={!hasDocument(doc)} />
+            <ToolButton icon={PaintBucket} label="Paint Bucket" isActive={activeTool === TOOLS.FILL} onClick={() => setActiveTool(TOOLS.FILL)} isDisabled={!hasDocument(doc)} />
+            <ToolButton icon={Blend} label="Gradient" isActive={activeTool === TOOLS.GRADIENT} onClick={() => setActiveTool(TOOLS.GRADIENT)} isDisabled={!hasDocument(doc)} />
+            <ToolButton icon={Pipette} label="Eyedropper" isActive={activeTool === TOOLS.EYEDROPPER} onClick={() => setActiveTool(TOOLS.EYEDROPPER)} isDisabled={!hasDocument(doc)} />
             <ToolButton icon={Crop} label="Crop" isActive={activeTool === TOOLS.CROP} onClick={() => setActiveTool(TOOLS.CROP)} isDisabled={!hasDocument(doc)} />
             <ToolButton icon={Maximize2} label="Resize" isActive={activeTool === TOOLS.RESIZE} onClick={() => setActiveTool(TOOLS.RESIZE)} isDisabled={!hasDocument(doc)} />
+            <ToolButton icon={Type} label="Text" isActive={activeTool === TOOLS.TEXT} onClick={() => setActiveTool(TOOLS.TEXT)} isDisabled={!hasDocument(doc)} />
+            <ToolButton icon={Shapes} label="Shapes" isActive={activeTool === TOOLS.SHAPE} onClick={() => setActiveTool(TOOLS.SHAPE)} isDisabled={!hasDocument(doc)} />
+            <ToolButton icon={MessageSquareText} label="Callouts" isActive={activeTool === TOOLS.CALLOUT} onClick={() => setActiveTool(TOOLS.CALLOUT)} isDisabled={!hasDocument(doc)} />
+            <ToolButton icon={SquareDashed} label="Select" isActive={activeTool === TOOLS.SELECT} onClick={() => setActiveTool(TOOLS.SELECT)} isDisabled={!hasDocument(doc)} />
+            <ToolButton icon={EyeClosed} label="Redact" isActive={activeTool === TOOLS.REDACT} onClick={() => setActiveTool(TOOLS.REDACT)} isDisabled={!hasDocument(doc)} />
 
             <Divider />
 
@@ -2096,6 +6092,8 @@ function UnifiedPhotoEditor() {
           </VStack>
 
           <Flex
+            ref={viewportElementRef}
+            position="relative"
             minH={{ base: '58vh', lg: 'calc(100vh - 150px)' }}
             bg="gray.900"
             border="1px solid"
@@ -2136,22 +6134,62 @@ function UnifiedPhotoEditor() {
                 onPointerMove={handlePointerMove}
                 onPointerUp={handlePointerUp}
                 onPointerCancel={handlePointerUp}
+                onDoubleClick={closePolygonSelection}
+                onMouseDown={(event) => {
+                  if (event.button === 1) event.preventDefault();
+                }}
                 style={{
-                  maxWidth: '100%',
-                  maxHeight: 'calc(100vh - 210px)',
-                  width: 'auto',
-                  height: 'auto',
+                  position: 'absolute',
+                  inset: 0,
+                  width: '100%',
+                  height: '100%',
                   display: 'block',
                   cursor: toolCursor,
                   touchAction: 'none',
-                  backgroundColor: '#f8fafc',
-                  backgroundImage:
-                    'linear-gradient(45deg, #e2e8f0 25%, transparent 25%), linear-gradient(-45deg, #e2e8f0 25%, transparent 25%), linear-gradient(45deg, transparent 75%, #e2e8f0 75%), linear-gradient(-45deg, transparent 75%, #e2e8f0 75%)',
-                  backgroundSize: '18px 18px',
-                  backgroundPosition: '0 0, 0 9px, 9px -9px, -9px 0px',
                 }}
               />
             )}
+
+            {hasDocument(doc) && (
+              <HStack
+                position="absolute"
+                right={3}
+                bottom={3}
+                spacing={1}
+                bg="whiteAlpha.900"
+                borderRadius="md"
+                boxShadow="md"
+                p={1}
+              >
+                <Tooltip label="Zoom Out" hasArrow>
+                  <IconButton
+                    aria-label="Zoom Out"
+                    icon={<ZoomOut size={16} />}
+                    onClick={() => stepViewportZoom(-1)}
+                    size="xs"
+                    variant="ghost"
+                  />
+                </Tooltip>
+                <Text fontSize="xs" fontWeight="semibold" minW="44px" textAlign="center">
+                  {Math.round(viewport.zoom * 100)}%
+                </Text>
+                <Tooltip label="Zoom In" hasArrow>
+                  <IconButton
+                    aria-label="Zoom In"
+                    icon={<ZoomIn size={16} />}
+                    onClick={() => stepViewportZoom(1)}
+                    size="xs"
+                    variant="ghost"
+                  />
+                </Tooltip>
+                <Button size="xs" variant={viewport.isFit ? 'solid' : 'ghost'} onClick={fitViewport}>
+                  Fit
+                </Button>
+                <Button size="xs" variant="ghost" onClick={() => zoomViewport(1)}>
+                  100%
+                </Button>
+              </HStack>
+            )}
           </Flex>
 
           <VStack align="stretch" spacing={4} minW={0}>
@@ -2166,6 +6204,134 @@ function UnifiedPhotoEditor() {
               )}
 
               {hasDocument(doc) && (activeTool === TOOLS.BRUSH || activeTool === TOOLS.ERASER) && (
+                <VStack align="stretch" spacing={4}>
+                  {isMaskEditing && hasLayerMask(activeLayer) && (
+                    <Text fontSize="sm" color="blue.700">
+                      Painting the layer mask. The brush reveals the layer and the eraser hides it.
+                    </Text>
+                  )}
+                  <HStack justify="space-between">
+                    <Text fontSize="sm">Color</Text>
+                    <Input
+                      type="color"
+                      value={brushColor}
+                      onChange={(event) => setBrushColor(event.target.value)}
+                      isDisabled={activeTool === TOOLS.ERASER || (isMaskEditing && hasLayerMask(activeLayer))}
+                      w="86px"
+                      h="36px"
+                      p={1}
+                    />
+                  </HStack>
+                  {activeTool === TOOLS.BRUSH && (
+                    <HStack spacing={1}>
+                      {BRUSH_MODE_OPTIONS.map((option) => (
+                        <Button
+                          key={option.mode}
+                          size="xs"
+                          flex={1}
+                          variant={brushSettings.mode === option.mode ? 'solid' : 'outline'}
+                          colorScheme={brushSettings.mode === option.mode ? 'blue' : 'gray'}
+                          onClick={() => setBrushSettings((current) => ({ ...current, mode: option.mode }))}
+                        >
+                          {option.label}
+                        </Button>
+                      ))}
+                    </HStack>
+                  )}
+                  <Box>
+                    <Text fontSize="sm" mb={2}>Preset</Text>
+                    <Select size="sm" value={brushPresetId} onChange={(event) => selectBrushPreset(event.target.value)}>
+                      {BRUSH_PRESETS.map((preset) => (
+                        <option key={preset.id} value={preset.id}>{preset.name}</option>
+                      ))}
+                      {savedBrushPresets.length > 0 && (
+                        <optgroup label="Saved">
+                          {savedBrushPresets.map((preset) => (
+                            <option key={preset.id} value={preset.id}>{preset.name}</option>
+                          ))}
+                        </optgroup>
+                      )}
+                    </Select>
+                  </Box>
+                  {BRUSH_SLIDERS.map((control) => (
+                    <Box key={control.key}>
+                      <HStack justify="space-between" mb={2}>
+                        <Text fontSize="sm">{control.label}</Text>
+                        <Text fontSize="sm" color="gray.600">
+                          {control.key === 'stabilizer' && brushSettings.stabilizer === 0
+                            ? 'Off'
+                            : formatSliderValue(brushSettings[control.key], control)}
+                        </Text>
+                      </HStack>
+                      <Slider
+                        value={brushSettings[control.key]}
+                        min={control.min}
+                        max={control.max}
+                        step={control.step}
+                        onChange={(value) => setBrushSettings((current) => ({ ...current, [control.key]: value }))}
+                        isDisabled={control.key === 'flow' && brushSettings.mode !== BRUSH_MODES.PAINT}
+                      >
+                        <SliderTrack><SliderFilledTrack /></SliderTrack>
+                        <SliderThumb />
+                      </Slider>
+                    </Box>
+                  ))}
+                  <HStack justify="space-between">
+                    <Text fontSize="sm">Pressure controls size</Text>
+                    <Switch
+                      isChecked={brushSettings.pressureSize}
+                      onChange={(event) => setBrushSettings((current) => ({ ...current, pressureSize: event.target.checked }))}
+                    />
+                  </HStack>
+                  <HStack justify="space-between">
+                    <Text fontSize="sm">Pressure controls opacity</Text>
+                    <Switch
+                      isChecked={brushSettings.pressureOpacity}
+                      onChange={(event) => setBrushSettings((current) => ({ ...current, pressureOpacity: event.target.checked }))}
+                      isDisabled={brushSettings.mode !== BRUSH_MODES.PAINT}
+                    />
+                  </HStack>
+                  {activeTool === TOOLS.BRUSH && brushSettings.mode === BRUSH_MODES.HIGHLIGHTER && (
+                    <HStack justify="space-between">
+                      <Text fontSize="sm">Snap to text rows</Text>
+                      <Switch
+                        isChecked={brushSettings.snapToText}
+                        onChange={(event) => setBrushSettings((current) => ({ ...current, snapToText: event.target.checked }))}
+                      />
+                    </HStack>
+                  )}
+                  <Text fontSize="sm" color="gray.600">
+                    {activeTool === TOOLS.BRUSH && brushSettings.mode === BRUSH_MODES.HIGHLIGHTER
+                      ? 'Each stroke multiplies over the image at one even opacity. Hold Shift for a straight line. With Snap to text rows, a stroke started on a line of text fits the line and stays level.'
+                      : 'Hold Shift while drawing for a straight line.'}
+                  </Text>
+                  <HStack>
+                    <Input
+                      size="sm"
+                      placeholder="Preset name"
+                      value={brushPresetName}
+                      onChange={(event) => setBrushPresetName(event.target.value)}
+                      onKeyDown={(event) => {
+                        if (event.key === 'Enter') saveBrushPreset();
+                      }}
+                    />
+                    <Button size="sm" onClick={saveBrushPreset} isDisabled={!brushPresetName.trim()}>
+                      Save
+                    </Button>
+                    <Tooltip label="Delete saved preset">
+                      <IconButton
+                        size="sm"
+                        aria-label="Delete saved preset"
+                        icon={<Trash2 size={16} />}
+                        onClick={deleteBrushPreset}
+                        isDisabled={!savedBrushPresets.some((preset) => preset.id === brushPresetId)}
+                      />
+                    </Tooltip>
+                  </HStack>
+                </VStack>
+              )}
+
+              {hasDocument(doc) && activeTool === TOOLS.FILL && (
                 <VStack align="stretch" spacing={4}>
                   <HStack justify="space-between">
                     <Text fontSize="sm">Color</Text>
@@ -2173,7 +6339,6 @@ function UnifiedPhotoEditor() {
                       type="color"
                       value={brushColor}
                       onChange={(event) => setBrushColor(event.target.value)}
-                      isDisabled={activeTool === TOOLS.ERASER}
                       w="86px"
                       h="36px"
                       p={1}
@@ -2181,14 +6346,94 @@ function UnifiedPhotoEditor() {
                   </HStack>
                   <Box>
                     <HStack justify="space-between" mb={2}>
-                      <Text fontSize="sm">Size</Text>
-                      <Text fontSize="sm" color="gray.600">{brushSize}px</Text>
+                      <Text fontSize="sm">Tolerance</Text>
+                      <Text fontSize="sm" color="gray.600">{fillSettings.tolerance}</Text>
                     </HStack>
-                    <Slider value={brushSize} min={1} max={80} onChange={setBrushSize}>
+                    <Slider
+                      value={fillSettings.tolerance}
+                      min={0}
+                      max={255}
+                      onChange={(tolerance) => setFillSettings((current) => ({ ...current, tolerance }))}
+                    >
                       <SliderTrack><SliderFilledTrack /></SliderTrack>
                       <SliderThumb />
                     </Slider>
                   </Box>
+                  <HStack justify="space-between">
+                    <Text fontSize="sm">Contiguous</Text>
+                    <Switch
+                      isChecked={fillSettings.contiguous}
+                      onChange={(event) => setFillSettings((current) => ({ ...current, contiguous: event.target.checked }))}
+                    />
+                  </HStack>
+                  <HStack justify="space-between">
+                    <Text fontSize="sm">Sample all layers</Text>
+                    <Switch
+                      isChecked={fillSettings.sampleMerged}
+                      onChange={(event) => setFillSettings((current) => ({ ...current, sampleMerged: event.target.checked }))}
+                    />
+                  </HStack>
+                  <Text fontSize="sm" color="gray.600">
+                    {fillSettings.contiguous
+                      ? 'Click to fill the connected area of similar color on the active layer.'
+                      : 'Click to fill every pixel of similar color on the active layer.'}
+                  </Text>
+                </VStack>
+              )}
+
+              {hasDocument(doc) && activeTool === TOOLS.EYEDROPPER && (
+                <VStack align="stretch" spacing={4}>
+                  <Box>
+                    <Text fontSize="sm" mb={2}>Sample size</Text>
+                    <Select
+                      size="sm"
+                      value={eyedropperSettings.radius}
+                      onChange={(event) => setEyedropperSettings((current) => ({
+                        ...current,
+                        radius: Number(event.target.value),
+                      }))}
+                    >
+                      {EYEDROPPER_SAMPLE_SIZES.map((option) => (
+                        <option key={option.radius} value={option.radius}>{option.label}</option>
+                      ))}
+                    </Select>
+                  </Box>
+                  <HStack justify="space-between">
+                    <Text fontSize="sm">Sample all layers</Text>
+                    <Switch
+                      isChecked={eyedropperSettings.sampleMerged}
+                      onChange={(event) => setEyedropperSettings((current) => ({ ...current, sampleMerged: event.target.checked }))}
+                    />
+                  </HStack>
+                  <Text fontSize="sm" color="gray.600">
+                    Click or drag on the canvas to pick the brush color. Alt-click with the brush or paint bucket picks a color without switching tools.
+                  </Text>
+                </VStack>
+              )}
+
+              {hasDocument(doc) && activeTool === TOOLS.GRADIENT && (
+                <VStack align="stretch" spacing={4}>
+                  <HStack spacing={1}>
+                    {GRADIENT_TYPE_OPTIONS.map((option) => (
+                      <Button
+                        key={option.type}
+                        size="xs"
+                        flex={1}
+                        variant={gradient.type === option.type ? 'solid' : 'outline'}
+                        colorScheme={gradient.type === option.type ? 'blue' : 'gray'}
+                        onClick={() => setGradient((current) => ({ ...current, type: option.type }))}
+                      >
+                        {option.label}
+                      </Button>
+                    ))}
+                  </HStack>
+                  <GradientEditor
+                    stops={gradient.stops}
+                    onChange={(stops) => setGradient((current) => ({ ...current, stops }))}
+                  />
+                  <Text fontSize="sm" color="gray.600">
+                    Click the bar to add a stop and drag stops to move them. Drag on the canvas to draw the gradient; hold Shift to snap to 45 degrees.
+                  </Text>
                 </VStack>
               )}
 
@@ -2254,16 +6499,825 @@ function UnifiedPhotoEditor() {
                 </VStack>
               )}
 
-              {hasDocument(doc) && activeTool === TOOLS.CROP && (
+              {hasDocument(doc) && activeTool === TOOLS.TEXT && !isTextLayer(activeLayer) && (
+                <Text fontSize="sm" color="gray.600">
+                  Click the canvas to add a text layer, or click existing text to edit it.
+                </Text>
+              )}
+
+              {hasDocument(doc) && activeTool === TOOLS.TEXT && isTextLayer(activeLayer) && (
+                <VStack align="stretch" spacing={4}>
+                  <Textarea
+                    key={activeLayer.id}
+                    value={activeLayer.text.content}
+                    rows={3}
+                    size="sm"
+                    autoFocus
+                    onChange={(event) => updateTextSettings(activeLayer.id, { content: event.target.value }, false)}
+                    onBlur={() => commitTransientChanges('Edit text')}
+                  />
+                  <HStack>
+                    <Select
+                      size="sm"
+                      value={activeLayer.text.fontFamily}
+                      onChange={(event) => updateTextSettings(activeLayer.id, { fontFamily: event.target.value })}
+                    >
+                      {TEXT_FONT_FAMILIES.map((font) => (
+                        <option key={font.label} value={font.value}>{font.label}</option>
+                      ))}
+                    </Select>
+                    <Select
+                      size="sm"
+                      value={activeLayer.text.fontWeight}
+                      onChange={(event) => updateTextSettings(activeLayer.id, { fontWeight: Number(event.target.value) })}
+                      w="120px"
+                    >
+                      {TEXT_FONT_WEIGHTS.map((weight) => (
+                        <option key={weight.value} value={weight.value}>{weight.label}</option>
+                      ))}
+                    </Select>
+                  </HStack>
+                  <Box>
+                    <HStack justify="space-between" mb={2}>
+                      <Text fontSize="sm">Size</Text>
+                      <Text fontSize="sm" color="gray.600">{activeLayer.text.fontSize}px</Text>
+                    </HStack>
+                    <Slider
+                      value={activeLayer.text.fontSize}
+                      min={8}
+                      max={Math.max(240, activeLayer.text.fontSize)}
+                      onChange={(fontSize) => updateTextSettings(activeLayer.id, { fontSize }, false)}
+                      onChangeEnd={(fontSize) => updateTextSettings(activeLayer.id, { fontSize }, true)}
+                    >
+                      <SliderTrack><SliderFilledTrack /></SliderTrack>
+                      <SliderThumb />
+                    </Slider>
+                  </Box>
+                  <HStack justify="space-between">
+                    <Text fontSize="sm">Color</Text>
+                    <HStack spacing={1}>
+                      {TEXT_ALIGNMENTS.map((align) => {
+                        const AlignIcon = TEXT_ALIGN_ICONS[align];
+                        return (
+                          <IconButton
+                            key={align}
+                            aria-label={`Align ${align}`}
+                            icon={<AlignIcon size={16} />}
+                            size="sm"
+                            variant={activeLayer.text.align === align ? 'solid' : 'ghost'}
+                            colorScheme={activeLayer.text.align === align ? 'blue' : 'gray'}
+                            onClick={() => updateTextSettings(activeLayer.id, { align })}
+                          />
+                        );
+                      })}
+                      <Input
+                        type="color"
+                        value={activeLayer.text.color}
+                        onChange={(event) => updateTextSettings(activeLayer.id, { color: event.target.value }, false)}
+                        onBlur={() => commitTransientChanges('Text color')}
+                        w="56px"
+                        h="32px"
+                        p={1}
+                      />
+                    </HStack>
+                  </HStack>
+                  <HStack justify="space-between">
+                    <HStack>
+                      <Switch
+                        isChecked={activeLayer.text.outlineEnabled}
+                        onChange={(event) => updateTextSettings(activeLayer.id, { outlineEnabled: event.target.checked })}
+                      />
+                      <Text fontSize="sm">Outline</Text>
+                    </HStack>
+                    <HStack>
+                      <Input
+                        type="number"
+                        min={1}
+                        max={40}
+                        value={activeLayer.text.outlineWidth}
+                        onChange={(event) => updateTextSettings(activeLayer.id, { outlineWidth: clamp(Number(event.target.value) || 1, 1, 40) })}
+                        isDisabled={!activeLayer.text.outlineEnabled}
+                        size="sm"
+                        w="64px"
+                      />
+                      <Input
+                        type="color"
+                        value={activeLayer.text.outlineColor}
+                        onChange={(event) => updateTextSettings(activeLayer.id, { outlineColor: event.target.value }, false)}
+                        onBlur={() => commitTransientChanges('Text outline')}
+                        isDisabled={!activeLayer.text.outlineEnabled}
+                        w="56px"
+                        h="32px"
+                        p={1}
+                      />
+                    </HStack>
+                  </HStack>
+                  <HStack justify="space-between">
+                    <HStack>
+                      <Switch
+                        isChecked={activeLayer.text.backgroundEnabled}
+                        onChange={(event) => updateTextSettings(activeLayer.id, { backgroundEnabled: event.target.checked })}
+                      />
+                      <Text fontSize="sm">Background</Text>
+                    </HStack>
+                    <HStack>
+                      <Input
+                        type="number"
+                        min={0}
+                        max={200}
+                        value={activeLayer.text.backgroundPadding}
+                        onChange={(event) => updateTextSettings(activeLayer.id, { backgroundPadding: clamp(Number(event.target.value) || 0, 0, 200) })}
+                        isDisabled={!activeLayer.text.backgroundEnabled}
+                        size="sm"
+                        w="64px"
+                      />
+                      <Input
+                        type="color"
+                        value={activeLayer.text.backgroundColor}
+                        onChange={(event) => updateTextSettings(activeLayer.id, { backgroundColor: event.target.value }, false)}
+                        onBlur={() => commitTransientChanges('Text background')}
+                        isDisabled={!activeLayer.text.backgroundEnabled}
+                        w="56px"
+                        h="32px"
+                        p={1}
+                      />
+                    </HStack>
+                  </HStack>
+                  <Button size="sm" onClick={rasterizeActiveLayer}>
+                    Rasterize Text
+                  </Button>
+                </VStack>
+              )}
+
+              {hasDocument(doc) && activeTool === TOOLS.SHAPE && (
+                <VStack align="stretch" spacing={4}>
+                  <HStack spacing={1}>
+                    {SHAPE_OPTIONS.map((option) => (
+                      <ToolButton
+                        key={option.kind}
+                        icon={option.icon}
+                        label={option.label}
+                        isActive={shapeKind === option.kind}
+                        onClick={() => setShapeKind(option.kind)}
+                      />
+                    ))}
+                  </HStack>
+                  <Text fontSize="sm" color="gray.600">
+                    Drag on the canvas to draw. Drag the handles to edit the active shape, and hold Shift to snap angles or keep sides equal.
+                  </Text>
+                  <HStack justify="space-between">
+                    <Text fontSize="sm">Stroke</Text>
+                    <Input
+                      type="color"
+                      value={activeShapeStyle.strokeColor}
+                      onChange={(event) => updateShapeStyle({ strokeColor: event.target.value }, false)}
+                      onBlur={() => commitTransientChanges('Stroke color')}
+                      w="86px"
+                      h="36px"
+                      p={1}
+                    />
+                  </HStack>
+                  <Box>
+                    <HStack justify="space-between" mb={2}>
+                      <Text fontSize="sm">Width</Text>
+                      <Text fontSize="sm" color="gray.600">{activeShapeStyle.strokeWidth}px</Text>
+                    </HStack>
+                    <Slider
+                      value={activeShapeStyle.strokeWidth}
+                      min={1}
+                      max={60}
+                      onChange={(strokeWidth) => updateShapeStyle({ strokeWidth }, false)}
+                      onChangeEnd={(strokeWidth) => updateShapeStyle({ strokeWidth }, true)}
+                    >
+                      <SliderTrack><SliderFilledTrack /></SliderTrack>
+                      <SliderThumb />
+                    </Slider>
+                  </Box>
+                  <HStack justify="space-between">
+                    <Text fontSize="sm">Dash</Text>
+                    <Select
+                      size="sm"
+                      w="140px"
+                      value={activeShapeStyle.dashStyle}
+                      onChange={(event) => updateShapeStyle({ dashStyle: event.target.value })}
+                    >
+                      {DASH_STYLES.map((dash) => (
+                        <option key={dash.value} value={dash.value}>{dash.label}</option>
+                      ))}
+                    </Select>
+                  </HStack>
+                  {!isLinearShape({ kind: activeShapeKind }) && (
+                    <HStack justify="space-between">
+                      <HStack>
+                        <Switch
+                          isChecked={activeShapeStyle.fillEnabled}
+                          onChange={(event) => updateShapeStyle({ fillEnabled: event.target.checked })}
+                        />
+                        <Text fontSize="sm">Fill</Text>
+                      </HStack>
+                      <Input
+                        type="color"
+                        value={activeShapeStyle.fillColor}
+                        onChange={(event) => updateShapeStyle({ fillColor: event.target.value }, false)}
+                        onBlur={() => commitTransientChanges('Shape fill')}
+                        isDisabled={!activeShapeStyle.fillEnabled}
+                        w="86px"
+                        h="36px"
+                        p={1}
+                      />
+                    </HStack>
+                  )}
+                  {activeShapeKind === SHAPE_KINDS.ARROW && (
+                    <>
+                      <HStack justify="space-between">
+                        <Text fontSize="sm">Arrowhead</Text>
+                        <Select
+                          size="sm"
+                          w="140px"
+                          value={activeShapeStyle.arrowHead}
+                          onChange={(event) => updateShapeStyle({ arrowHead: event.target.value })}
+                        >
+                          {ARROW_HEADS.map((head) => (
+                            <option key={head.value} value={head.value}>{head.label}</option>
+                          ))}
+                        </Select>
+                      </HStack>
+                      <HStack justify="space-between">
+                        <Text fontSize="sm">Both ends</Text>
+                        <Switch
+                          isChecked={activeShapeStyle.arrowBothEnds}
+                          onChange={(event) => updateShapeStyle({ arrowBothEnds: event.target.checked })}
+                        />
+                      </HStack>
+                    </>
+                  )}
+                  {isShapeLayer(activeLayer) && (
+                    <Button size="sm" onClick={rasterizeActiveLayer}>
+                      Flatten Shape
+                    </Button>
+                  )}
+                </VStack>
+              )}
+
+              {hasDocument(doc) && activeTool === TOOLS.CALLOUT && (
+                <VStack align="stretch" spacing={4}>
+                  <HStack spacing={2}>
+                    {CALLOUT_KIND_OPTIONS.map((option) => (
+                      <Button
+                        key={option.kind}
+                        size="xs"
+                        variant={calloutKind === option.kind ? 'solid' : 'outline'}
+                        colorScheme={calloutKind === option.kind ? 'blue' : 'gray'}
+                        onClick={() => setCalloutKind(option.kind)}
+                      >
+                        {option.label}
+                      </Button>
+                    ))}
+                  </HStack>
+                  <Text fontSize="sm" color="gray.600">
+                    {calloutKind === CALLOUT_KINDS.BADGE
+                      ? 'Click to drop the next numbered step. Badges number themselves from the bottom of the layer stack up, so deleting or reordering them renumbers the rest.'
+                      : 'Press where the tail should point and drag to place the box. Drag a callout to move it, or drag its round handle to move the tail.'}
+                  </Text>
+                  {isCalloutLayer(activeLayer) && activeLayer.callout.kind === CALLOUT_KINDS.BUBBLE && (
+                    <Textarea
+                      key={activeLayer.id}
+                      value={activeLayer.callout.content}
+                      rows={3}
+                      size="sm"
+                      onChange={(event) => updateCalloutStyle({ content: event.target.value }, false)}
+                      onBlur={() => commitTransientChanges('Edit callout')}
+                    />
+                  )}
+                  <Select
+                    size="sm"
+                    value={activeCalloutStyle.fontFamily}
+                    onChange={(event) => updateCalloutStyle({ fontFamily: event.target.value })}
+                  >
+                    {TEXT_FONT_FAMILIES.map((font) => (
+                      <option key={font.label} value={font.value}>{font.label}</option>
+                    ))}
+                  </Select>
+                  <Box>
+                    <HStack justify="space-between" mb={2}>
+                      <Text fontSize="sm">Size</Text>
+                      <Text fontSize="sm" color="gray.600">{activeCalloutStyle.fontSize}px</Text>
+                    </HStack>
+                    <Slider
+                      value={activeCalloutStyle.fontSize}
+                      min={10}
+                      max={Math.max(160, activeCalloutStyle.fontSize)}
+                      onChange={(fontSize) => updateCalloutStyle({ fontSize }, false)}
+                      onChangeEnd={(fontSize) => updateCalloutStyle({ fontSize }, true)}
+                    >
+                      <SliderTrack><SliderFilledTrack /></SliderTrack>
+                      <SliderThumb />
+                    </Slider>
+                  </Box>
+                  <HStack justify="space-between">
+                    <Text fontSize="sm">Fill</Text>
+                    <Input
+                      type="color"
+                      value={activeCalloutStyle.fillColor}
+                      onChange={(event) => updateCalloutStyle({ fillColor: event.target.value }, false)}
+                      onBlur={() => commitTransientChanges('Callout fill')}
+                      w="86px"
+                      h="36px"
+                      p={1}
+                    />
+                  </HStack>
+                  <HStack justify="space-between">
+                    <Text fontSize="sm">Text</Text>
+                    <Input
+                      type="color"
+                      value={activeCalloutStyle.textColor}
+                      onChange={(event) => updateCalloutStyle({ textColor: event.target.value }, false)}
+                      onBlur={() => commitTransientChanges('Callout text color')}
+                      w="86px"
+                      h="36px"
+                      p={1}
+                    />
+                  </HStack>
+                  <HStack justify="space-between">
+                    <Text fontSize="sm">Border</Text>
+                    <Input
+                      type="color"
+                      value={activeCalloutStyle.borderColor}
+                      onChange={(event) => updateCalloutStyle({ borderColor: event.target.value }, false)}
+                      onBlur={() => commitTransientChanges('Callout border')}
+                      isDisabled={activeCalloutStyle.borderWidth === 0}
+                      w="86px"
+                      h="36px"
+                      p={1}
+                    />
+                  </HStack>
+                  <Box>
+                    <HStack justify="space-between" mb={2}>
+                      <Text fontSize="sm">Border width</Text>
+                      <Text fontSize="sm" color="gray.600">{activeCalloutStyle.borderWidth}px</Text>
+                    </HStack>
+                    <Slider
+                      value={activeCalloutStyle.borderWidth}
+                      min={0}
+                      max={Math.max(16, activeCalloutStyle.borderWidth)}
+                      step={0.5}
+                      onChange={(borderWidth) => updateCalloutStyle({ borderWidth }, false)}
+                      onChangeEnd={(borderWidth) => updateCalloutStyle({ borderWidth }, true)}
+                    >
+                      <SliderTrack><SliderFilledTrack /></SliderTrack>
+                      <SliderThumb />
+                    </Slider>
+                  </Box>
+                  {isCalloutLayer(activeLayer) && (
+                    <Button size="sm" onClick={rasterizeActiveLayer}>
+                      Flatten Callout
+                    </Button>
+                  )}
+                </VStack>
+              )}
+
+              {hasDocument(doc) && activeTool === TOOLS.SELECT && (
+                <VStack align="stretch" spacing={4}>
+                  <HStack spacing={1}>
+                    {SELECTION_SHAPE_OPTIONS.map((option) => (
+                      <ToolButton
+                        key={option.shape}
+                        icon={option.icon}
+                        label={option.label}
+                        isActive={selectionShape === option.shape}
+                        onClick={() => setSelectionShape(option.shape)}
+                      />
+                    ))}
+                  </HStack>
+                  <HStack spacing={1}>
+                    {SELECTION_MODE_OPTIONS.map((option) => (
+                      <Button
+                        key={option.mode}
+                        size="xs"
+                        flex={1}
+                        variant={selectionMode === option.mode ? 'solid' : 'outline'}
+                        colorScheme={selectionMode === option.mode ? 'blue' : 'gray'}
+                        onClick={() => setSelectionMode(option.mode)}
+                      >
+                        {option.label}
+                      </Button>
+                    ))}
+                  </HStack>
+                  <Text fontSize="sm" color="gray.600">
+                    {selectionShape === SELECTION_SHAPES.POLYGON
+                      ? 'Click to add points, then click the first point or double-click to close. Esc cancels.'
+                      : 'Hold Shift to add, Alt to subtract, or Shift+Alt to intersect with the current selection.'}
+                  </Text>
+                  {selectionShape === SELECTION_SHAPES.WAND && (
+                    <>
+                      <Box>
+                        <HStack justify="space-between" mb={2}>
+                          <Text fontSize="sm">Tolerance</Text>
+                          <Text fontSize="sm" color="gray.600">{wandSettings.tolerance}</Text>
+                        </HStack>
+                        <Slider
+                          value={wandSettings.tolerance}
+                          min={0}
+                          max={255}
+                          onChange={(tolerance) => setWandSettings((current) => ({ ...current, tolerance }))}
+                        >
+                          <SliderTrack><SliderFilledTrack /></SliderTrack>
+                          <SliderThumb />
+                        </Slider>
+                      </Box>
+                      <HStack justify="space-between">
+                        <Text fontSize="sm">Contiguous</Text>
+                        <Switch
+                          isChecked={wandSettings.contiguous}
+                          onChange={(event) => setWandSettings((current) => ({ ...current, contiguous: event.target.checked }))}
+                        />
+                      </HStack>
+                      <HStack justify="space-between">
+                        <Text fontSize="sm">Sample all layers</Text>
+                        <Switch
+                          isChecked={wandSettings.sampleMerged}
+                          onChange={(event) => setWandSettings((current) => ({ ...current, sampleMerged: event.target.checked }))}
+                        />
+                      </HStack>
+                    </>
+                  )}
+                  <HStack justify="space-between" fontSize="sm">
+                    <Text>Selection</Text>
+                    <Text color="gray.600">
+                      {selection ? `${selection.bounds.width} x ${selection.bounds.height}px` : 'None'}
+                    </Text>
+                  </HStack>
+                  <HStack>
+                    <Button size="sm" flex={1} onClick={selectAll}>All</Button>
+                    <Button size="sm" flex={1} onClick={invertSelection}>Invert</Button>
+                    <Button size="sm" flex={1} onClick={deselect} isDisabled={!selection}>Deselect</Button>
+                  </HStack>
+                  <HStack>
+                    <Button size="sm" flex={1} leftIcon={<Copy size={16} />} onClick={copySelection}>Copy</Button>
+                    <Button size="sm" flex={1} leftIcon={<Scissors size={16} />} onClick={cutSelection}>Cut</Button>
+                    <Button
+                      size="sm"
+                      flex={1}
+                      leftIcon={<ClipboardPaste size={16} />}
+                      onClick={pasteInternalClipboard}
+                      isDisabled={!hasClipboard}
+                    >
+                      Paste
+                    </Button>
+                  </HStack>
+                </VStack>
+              )}
+
+              {hasDocument(doc) && activeTool === TOOLS.REDACT && (
+                <VStack align="stretch" spacing={4}>
+                  <Text fontSize="sm" color="gray.600">
+                    Drag over sensitive content. The pixels underneath are replaced, so they cannot be recovered from an export.
+                  </Text>
+                  <HStack spacing={2}>
+                    <Button
+                      size="sm"
+                      flex={1}
+                      variant={redactionSettings.area === REDACTION_AREAS.RECTANGLE ? 'solid' : 'outline'}
+                      colorScheme={redactionSettings.area === REDACTION_AREAS.RECTANGLE ? 'blue' : 'gray'}
+                      onClick={() => updateRedactionSettings({ area: REDACTION_AREAS.RECTANGLE })}
+                    >
+                      Rectangle
+                    </Button>
+                    <Button
+                      size="sm"
+                      flex={1}
+                      variant={redactionSettings.area === REDACTION_AREAS.FREEHAND ? 'solid' : 'outline'}
+                      colorScheme={redactionSettings.area === REDACTION_AREAS.FREEHAND ? 'blue' : 'gray'}
+                      onClick={() => updateRedactionSettings({ area: REDACTION_AREAS.FREEHAND })}
+                    >
+                      Freehand
+                    </Button>
+                  </HStack>
+                  <HStack justify="space-between">
+                    <Text fontSize="sm">Effect</Text>
+                    <Select
+                      size="sm"
+                      w="160px"
+                      value={redactionSettings.mode}
+                      onChange={(event) => updateRedactionSettings({ mode: event.target.value })}
+                    >
+                      <option value={REDACTION_MODES.PIXELATE}>Pixelate</option>
+                      <option value={REDACTION_MODES.BLUR}>Gaussian blur</option>
+                      <option value={REDACTION_MODES.FILL}>Solid fill</option>
+                    </Select>
+                  </HStack>
+                  {redactionSettings.mode === REDACTION_MODES.PIXELATE && (
+                    <Box>
+                      <HStack justify="space-between" mb={2}>
+                        <Text fontSize="sm">Block size</Text>
+                        <Text fontSize="sm" color="gray.600">{redactionSettings.blockSize}px</Text>
+                      </HStack>
+                      <Slider
+                        value={redactionSettings.blockSize}
+                        min={4}
+                        max={64}
+                        onChange={(blockSize) => updateRedactionSettings({ blockSize })}
+                      >
+                        <SliderTrack><SliderFilledTrack /></SliderTrack>
+                        <SliderThumb />
+                      </Slider>
+                    </Box>
+                  )}
+                  {redactionSettings.mode === REDACTION_MODES.BLUR && (
+                    <Box>
+                      <HStack justify="space-between" mb={2}>
+                        <Text fontSize="sm">Radius</Text>
+                        <Text fontSize="sm" color="gray.600">{redactionSettings.blurRadius}px</Text>
+                      </HStack>
+                      <Slider
+                        value={redactionSettings.blurRadius}
+                        min={2}
+                        max={60}
+                        onChange={(blurRadius) => updateRedactionSettings({ blurRadius })}
+                      >
+                        <SliderTrack><SliderFilledTrack /></SliderTrack>
+                        <SliderThumb />
+                      </Slider>
+                    </Box>
+                  )}
+                  {redactionSettings.mode === REDACTION_MODES.FILL && (
+                    <HStack justify="space-between">
+                      <Text fontSize="sm">Fill color</Text>
+                      <Input
+                        type="color"
+                        value={redactionSettings.fillColor}
+                        onChange={(event) => updateRedactionSettings({ fillColor: event.target.value })}
+                        w="86px"
+                        h="36px"
+                        p={1}
+                      />
+                    </HStack>
+                  )}
+                  <HStack justify="space-between">
+                    <Text fontSize="sm">Apply to</Text>
+                    <Select
+                      size="sm"
+                      w="160px"
+                      value={redactionSettings.target}
+                      onChange={(event) => updateRedactionSettings({ target: event.target.value })}
+                    >
+                      <option value={REDACTION_TARGETS.COMPOSITE}>All layers</option>
+                      <option value={REDACTION_TARGETS.LAYER}>Active layer</option>
+                    </Select>
+                  </HStack>
+                  {redactionSettings.target === REDACTION_TARGETS.COMPOSITE && (
+                    <Text fontSize="xs" color="gray.500">
+                      The area is erased from every layer and the redacted result is added as a new layer.
+                    </Text>
+                  )}
+                </VStack>
+              )}
+
+              {hasDocument(doc) && activeTool === TOOLS.CROP && (
+                <HStack spacing={2} mb={4}>
+                  {CROP_MODE_OPTIONS.map((option) => (
+                    <Button
+                      key={option.mode}
+                      size="xs"
+                      variant={cropSettings.mode === option.mode ? 'solid' : 'outline'}
+                      colorScheme={cropSettings.mode === option.mode ? 'blue' : 'gray'}
+                      onClick={() => setCropSettings((current) => ({ ...current, mode: option.mode }))}
+                    >
+                      {option.label}
+                    </Button>
+                  ))}
+                </HStack>
+              )}
+
+              {hasDocument(doc) && activeTool === TOOLS.CROP && cropSettings.mode === 'perspective' && (
+                <VStack align="stretch" spacing={4}>
+                  <Text fontSize="sm" color="gray.600">
+                    Drag the four corners onto the corners of the slide, page, or screen, then apply to flatten it into a rectangle.
+                  </Text>
+                  <HStack justify="space-between">
+                    <Text fontSize="sm">Auto size</Text>
+                    <Switch
+                      isChecked={perspectiveSize.isAuto}
+                      onChange={(event) => setPerspectiveSize((current) => ({
+                        ...current,
+                        ...(perspectiveQuad ? getPerspectiveOutputSize(perspectiveQuad) : {}),
+                        isAuto: event.target.checked,
+                      }))}
+                    />
+                  </HStack>
+                  <HStack>
+                    {[
+                      { key: 'width', label: 'Width' },
+                      { key: 'height', label: 'Height' },
+                    ].map((field) => (
+                      <Box key={field.key} flex={1}>
+                        <Text fontSize="sm" mb={1}>{field.label}</Text>
+                        <Input
+                          type="number"
+                          min={MIN_DIMENSION}
+                          max={MAX_DIMENSION}
+                          value={perspectiveSize.isAuto && perspectiveQuad
+                            ? getPerspectiveOutputSize(perspectiveQuad)[field.key]
+                            : perspectiveSize[field.key]}
+                          isDisabled={perspectiveSize.isAuto}
+                          onChange={(event) => setPerspectiveSize((current) => ({
+                            ...current,
+                            [field.key]: clampDimension(event.target.value),
+                          }))}
+                        />
+                      </Box>
+                    ))}
+                  </HStack>
+                  {vectorLayerCount > 0 && (
+                    <Alert status="warning" borderRadius="md">
+                      <AlertIcon />
+                      <AlertDescription fontSize="sm">
+                        {vectorLayerCount} text, shape or callout layer{vectorLayerCount === 1 ? '' : 's'} will be rasterized so {vectorLayerCount === 1 ? 'it stays' : 'they stay'} aligned with the image. Undo brings them back as editable layers.
+                      </AlertDescription>
+                    </Alert>
+                  )}
+                  <HStack>
+                    <Button
+                      leftIcon={<Check size={16} />}
+                      colorScheme={vectorLayerCount > 0 ? 'orange' : 'blue'}
+                      size="sm"
+                      onClick={applyPerspectiveCrop}
+                      isDisabled={!perspectiveQuad}
+                      flex={1}
+                    >
+                      {vectorLayerCount > 0 ? 'Rasterize & Apply' : 'Apply Perspective'}
+                    </Button>
+                    <Button
+                      leftIcon={<RotateCcw size={16} />}
+                      size="sm"
+                      onClick={() => setPerspectiveQuad(getCropCorners(createDefaultCrop(docRef.current)))}
+                      flex={1}
+                    >
+                      Reset
+                    </Button>
+                  </HStack>
+                </VStack>
+              )}
+
+              {hasDocument(doc) && activeTool === TOOLS.CROP && cropSettings.mode === 'rectangle' && (
                 <VStack align="stretch" spacing={4}>
                   <Text fontSize="sm" color="gray.600">
-                    Drag the crop box or its handles, then apply it to the whole document.
+                    Drag the crop box or its handles, then apply it to the whole document. Hold Shift to keep the current shape. Drag just outside a corner to rotate the box.
                   </Text>
-                  <HStack justify="space-between" fontSize="sm">
-                    <Text>Selection</Text>
-                    <Text color="gray.600">
-                      {crop ? `${crop.width} x ${crop.height}px` : 'None'}
+                  <Box>
+                    <Text fontSize="sm" mb={2}>Aspect ratio</Text>
+                    <HStack spacing={1} flexWrap="wrap" rowGap={1}>
+                      {CROP_ASPECT_OPTIONS.map((option) => (
+                        <Button
+                          key={option.id}
+                          size="xs"
+                          variant={cropSettings.aspect === option.id ? 'solid' : 'outline'}
+                          colorScheme={cropSettings.aspect === option.id ? 'blue' : 'gray'}
+                          onClick={() => updateCropSettings({ aspect: option.id })}
+                        >
+                          {option.label}
+                        </Button>
+                      ))}
+                    </HStack>
+                  </Box>
+                  {cropSettings.aspect === 'custom' && (
+                    <HStack>
+                      <Input
+                        type="number"
+                        size="sm"
+                        min={1}
+                        aria-label="Ratio width"
+                        value={cropSettings.customWidth}
+                        onChange={(event) => updateCropSettings({ customWidth: Number(event.target.value) })}
+                      />
+                      <Text fontSize="sm">:</Text>
+                      <Input
+                        type="number"
+                        size="sm"
+                        min={1}
+                        aria-label="Ratio height"
+                        value={cropSettings.customHeight}
+                        onChange={(event) => updateCropSettings({ customHeight: Number(event.target.value) })}
+                      />
+                    </HStack>
+                  )}
+                  {crop && (
+                    <Grid templateColumns="repeat(2, minmax(0, 1fr))" gap={2}>
+                      {[
+                        { key: 'x', label: 'X' },
+                        { key: 'y', label: 'Y' },
+                        { key: 'width', label: 'W' },
+                        { key: 'height', label: 'H' },
+                      ].map((field) => (
+                        <HStack key={field.key} spacing={2}>
+                          <Text fontSize="sm" w="16px">{field.label}</Text>
+                          <Input
+                            type="number"
+                            size="sm"
+                            min={field.key === 'width' || field.key === 'height' ? 1 : 0}
+                            value={crop[field.key]}
+                            onChange={(event) => updateCropValue(field.key, event.target.value)}
+                          />
+                        </HStack>
+                      ))}
+                    </Grid>
+                  )}
+                  {crop && (
+                    <Box>
+                      <HStack justify="space-between" mb={2}>
+                        <Text fontSize="sm">Angle</Text>
+                        <HStack spacing={1}>
+                          <Input
+                            type="number"
+                            size="sm"
+                            w="80px"
+                            step={0.1}
+                            aria-label="Crop angle"
+                            value={crop.rotationDeg ?? 0}
+                            onChange={(event) => rotateCrop(Number(event.target.value))}
+                          />
+                          <Text fontSize="sm" color="gray.600">°</Text>
+                        </HStack>
+                      </HStack>
+                      <Slider
+                        value={clamp(crop.rotationDeg ?? 0, -45, 45)}
+                        min={-45}
+                        max={45}
+                        step={0.1}
+                        onChangeStart={() => {
+                          cropRotationBaseRef.current = cropRef.current;
+                        }}
+                        onChange={(rotationDeg) => rotateCrop(rotationDeg, cropRotationBaseRef.current || cropRef.current)}
+                        onChangeEnd={() => {
+                          cropRotationBaseRef.current = null;
+                        }}
+                      >
+                        <SliderTrack><SliderFilledTrack /></SliderTrack>
+                        <SliderThumb />
+                      </Slider>
+                    </Box>
+                  )}
+                  <Button
+                    leftIcon={<Ruler size={16} />}
+                    size="sm"
+                    variant={isStraightening ? 'solid' : 'outline'}
+                    colorScheme={isStraightening ? 'blue' : 'gray'}
+                    onClick={() => setIsStraightening((current) => !current)}
+                  >
+                    Straighten
+                  </Button>
+                  {isStraightening && (
+                    <Text fontSize="sm" color="gray.600">
+                      Drag along a line in the photo that should be level or upright, such as a horizon or the edge of a page.
                     </Text>
+                  )}
+                  <Box>
+                    <HStack justify="space-between" mb={2}>
+                      <Text fontSize="sm">Trim tolerance</Text>
+                      <Text fontSize="sm" color="gray.600">{cropSettings.trimTolerance}</Text>
+                    </HStack>
+                    <Slider
+                      value={cropSettings.trimTolerance}
+                      min={0}
+                      max={255}
+                      onChange={(trimTolerance) => setCropSettings((current) => ({ ...current, trimTolerance }))}
+                    >
+                      <SliderTrack><SliderFilledTrack /></SliderTrack>
+                      <SliderThumb />
+                    </Slider>
+                  </Box>
+                  <HStack>
+                    <Button
+                      leftIcon={<Shrink size={16} />}
+                      size="sm"
+                      variant="outline"
+                      onClick={() => trimDocument(TRIM_MODES.TRANSPARENT)}
+                      flex={1}
+                    >
+                      Trim Transparent
+                    </Button>
+                    <Button
+                      leftIcon={<Shrink size={16} />}
+                      size="sm"
+                      variant="outline"
+                      onClick={() => trimDocument(TRIM_MODES.COLOR)}
+                      flex={1}
+                    >
+                      Trim Border
+                    </Button>
+                  </HStack>
+                  <HStack justify="space-between">
+                    <Text fontSize="sm">Guides</Text>
+                    <Select
+                      size="sm"
+                      w="160px"
+                      value={cropSettings.guide}
+                      onChange={(event) => updateCropSettings({ guide: event.target.value })}
+                    >
+                      {CROP_GUIDE_OPTIONS.map((option) => (
+                        <option key={option.id} value={option.id}>{option.label}</option>
+                      ))}
+                    </Select>
                   </HStack>
                   <HStack>
                     <Button
@@ -2288,6 +7342,120 @@ function UnifiedPhotoEditor() {
               )}
 
               {hasDocument(doc) && activeTool === TOOLS.RESIZE && (
+                <HStack spacing={2} mb={4}>
+                  {[
+                    { mode: 'image', label: 'Image Size' },
+                    { mode: 'canvas', label: 'Canvas Size' },
+                  ].map((option) => (
+                    <Button
+                      key={option.mode}
+                      size="xs"
+                      variant={resizeMode === option.mode ? 'solid' : 'outline'}
+                      colorScheme={resizeMode === option.mode ? 'blue' : 'gray'}
+                      onClick={() => setResizeMode(option.mode)}
+                    >
+                      {option.label}
+                    </Button>
+                  ))}
+                </HStack>
+              )}
+
+              {hasDocument(doc) && activeTool === TOOLS.RESIZE && resizeMode === 'canvas' && (
+                <VStack align="stretch" spacing={4}>
+                  <Text fontSize="sm" color="gray.600">
+                    Change the document bounds without scaling any pixels. The anchor sets which part of the image stays in place. Layers keep pixels that end up outside the canvas, so you can move them back into view.
+                  </Text>
+                  <HStack spacing={2}>
+                    {[
+                      { isRelative: false, label: 'Absolute' },
+                      { isRelative: true, label: 'Relative' },
+                    ].map((option) => (
+                      <Button
+                        key={option.label}
+                        size="xs"
+                        variant={canvasSizeDraft.isRelative === option.isRelative ? 'solid' : 'outline'}
+                        colorScheme={canvasSizeDraft.isRelative === option.isRelative ? 'blue' : 'gray'}
+                        onClick={() => updateCanvasSizeDraft({ isRelative: option.isRelative })}
+                      >
+                        {option.label}
+                      </Button>
+                    ))}
+                  </HStack>
+                  <HStack>
+                    <Box flex={1}>
+                      <Text fontSize="sm" mb={1}>{canvasSizeDraft.isRelative ? 'Add width' : 'Width'}</Text>
+                      <Input
+                        type="number"
+                        value={getCanvasSizeInputValue(canvasSizeDraft.width, doc.width, canvasSizeDraft.isRelative)}
+                        onChange={(event) => updateCanvasSizeDraft({
+                          width: getCanvasSizeFromInput(event.target.value, doc.width, canvasSizeDraft.isRelative),
+                        })}
+                      />
+                    </Box>
+                    <Box flex={1}>
+                      <Text fontSize="sm" mb={1}>{canvasSizeDraft.isRelative ? 'Add height' : 'Height'}</Text>
+                      <Input
+                        type="number"
+                        value={getCanvasSizeInputValue(canvasSizeDraft.height, doc.height, canvasSizeDraft.isRelative)}
+                        onChange={(event) => updateCanvasSizeDraft({
+                          height: getCanvasSizeFromInput(event.target.value, doc.height, canvasSizeDraft.isRelative),
+                        })}
+                      />
+                    </Box>
+                  </HStack>
+                  <HStack justify="space-between" align="start">
+                    <Text fontSize="sm">Anchor</Text>
+                    <Grid templateColumns="repeat(3, 28px)" gap={1}>
+                      {CANVAS_ANCHORS.map((anchor) => (
+                        <Tooltip key={anchor.id} label={anchor.label} hasArrow>
+                          <Button
+                            aria-label={anchor.label}
+                            size="xs"
+                            minW="28px"
+                            h="28px"
+                            p={0}
+                            variant={canvasSizeDraft.anchorId === anchor.id ? 'solid' : 'outline'}
+                            colorScheme={canvasSizeDraft.anchorId === anchor.id ? 'blue' : 'gray'}
+                            onClick={() => updateCanvasSizeDraft({ anchorId: anchor.id })}
+                          />
+                        </Tooltip>
+                      ))}
+                    </Grid>
+                  </HStack>
+                  <HStack justify="space-between">
+                    <HStack>
+                      <Switch
+                        isChecked={canvasSizeDraft.fillEnabled}
+                        onChange={(event) => updateCanvasSizeDraft({ fillEnabled: event.target.checked })}
+                      />
+                      <Text fontSize="sm">Fill new area</Text>
+                    </HStack>
+                    <Input
+                      type="color"
+                      value={canvasSizeDraft.fillColor}
+                      onChange={(event) => updateCanvasSizeDraft({ fillColor: event.target.value })}
+                      isDisabled={!canvasSizeDraft.fillEnabled}
+                      w="86px"
+                      h="36px"
+                      p={1}
+                    />
+                  </HStack>
+                  <Text fontSize="sm" color="gray.600">
+                    {doc.width} x {doc.height} to {canvasSizeDraft.width} x {canvasSizeDraft.height}
+                  </Text>
+                  <Button
+                    leftIcon={<Check size={16} />}
+                    colorScheme="blue"
+                    size="sm"
+                    onClick={applyCanvasSize}
+                    isDisabled={canvasSizeDraft.width === doc.width && canvasSizeDraft.height === doc.height}
+                  >
+                    Apply Canvas Size
+                  </Button>
+                </VStack>
+              )}
+
+              {hasDocument(doc) && activeTool === TOOLS.RESIZE && resizeMode === 'image' && (
                 <VStack align="stretch" spacing={4}>
                   <HStack>
                     <Box flex={1}>
@@ -2337,6 +7505,310 @@ function UnifiedPhotoEditor() {
               )}
             </Box>
 
+            <Box bg="white" border="1px solid" borderColor="gray.200" borderRadius="md" p={4}>
+              <HStack mb={3}>
+                <Palette size={18} />
+                <Text fontWeight="bold">Colors</Text>
+              </HStack>
+
+              <VStack align="stretch" spacing={3}>
+                <HStack>
+                  <Input
+                    type="color"
+                    value={brushColor}
+                    onChange={(event) => setBrushColor(event.target.value)}
+                    w="64px"
+                    h="48px"
+                    p={1}
+                  />
+                  <VStack align="stretch" spacing={1} flex={1}>
+                    <Button
+                      size="xs"
+                      leftIcon={<Pipette size={14} />}
+                      variant={activeTool === TOOLS.EYEDROPPER ? 'solid' : 'outline'}
+                      colorScheme={activeTool === TOOLS.EYEDROPPER ? 'blue' : 'gray'}
+                      onClick={() => setActiveTool(TOOLS.EYEDROPPER)}
+                      isDisabled={!hasDocument(doc)}
+                    >
+                      Eyedropper
+                    </Button>
+                    <Button
+                      size="xs"
+                      leftIcon={colorSwatches.palette.includes(brushColor) ? <Trash2 size={14} /> : <Plus size={14} />}
+                      variant="outline"
+                      onClick={() => toggleSavedColor(brushColor)}
+                    >
+                      {colorSwatches.palette.includes(brushColor) ? 'Remove from Palette' : 'Save to Palette'}
+                    </Button>
+                  </VStack>
+                </HStack>
+                <ColorValueInput label="Hex" value={brushColor} parse={parseHexColor} onCommit={pickColor} />
+                <ColorValueInput label="RGB" value={formatRgbColor(brushColor)} parse={parseRgbColor} onCommit={pickColor} />
+                <ColorValueInput label="HSL" value={formatHslColor(brushColor)} parse={parseHslColor} onCommit={pickColor} />
+                <Box>
+                  <Text fontSize="sm" mb={2}>Recent</Text>
+                  {colorSwatches.recent.length > 0 ? (
+                    <ColorSwatchGrid colors={colorSwatches.recent} activeColor={brushColor} onSelect={setBrushColor} />
+                  ) : (
+                    <Text fontSize="xs" color="gray.500">Colors you paint with or pick appear here.</Text>
+                  )}
+                </Box>
+                <Box>
+                  <Text fontSize="sm" mb={2}>Palette</Text>
+                  {colorSwatches.palette.length > 0 ? (
+                    <ColorSwatchGrid colors={colorSwatches.palette} activeColor={brushColor} onSelect={setBrushColor} />
+                  ) : (
+                    <Text fontSize="xs" color="gray.500">Save colors here to reuse them later.</Text>
+                  )}
+                </Box>
+              </VStack>
+            </Box>
+
+            <Box bg="white" border="1px solid" borderColor="gray.200" borderRadius="md" p={4}>
+              <HStack mb={3}>
+                <SunMedium size={18} />
+                <Text fontWeight="bold">Adjustments</Text>
+                {isAdjustmentLayer(activeLayer) && <Badge colorScheme="purple">Layer</Badge>}
+              </HStack>
+
+              {!activeLayer ? (
+                <Text color="gray.600" fontSize="sm">Import an image to adjust its colors.</Text>
+              ) : (
+                <VStack align="stretch" spacing={3}>
+                  <Select
+                    size="sm"
+                    aria-label="Adjustment"
+                    value={editedAdjustment.type}
+                    onChange={(event) => changeAdjustmentType(event.target.value)}
+                  >
+                    {ADJUSTMENT_OPTIONS.map(({ type, label }) => (
+                      <option key={type} value={type}>{label}</option>
+                    ))}
+                  </Select>
+
+                  {isVectorLayer(activeLayer) ? (
+                    <Text fontSize="sm" color="gray.600">
+                      Rasterize the {getVectorLayerLabel(activeLayer).toLowerCase()} layer to adjust its pixels, or add an adjustment layer above it.
+                    </Text>
+                  ) : (
+                    <>
+                      {editedAdjustment.type === ADJUSTMENT_TYPES.CURVES && (
+                        <>
+                          <CurvesEditor
+                            points={editedAdjustment.points}
+                            onChange={(points) => changeAdjustment({ points })}
+                            onChangeEnd={finishAdjustmentChange}
+                          />
+                          <Text fontSize="xs" color="gray.600">
+                            Click to add a point, drag to bend the curve, and double-click a point to remove it.
+                          </Text>
+                        </>
+                      )}
+
+                      {editedAdjustment.type === ADJUSTMENT_TYPES.COLOR_BALANCE && (
+                        <>
+                          <Select
+                            size="sm"
+                            aria-label="Tone range"
+                            value={colorBalanceRange}
+                            onChange={(event) => setColorBalanceRange(event.target.value)}
+                          >
+                            {COLOR_BALANCE_RANGES.map((range) => (
+                              <option key={range} value={range}>
+                                {range.charAt(0).toUpperCase() + range.slice(1)}
+                              </option>
+                            ))}
+                          </Select>
+                          {ADJUSTMENT_SLIDERS[ADJUSTMENT_TYPES.COLOR_BALANCE].map((control) => (
+                            <Box key={control.key}>
+                              <HStack justify="space-between" mb={2}>
+                                <Text fontSize="sm">{control.label}</Text>
+                                <Text fontSize="sm" color="gray.600">
+                                  {formatSliderValue(editedAdjustment[colorBalanceRange][control.key], control)}
+                                </Text>
+                              </HStack>
+                              <Slider
+                                value={editedAdjustment[colorBalanceRange][control.key]}
+                                min={control.min}
+                                max={control.max}
+                                step={control.step}
+                                onChange={(value) => changeAdjustment({
+                                  [colorBalanceRange]: {
+                                    ...editedAdjustment[colorBalanceRange],
+                                    [control.key]: value,
+                                  },
+                                })}
+                                onChangeEnd={finishAdjustmentChange}
+                              >
+                                <SliderTrack><SliderFilledTrack /></SliderTrack>
+                                <SliderThumb />
+                              </Slider>
+                            </Box>
+                          ))}
+                          <HStack justify="space-between">
+                            <Text fontSize="sm">Preserve luminosity</Text>
+                            <Switch
+                              isChecked={editedAdjustment.preserveLuminosity}
+                              onChange={(event) => {
+                                changeAdjustment({ preserveLuminosity: event.target.checked });
+                                finishAdjustmentChange();
+                              }}
+                            />
+                          </HStack>
+                        </>
+                      )}
+
+                      {editedAdjustment.type !== ADJUSTMENT_TYPES.COLOR_BALANCE &&
+                        (ADJUSTMENT_SLIDERS[editedAdjustment.type] ?? []).map((control) => (
+                          <Box key={control.key}>
+                            <HStack justify="space-between" mb={2}>
+                              <Text fontSize="sm">{control.label}</Text>
+                              <Text fontSize="sm" color="gray.600">
+                                {formatSliderValue(editedAdjustment[control.key], control)}
+                              </Text>
+                            </HStack>
+                            <Slider
+                              value={editedAdjustment[control.key]}
+                              min={control.min}
+                              max={control.max}
+                              step={control.step}
+                              onChange={(value) => changeAdjustment({ [control.key]: value })}
+                              onChangeEnd={finishAdjustmentChange}
+                            >
+                              <SliderTrack><SliderFilledTrack /></SliderTrack>
+                              <SliderThumb />
+                            </Slider>
+                          </Box>
+                        ))}
+
+                      {isAdjustmentLayer(activeLayer) ? (
+                        <Text fontSize="xs" color="gray.600">
+                          This layer adjusts every visible layer beneath it. Its settings stay editable.
+                        </Text>
+                      ) : selection && (
+                        <Text fontSize="xs" color="gray.600">Apply changes only the selected area.</Text>
+                      )}
+
+                      <HStack>
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          leftIcon={<RotateCcw size={16} />}
+                          onClick={resetAdjustment}
+                          isDisabled={isAdjustmentIdentity(editedAdjustment)}
+                        >
+                          Reset
+                        </Button>
+                        {!isAdjustmentLayer(activeLayer) && (
+                          <Button
+                            flex={1}
+                            size="sm"
+                            colorScheme="blue"
+                            leftIcon={<Check size={16} />}
+                            onClick={applyAdjustment}
+                            isDisabled={isAdjustmentIdentity(adjustment)}
+                          >
+                            Apply {getAdjustmentLabel(adjustment)}
+                          </Button>
+                        )}
+                      </HStack>
+                    </>
+                  )}
+
+                  {!isAdjustmentLayer(activeLayer) && (
+                    <Button size="sm" leftIcon={<Plus size={16} />} onClick={addAdjustmentLayer}>
+                      New Adjustment Layer
+                    </Button>
+                  )}
+                </VStack>
+              )}
+            </Box>
+
+            <Box bg="white" border="1px solid" borderColor="gray.200" borderRadius="md" p={4}>
+              <HStack mb={3}>
+                <Aperture size={18} />
+                <Text fontWeight="bold">Filters</Text>
+              </HStack>
+
+              {!activeLayer ? (
+                <Text color="gray.600" fontSize="sm">Import an image to apply filters.</Text>
+              ) : (
+                <VStack align="stretch" spacing={3}>
+                  <Select
+                    size="sm"
+                    aria-label="Filter"
+                    value={filter.type}
+                    onChange={(event) => setFilter(createDefaultFilter(event.target.value))}
+                    isDisabled={filterProgress !== null}
+                  >
+                    {FILTER_OPTIONS.map(({ type, label }) => (
+                      <option key={type} value={type}>{label}</option>
+                    ))}
+                  </Select>
+
+                  {(FILTER_SLIDERS[filter.type] ?? []).map((control) => (
+                    <Box key={control.key}>
+                      <HStack justify="space-between" mb={2}>
+                        <Text fontSize="sm">{control.label}</Text>
+                        <Text fontSize="sm" color="gray.600">{formatSliderValue(filter[control.key], control)}</Text>
+                      </HStack>
+                      <Slider
+                        value={filter[control.key]}
+                        min={control.min}
+                        max={control.max}
+                        step={control.step}
+                        onChange={(value) => setFilter((current) => ({ ...current, [control.key]: value }))}
+                        isDisabled={filterProgress !== null}
+                      >
+                        <SliderTrack><SliderFilledTrack /></SliderTrack>
+                        <SliderThumb />
+                      </Slider>
+                    </Box>
+                  ))}
+
+                  {filter.type === FILTER_TYPES.ADD_NOISE && (
+                    <HStack justify="space-between">
+                      <Text fontSize="sm">Monochrome</Text>
+                      <Switch
+                        isChecked={filter.monochrome}
+                        onChange={(event) => setFilter((current) => ({ ...current, monochrome: event.target.checked }))}
+                        isDisabled={filterProgress !== null}
+                      />
+                    </HStack>
+                  )}
+
+                  {isVectorLayer(activeLayer) || isAdjustmentLayer(activeLayer) ? (
+                    <Text fontSize="sm" color="gray.600">
+                      {isAdjustmentLayer(activeLayer)
+                        ? 'Select a raster layer to apply a filter.'
+                        : 'Rasterize the layer to apply a filter.'}
+                    </Text>
+                  ) : selection && (
+                    <Text fontSize="xs" color="gray.600">Only the selected area is filtered.</Text>
+                  )}
+
+                  {filterProgress !== null ? (
+                    <HStack>
+                      <Progress flex={1} size="sm" borderRadius="sm" value={Math.round(filterProgress * 100)} />
+                      <Button size="xs" variant="outline" onClick={cancelFilter}>
+                        Cancel
+                      </Button>
+                    </HStack>
+                  ) : (
+                    <Button
+                      size="sm"
+                      colorScheme="blue"
+                      leftIcon={<Check size={16} />}
+                      onClick={applyFilter}
+                      isDisabled={isVectorLayer(activeLayer) || isAdjustmentLayer(activeLayer)}
+                    >
+                      Apply {getFilterLabel(filter)}
+                    </Button>
+                  )}
+                </VStack>
+              )}
+            </Box>
+
             <Box bg="white" border="1px solid" borderColor="gray.200" borderRadius="md" p={4}>
               <HStack mb={3}>
                 <Layers size={18} />
@@ -2376,6 +7848,48 @@ function UnifiedPhotoEditor() {
                 </Tooltip>
               </HStack>
 
+              {activeLayer && (
+                hasLayerMask(activeLayer) ? (
+                  <HStack spacing={2} mb={3}>
+                    <HStack flex={1} spacing={2}>
+                      <Switch
+                        size="sm"
+                        isChecked={isMaskEditing}
+                        onChange={(event) => setIsMaskEditing(event.target.checked)}
+                      />
+                      <Text fontSize="sm">Edit mask</Text>
+                    </HStack>
+                    <Tooltip label={isLayerMaskEnabled(activeLayer) ? 'Disable mask' : 'Enable mask'} hasArrow>
+                      <IconButton
+                        aria-label={isLayerMaskEnabled(activeLayer) ? 'Disable mask' : 'Enable mask'}
+                        icon={isLayerMaskEnabled(activeLayer) ? <CircleOff size={16} /> : <Circle size={16} />}
+                        size="xs"
+                        onClick={toggleActiveLayerMask}
+                      />
+                    </Tooltip>
+                    <Tooltip label="Invert mask" hasArrow>
+                      <IconButton aria-label="Invert mask" icon={<Contrast size={16} />} size="xs" onClick={invertActiveLayerMask} />
+                    </Tooltip>
+                    <Tooltip label="Apply mask to layer pixels" hasArrow>
+                      <IconButton aria-label="Apply mask" icon={<Check size={16} />} size="xs" onClick={applyActiveLayerMask} />
+                    </Tooltip>
+                    <Tooltip label="Delete mask" hasArrow>
+                      <IconButton aria-label="Delete mask" icon={<Trash2 size={16} />} size="xs" onClick={deleteActiveLayerMask} colorScheme="red" variant="outline" />
+                    </Tooltip>
+                  </HStack>
+                ) : (
+                  <Button
+                    size="xs"
+                    mb={3}
+                    leftIcon={<SquareSquare size={14} />}
+                    onClick={addActiveLayerMask}
+                    isDisabled={isVectorLayer(activeLayer) || isAdjustmentLayer(activeLayer)}
+                  >
+                    {selection ? 'Add Mask from Selection' : 'Add Mask'}
+                  </Button>
+                )
+              )}
+
               {!hasDocument(doc) ? (
                 <Text color="gray.600" fontSize="sm">Layers appear after importing an image.</Text>
               ) : (
@@ -2436,14 +7950,23 @@ function UnifiedPhotoEditor() {
                               <GripVertical size={16} />
                             </Box>
                           </Tooltip>
-                          <LayerThumbnail layer={layer} />
+                          <Box flexShrink={0} onClick={() => setIsMaskEditing(false)}>
+                            <LayerThumbnail layer={layer} />
+                          </Box>
+                          {hasLayerMask(layer) && (
+                            <Tooltip label="Edit layer mask" hasArrow>
+                              <Box onClick={() => setIsMaskEditing(true)}>
+                                <LayerMaskThumbnail layer={layer} isEditing={isActive && isMaskEditing} />
+                              </Box>
+                            </Tooltip>
+                          )}
                           <Box flex={1} minW={0}>
                             <Input
                               value={layer.name}
                               size="sm"
                               fontWeight={isActive ? 'semibold' : 'normal'}
                               onChange={(event) => updateLayerMeta(layer.id, { name: event.target.value }, false)}
-                              onBlur={() => commitDocument(docRef.current)}
+                              onBlur={() => commitTransientChanges('Rename layer')}
                               onKeyDown={(event) => {
                                 if (event.key === 'Enter') event.currentTarget.blur();
                               }}
@@ -2476,6 +7999,17 @@ function UnifiedPhotoEditor() {
                                 {layer.opacity}%
                               </Text>
                             </HStack>
+                            <Select
+                              mt={2}
+                              size="xs"
+                              aria-label="Blend mode"
+                              value={getLayerBlendMode(layer)}
+                              onChange={(event) => updateLayerMeta(layer.id, { blendMode: event.target.value }, true)}
+                            >
+                              {BLEND_MODE_OPTIONS.map(({ mode, label }) => (
+                                <option key={mode} value={mode}>{label}</option>
+                              ))}
+                            </Select>
                           </Box>
                         </HStack>
                       </Box>
@@ -2485,10 +8019,59 @@ function UnifiedPhotoEditor() {
               )}
             </Box>
 
+            <Box bg="white" border="1px solid" borderColor="gray.200" borderRadius="md" p={4}>
+              <HStack mb={3}>
+                <History size={18} />
+                <Text fontWeight="bold">History</Text>
+                <Flex flex="1" />
+                {history.length > 0 && (
+                  <Text fontSize="xs" color="gray.600">
+                    {history.length} step{history.length === 1 ? '' : 's'}, {formatByteSize(historyMemoryUsage)}
+                  </Text>
+                )}
+              </HStack>
+
+              {history.length === 0 ? (
+                <Text color="gray.600" fontSize="sm">Edits will be listed here.</Text>
+              ) : (
+                <VStack align="stretch" spacing={1} maxH="240px" overflowY="auto">
+                  {history.map((entry, index) => {
+                    const isCurrent = index === historyIndex;
+                    const isFuture = index > historyIndex;
+
+                    return (
+                      <Button
+                        key={index}
+                        size="sm"
+                        justifyContent="flex-start"
+                        fontWeight={isCurrent ? 'semibold' : 'normal'}
+                        variant={isCurrent ? 'solid' : 'ghost'}
+                        colorScheme={isCurrent ? 'blue' : 'gray'}
+                        color={isFuture ? 'gray.400' : undefined}
+                        onClick={() => jumpToHistoryStep(index)}
+                        aria-current={isCurrent ? 'step' : undefined}
+                      >
+                        <Text as="span" noOfLines={1}>{entry.label}</Text>
+                      </Button>
+                    );
+                  })}
+                </VStack>
+              )}
+            </Box>
+
             <Box bg="white" border="1px solid" borderColor="gray.200" borderRadius="md" p={4}>
               <Text fontWeight="bold" mb={3}>Export</Text>
               {hasDocument(doc) ? (
-                <ExportControls />
+                <VStack align="stretch" spacing={3}>
+                  <ExportControls />
+                  <Divider />
+                  <Button size="sm" leftIcon={<FolderDown size={16} />} onClick={saveProject}>
+                    Save Project ({PROJECT_FILE_EXTENSION})
+                  </Button>
+                  <Text fontSize="xs" color="gray.600">
+                    Keeps every layer editable so a teammate can open it with Import, drag and drop, or paste.
+                  </Text>
+                </VStack>
               ) : (
                 <Text color="gray.600" fontSize="sm">
                   Import an image to enable copy and download controls.
@@ -0,0 +1,432 @@
+/**
+ * jsdom has no canvas implementation, so tests run against a small in-memory
+ * stand-in. It keeps real RGBA pixels for the parts of the 2D context the
+ * utilities rely on: solid and gradient fills of rectangles and paths, with
+ * arcs flattened to short lines, drawImage at an offset with source-over,
+ * source-in, destination-in and destination-out compositing, translate,
+ * rotate and scale with nearest-neighbour sampling, and ImageData access.
+ * Strokes and text are accepted but not drawn.
+ * Encoded blobs hold the raw pixels as JSON instead of PNG data.
+ */
+
+class TestImageData {
+  constructor(dataOrWidth, width, height) {
+    if (typeof dataOrWidth === 'number') {
+      this.width = dataOrWidth;
+      this.height = width;
+      this.data = new Uint8ClampedArray(dataOrWidth * width * 4);
+    } else {
+      this.width = width;
+      this.height = height ?? dataOrWidth.length / 4 / width;
+      this.data = dataOrWidth;
+    }
+  }
+}
+
+class TestPath2D {
+  constructor() {
+    this.segments = [];
+  }
+
+  moveTo(x, y) {
+    this.segments.push({ type: 'move', x, y });
+  }
+
+  lineTo(x, y) {
+    this.segments.push({ type: 'line', x, y });
+  }
+
+  closePath() {
+    this.segments.push({ type: 'close' });
+  }
+
+  rect(x, y, width, height) {
+    this.moveTo(x, y);
+    this.lineTo(x + width, y);
+    this.lineTo(x + width, y + height);
+    this.lineTo(x, y + height);
+    this.closePath();
+  }
+
+  getPolygons() {
+    const polygons = [];
+    let current = null;
+    this.segments.forEach((segment) => {
+      if (segment.type === 'move' || !current) {
+        current = [];
+        polygons.push(current);
+      }
+      if (segment.type !== 'close') current.push({ x: segment.x, y: segment.y });
+      if (segment.type === 'close') current = null;
+    });
+    return polygons.filter((polygon) => polygon.length > 2);
+  }
+
+  // Winding number of the path around a point
+  windingAt(x, y) {
+    let winding = 0;
+    this.getPolygons().forEach((polygon) => {
+      polygon.forEach((start, index) => {
+        const end = polygon[(index + 1) % polygon.length];
+        if ((start.y <= y) === (end.y <= y)) return;
+        const crossX = start.x + ((y - start.y) / (end.y - start.y)) * (end.x - start.x);
+        if (crossX > x) winding += end.y > start.y ? 1 : -1;
+      });
+    });
+    return winding;
+  }
+}
+
+const parseColor = (color) => {
+  const hex = /^#([0-9a-f]{6})$/i.exec(color);
+  if (hex) {
+    const value = parseInt(hex[1], 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255, 255];
+  }
+
+  const rgba = /^rgba?\(([^)]+)\)$/i.exec(color);
+  if (rgba) {
+    const [r, g, b, a = 1] = rgba[1].split(',').map(Number);
+    return [r, g, b, Math.round(a * 255)];
+  }
+
+  throw new Error(`Unsupported test color: ${color}`);
+};
+
+class TestGradient {
+  constructor(getPosition) {
+    this.getPosition = getPosition;
+    this.stops = [];
+  }
+
+  addColorStop(offset, color) {
+    this.stops.push({ offset, color: parseColor(color) });
+  }
+
+  colorAt(x, y) {
+    const position = Math.min(1, Math.max(0, this.getPosition(x, y)));
+    const after = this.stops.findIndex((stop) => stop.offset > position);
+    if (after === -1) return this.stops[this.stops.length - 1].color;
+    if (after === 0) return this.stops[0].color;
+
+    const start = this.stops[after - 1];
+    const end = this.stops[after];
+    const t = (position - start.offset) / (end.offset - start.offset);
+    return start.color.map((value, channel) => Math.round(value + (end.color[channel] - value) * t));
+  }
+}
+
+const compositePixel = (target, index, source, sourceIndex, operation) => {
+  const sourceAlpha = source[sourceIndex + 3] / 255;
+  const targetAlpha = target[index + 3] / 255;
+
+  if (operation === 'destination-in') {
+    target[index + 3] = Math.round(targetAlpha * sourceAlpha * 255);
+    return;
+  }
+  if (operation === 'destination-out') {
+    target[index + 3] = Math.round(targetAlpha * (1 - sourceAlpha) * 255);
+    return;
+  }
+  if (operation === 'source-in') {
+    target.set(source.subarray(sourceIndex, sourceIndex + 3), index);
+    target[index + 3] = Math.round(targetAlpha * sourceAlpha * 255);
+    return;
+  }
+  if (operation !== 'source-over') {
+    throw new Error(`Unsupported test composite operation: ${operation}`);
+  }
+
+  const alpha = sourceAlpha + targetAlpha * (1 - sourceAlpha);
+  for (let channel = 0; channel < 3; channel += 1) {
+    target[index + channel] = alpha > 0
+      ? Math.round((
+        source[sourceIndex + channel] * sourceAlpha +
+        target[index + channel] * targetAlpha * (1 - sourceAlpha)
+      ) / alpha)
+      : 0;
+  }
+  target[index + 3] = Math.round(alpha * 255);
+};
+
+class TestContext2D {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.fillStyle = '#000000';
+    this.globalCompositeOperation = 'source-over';
+    this.stack = [];
+    this.path = new TestPath2D();
+    this.transform = [1, 0, 0, 1, 0, 0];
+    this.font = '10px sans-serif';
+  }
+
+  get pixels() {
+    const { canvas } = this;
+    const size = canvas.width * canvas.height * 4;
+    if (!canvas.testPixels || canvas.testPixels.length !== size) {
+      canvas.testPixels = new Uint8ClampedArray(size);
+    }
+    return canvas.testPixels;
+  }
+
+  save() {
+    this.stack.push({
+      fillStyle: this.fillStyle,
+      globalCompositeOperation: this.globalCompositeOperation,
+      transform: [...this.transform],
+      font: this.font,
+    });
+  }
+
+  restore() {
+    Object.assign(this, this.stack.pop());
+  }
+
+  createImageData(width, height) {
+    return new TestImageData(width, height);
+  }
+
+  createLinearGradient(x0, y0, x1, y1) {
+    const lengthSquared = (x1 - x0) ** 2 + (y1 - y0) ** 2;
+    return new TestGradient((x, y) => ((x - x0) * (x1 - x0) + (y - y0) * (y1 - y0)) / lengthSquared);
+  }
+
+  createRadialGradient(x0, y0, r0, x1, y1, r1) {
+    if (r0 !== 0 || x0 !== x1 || y0 !== y1) {
+      throw new Error('Only radial gradients from the center point are supported in tests');
+    }
+    return new TestGradient((x, y) => Math.hypot(x - x0, y - y0) / r1);
+  }
+
+  getImageData(x, y, width, height) {
+    const output = new TestImageData(width, height);
+    const { pixels } = this;
+    for (let row = 0; row < height; row += 1) {
+      for (let column = 0; column < width; column += 1) {
+        const sourceX = x + column;
+        const sourceY = y + row;
+        if (sourceX < 0 || sourceY < 0 || sourceX >= this.canvas.width || sourceY >= this.canvas.height) continue;
+        const source = (sourceY * this.canvas.width + sourceX) * 4;
+        output.data.set(pixels.subarray(source, source + 4), (row * width + column) * 4);
+      }
+    }
+    return output;
+  }
+
+  putImageData(imageData, x, y) {
+    const { pixels } = this;
+    for (let row = 0; row < imageData.height; row += 1) {
+      for (let column = 0; column < imageData.width; column += 1) {
+        const targetX = x + column;
+        const targetY = y + row;
+        if (targetX < 0 || targetY < 0 || targetX >= this.canvas.width || targetY >= this.canvas.height) continue;
+        const source = (row * imageData.width + column) * 4;
+        pixels.set(imageData.data.subarray(source, source + 4), (targetY * this.canvas.width + targetX) * 4);
+      }
+    }
+  }
+
+  getFillColor() {
+    const { fillStyle } = this;
+    return fillStyle instanceof TestGradient
+      ? (pixelX, pixelY) => fillStyle.colorAt(pixelX + 0.5, pixelY + 0.5)
+      : () => parseColor(fillStyle);
+  }
+
+  fillRect(x, y, width, height) {
+    const colorAt = this.getFillColor();
+    const source = new TestImageData(Math.max(0, width), Math.max(0, height));
+    for (let row = 0; row < source.height; row += 1) {
+      for (let column = 0; column < source.width; column += 1) {
+        source.data.set(colorAt(x + column, y + row), (row * source.width + column) * 4);
+      }
+    }
+    this.drawImage({ width: source.width, height: source.height, testPixels: source.data }, x, y);
+  }
+
+  beginPath() {
+    this.path = new TestPath2D();
+  }
+
+  multiplyTransform(a, b, c, d, e, f) {
+    const [ta, tb, tc, td, te, tf] = this.transform;
+    this.transform = [
+      ta * a + tc * b,
+      tb * a + td * b,
+      ta * c + tc * d,
+      tb * c + td * d,
+      ta * e + tc * f + te,
+      tb * e + td * f + tf,
+    ];
+  }
+
+  translate(x, y) {
+    this.multiplyTransform(1, 0, 0, 1, x, y);
+  }
+
+  rotate(angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    this.multiplyTransform(cos, sin, -sin, cos, 0, 0);
+  }
+
+  scale(x, y) {
+    this.multiplyTransform(x, 0, 0, y, 0, 0);
+  }
+
+  transformPoint(x, y) {
+    const [a, b, c, d, e, f] = this.transform;
+    return { x: a * x + c * y + e, y: b * x + d * y + f };
+  }
+
+  moveTo(x, y) {
+    const point = this.transformPoint(x, y);
+    this.path.moveTo(point.x, point.y);
+  }
+
+  lineTo(x, y) {
+    const point = this.transformPoint(x, y);
+    this.path.lineTo(point.x, point.y);
+  }
+
+  closePath() {
+    this.path.closePath();
+  }
+
+  rect(x, y, width, height) {
+    this.moveTo(x, y);
+    this.lineTo(x + width, y);
+    this.lineTo(x + width, y + height);
+    this.lineTo(x, y + height);
+    this.closePath();
+  }
+
+  arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+    let sweep = endAngle - startAngle;
+    if (!counterclockwise && sweep < 0) sweep += Math.PI * 2;
+    if (counterclockwise && sweep > 0) sweep -= Math.PI * 2;
+    const steps = 32;
+    for (let step = 0; step <= steps; step += 1) {
+      const angle = startAngle + (sweep * step) / steps;
+      this.lineTo(x + Math.cos(angle) * radius, y + Math.sin(angle) * radius);
+    }
+  }
+
+  // Rounded corners are drawn square
+  arcTo(x1, y1) {
+    this.lineTo(x1, y1);
+  }
+
+  stroke() {}
+
+  fillText() {}
+
+  strokeText() {}
+
+  measureText(text) {
+    const fontSize = Number(/(\d+(?:\.\d+)?)px/.exec(this.font)?.[1] ?? 10);
+    return { width: String(text).length * fontSize * 0.6 };
+  }
+
+  // Fills every pixel whose center is inside the path, without antialiasing
+  fill(pathOrRule, fillRule) {
+    const path = pathOrRule instanceof TestPath2D ? pathOrRule : this.path;
+    const rule = (pathOrRule instanceof TestPath2D ? fillRule : pathOrRule) ?? 'nonzero';
+    const colorAt = this.getFillColor();
+    const { width, height } = this.canvas;
+    const source = new TestImageData(width, height);
+    for (let y = 0; y < height; y += 1) {
+      for (let x = 0; x < width; x += 1) {
+        const winding = path.windingAt(x + 0.5, y + 0.5);
+        const inside = rule === 'evenodd' ? winding % 2 !== 0 : winding !== 0;
+        if (inside) source.data.set(colorAt(x, y), (y * width + x) * 4);
+      }
+    }
+    this.compositeImage({ width, height, testPixels: source.data }, 0, 0);
+  }
+
+  clearRect(x, y, width, height) {
+    this.putImageData(new TestImageData(width, height), x, y);
+  }
+
+  drawImage(source, dx, dy) {
+    const [a, b, c, d, e, f] = this.transform;
+    if (a === 1 && b === 0 && c === 0 && d === 1) {
+      this.compositeImage(source, dx + e, dy + f);
+      return;
+    }
+
+    // Samples the source pixel under each target pixel center
+    const sourcePixels = source.testPixels ?? source.getContext('2d').pixels;
+    const { width, height } = this.canvas;
+    const determinant = a * d - b * c;
+    const sampled = new TestImageData(width, height);
+    for (let y = 0; y < height; y += 1) {
+      for (let x = 0; x < width; x += 1) {
+        const offsetX = x + 0.5 - e;
+        const offsetY = y + 0.5 - f;
+        const sourceX = Math.floor((d * offsetX - c * offsetY) / determinant - dx);
+        const sourceY = Math.floor((a * offsetY - b * offsetX) / determinant - dy);
+        if (sourceX < 0 || sourceY < 0 || sourceX >= source.width || sourceY >= source.height) continue;
+        const index = (sourceY * source.width + sourceX) * 4;
+        sampled.data.set(sourcePixels.subarray(index, index + 4), (y * width + x) * 4);
+      }
+    }
+    this.compositeImage({ width, height, testPixels: sampled.data }, 0, 0);
+  }
+
+  compositeImage(source, dx, dy) {
+    const sourcePixels = source.testPixels ?? source.getContext('2d').pixels;
+    const { pixels } = this;
+    const operation = this.globalCompositeOperation;
+    const left = Math.round(dx);
+    const top = Math.round(dy);
+
+    for (let y = 0; y < this.canvas.height; y += 1) {
+      for (let x = 0; x < this.canvas.width; x += 1) {
+        const sourceX = x - left;
+        const sourceY = y - top;
+        const inside = sourceX >= 0 && sourceY >= 0 && sourceX < source.width && sourceY < source.height;
+        if (!inside && operation !== 'destination-in' && operation !== 'source-in') continue;
+
+        const index = (y * this.canvas.width + x) * 4;
+        if (!inside) {
+          pixels[index + 3] = 0;
+          continue;
+        }
+        compositePixel(pixels, index, sourcePixels, (sourceY * source.width + sourceX) * 4, operation);
+      }
+    }
+  }
+}
+
+global.ImageData = TestImageData;
+global.Path2D = TestPath2D;
+
+HTMLCanvasElement.prototype.getContext = function getContext() {
+  if (!this.testContext) this.testContext = new TestContext2D(this);
+  return this.testContext;
+};
+
+HTMLCanvasElement.prototype.toBlob = function toBlob(callback, type = 'image/png') {
+  const { pixels } = this.getContext('2d');
+  const body = JSON.stringify({ width: this.width, height: this.height, pixels: Array.from(pixels) });
+  setTimeout(() => callback(new Blob([body], { type })), 0);
+};
+
+global.createImageBitmap = (blob) => (
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      const { width, height, pixels } = JSON.parse(reader.result);
+      resolve({
+        width,
+        height,
+        testPixels: Uint8ClampedArray.from(pixels),
+        close: () => {},
+      });
+    };
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(blob);
+  })
+);
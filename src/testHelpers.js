@@ -0,0 +1,96 @@
+/**
+ * Pixel fixtures shared by the utility tests. They run against the in-memory
+ * canvas from setupTests.js.
+ */
+
+/**
+ * Build ImageData from a function of each pixel position
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {function} pixelAt - Called with x and y, returns [r, g, b, a]
+ * @returns {ImageData} - New ImageData
+ */
+export const createImageData = (width, height, pixelAt) => {
+  const imageData = new ImageData(width, height);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      imageData.data.set(pixelAt(x, y), (y * width + x) * 4);
+    }
+  }
+  return imageData;
+};
+
+/**
+ * Build a canvas from a function of each pixel position
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {function} pixelAt - Called with x and y, returns [r, g, b, a]
+ * @returns {HTMLCanvasElement} - New canvas
+ */
+export const createCanvas = (width, height, pixelAt) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').putImageData(createImageData(width, height, pixelAt), 0, 0);
+  return canvas;
+};
+
+/**
+ * Build a canvas filled with one color
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {string} color - #rrggbb or rgb()/rgba() color
+ * @returns {HTMLCanvasElement} - New canvas
+ */
+export const createFilledCanvas = (width, height, color) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = color;
+  ctx.fillRect(0, 0, width, height);
+  return canvas;
+};
+
+/**
+ * Read one pixel of ImageData
+ * @param {ImageData} imageData - Pixels to read
+ * @param {number} x - Pixel x
+ * @param {number} y - Pixel y
+ * @returns {Array<number>} - [r, g, b, a]
+ */
+export const getImageDataPixel = (imageData, x, y) => {
+  const index = (y * imageData.width + x) * 4;
+  return Array.from(imageData.data.slice(index, index + 4));
+};
+
+/**
+ * List every pixel of ImageData in row order
+ * @param {ImageData} imageData - Pixels to read
+ * @returns {Array<Array<number>>} - [r, g, b, a] for each pixel
+ */
+export const getImageDataPixels = (imageData) => {
+  const pixels = [];
+  for (let index = 0; index < imageData.data.length; index += 4) {
+    pixels.push(Array.from(imageData.data.slice(index, index + 4)));
+  }
+  return pixels;
+};
+
+/**
+ * Read one pixel of a canvas
+ * @param {HTMLCanvasElement} canvas - Canvas to read
+ * @param {number} x - Pixel x
+ * @param {number} y - Pixel y
+ * @returns {Array<number>} - [r, g, b, a]
+ */
+export const getPixel = (canvas, x, y) => Array.from(canvas.getContext('2d').getImageData(x, y, 1, 1).data);
+
+/**
+ * List every pixel of a canvas in row order
+ * @param {HTMLCanvasElement} canvas - Canvas to read
+ * @returns {Array<Array<number>>} - [r, g, b, a] for each pixel
+ */
+export const getCanvasPixels = (canvas) => (
+  getImageDataPixels(canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height))
+);
@@ -0,0 +1,460 @@
+/**
+ * Color adjustments that operate on ImageData.
+ *
+ * An adjustment is a plain object with a `type` and that type's settings, so
+ * it can be stored in editor state, history entries and project files.
+ */
+
+export const ADJUSTMENT_TYPES = {
+  BRIGHTNESS_CONTRAST: 'brightness-contrast',
+  EXPOSURE: 'exposure',
+  HUE_SATURATION: 'hue-saturation',
+  LEVELS: 'levels',
+  CURVES: 'curves',
+  COLOR_BALANCE: 'color-balance',
+  GRAYSCALE: 'grayscale',
+  SEPIA: 'sepia',
+  INVERT: 'invert',
+};
+
+export const ADJUSTMENT_OPTIONS = [
+  { type: ADJUSTMENT_TYPES.BRIGHTNESS_CONTRAST, label: 'Brightness/Contrast' },
+  { type: ADJUSTMENT_TYPES.EXPOSURE, label: 'Exposure' },
+  { type: ADJUSTMENT_TYPES.HUE_SATURATION, label: 'Hue/Saturation' },
+  { type: ADJUSTMENT_TYPES.LEVELS, label: 'Levels' },
+  { type: ADJUSTMENT_TYPES.CURVES, label: 'Curves' },
+  { type: ADJUSTMENT_TYPES.COLOR_BALANCE, label: 'Color Balance' },
+  { type: ADJUSTMENT_TYPES.GRAYSCALE, label: 'Grayscale' },
+  { type: ADJUSTMENT_TYPES.SEPIA, label: 'Sepia' },
+  { type: ADJUSTMENT_TYPES.INVERT, label: 'Invert' },
+];
+
+export const COLOR_BALANCE_RANGES = ['shadows', 'midtones', 'highlights'];
+
+export const ADJUSTMENT_SLIDERS = {
+  [ADJUSTMENT_TYPES.BRIGHTNESS_CONTRAST]: [
+    { key: 'brightness', label: 'Brightness', min: -100, max: 100, step: 1 },
+    { key: 'contrast', label: 'Contrast', min: -100, max: 100, step: 1 },
+  ],
+  [ADJUSTMENT_TYPES.EXPOSURE]: [
+    { key: 'exposure', label: 'Exposure', min: -3, max: 3, step: 0.05, unit: ' EV' },
+    { key: 'gamma', label: 'Gamma', min: 0.2, max: 3, step: 0.01 },
+  ],
+  [ADJUSTMENT_TYPES.HUE_SATURATION]: [
+    { key: 'hue', label: 'Hue', min: -180, max: 180, step: 1, unit: '°' },
+    { key: 'saturation', label: 'Saturation', min: -100, max: 100, step: 1 },
+    { key: 'lightness', label: 'Lightness', min: -100, max: 100, step: 1 },
+  ],
+  [ADJUSTMENT_TYPES.LEVELS]: [
+    { key: 'inputBlack', label: 'Input black', min: 0, max: 253, step: 1 },
+    { key: 'gamma', label: 'Midtones', min: 0.1, max: 9.99, step: 0.01 },
+    { key: 'inputWhite', label: 'Input white', min: 2, max: 255, step: 1 },
+    { key: 'outputBlack', label: 'Output black', min: 0, max: 255, step: 1 },
+    { key: 'outputWhite', label: 'Output white', min: 0, max: 255, step: 1 },
+  ],
+  [ADJUSTMENT_TYPES.COLOR_BALANCE]: [
+    { key: 'cyanRed', label: 'Cyan / Red', min: -100, max: 100, step: 1 },
+    { key: 'magentaGreen', label: 'Magenta / Green', min: -100, max: 100, step: 1 },
+    { key: 'yellowBlue', label: 'Yellow / Blue', min: -100, max: 100, step: 1 },
+  ],
+  [ADJUSTMENT_TYPES.GRAYSCALE]: [
+    { key: 'amount', label: 'Amount', min: 0, max: 100, step: 1, unit: '%' },
+  ],
+  [ADJUSTMENT_TYPES.SEPIA]: [
+    { key: 'amount', label: 'Amount', min: 0, max: 100, step: 1, unit: '%' },
+  ],
+  [ADJUSTMENT_TYPES.INVERT]: [],
+};
+
+const createColorBalanceRange = () => ({
+  cyanRed: 0,
+  magentaGreen: 0,
+  yellowBlue: 0,
+});
+
+const clampByte = (value) => Math.min(255, Math.max(0, Math.round(value)));
+
+const clampUnit = (value) => Math.min(1, Math.max(0, value));
+
+/**
+ * Create an adjustment of a type with settings that leave pixels unchanged
+ * where the type allows it
+ * @param {string} type - Adjustment type
+ * @returns {Object} - Adjustment
+ */
+export const createDefaultAdjustment = (type) => {
+  switch (type) {
+    case ADJUSTMENT_TYPES.EXPOSURE:
+      return { type, exposure: 0, gamma: 1 };
+    case ADJUSTMENT_TYPES.HUE_SATURATION:
+      return { type, hue: 0, saturation: 0, lightness: 0 };
+    case ADJUSTMENT_TYPES.LEVELS:
+      return { type, inputBlack: 0, inputWhite: 255, gamma: 1, outputBlack: 0, outputWhite: 255 };
+    case ADJUSTMENT_TYPES.CURVES:
+      return { type, points: [{ x: 0, y: 0 }, { x: 255, y: 255 }] };
+    case ADJUSTMENT_TYPES.COLOR_BALANCE:
+      return {
+        type,
+        shadows: createColorBalanceRange(),
+        midtones: createColorBalanceRange(),
+        highlights: createColorBalanceRange(),
+        preserveLuminosity: true,
+      };
+    case ADJUSTMENT_TYPES.GRAYSCALE:
+    case ADJUSTMENT_TYPES.SEPIA:
+      return { type, amount: 100 };
+    case ADJUSTMENT_TYPES.INVERT:
+      return { type };
+    default:
+      return { type: ADJUSTMENT_TYPES.BRIGHTNESS_CONTRAST, brightness: 0, contrast: 0 };
+  }
+};
+
+/**
+ * Get the display name of an adjustment
+ * @param {Object} adjustment - Adjustment
+ * @returns {string} - Adjustment name
+ */
+export const getAdjustmentLabel = (adjustment) => (
+  ADJUSTMENT_OPTIONS.find((option) => option.type === adjustment?.type)?.label ?? 'Adjustment'
+);
+
+/**
+ * Check whether an adjustment would leave every pixel unchanged
+ * @param {Object} adjustment - Adjustment
+ * @returns {boolean} - True when applying it has no effect
+ */
+export const isAdjustmentIdentity = (adjustment) => {
+  if (!adjustment) return true;
+
+  switch (adjustment.type) {
+    case ADJUSTMENT_TYPES.CURVES:
+      return adjustment.points.every((point) => point.x === point.y);
+    case ADJUSTMENT_TYPES.COLOR_BALANCE:
+      return COLOR_BALANCE_RANGES.every((range) => (
+        Object.values(adjustment[range]).every((value) => value === 0)
+      ));
+    case ADJUSTMENT_TYPES.GRAYSCALE:
+    case ADJUSTMENT_TYPES.SEPIA:
+      return adjustment.amount === 0;
+    case ADJUSTMENT_TYPES.INVERT:
+      return false;
+    default:
+      return JSON.stringify(adjustment) === JSON.stringify(createDefaultAdjustment(adjustment.type));
+  }
+};
+
+/**
+ * Build a 256-entry lookup table for a curve through control points using
+ * monotone cubic interpolation, so the curve never overshoots its points
+ * @param {Array<{x: number, y: number}>} points - Control points in 0-255 space
+ * @returns {Uint8ClampedArray} - Output value for every input value
+ */
+export const getCurveLookup = (points) => {
+  const sorted = [...points].sort((first, second) => first.x - second.x);
+  const lookup = new Uint8ClampedArray(256);
+  if (sorted.length === 0) {
+    lookup.forEach((_, index) => {
+      lookup[index] = index;
+    });
+    return lookup;
+  }
+
+  const count = sorted.length;
+  const slopes = [];
+  const tangents = new Array(count).fill(0);
+  for (let index = 0; index < count - 1; index += 1) {
+    const width = sorted[index + 1].x - sorted[index].x;
+    slopes.push(width === 0 ? 0 : (sorted[index + 1].y - sorted[index].y) / width);
+  }
+
+  if (count > 1) {
+    tangents[0] = slopes[0];
+    tangents[count - 1] = slopes[count - 2];
+  }
+  for (let index = 1; index < count - 1; index += 1) {
+    const before = slopes[index - 1];
+    const after = slopes[index];
+    tangents[index] = before * after <= 0 ? 0 : (before + after) / 2;
+  }
+  for (let index = 0; index < count - 1; index += 1) {
+    if (slopes[index] === 0) {
+      tangents[index] = 0;
+      tangents[index + 1] = 0;
+    } else {
+      const alpha = tangents[index] / slopes[index];
+      const beta = tangents[index + 1] / slopes[index];
+      const length = Math.hypot(alpha, beta);
+      if (length > 3) {
+        tangents[index] = (3 * alpha / length) * slopes[index];
+        tangents[index + 1] = (3 * beta / length) * slopes[index];
+      }
+    }
+  }
+
+  let segment = 0;
+  for (let x = 0; x < 256; x += 1) {
+    if (x <= sorted[0].x) {
+      lookup[x] = sorted[0].y;
+    } else if (x >= sorted[count - 1].x) {
+      lookup[x] = sorted[count - 1].y;
+    } else {
+      while (x > sorted[segment + 1].x) segment += 1;
+      const start = sorted[segment];
+      const end = sorted[segment + 1];
+      const width = end.x - start.x;
+      const t = (x - start.x) / width;
+      const t2 = t * t;
+      const t3 = t2 * t;
+      lookup[x] = (
+        (2 * t3 - 3 * t2 + 1) * start.y +
+        (t3 - 2 * t2 + t) * width * tangents[segment] +
+        (-2 * t3 + 3 * t2) * end.y +
+        (t3 - t2) * width * tangents[segment + 1]
+      );
+    }
+  }
+
+  return lookup;
+};
+
+const createLookup = (transfer) => {
+  const lookup = new Uint8ClampedArray(256);
+  for (let value = 0; value < 256; value += 1) {
+    lookup[value] = clampByte(transfer(value));
+  }
+  return lookup;
+};
+
+const srgbToLinear = (value) => (
+  value <= 0.04045 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4
+);
+
+const linearToSrgb = (value) => (
+  value <= 0.0031308 ? value * 12.92 : 1.055 * (value ** (1 / 2.4)) - 0.055
+);
+
+const getLookupTable = (adjustment) => {
+  switch (adjustment.type) {
+    case ADJUSTMENT_TYPES.BRIGHTNESS_CONTRAST: {
+      const contrast = adjustment.contrast * 2.55;
+      const factor = (259 * (contrast + 255)) / (255 * (259 - contrast));
+      const offset = adjustment.brightness * 1.5;
+      return createLookup((value) => (value + offset - 128) * factor + 128);
+    }
+    case ADJUSTMENT_TYPES.EXPOSURE: {
+      const gain = 2 ** adjustment.exposure;
+      return createLookup((value) => (
+        255 * clampUnit(linearToSrgb(clampUnit(srgbToLinear(value / 255) * gain))) ** (1 / adjustment.gamma)
+      ));
+    }
+    case ADJUSTMENT_TYPES.LEVELS: {
+      const inputRange = Math.max(1, adjustment.inputWhite - adjustment.inputBlack);
+      const outputRange = adjustment.outputWhite - adjustment.outputBlack;
+      return createLookup((value) => {
+        const normalized = clampUnit((value - adjustment.inputBlack) / inputRange);
+        return adjustment.outputBlack + (normalized ** (1 / adjustment.gamma)) * outputRange;
+      });
+    }
+    case ADJUSTMENT_TYPES.CURVES:
+      return getCurveLookup(adjustment.points);
+    case ADJUSTMENT_TYPES.INVERT:
+      return createLookup((value) => 255 - value);
+    default:
+      return null;
+  }
+};
+
+const rgbToHsl = (red, green, blue) => {
+  const max = Math.max(red, green, blue);
+  const min = Math.min(red, green, blue);
+  const lightness = (max + min) / 2;
+  if (max === min) return [0, 0, lightness];
+
+  const delta = max - min;
+  const saturation = lightness > 0.5 ? delta / (2 - max - min) : delta / (max + min);
+  let hue;
+  if (max === red) {
+    hue = (green - blue) / delta + (green < blue ? 6 : 0);
+  } else if (max === green) {
+    hue = (blue - red) / delta + 2;
+  } else {
+    hue = (red - green) / delta + 4;
+  }
+  return [hue / 6, saturation, lightness];
+};
+
+const hueToChannel = (p, q, t) => {
+  let hue = t;
+  if (hue < 0) hue += 1;
+  if (hue > 1) hue -= 1;
+  if (hue < 1 / 6) return p + (q - p) * 6 * hue;
+  if (hue < 1 / 2) return q;
+  if (hue < 2 / 3) return p + (q - p) * (2 / 3 - hue) * 6;
+  return p;
+};
+
+const hslToRgb = (hue, saturation, lightness) => {
+  if (saturation === 0) return [lightness, lightness, lightness];
+
+  const q = lightness < 0.5
+    ? lightness * (1 + saturation)
+    : lightness + saturation - lightness * saturation;
+  const p = 2 * lightness - q;
+  return [
+    hueToChannel(p, q, hue + 1 / 3),
+    hueToChannel(p, q, hue),
+    hueToChannel(p, q, hue - 1 / 3),
+  ];
+};
+
+const getLuminance = (red, green, blue) => 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+
+const adjustHueSaturation = (data, target, adjustment) => {
+  const hueShift = adjustment.hue / 360;
+  const saturation = adjustment.saturation / 100;
+  const lightness = adjustment.lightness / 100;
+
+  for (let index = 0; index < data.length; index += 4) {
+    const [hue, pixelSaturation, pixelLightness] = rgbToHsl(
+      data[index] / 255,
+      data[index + 1] / 255,
+      data[index + 2] / 255
+    );
+    const nextSaturation = saturation >= 0
+      ? pixelSaturation + (1 - pixelSaturation) * saturation * pixelSaturation
+      : pixelSaturation * (1 + saturation);
+    const rgb = hslToRgb((hue + hueShift + 1) % 1, clampUnit(nextSaturation), pixelLightness);
+
+    for (let channel = 0; channel < 3; channel += 1) {
+      const value = rgb[channel];
+      target[index + channel] = clampByte(255 * (
+        lightness >= 0 ? value + (1 - value) * lightness : value * (1 + lightness)
+      ));
+    }
+    target[index + 3] = data[index + 3];
+  }
+};
+
+const adjustColorBalance = (data, target, adjustment) => {
+  const scale = 1.28;
+
+  for (let index = 0; index < data.length; index += 4) {
+    const red = data[index];
+    const green = data[index + 1];
+    const blue = data[index + 2];
+    const luminance = getLuminance(red, green, blue) / 255;
+    const shadows = (1 - luminance) ** 2;
+    const highlights = luminance ** 2;
+    const midtones = 1 - shadows - highlights;
+    const shift = (key) => scale * (
+      shadows * adjustment.shadows[key] +
+      midtones * adjustment.midtones[key] +
+      highlights * adjustment.highlights[key]
+    );
+
+    let nextRed = red + shift('cyanRed');
+    let nextGreen = green + shift('magentaGreen');
+    let nextBlue = blue + shift('yellowBlue');
+    if (adjustment.preserveLuminosity) {
+      const correction = getLuminance(red, green, blue) - getLuminance(nextRed, nextGreen, nextBlue);
+      nextRed += correction;
+      nextGreen += correction;
+      nextBlue += correction;
+    }
+
+    target[index] = clampByte(nextRed);
+    target[index + 1] = clampByte(nextGreen);
+    target[index + 2] = clampByte(nextBlue);
+    target[index + 3] = data[index + 3];
+  }
+};
+
+const adjustWithMatrix = (data, target, matrix, amount) => {
+  const mix = clampUnit(amount / 100);
+
+  for (let index = 0; index < data.length; index += 4) {
+    const red = data[index];
+    const green = data[index + 1];
+    const blue = data[index + 2];
+
+    for (let channel = 0; channel < 3; channel += 1) {
+      const row = matrix[channel];
+      const mapped = row[0] * red + row[1] * green + row[2] * blue;
+      target[index + channel] = clampByte(data[index + channel] + (mapped - data[index + channel]) * mix);
+    }
+    target[index + 3] = data[index + 3];
+  }
+};
+
+const GRAYSCALE_MATRIX = [
+  [0.2126, 0.7152, 0.0722],
+  [0.2126, 0.7152, 0.0722],
+  [0.2126, 0.7152, 0.0722],
+];
+
+const SEPIA_MATRIX = [
+  [0.393, 0.769, 0.189],
+  [0.349, 0.686, 0.168],
+  [0.272, 0.534, 0.131],
+];
+
+/**
+ * Apply an adjustment to pixels
+ * @param {ImageData} imageData - Source pixels
+ * @param {Object} adjustment - Adjustment
+ * @returns {ImageData} - New adjusted ImageData
+ */
+export const adjustImageData = (imageData, adjustment) => {
+  const { width, height, data } = imageData;
+  const output = new ImageData(width, height);
+  const target = output.data;
+  const lookup = getLookupTable(adjustment);
+
+  if (lookup) {
+    for (let index = 0; index < data.length; index += 4) {
+      target[index] = lookup[data[index]];
+      target[index + 1] = lookup[data[index + 1]];
+      target[index + 2] = lookup[data[index + 2]];
+      target[index + 3] = data[index + 3];
+    }
+    return output;
+  }
+
+  switch (adjustment.type) {
+    case ADJUSTMENT_TYPES.HUE_SATURATION:
+      adjustHueSaturation(data, target, adjustment);
+      break;
+    case ADJUSTMENT_TYPES.COLOR_BALANCE:
+      adjustColorBalance(data, target, adjustment);
+      break;
+    case ADJUSTMENT_TYPES.GRAYSCALE:
+      adjustWithMatrix(data, target, GRAYSCALE_MATRIX, adjustment.amount);
+      break;
+    case ADJUSTMENT_TYPES.SEPIA:
+      adjustWithMatrix(data, target, SEPIA_MATRIX, adjustment.amount);
+      break;
+    default:
+      target.set(data);
+  }
+
+  return output;
+};
+
+/**
+ * Apply an adjustment to a canvas
+ * @param {HTMLCanvasElement} canvas - Source canvas
+ * @param {Object} adjustment - Adjustment
+ * @returns {HTMLCanvasElement} - New adjusted canvas
+ */
+export const adjustCanvas = (canvas, adjustment) => {
+  const output = document.createElement('canvas');
+  output.width = canvas.width;
+  output.height = canvas.height;
+
+  const source = canvas
+    .getContext('2d', { willReadFrequently: true })
+    .getImageData(0, 0, canvas.width, canvas.height);
+  output.getContext('2d').putImageData(adjustImageData(source, adjustment), 0, 0);
+  return output;
+};
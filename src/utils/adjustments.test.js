@@ -0,0 +1,171 @@
+import {
+  ADJUSTMENT_OPTIONS,
+  ADJUSTMENT_TYPES,
+  adjustCanvas,
+  adjustImageData,
+  createDefaultAdjustment,
+  getAdjustmentLabel,
+  getCurveLookup,
+  isAdjustmentIdentity,
+} from './adjustments';
+import {
+  createCanvas,
+  createImageData,
+  getCanvasPixels,
+  getImageDataPixels,
+  getPixel,
+} from '../testHelpers';
+
+const createPixels = (...pixels) => createImageData(pixels.length, 1, (x) => pixels[x]);
+
+const SAMPLE = createPixels([0, 0, 0, 255], [64, 128, 192, 128], [200, 40, 90, 255], [255, 255, 255, 0]);
+
+describe('createDefaultAdjustment', () => {
+  it('leaves pixels unchanged for every tonal adjustment', () => {
+    // Invert, grayscale and sepia start fully applied
+    const fullStrength = [ADJUSTMENT_TYPES.INVERT, ADJUSTMENT_TYPES.GRAYSCALE, ADJUSTMENT_TYPES.SEPIA];
+    ADJUSTMENT_OPTIONS
+      .filter(({ type }) => !fullStrength.includes(type))
+      .forEach(({ type }) => {
+        const adjustment = createDefaultAdjustment(type);
+        expect(isAdjustmentIdentity(adjustment)).toBe(true);
+        expect(getImageDataPixels(adjustImageData(SAMPLE, adjustment))).toEqual(getImageDataPixels(SAMPLE));
+      });
+  });
+
+  it('falls back to brightness/contrast for unknown types', () => {
+    expect(createDefaultAdjustment('unknown')).toEqual({
+      type: ADJUSTMENT_TYPES.BRIGHTNESS_CONTRAST,
+      brightness: 0,
+      contrast: 0,
+    });
+  });
+});
+
+describe('isAdjustmentIdentity', () => {
+  it('detects settings that change pixels', () => {
+    expect(isAdjustmentIdentity(null)).toBe(true);
+    expect(isAdjustmentIdentity(createDefaultAdjustment(ADJUSTMENT_TYPES.INVERT))).toBe(false);
+    expect(isAdjustmentIdentity({ ...createDefaultAdjustment(ADJUSTMENT_TYPES.LEVELS), gamma: 1.2 })).toBe(false);
+    expect(isAdjustmentIdentity({
+      type: ADJUSTMENT_TYPES.CURVES,
+      points: [{ x: 0, y: 0 }, { x: 128, y: 160 }, { x: 255, y: 255 }],
+    })).toBe(false);
+  });
+});
+
+describe('getAdjustmentLabel', () => {
+  it('names known adjustments', () => {
+    expect(getAdjustmentLabel({ type: ADJUSTMENT_TYPES.HUE_SATURATION })).toBe('Hue/Saturation');
+    expect(getAdjustmentLabel(null)).toBe('Adjustment');
+  });
+});
+
+describe('getCurveLookup', () => {
+  it('passes through its control points', () => {
+    const lookup = getCurveLookup([{ x: 0, y: 0 }, { x: 64, y: 128 }, { x: 255, y: 255 }]);
+    expect([lookup[0], lookup[64], lookup[255]]).toEqual([0, 128, 255]);
+  });
+
+  it('never overshoots between points', () => {
+    const lookup = getCurveLookup([{ x: 255, y: 255 }, { x: 0, y: 0 }, { x: 100, y: 200 }, { x: 120, y: 205 }]);
+    for (let value = 1; value < 256; value += 1) {
+      expect(lookup[value]).toBeGreaterThanOrEqual(lookup[value - 1]);
+    }
+    expect(Math.max(...lookup.slice(100, 121))).toBeLessThanOrEqual(205);
+  });
+
+  it('is flat before the first and after the last point', () => {
+    const lookup = getCurveLookup([{ x: 50, y: 20 }, { x: 200, y: 230 }]);
+    expect([lookup[0], lookup[49], lookup[201], lookup[255]]).toEqual([20, 20, 230, 230]);
+  });
+});
+
+describe('adjustImageData', () => {
+  it('inverts colors and keeps alpha', () => {
+    const output = adjustImageData(SAMPLE, createDefaultAdjustment(ADJUSTMENT_TYPES.INVERT));
+    expect(getImageDataPixels(output)).toEqual([
+      [255, 255, 255, 255],
+      [191, 127, 63, 128],
+      [55, 215, 165, 255],
+      [0, 0, 0, 0],
+    ]);
+  });
+
+  it('brightens with brightness and spreads values with contrast', () => {
+    const gray = createPixels([100, 100, 100, 255], [200, 200, 200, 255]);
+    const brighter = adjustImageData(gray, { type: ADJUSTMENT_TYPES.BRIGHTNESS_CONTRAST, brightness: 20, contrast: 0 });
+    expect(getImageDataPixels(brighter)).toEqual([[130, 130, 130, 255], [230, 230, 230, 255]]);
+
+    const contrasted = adjustImageData(gray, { type: ADJUSTMENT_TYPES.BRIGHTNESS_CONTRAST, brightness: 0, contrast: 50 });
+    expect(contrasted.data[0]).toBeLessThan(100);
+    expect(contrasted.data[4]).toBeGreaterThan(200);
+  });
+
+  it('maps the input range to the output range with levels', () => {
+    const output = adjustImageData(createPixels([50, 150, 250, 255]), {
+      type: ADJUSTMENT_TYPES.LEVELS,
+      inputBlack: 50,
+      inputWhite: 250,
+      gamma: 1,
+      outputBlack: 10,
+      outputWhite: 210,
+    });
+    expect(getImageDataPixels(output)).toEqual([[10, 110, 210, 255]]);
+  });
+
+  it('doubles linear light for one stop of exposure', () => {
+    const output = adjustImageData(createPixels([0, 128, 255, 255]), { type: ADJUSTMENT_TYPES.EXPOSURE, exposure: 1, gamma: 1 });
+    expect(output.data[0]).toBe(0);
+    expect(output.data[1]).toBeGreaterThan(170);
+    expect(output.data[2]).toBe(255);
+  });
+
+  it('rotates hue and removes saturation', () => {
+    const red = createPixels([255, 0, 0, 255]);
+    expect(getImageDataPixels(adjustImageData(red, {
+      type: ADJUSTMENT_TYPES.HUE_SATURATION,
+      hue: 120,
+      saturation: 0,
+      lightness: 0,
+    }))).toEqual([[0, 255, 0, 255]]);
+    expect(getImageDataPixels(adjustImageData(red, {
+      type: ADJUSTMENT_TYPES.HUE_SATURATION,
+      hue: 0,
+      saturation: -100,
+      lightness: 0,
+    }))).toEqual([[128, 128, 128, 255]]);
+  });
+
+  it('converts to luminance gray', () => {
+    const output = adjustImageData(createPixels([200, 40, 90, 255]), { type: ADJUSTMENT_TYPES.GRAYSCALE, amount: 100 });
+    const [r, g, b] = output.data;
+    expect(r).toBe(g);
+    expect(g).toBe(b);
+    expect(r).toBe(Math.round(0.2126 * 200 + 0.7152 * 40 + 0.0722 * 90));
+  });
+
+  it('shifts color balance while keeping luminosity', () => {
+    const balance = createDefaultAdjustment(ADJUSTMENT_TYPES.COLOR_BALANCE);
+    balance.midtones.cyanRed = 50;
+    const [r, g, b] = adjustImageData(createPixels([100, 100, 100, 255]), balance).data;
+
+    expect(r).toBeGreaterThan(g);
+    expect(g).toBe(b);
+    expect(Math.abs(0.2126 * r + 0.7152 * g + 0.0722 * b - 100)).toBeLessThan(1);
+  });
+});
+
+describe('adjustCanvas', () => {
+  it('returns a new adjusted canvas', () => {
+    const canvas = createCanvas(2, 1, (x) => (x === 0 ? [10, 20, 30, 255] : [0, 0, 0, 0]));
+
+    const output = adjustCanvas(canvas, createDefaultAdjustment(ADJUSTMENT_TYPES.INVERT));
+    expect(output).not.toBe(canvas);
+    expect(getCanvasPixels(output)).toEqual([
+      [245, 235, 225, 255],
+      [255, 255, 255, 0],
+    ]);
+    expect(getPixel(canvas, 0, 0)).toEqual([10, 20, 30, 255]);
+  });
+});
@@ -0,0 +1,368 @@
+/**
+ * Stamp-based brush engine.
+ *
+ * A stroke is painted by stamping round dabs into a stroke canvas at a fixed
+ * spacing along the pointer path. Hardness shapes the dab edge and flow sets
+ * the alpha of each dab, so overlapping dabs build up towards full coverage.
+ * Opacity is not applied here: the finished stroke canvas is composited onto
+ * the layer once at the brush opacity, so a stroke never gets darker than its
+ * opacity where it crosses itself. Marker and highlighter modes always stamp
+ * at full flow so the whole stroke has one even opacity.
+ */
+
+const STORAGE_KEY = 'clipboard-photo-editor-brush-presets';
+const MIN_DAB_SPACING = 0.5;
+const MIN_PRESSURE_SCALE = 0.05;
+const TEXT_INK_CONTRAST = 64;
+const TEXT_ROW_GAP = 1;
+const TEXT_ROW_SEARCH_DISTANCE = 12;
+
+export const BRUSH_MODES = {
+  PAINT: 'paint',
+  MARKER: 'marker',
+  HIGHLIGHTER: 'highlighter',
+};
+
+export const BRUSH_PRESETS = [
+  {
+    id: 'round',
+    name: 'Round brush',
+    settings: {
+      size: 8,
+      hardness: 100,
+      opacity: 100,
+      flow: 100,
+      spacing: 5,
+      stabilizer: 0,
+      pressureSize: true,
+      pressureOpacity: false,
+      mode: BRUSH_MODES.PAINT,
+      snapToText: false,
+    },
+  },
+  {
+    id: 'pencil',
+    name: 'Pencil',
+    settings: {
+      size: 2,
+      hardness: 100,
+      opacity: 100,
+      flow: 100,
+      spacing: 5,
+      stabilizer: 0,
+      pressureSize: false,
+      pressureOpacity: true,
+      mode: BRUSH_MODES.PAINT,
+      snapToText: false,
+    },
+  },
+  {
+    id: 'marker',
+    name: 'Marker',
+    settings: {
+      size: 16,
+      hardness: 90,
+      opacity: 85,
+      flow: 100,
+      spacing: 5,
+      stabilizer: 8,
+      pressureSize: false,
+      pressureOpacity: false,
+      mode: BRUSH_MODES.MARKER,
+      snapToText: false,
+    },
+  },
+  {
+    id: 'highlighter',
+    name: 'Highlighter',
+    settings: {
+      size: 24,
+      hardness: 100,
+      opacity: 40,
+      flow: 100,
+      spacing: 5,
+      stabilizer: 16,
+      pressureSize: false,
+      pressureOpacity: false,
+      mode: BRUSH_MODES.HIGHLIGHTER,
+      snapToText: true,
+    },
+  },
+  {
+    id: 'airbrush',
+    name: 'Soft airbrush',
+    settings: {
+      size: 60,
+      hardness: 0,
+      opacity: 100,
+      flow: 8,
+      spacing: 10,
+      stabilizer: 0,
+      pressureSize: false,
+      pressureOpacity: true,
+      mode: BRUSH_MODES.PAINT,
+      snapToText: false,
+    },
+  },
+];
+
+export const BRUSH_SLIDERS = [
+  { key: 'size', label: 'Size', min: 1, max: 200, step: 1, unit: 'px' },
+  { key: 'hardness', label: 'Hardness', min: 0, max: 100, step: 1, unit: '%' },
+  { key: 'opacity', label: 'Opacity', min: 1, max: 100, step: 1, unit: '%' },
+  { key: 'flow', label: 'Flow', min: 1, max: 100, step: 1, unit: '%' },
+  { key: 'spacing', label: 'Spacing', min: 1, max: 100, step: 1, unit: '%' },
+  { key: 'stabilizer', label: 'Stabilizer', min: 0, max: 50, step: 1, unit: 'px' },
+];
+
+/**
+ * Create the settings of the default round brush
+ * @returns {Object} - Brush settings
+ */
+export const createDefaultBrushSettings = () => ({ ...BRUSH_PRESETS[0].settings });
+
+/**
+ * Read the pen pressure of a pointer event. Mice and touch report a fixed
+ * pressure, so only pens are pressure sensitive.
+ * @param {PointerEvent} event - Pointer event
+ * @returns {number} - Pressure from 0 to 1
+ */
+export const getPointerPressure = (event) => (
+  event.pointerType === 'pen' && event.pressure > 0 ? event.pressure : 1
+);
+
+const createBrushStamp = (diameter, hardness, color) => {
+  const size = Math.max(1, Math.ceil(diameter)) + 2;
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+
+  const ctx = canvas.getContext('2d');
+  const center = size / 2;
+  const radius = Math.max(0.5, diameter / 2);
+  const solid = (hardness / 100) * (1 - Math.min(0.5, 1 / radius));
+  const gradient = ctx.createRadialGradient(center, center, 0, center, center, radius);
+  gradient.addColorStop(0, 'rgba(0, 0, 0, 1)');
+  gradient.addColorStop(solid, 'rgba(0, 0, 0, 1)');
+  [0.25, 0.5, 0.75].forEach((t) => {
+    gradient.addColorStop(solid + (1 - solid) * t, `rgba(0, 0, 0, ${0.5 * (1 + Math.cos(Math.PI * t))})`);
+  });
+  gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, size, size);
+  ctx.globalCompositeOperation = 'source-in';
+  ctx.fillStyle = color;
+  ctx.fillRect(0, 0, size, size);
+  return canvas;
+};
+
+const getPressureScale = (enabled, pressure) => (
+  enabled ? Math.max(MIN_PRESSURE_SCALE, pressure) : 1
+);
+
+const getDabSpacing = (settings, pressure) => Math.max(
+  MIN_DAB_SPACING,
+  settings.size * getPressureScale(settings.pressureSize, pressure) * (settings.spacing / 100)
+);
+
+const expandBounds = (bounds, x, y, radius) => {
+  const left = Math.floor(x - radius);
+  const top = Math.floor(y - radius);
+  const right = Math.ceil(x + radius);
+  const bottom = Math.ceil(y + radius);
+  if (!bounds) return { x: left, y: top, width: right - left, height: bottom - top };
+
+  const nextLeft = Math.min(bounds.x, left);
+  const nextTop = Math.min(bounds.y, top);
+  return {
+    x: nextLeft,
+    y: nextTop,
+    width: Math.max(bounds.x + bounds.width, right) - nextLeft,
+    height: Math.max(bounds.y + bounds.height, bottom) - nextTop,
+  };
+};
+
+const stampDab = (ctx, stroke, x, y, pressure) => {
+  const { settings, stamp } = stroke;
+  const scale = getPressureScale(settings.pressureSize, pressure);
+  const size = stamp.width * scale;
+
+  ctx.globalAlpha = settings.mode === BRUSH_MODES.PAINT
+    ? (settings.flow / 100) * getPressureScale(settings.pressureOpacity, pressure)
+    : 1;
+  ctx.drawImage(stamp, x - size / 2, y - size / 2, size, size);
+  stroke.bounds = expandBounds(stroke.bounds, x, y, size / 2 + 1);
+};
+
+const stampSegment = (ctx, stroke, from, to) => {
+  const distance = Math.hypot(to.x - from.x, to.y - from.y);
+  let travelled = stroke.distanceToNextDab;
+
+  while (travelled <= distance) {
+    const t = distance === 0 ? 1 : travelled / distance;
+    const pressure = from.pressure + (to.pressure - from.pressure) * t;
+    stampDab(ctx, stroke, from.x + (to.x - from.x) * t, from.y + (to.y - from.y) * t, pressure);
+    travelled += getDabSpacing(stroke.settings, pressure);
+  }
+
+  stroke.distanceToNextDab = travelled - distance;
+};
+
+/**
+ * Start a stroke with a dab at the first point
+ * @param {CanvasRenderingContext2D} ctx - Stroke canvas context
+ * @param {Object} settings - Brush settings
+ * @param {string} color - CSS color of the dabs
+ * @param {{x: number, y: number, pressure: number}} point - First point in canvas pixels
+ * @returns {Object} - Stroke state; bounds holds the painted area
+ */
+export const beginBrushStroke = (ctx, settings, color, point) => {
+  const stroke = {
+    settings,
+    stamp: createBrushStamp(settings.size, settings.hardness, color),
+    startPoint: point,
+    brushPoint: point,
+    distanceToNextDab: 0,
+    bounds: null,
+  };
+  stampSegment(ctx, stroke, point, point);
+  return stroke;
+};
+
+/**
+ * Continue a stroke towards the pointer. With a stabilizer the brush trails
+ * the pointer on a string of that length and only moves once it is pulled
+ * tight, which smooths out hand jitter.
+ * @param {CanvasRenderingContext2D} ctx - Stroke canvas context
+ * @param {Object} stroke - Stroke state from beginBrushStroke
+ * @param {{x: number, y: number, pressure: number}} point - Pointer position in canvas pixels
+ * @returns {boolean} - True when new dabs were painted
+ */
+export const continueBrushStroke = (ctx, stroke, point) => {
+  const from = stroke.brushPoint;
+  const lazyRadius = stroke.settings.stabilizer;
+  const distance = Math.hypot(point.x - from.x, point.y - from.y);
+  if (distance <= lazyRadius) return false;
+
+  const pull = lazyRadius > 0 ? (distance - lazyRadius) / distance : 1;
+  const to = {
+    x: from.x + (point.x - from.x) * pull,
+    y: from.y + (point.y - from.y) * pull,
+    pressure: point.pressure,
+  };
+  const previousBounds = stroke.bounds;
+  stampSegment(ctx, stroke, from, to);
+  stroke.brushPoint = to;
+  return stroke.bounds !== previousBounds;
+};
+
+/**
+ * Replace a stroke with a straight line from its first point
+ * @param {CanvasRenderingContext2D} ctx - Stroke canvas context
+ * @param {Object} stroke - Stroke state from beginBrushStroke
+ * @param {{x: number, y: number, pressure: number}} point - End of the line in canvas pixels
+ */
+export const redrawStraightBrushStroke = (ctx, stroke, point) => {
+  ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+  stroke.bounds = null;
+  stroke.distanceToNextDab = 0;
+  stampSegment(ctx, stroke, stroke.startPoint, point);
+  stroke.brushPoint = point;
+};
+
+/**
+ * Find the row of text around a point. Pixels that stand out from the most
+ * common (background) brightness count as ink, and the row is the run of
+ * inked pixel rows that contains or is nearest to the point.
+ * @param {ImageData} imageData - Pixels around the point
+ * @param {number} y - Point y inside the image data
+ * @returns {{top: number, bottom: number}|null} - Inclusive row bounds, or null when no text row is found
+ */
+export const findTextRowBounds = (imageData, y) => {
+  const { width, height, data } = imageData;
+  const luminance = new Uint8Array(width * height);
+  const histogram = new Uint32Array(32);
+
+  for (let pixel = 0; pixel < luminance.length; pixel += 1) {
+    const index = pixel * 4;
+    const alpha = data[index + 3] / 255;
+    const value = (data[index] * 0.299 + data[index + 1] * 0.587 + data[index + 2] * 0.114) * alpha +
+      255 * (1 - alpha);
+    luminance[pixel] = value;
+    histogram[luminance[pixel] >> 3] += 1;
+  }
+
+  const backgroundBucket = histogram.indexOf(Math.max(...histogram));
+  const background = backgroundBucket * 8 + 4;
+  const minInk = Math.max(2, Math.round(width * 0.01));
+  const isInkRow = (row) => {
+    let ink = 0;
+    for (let x = 0; x < width; x += 1) {
+      if (Math.abs(luminance[row * width + x] - background) > TEXT_INK_CONTRAST) ink += 1;
+    }
+    return ink >= minInk;
+  };
+
+  const inkRows = Array.from({ length: height }, (_, row) => isInkRow(row));
+  const startRow = Math.min(height - 1, Math.max(0, Math.floor(y)));
+  let row = -1;
+  for (let distance = 0; distance <= TEXT_ROW_SEARCH_DISTANCE && row === -1; distance += 1) {
+    if (inkRows[startRow - distance]) row = startRow - distance;
+    else if (inkRows[startRow + distance]) row = startRow + distance;
+  }
+  if (row === -1) return null;
+
+  const extend = (direction) => {
+    let edge = row;
+    let gap = 0;
+    for (let probe = row + direction; probe >= 0 && probe < height && gap <= TEXT_ROW_GAP; probe += direction) {
+      if (inkRows[probe]) {
+        edge = probe;
+        gap = 0;
+      } else {
+        gap += 1;
+      }
+    }
+    return edge;
+  };
+
+  const top = extend(-1);
+  const bottom = extend(1);
+  if (top === 0 || bottom === height - 1) return null;
+  return { top, bottom };
+};
+
+/**
+ * Load the brush presets saved by the user
+ * @returns {Array<{id: string, name: string, settings: Object}>} - Saved presets
+ */
+export const loadBrushPresets = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(stored)) {
+      return stored
+        .filter((preset) => preset && typeof preset.id === 'string' && typeof preset.name === 'string')
+        .map((preset) => ({
+          ...preset,
+          settings: { ...createDefaultBrushSettings(), ...preset.settings },
+        }));
+    }
+  } catch (err) {
+    console.warn('Could not read saved brush presets:', err);
+  }
+
+  return [];
+};
+
+/**
+ * Store the brush presets saved by the user
+ * @param {Array<{id: string, name: string, settings: Object}>} presets - Presets to keep
+ */
+export const saveBrushPresets = (presets) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+  } catch (err) {
+    console.warn('Could not save brush presets:', err);
+  }
+};
@@ -0,0 +1,218 @@
+import {
+  BRUSH_MODES,
+  beginBrushStroke,
+  continueBrushStroke,
+  createDefaultBrushSettings,
+  findTextRowBounds,
+  getPointerPressure,
+  redrawStraightBrushStroke,
+} from './brushEngine';
+import { createImageData } from '../testHelpers';
+
+// Records each dab as its center, size and alpha instead of painting it
+const createRecordingContext = () => {
+  const ctx = {
+    canvas: { width: 100, height: 100 },
+    globalAlpha: 1,
+    dabs: [],
+    clearRect: () => {
+      ctx.dabs = [];
+    },
+    drawImage: (image, x, y, width) => {
+      ctx.dabs.push({ x: x + width / 2, y: y + width / 2, size: width, alpha: ctx.globalAlpha });
+    },
+  };
+  return ctx;
+};
+
+const createSettings = (overrides) => ({
+  ...createDefaultBrushSettings(),
+  size: 10,
+  spacing: 50,
+  stabilizer: 0,
+  pressureSize: false,
+  pressureOpacity: false,
+  ...overrides,
+});
+
+const point = (x, y, pressure = 1) => ({ x, y, pressure });
+
+const getDabXs = (ctx) => ctx.dabs.map((dab) => Math.round(dab.x * 100) / 100);
+
+describe('stamp spacing', () => {
+  it('stamps dabs a fraction of the brush size apart', () => {
+    const ctx = createRecordingContext();
+    const stroke = beginBrushStroke(ctx, createSettings(), '#000000', point(0, 0));
+    continueBrushStroke(ctx, stroke, point(20, 0));
+
+    expect(getDabXs(ctx)).toEqual([0, 5, 10, 15, 20]);
+  });
+
+  it('keeps the spacing across pointer moves', () => {
+    const ctx = createRecordingContext();
+    const stroke = beginBrushStroke(ctx, createSettings(), '#000000', point(0, 0));
+    expect(continueBrushStroke(ctx, stroke, point(3, 0))).toBe(false);
+    continueBrushStroke(ctx, stroke, point(12, 0));
+    continueBrushStroke(ctx, stroke, point(16, 0));
+
+    expect(getDabXs(ctx)).toEqual([0, 5, 10, 15]);
+  });
+
+  it('never stamps closer than half a pixel', () => {
+    const ctx = createRecordingContext();
+    const stroke = beginBrushStroke(ctx, createSettings({ size: 1, spacing: 1 }), '#000000', point(0, 0));
+    continueBrushStroke(ctx, stroke, point(2, 0));
+
+    expect(getDabXs(ctx)).toEqual([0, 0.5, 1, 1.5, 2]);
+  });
+
+  it('tracks the painted bounds', () => {
+    const ctx = createRecordingContext();
+    const stroke = beginBrushStroke(ctx, createSettings(), '#000000', point(10, 20));
+    continueBrushStroke(ctx, stroke, point(30, 20));
+
+    expect(stroke.bounds.x).toBeLessThanOrEqual(10 - ctx.dabs[0].size / 2);
+    expect(stroke.bounds.x + stroke.bounds.width).toBeGreaterThanOrEqual(30 + ctx.dabs[0].size / 2);
+    expect(stroke.bounds.y).toBeLessThanOrEqual(20 - ctx.dabs[0].size / 2);
+  });
+});
+
+describe('stabilizer', () => {
+  it('does not move the brush while the pointer stays within the string length', () => {
+    const ctx = createRecordingContext();
+    const stroke = beginBrushStroke(ctx, createSettings({ stabilizer: 10 }), '#000000', point(0, 0));
+
+    expect(continueBrushStroke(ctx, stroke, point(6, 8))).toBe(false);
+    expect(stroke.brushPoint).toEqual(point(0, 0));
+    expect(ctx.dabs).toHaveLength(1);
+  });
+
+  it('trails the pointer by the string length', () => {
+    const ctx = createRecordingContext();
+    const stroke = beginBrushStroke(ctx, createSettings({ stabilizer: 10 }), '#000000', point(0, 0));
+    continueBrushStroke(ctx, stroke, point(25, 0));
+
+    expect(stroke.brushPoint.x).toBeCloseTo(15);
+    expect(getDabXs(ctx)).toEqual([0, 5, 10, 15]);
+  });
+
+  it('smooths out jitter across the stroke direction', () => {
+    const settings = createSettings({ stabilizer: 6 });
+    const jitter = [point(10, 4), point(20, -4), point(30, 4), point(40, -4), point(50, 4)];
+    const ctx = createRecordingContext();
+    const stroke = beginBrushStroke(ctx, settings, '#000000', point(0, 0));
+    jitter.forEach((next) => continueBrushStroke(ctx, stroke, next));
+
+    const maxOffset = Math.max(...ctx.dabs.map((dab) => Math.abs(dab.y)));
+    expect(maxOffset).toBeLessThan(4);
+  });
+});
+
+describe('pressure', () => {
+  it('reads pressure from pens only', () => {
+    expect(getPointerPressure({ pointerType: 'pen', pressure: 0.3 })).toBe(0.3);
+    expect(getPointerPressure({ pointerType: 'pen', pressure: 0 })).toBe(1);
+    expect(getPointerPressure({ pointerType: 'mouse', pressure: 0.5 })).toBe(1);
+    expect(getPointerPressure({ pointerType: 'touch', pressure: 0.2 })).toBe(1);
+  });
+
+  it('scales the dab size with pressure size on', () => {
+    const settings = createSettings({ pressureSize: true });
+    const full = createRecordingContext();
+    const half = createRecordingContext();
+    beginBrushStroke(full, settings, '#000000', point(0, 0, 1));
+    beginBrushStroke(half, settings, '#000000', point(0, 0, 0.5));
+
+    expect(half.dabs[0].size).toBeCloseTo(full.dabs[0].size / 2);
+    expect(half.dabs[0].alpha).toBe(1);
+  });
+
+  it('blends the pressure between pointer events', () => {
+    const ctx = createRecordingContext();
+    const stroke = beginBrushStroke(ctx, createSettings({ pressureSize: true }), '#000000', point(0, 0, 1));
+    continueBrushStroke(ctx, stroke, point(20, 0, 0.5));
+
+    const sizes = ctx.dabs.map((dab) => dab.size);
+    expect(sizes).toEqual([...sizes].sort((a, b) => b - a));
+    expect(sizes[sizes.length - 1]).toBeLessThan(sizes[0]);
+  });
+
+  it('spaces smaller dabs closer together', () => {
+    const ctx = createRecordingContext();
+    const stroke = beginBrushStroke(ctx, createSettings({ pressureSize: true }), '#000000', point(0, 0, 0.5));
+    continueBrushStroke(ctx, stroke, point(10, 0, 0.5));
+
+    expect(getDabXs(ctx)).toEqual([0, 2.5, 5, 7.5, 10]);
+  });
+
+  it('keeps a minimum size at zero pressure', () => {
+    const ctx = createRecordingContext();
+    beginBrushStroke(ctx, createSettings({ pressureSize: true }), '#000000', point(0, 0, 0));
+    expect(ctx.dabs[0].size).toBeGreaterThan(0);
+  });
+
+  it('scales the dab alpha with flow and pressure opacity on', () => {
+    const ctx = createRecordingContext();
+    beginBrushStroke(ctx, createSettings({ pressureOpacity: true, flow: 50 }), '#000000', point(0, 0, 0.4));
+
+    expect(ctx.dabs[0].alpha).toBeCloseTo(0.2);
+  });
+
+  it('stamps marker and highlighter dabs at full alpha', () => {
+    [BRUSH_MODES.MARKER, BRUSH_MODES.HIGHLIGHTER].forEach((mode) => {
+      const ctx = createRecordingContext();
+      beginBrushStroke(ctx, createSettings({ mode, pressureOpacity: true, flow: 50 }), '#000000', point(0, 0, 0.4));
+      expect(ctx.dabs[0].alpha).toBe(1);
+    });
+  });
+});
+
+describe('redrawStraightBrushStroke', () => {
+  it('replaces the stroke with a line from its first point', () => {
+    const ctx = createRecordingContext();
+    const stroke = beginBrushStroke(ctx, createSettings(), '#000000', point(0, 0));
+    continueBrushStroke(ctx, stroke, point(5, 30));
+    redrawStraightBrushStroke(ctx, stroke, point(10, 0));
+
+    expect(getDabXs(ctx)).toEqual([0, 5, 10]);
+    expect(ctx.dabs.every((dab) => dab.y === 0)).toBe(true);
+  });
+});
+
+describe('findTextRowBounds', () => {
+  const WHITE = [255, 255, 255, 255];
+  const BLACK = [0, 0, 0, 255];
+
+  // A white 40x24 image with ink on the given rows between columns 5 and 30
+  const createText = (rows) => createImageData(40, 24, (x, y) => (
+    rows.includes(y) && x >= 5 && x <= 30 ? BLACK : WHITE
+  ));
+
+  it('finds the row under the point', () => {
+    expect(findTextRowBounds(createText([5, 6, 7, 8, 14, 15, 16]), 6)).toEqual({ top: 5, bottom: 8 });
+    expect(findTextRowBounds(createText([5, 6, 7, 8, 14, 15, 16]), 15)).toEqual({ top: 14, bottom: 16 });
+  });
+
+  it('finds the nearest row when the point is between rows', () => {
+    expect(findTextRowBounds(createText([5, 6, 7, 8, 14, 15, 16]), 10)).toEqual({ top: 5, bottom: 8 });
+  });
+
+  it('bridges a one-pixel gap inside a row', () => {
+    expect(findTextRowBounds(createText([5, 6, 8, 9]), 5)).toEqual({ top: 5, bottom: 9 });
+  });
+
+  it('finds dark rows on a dark background as well', () => {
+    const imageData = createImageData(40, 24, (x, y) => (y >= 10 && y <= 12 && x >= 5 && x <= 30 ? WHITE : BLACK));
+    expect(findTextRowBounds(imageData, 11)).toEqual({ top: 10, bottom: 12 });
+  });
+
+  it('ignores rows with a single stray pixel', () => {
+    const imageData = createImageData(40, 24, (x, y) => (x === 20 && y === 10 ? BLACK : WHITE));
+    expect(findTextRowBounds(imageData, 10)).toBeNull();
+  });
+
+  it('returns null when the row runs off the searched area', () => {
+    expect(findTextRowBounds(createText([0, 1, 2]), 1)).toBeNull();
+    expect(findTextRowBounds(createText([21, 22, 23]), 22)).toBeNull();
+  });
+});
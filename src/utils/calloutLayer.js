@@ -0,0 +1,259 @@
+/**
+ * Utility functions for rendering numbered step badges and callout boxes.
+ *
+ * A badge is a circle with a step number centered on its position. A bubble
+ * is a rounded box of text centered on its position with a tail that points
+ * at its tip. Badge numbers follow the layer order, counted from the bottom
+ * of the stack up.
+ */
+import { getLayerX, getLayerY, isCalloutLayer } from './documentLayers';
+import { TEXT_FONT_FAMILIES, traceRoundedRect } from './textLayer';
+
+export const CALLOUT_KINDS = {
+  BADGE: 'badge',
+  BUBBLE: 'bubble',
+};
+
+const LINE_HEIGHT = 1.25;
+
+/**
+ * Create the default style for new callouts
+ * @param {Object} overrides - Settings that replace the defaults
+ * @returns {Object} - Callout style settings
+ */
+export const createDefaultCalloutStyle = (overrides = {}) => ({
+  fontFamily: TEXT_FONT_FAMILIES[0].value,
+  fontSize: 28,
+  fillColor: '#ff2b2b',
+  textColor: '#ffffff',
+  borderColor: '#ffffff',
+  borderWidth: 3,
+  ...overrides,
+});
+
+const getCalloutFont = (callout) => `700 ${Math.max(1, callout.fontSize)}px ${callout.fontFamily}`;
+
+const getCalloutLines = (callout) => (
+  callout.kind === CALLOUT_KINDS.BADGE
+    ? [String(callout.number ?? 1)]
+    : String(callout.content ?? '').split('\n')
+);
+
+const measureLines = (callout, lines) => {
+  const ctx = document.createElement('canvas').getContext('2d');
+  ctx.font = getCalloutFont(callout);
+  return Math.max(1, ...lines.map((line) => ctx.measureText(line || ' ').width));
+};
+
+/**
+ * Get the body of a callout: the badge circle or the bubble box
+ * @param {Object} callout - Callout data
+ * @returns {{x: number, y: number, width: number, height: number, radius: number}} - Body
+ * bounds and corner radius in the callout's coordinate space
+ */
+export const getCalloutBody = (callout) => {
+  const fontSize = Math.max(1, callout.fontSize);
+  const lines = getCalloutLines(callout);
+  const textWidth = measureLines(callout, lines);
+
+  if (callout.kind === CALLOUT_KINDS.BADGE) {
+    const radius = Math.max(fontSize * 0.85, textWidth / 2 + fontSize * 0.45);
+    return {
+      x: callout.position.x - radius,
+      y: callout.position.y - radius,
+      width: radius * 2,
+      height: radius * 2,
+      radius,
+    };
+  }
+
+  const padding = fontSize * 0.6;
+  const width = textWidth + padding * 2;
+  const height = lines.length * fontSize * LINE_HEIGHT + padding * 1.4;
+  return {
+    x: callout.position.x - width / 2,
+    y: callout.position.y - height / 2,
+    width,
+    height,
+    radius: Math.min(fontSize * 0.5, width / 2, height / 2),
+  };
+};
+
+const getTailBase = (callout, body) => {
+  if (callout.kind !== CALLOUT_KINDS.BUBBLE || !callout.tip) return null;
+
+  const { tip } = callout;
+  const right = body.x + body.width;
+  const bottom = body.y + body.height;
+  if (tip.x >= body.x && tip.x <= right && tip.y >= body.y && tip.y <= bottom) return null;
+
+  const dx = tip.x - callout.position.x;
+  const dy = tip.y - callout.position.y;
+  const isSide = Math.abs(dx) * body.height > Math.abs(dy) * body.width;
+  const edgeLength = isSide ? body.height : body.width;
+  const halfBase = Math.max(2, Math.min(callout.fontSize * 0.5, edgeLength / 2 - body.radius));
+  const low = (isSide ? body.y : body.x) + body.radius + halfBase;
+  const high = (isSide ? bottom : right) - body.radius - halfBase;
+  const middle = low > high
+    ? (isSide ? callout.position.y : callout.position.x)
+    : Math.min(high, Math.max(low, isSide ? tip.y : tip.x));
+
+  if (isSide) {
+    const x = dx > 0 ? right : body.x;
+    return [{ x, y: middle - halfBase }, { x, y: middle + halfBase }];
+  }
+
+  const y = dy > 0 ? bottom : body.y;
+  return [{ x: middle - halfBase, y }, { x: middle + halfBase, y }];
+};
+
+/**
+ * Draw a callout onto a canvas context in the callout's coordinate space
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Object} callout - Callout data
+ */
+export const drawCallout = (ctx, callout) => {
+  const body = getCalloutBody(callout);
+  const tailBase = getTailBase(callout, body);
+  const lines = getCalloutLines(callout);
+  const lineHeight = Math.max(1, callout.fontSize) * LINE_HEIGHT;
+
+  ctx.save();
+  if (callout.kind === CALLOUT_KINDS.BADGE) {
+    ctx.beginPath();
+    ctx.arc(callout.position.x, callout.position.y, body.radius, 0, Math.PI * 2);
+  } else {
+    traceRoundedRect(ctx, body.x, body.y, body.width, body.height, body.radius);
+  }
+  if (tailBase) {
+    ctx.moveTo(tailBase[0].x, tailBase[0].y);
+    ctx.lineTo(callout.tip.x, callout.tip.y);
+    ctx.lineTo(tailBase[1].x, tailBase[1].y);
+    ctx.closePath();
+  }
+
+  if (callout.borderWidth > 0) {
+    ctx.lineJoin = 'round';
+    ctx.lineWidth = callout.borderWidth * 2;
+    ctx.strokeStyle = callout.borderColor;
+    ctx.stroke();
+  }
+  ctx.fillStyle = callout.fillColor;
+  ctx.fill();
+
+  ctx.font = getCalloutFont(callout);
+  ctx.fillStyle = callout.textColor;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  lines.forEach((line, index) => {
+    ctx.fillText(
+      line,
+      callout.position.x,
+      callout.position.y + (index - (lines.length - 1) / 2) * lineHeight
+    );
+  });
+  ctx.restore();
+};
+
+/**
+ * Move every point of a callout by an offset
+ * @param {Object} callout - Callout data
+ * @param {number} dx - Horizontal offset
+ * @param {number} dy - Vertical offset
+ * @returns {Object} - Translated callout data
+ */
+export const translateCallout = (callout, dx, dy) => ({
+  ...callout,
+  position: { x: callout.position.x + dx, y: callout.position.y + dy },
+  tip: callout.tip ? { x: callout.tip.x + dx, y: callout.tip.y + dy } : null,
+});
+
+/**
+ * Render a callout into a canvas sized to its visible extent
+ * @param {Object} callout - Callout data
+ * @returns {{canvas: HTMLCanvasElement, offsetX: number, offsetY: number}} - Canvas and the
+ * position of its top-left corner in the callout's coordinate space
+ */
+export const renderCalloutCanvas = (callout) => {
+  const body = getCalloutBody(callout);
+  const points = [
+    { x: body.x, y: body.y },
+    { x: body.x + body.width, y: body.y + body.height },
+    ...(getTailBase(callout, body) ? [callout.tip] : []),
+  ];
+  const padding = Math.ceil(Math.max(0, callout.borderWidth) + 2);
+  const offsetX = Math.floor(Math.min(...points.map((point) => point.x))) - padding;
+  const offsetY = Math.floor(Math.min(...points.map((point) => point.y))) - padding;
+  const right = Math.ceil(Math.max(...points.map((point) => point.x))) + padding;
+  const bottom = Math.ceil(Math.max(...points.map((point) => point.y))) + padding;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, right - offsetX);
+  canvas.height = Math.max(1, bottom - offsetY);
+
+  const ctx = canvas.getContext('2d');
+  ctx.translate(-offsetX, -offsetY);
+  drawCallout(ctx, callout);
+
+  return {
+    canvas,
+    offsetX,
+    offsetY,
+  };
+};
+
+/**
+ * Render a callout into a callout layer, moving the layer to the callout's extent
+ * @param {Object} layer - Callout layer
+ * @param {Object} callout - Callout data in the layer's coordinate space
+ * @returns {Object} - Layer with the new canvas, callout and position
+ */
+export const renderCalloutLayer = (layer, callout) => {
+  const { canvas, offsetX, offsetY } = renderCalloutCanvas(callout);
+
+  return {
+    ...layer,
+    canvas,
+    callout: translateCallout(callout, -offsetX, -offsetY),
+    x: getLayerX(layer) + offsetX,
+    y: getLayerY(layer) + offsetY,
+  };
+};
+
+/**
+ * Change some settings of a callout layer and render it again
+ * @param {Object} layer - Callout layer
+ * @param {Object} changes - Callout settings to replace
+ * @returns {Object} - Updated layer
+ */
+export const updateCalloutLayer = (layer, changes) => renderCalloutLayer(layer, {
+  ...layer.callout,
+  ...changes,
+});
+
+export const isStepBadgeLayer = (layer) => isCalloutLayer(layer) && layer.callout.kind === CALLOUT_KINDS.BADGE;
+
+/**
+ * Number the step badges of a document 1, 2, 3... from the bottom of the
+ * layer stack up. Badges still named after their old number are renamed.
+ * @param {Object} doc - Editor document
+ * @returns {Object} - Renumbered document, or the same document when every number is already right
+ */
+export const renumberStepBadges = (doc) => {
+  let number = 0;
+  let hasChanged = false;
+  const layers = doc.layers.map((layer) => {
+    if (!isStepBadgeLayer(layer)) return layer;
+
+    number += 1;
+    if (layer.callout.number === number) return layer;
+
+    hasChanged = true;
+    return {
+      ...updateCalloutLayer(layer, { number }),
+      name: layer.name === `Step ${layer.callout.number}` ? `Step ${number}` : layer.name,
+    };
+  });
+
+  return hasChanged ? { ...doc, layers } : doc;
+};
@@ -0,0 +1,94 @@
+import {
+  CALLOUT_KINDS,
+  createDefaultCalloutStyle,
+  isStepBadgeLayer,
+  renderCalloutLayer,
+  renumberStepBadges,
+} from './calloutLayer';
+import { LAYER_TYPES } from './documentLayers';
+
+const createBadge = (number, name = `Step ${number}`) => renderCalloutLayer({
+  id: `badge-${number}`,
+  type: LAYER_TYPES.CALLOUT,
+  name,
+  x: 0,
+  y: 0,
+  visible: true,
+}, {
+  ...createDefaultCalloutStyle(),
+  kind: CALLOUT_KINDS.BADGE,
+  number,
+  position: { x: number * 40, y: 30 },
+  tip: null,
+});
+
+const createBubble = () => renderCalloutLayer({
+  id: 'bubble',
+  type: LAYER_TYPES.CALLOUT,
+  name: 'Callout 1',
+  x: 0,
+  y: 0,
+  visible: true,
+}, {
+  ...createDefaultCalloutStyle(),
+  kind: CALLOUT_KINDS.BUBBLE,
+  content: 'Note',
+  position: { x: 50, y: 50 },
+  tip: { x: 10, y: 90 },
+});
+
+const createDocument = (layers) => ({ width: 200, height: 100, layers, activeLayerId: layers[0].id });
+
+const getBadges = (doc) => doc.layers
+  .filter(isStepBadgeLayer)
+  .map((layer) => ({ id: layer.id, name: layer.name, number: layer.callout.number }));
+
+describe('renumberStepBadges', () => {
+  it('returns the same document when the numbers are in order', () => {
+    const doc = createDocument([createBadge(1), createBubble(), createBadge(2)]);
+    expect(renumberStepBadges(doc)).toBe(doc);
+  });
+
+  it('closes the gap after a badge is deleted', () => {
+    const doc = createDocument([createBadge(1), createBadge(2), createBadge(3)]);
+    const deleted = { ...doc, layers: doc.layers.filter((layer) => layer.id !== 'badge-2') };
+    const renumbered = renumberStepBadges(deleted);
+
+    expect(getBadges(renumbered)).toEqual([
+      { id: 'badge-1', name: 'Step 1', number: 1 },
+      { id: 'badge-3', name: 'Step 2', number: 2 },
+    ]);
+    expect(renumbered.layers[0]).toBe(deleted.layers[0]);
+  });
+
+  it('numbers badges from the bottom of the stack up after a reorder', () => {
+    const [first, second, third] = [createBadge(1), createBadge(2), createBadge(3)];
+    const reordered = createDocument([third, createBubble(), first, second]);
+
+    expect(getBadges(renumberStepBadges(reordered))).toEqual([
+      { id: 'badge-3', name: 'Step 1', number: 1 },
+      { id: 'badge-1', name: 'Step 2', number: 2 },
+      { id: 'badge-2', name: 'Step 3', number: 3 },
+    ]);
+  });
+
+  it('keeps names the user changed', () => {
+    const doc = createDocument([createBadge(2, 'Open settings')]);
+    expect(getBadges(renumberStepBadges(doc))).toEqual([{ id: 'badge-2', name: 'Open settings', number: 1 }]);
+  });
+
+  it('re-renders a renumbered badge in place', () => {
+    const doc = createDocument([createBadge(2)]);
+    const [badge] = doc.layers;
+    const [renumbered] = renumberStepBadges(doc).layers;
+
+    expect(renumbered.canvas).not.toBe(badge.canvas);
+    expect(renumbered.x + renumbered.callout.position.x).toBe(badge.x + badge.callout.position.x);
+    expect(renumbered.y + renumbered.callout.position.y).toBe(badge.y + badge.callout.position.y);
+  });
+
+  it('leaves callout bubbles alone', () => {
+    const doc = createDocument([createBadge(4), createBubble()]);
+    expect(renumberStepBadges(doc).layers[1]).toBe(doc.layers[1]);
+  });
+});
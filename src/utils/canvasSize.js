@@ -0,0 +1,107 @@
+/**
+ * Utility functions for changing the canvas size of a document.
+ *
+ * Changing the canvas size moves the document bounds without scaling any
+ * pixels. The anchor is a point on the document as a fraction of its size,
+ * and that point stays in the same place on the resized canvas.
+ */
+
+import {
+  clampDimension,
+  createLayer,
+  getLayerX,
+  getLayerY,
+  isAdjustmentLayer,
+} from './documentLayers';
+
+export const CANVAS_ANCHORS = [
+  { id: 'nw', x: 0, y: 0, label: 'Top left' },
+  { id: 'n', x: 0.5, y: 0, label: 'Top' },
+  { id: 'ne', x: 1, y: 0, label: 'Top right' },
+  { id: 'w', x: 0, y: 0.5, label: 'Left' },
+  { id: 'center', x: 0.5, y: 0.5, label: 'Center' },
+  { id: 'e', x: 1, y: 0.5, label: 'Right' },
+  { id: 'sw', x: 0, y: 1, label: 'Bottom left' },
+  { id: 's', x: 0.5, y: 1, label: 'Bottom' },
+  { id: 'se', x: 1, y: 1, label: 'Bottom right' },
+];
+
+export const getCanvasAnchor = (anchorId) => (
+  CANVAS_ANCHORS.find((anchor) => anchor.id === anchorId) || CANVAS_ANCHORS[4]
+);
+
+/**
+ * Convert a size typed into the canvas size fields into a document size
+ * @param {number} value - Typed value, the new size or the amount to add when relative
+ * @param {number} currentSize - Current document width or height
+ * @param {boolean} isRelative - Whether the value is added to the current size
+ * @returns {number} - Clamped document width or height
+ */
+export const getCanvasSizeFromInput = (value, currentSize, isRelative) => (
+  clampDimension(Number(value) + (isRelative ? currentSize : 0))
+);
+
+export const getCanvasSizeInputValue = (size, currentSize, isRelative) => (
+  isRelative ? size - currentSize : size
+);
+
+/**
+ * Find how far the existing pixels move on the resized canvas
+ * @param {{width: number, height: number}} doc - Document before the resize
+ * @param {number} width - New canvas width
+ * @param {number} height - New canvas height
+ * @param {{x: number, y: number}} anchor - Anchor as a fraction of the document size
+ * @returns {{x: number, y: number}} - Offset added to every layer position
+ */
+export const getCanvasResizeOffset = (doc, width, height, anchor) => ({
+  x: Math.round((width - doc.width) * anchor.x),
+  y: Math.round((height - doc.height) * anchor.y),
+});
+
+/**
+ * Change the canvas size of a document, keeping the anchor in place
+ * @param {Object} doc - Document to resize
+ * @param {number} width - New canvas width
+ * @param {number} height - New canvas height
+ * @param {{x: number, y: number}} anchor - Anchor as a fraction of the document size
+ * @param {string|null} fillColor - Color for the added area, or null to leave it transparent
+ * @returns {Object} - Resized document
+ */
+export const resizeCanvasDocument = (doc, width, height, anchor, fillColor = null) => {
+  const nextWidth = clampDimension(width);
+  const nextHeight = clampDimension(height);
+  const offset = getCanvasResizeOffset(doc, nextWidth, nextHeight, anchor);
+
+  const layers = doc.layers.map((layer) => (
+    isAdjustmentLayer(layer)
+      ? layer
+      : {
+        ...layer,
+        x: getLayerX(layer) + offset.x,
+        y: getLayerY(layer) + offset.y,
+      }
+  ));
+
+  const hasNewArea = nextWidth > doc.width || nextHeight > doc.height;
+  if (fillColor && hasNewArea) {
+    layers.unshift(createLayer({
+      name: 'Canvas fill',
+      width: nextWidth,
+      height: nextHeight,
+      draw: (ctx) => {
+        ctx.beginPath();
+        ctx.rect(0, 0, nextWidth, nextHeight);
+        ctx.rect(offset.x, offset.y, doc.width, doc.height);
+        ctx.fillStyle = fillColor;
+        ctx.fill('evenodd');
+      },
+    }));
+  }
+
+  return {
+    ...doc,
+    width: nextWidth,
+    height: nextHeight,
+    layers,
+  };
+};
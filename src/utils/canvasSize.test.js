@@ -0,0 +1,121 @@
+import {
+  CANVAS_ANCHORS,
+  getCanvasAnchor,
+  getCanvasResizeOffset,
+  getCanvasSizeFromInput,
+  getCanvasSizeInputValue,
+  resizeCanvasDocument,
+} from './canvasSize';
+import { LAYER_TYPES, MAX_DIMENSION, MIN_DIMENSION } from './documentLayers';
+import { createFilledCanvas, getPixel } from '../testHelpers';
+
+const createDocument = () => ({
+  width: 4,
+  height: 2,
+  activeLayerId: 'background',
+  layers: [
+    { id: 'background', type: LAYER_TYPES.RASTER, canvas: createFilledCanvas(4, 2, '#ff0000'), x: 0, y: 0 },
+    { id: 'sticker', type: LAYER_TYPES.RASTER, canvas: createFilledCanvas(2, 2, '#0000ff'), x: 3, y: -1 },
+    { id: 'adjustment', type: LAYER_TYPES.ADJUSTMENT, canvas: null, adjustment: {} },
+  ],
+});
+
+const getPositions = (doc) => doc.layers
+  .filter((layer) => layer.type === LAYER_TYPES.RASTER)
+  .map((layer) => [layer.id, layer.x, layer.y]);
+
+describe('getCanvasResizeOffset', () => {
+  const doc = { width: 4, height: 2 };
+
+  it.each([
+    ['nw', { x: 0, y: 0 }],
+    ['n', { x: 2, y: 0 }],
+    ['ne', { x: 4, y: 0 }],
+    ['center', { x: 2, y: 1 }],
+    ['sw', { x: 0, y: 2 }],
+    ['se', { x: 4, y: 2 }],
+  ])('keeps the %s anchor in place when growing', (anchorId, offset) => {
+    expect(getCanvasResizeOffset(doc, 8, 4, getCanvasAnchor(anchorId))).toEqual(offset);
+  });
+
+  it('moves the pixels the other way when shrinking', () => {
+    expect(getCanvasResizeOffset(doc, 2, 1, getCanvasAnchor('se'))).toEqual({ x: -2, y: -1 });
+    expect(getCanvasResizeOffset({ width: 6, height: 4 }, 2, 2, getCanvasAnchor('center'))).toEqual({ x: -2, y: -1 });
+  });
+
+  it('rounds to whole pixels', () => {
+    expect(getCanvasResizeOffset(doc, 7, 5, getCanvasAnchor('center'))).toEqual({ x: 2, y: 2 });
+  });
+});
+
+describe('getCanvasAnchor', () => {
+  it('falls back to the center', () => {
+    expect(getCanvasAnchor('missing')).toBe(CANVAS_ANCHORS.find((anchor) => anchor.id === 'center'));
+  });
+});
+
+describe('canvas size fields', () => {
+  it('uses the typed size as is in absolute mode', () => {
+    expect(getCanvasSizeFromInput('300', 200, false)).toBe(300);
+    expect(getCanvasSizeInputValue(300, 200, false)).toBe(300);
+  });
+
+  it('adds the typed size to the current size in relative mode', () => {
+    expect(getCanvasSizeFromInput('40', 200, true)).toBe(240);
+    expect(getCanvasSizeFromInput('-50', 200, true)).toBe(150);
+    expect(getCanvasSizeInputValue(240, 200, true)).toBe(40);
+  });
+
+  it('clamps the size', () => {
+    expect(getCanvasSizeFromInput('-500', 200, true)).toBe(MIN_DIMENSION);
+    expect(getCanvasSizeFromInput(MAX_DIMENSION, 200, true)).toBe(MAX_DIMENSION);
+  });
+});
+
+describe('resizeCanvasDocument', () => {
+  it('moves every layer by the anchor offset', () => {
+    const resized = resizeCanvasDocument(createDocument(), 8, 4, getCanvasAnchor('center'));
+
+    expect(resized.width).toBe(8);
+    expect(resized.height).toBe(4);
+    expect(getPositions(resized)).toEqual([['background', 2, 1], ['sticker', 5, 0]]);
+    expect(resized.layers).toHaveLength(3);
+  });
+
+  it('leaves adjustment layers and the layer pixels alone', () => {
+    const doc = createDocument();
+    const resized = resizeCanvasDocument(doc, 8, 4, getCanvasAnchor('nw'));
+
+    expect(resized.layers[2]).toBe(doc.layers[2]);
+    expect(resized.layers[0].canvas).toBe(doc.layers[0].canvas);
+  });
+
+  it('keeps the pixels that end up outside when shrinking', () => {
+    const resized = resizeCanvasDocument(createDocument(), 2, 1, getCanvasAnchor('se'), '#ffffff');
+
+    expect(getPositions(resized)).toEqual([['background', -2, -1], ['sticker', 1, -2]]);
+    expect(resized.layers[0].canvas.width).toBe(4);
+    expect(resized.layers).toHaveLength(3);
+  });
+
+  it('fills only the added area with the fill color', () => {
+    const resized = resizeCanvasDocument(createDocument(), 8, 4, getCanvasAnchor('center'), '#00ff00');
+    const [fill] = resized.layers;
+
+    expect(fill.name).toBe('Canvas fill');
+    expect(resized.layers).toHaveLength(4);
+    expect(getPixel(fill.canvas, 0, 0)).toEqual([0, 255, 0, 255]);
+    expect(getPixel(fill.canvas, 7, 3)).toEqual([0, 255, 0, 255]);
+    expect(getPixel(fill.canvas, 1, 1)).toEqual([0, 255, 0, 255]);
+    expect(getPixel(fill.canvas, 2, 1)[3]).toBe(0);
+    expect(getPixel(fill.canvas, 5, 2)[3]).toBe(0);
+    expect(getPixel(fill.canvas, 6, 2)).toEqual([0, 255, 0, 255]);
+  });
+
+  it('fills the new strip next to a corner anchor', () => {
+    const [fill] = resizeCanvasDocument(createDocument(), 6, 2, getCanvasAnchor('ne'), '#00ff00').layers;
+
+    expect(getPixel(fill.canvas, 1, 0)).toEqual([0, 255, 0, 255]);
+    expect(getPixel(fill.canvas, 2, 0)[3]).toBe(0);
+  });
+});
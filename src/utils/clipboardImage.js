@@ -0,0 +1,44 @@
+/**
+ * Utility functions for recognizing pixels the editor copied itself when they
+ * come back from the system clipboard.
+ *
+ * The browser re-encodes the copy as PNG and may round colors on the way back
+ * (premultiplied alpha, color management), so the decoded image is compared
+ * with a small tolerance instead of byte for byte.
+ */
+
+export const CLIPBOARD_PIXEL_TOLERANCE = 8;
+
+const readPixels = (canvas) => canvas
+  .getContext('2d', { willReadFrequently: true })
+  .getImageData(0, 0, canvas.width, canvas.height)
+  .data;
+
+/**
+ * Check whether a pasted image is the pixels the editor last copied
+ * @param {HTMLCanvasElement} canvas - Image decoded from the system clipboard
+ * @param {{canvas: HTMLCanvasElement, x: number, y: number}} clipboard - Pixels copied in the editor
+ * @param {number} tolerance - Maximum channel difference after premultiplying by alpha (0-255)
+ * @returns {boolean} - True when the sizes match and every pixel is within the tolerance
+ */
+export const isSameClipboardImage = (canvas, clipboard, tolerance = CLIPBOARD_PIXEL_TOLERANCE) => {
+  if (!clipboard) return false;
+  if (canvas.width !== clipboard.canvas.width || canvas.height !== clipboard.canvas.height) return false;
+
+  const pasted = readPixels(canvas);
+  const copied = readPixels(clipboard.canvas);
+
+  for (let index = 0; index < pasted.length; index += 4) {
+    const pastedAlpha = pasted[index + 3];
+    const copiedAlpha = copied[index + 3];
+    if (Math.abs(pastedAlpha - copiedAlpha) > tolerance) return false;
+
+    for (let channel = 0; channel < 3; channel += 1) {
+      const pastedValue = (pasted[index + channel] * pastedAlpha) / 255;
+      const copiedValue = (copied[index + channel] * copiedAlpha) / 255;
+      if (Math.abs(pastedValue - copiedValue) > tolerance) return false;
+    }
+  }
+
+  return true;
+};
@@ -0,0 +1,40 @@
+import { CLIPBOARD_PIXEL_TOLERANCE, isSameClipboardImage } from './clipboardImage';
+import { createCanvas } from '../testHelpers';
+
+const pixelAt = (x, y) => [x * 40, y * 60, 200, 255];
+
+const createClipboard = () => ({ canvas: createCanvas(4, 3, pixelAt), x: 10, y: 20 });
+
+describe('isSameClipboardImage', () => {
+  it('matches an exact copy', () => {
+    expect(isSameClipboardImage(createCanvas(4, 3, pixelAt), createClipboard())).toBe(true);
+  });
+
+  it('matches a decoded image that differs in the low bits', () => {
+    const decoded = createCanvas(4, 3, (x, y) => pixelAt(x, y).map((value, channel) => (
+      channel < 3 ? Math.max(0, value - ((x + y + channel) % 3)) : value
+    )));
+
+    expect(isSameClipboardImage(decoded, createClipboard())).toBe(true);
+  });
+
+  it('ignores color rounding in nearly transparent pixels', () => {
+    const clipboard = { canvas: createCanvas(1, 1, () => [200, 10, 90, 3]), x: 0, y: 0 };
+    expect(isSameClipboardImage(createCanvas(1, 1, () => [255, 0, 85, 3]), clipboard)).toBe(true);
+  });
+
+  it('rejects a different size', () => {
+    expect(isSameClipboardImage(createCanvas(3, 4, pixelAt), createClipboard())).toBe(false);
+  });
+
+  it('rejects a pixel outside the tolerance', () => {
+    const changed = createCanvas(4, 3, (x, y) => (
+      x === 2 && y === 1 ? [80, 60 + CLIPBOARD_PIXEL_TOLERANCE + 1, 200, 255] : pixelAt(x, y)
+    ));
+    expect(isSameClipboardImage(changed, createClipboard())).toBe(false);
+  });
+
+  it('rejects a missing clipboard', () => {
+    expect(isSameClipboardImage(createCanvas(4, 3, pixelAt), null)).toBe(false);
+  });
+});
@@ -0,0 +1,272 @@
+/**
+ * Utility functions for the eyedropper, color entry and saved color swatches.
+ *
+ * Colors are passed around as lowercase #rrggbb strings, the format used by
+ * color inputs. Recent colors and the saved palette are kept in localStorage
+ * so they survive reloads.
+ */
+
+const STORAGE_KEY = 'clipboard-photo-editor-swatches';
+
+export const MAX_RECENT_COLORS = 12;
+export const MAX_PALETTE_COLORS = 32;
+
+export const EYEDROPPER_SAMPLE_SIZES = [
+  { radius: 0, label: 'Point sample' },
+  { radius: 1, label: '3 x 3 average' },
+  { radius: 2, label: '5 x 5 average' },
+  { radius: 5, label: '11 x 11 average' },
+  { radius: 15, label: '31 x 31 average' },
+];
+
+const DEFAULT_PALETTE = [
+  '#000000',
+  '#ffffff',
+  '#ff2b2b',
+  '#f59e0b',
+  '#facc15',
+  '#22c55e',
+  '#3b82f6',
+  '#8b5cf6',
+];
+
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/;
+
+const clampChannel = (value) => Math.min(255, Math.max(0, Math.round(value)));
+
+const isHexColor = (value) => typeof value === 'string' && HEX_COLOR_PATTERN.test(value);
+
+const parseNumbers = (text) => (
+  text
+    .replace(/^\s*(rgba?|hsla?)\s*\(/i, '')
+    .replace(/\)\s*$/, '')
+    .split(/[\s,/]+/)
+    .filter(Boolean)
+    .map((part) => Number(part.replace(/%$/, '')))
+);
+
+/**
+ * Convert RGB channels to a hex color
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {string} - #rrggbb color
+ */
+export const rgbToHex = (r, g, b) => (
+  `#${[r, g, b].map((channel) => clampChannel(channel).toString(16).padStart(2, '0')).join('')}`
+);
+
+/**
+ * Convert a hex color to RGB channels
+ * @param {string} hex - #rrggbb color
+ * @returns {{r: number, g: number, b: number}} - Channels (0-255)
+ */
+export const hexToRgb = (hex) => {
+  const value = parseInt(hex.slice(1), 16);
+  return {
+    r: (value >> 16) & 255,
+    g: (value >> 8) & 255,
+    b: value & 255,
+  };
+};
+
+/**
+ * Convert a hex color to HSL
+ * @param {string} hex - #rrggbb color
+ * @returns {{h: number, s: number, l: number}} - Hue (0-359), saturation and lightness (0-100)
+ */
+export const hexToHsl = (hex) => {
+  const { r, g, b } = hexToRgb(hex);
+  const red = r / 255;
+  const green = g / 255;
+  const blue = b / 255;
+  const max = Math.max(red, green, blue);
+  const min = Math.min(red, green, blue);
+  const lightness = (max + min) / 2;
+  const delta = max - min;
+
+  if (delta === 0) {
+    return { h: 0, s: 0, l: Math.round(lightness * 100) };
+  }
+
+  const saturation = delta / (1 - Math.abs(2 * lightness - 1));
+  let hue;
+  if (max === red) {
+    hue = ((green - blue) / delta) % 6;
+  } else if (max === green) {
+    hue = (blue - red) / delta + 2;
+  } else {
+    hue = (red - green) / delta + 4;
+  }
+
+  return {
+    h: Math.round((hue * 60 + 360) % 360),
+    s: Math.round(saturation * 100),
+    l: Math.round(lightness * 100),
+  };
+};
+
+/**
+ * Convert HSL to a hex color
+ * @param {number} h - Hue in degrees
+ * @param {number} s - Saturation (0-100)
+ * @param {number} l - Lightness (0-100)
+ * @returns {string} - #rrggbb color
+ */
+export const hslToHex = (h, s, l) => {
+  const hue = ((h % 360) + 360) % 360;
+  const saturation = Math.min(100, Math.max(0, s)) / 100;
+  const lightness = Math.min(100, Math.max(0, l)) / 100;
+  const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+  const x = chroma * (1 - Math.abs(((hue / 60) % 2) - 1));
+  const m = lightness - chroma / 2;
+  const [red, green, blue] = [
+    [chroma, x, 0],
+    [x, chroma, 0],
+    [0, chroma, x],
+    [0, x, chroma],
+    [x, 0, chroma],
+    [chroma, 0, x],
+  ][Math.floor(hue / 60) % 6];
+
+  return rgbToHex((red + m) * 255, (green + m) * 255, (blue + m) * 255);
+};
+
+/**
+ * Format a hex color as comma separated RGB channels
+ * @param {string} hex - #rrggbb color
+ * @returns {string} - Text such as "255, 43, 43"
+ */
+export const formatRgbColor = (hex) => {
+  const { r, g, b } = hexToRgb(hex);
+  return `${r}, ${g}, ${b}`;
+};
+
+/**
+ * Format a hex color as comma separated HSL values
+ * @param {string} hex - #rrggbb color
+ * @returns {string} - Text such as "0, 100%, 58%"
+ */
+export const formatHslColor = (hex) => {
+  const { h, s, l } = hexToHsl(hex);
+  return `${h}, ${s}%, ${l}%`;
+};
+
+/**
+ * Read a hex color typed by the user. The # and the short #rgb form are optional.
+ * @param {string} text - Entered text
+ * @returns {string|null} - #rrggbb color, or null when the text is not a color
+ */
+export const parseHexColor = (text) => {
+  const value = text.trim().replace(/^#/, '').toLowerCase();
+  if (/^[0-9a-f]{3}$/.test(value)) {
+    return `#${value.split('').map((digit) => digit + digit).join('')}`;
+  }
+  return /^[0-9a-f]{6}$/.test(value) ? `#${value}` : null;
+};
+
+/**
+ * Read RGB channels typed by the user, with or without rgb()
+ * @param {string} text - Entered text such as "255, 43, 43"
+ * @returns {string|null} - #rrggbb color, or null when the text is not a color
+ */
+export const parseRgbColor = (text) => {
+  const values = parseNumbers(text);
+  if (values.length < 3 || values.slice(0, 3).some((value) => !Number.isFinite(value))) return null;
+  if (values.slice(0, 3).some((value) => value < 0 || value > 255)) return null;
+  return rgbToHex(values[0], values[1], values[2]);
+};
+
+/**
+ * Read HSL values typed by the user, with or without hsl()
+ * @param {string} text - Entered text such as "0, 100%, 58%"
+ * @returns {string|null} - #rrggbb color, or null when the text is not a color
+ */
+export const parseHslColor = (text) => {
+  const values = parseNumbers(text);
+  if (values.length < 3 || values.slice(0, 3).some((value) => !Number.isFinite(value))) return null;
+  if (values[1] < 0 || values[1] > 100 || values[2] < 0 || values[2] > 100) return null;
+  return hslToHex(values[0], values[1], values[2]);
+};
+
+/**
+ * Average the color of the pixels around a point. Pixels are weighted by
+ * their alpha so transparent edges do not darken the result.
+ * @param {HTMLCanvasElement} canvas - Canvas to sample
+ * @param {number} x - Point x in canvas pixels
+ * @param {number} y - Point y in canvas pixels
+ * @param {number} radius - Pixels to include on each side of the point
+ * @returns {string|null} - #rrggbb color, or null when the area is outside the canvas or transparent
+ */
+export const sampleCanvasColor = (canvas, x, y, radius = 0) => {
+  const centerX = Math.floor(x);
+  const centerY = Math.floor(y);
+  if (centerX < 0 || centerY < 0 || centerX >= canvas.width || centerY >= canvas.height) return null;
+
+  const left = Math.max(0, centerX - radius);
+  const top = Math.max(0, centerY - radius);
+  const right = Math.min(canvas.width - 1, centerX + radius);
+  const bottom = Math.min(canvas.height - 1, centerY + radius);
+  const { data } = canvas
+    .getContext('2d', { willReadFrequently: true })
+    .getImageData(left, top, right - left + 1, bottom - top + 1);
+
+  let red = 0;
+  let green = 0;
+  let blue = 0;
+  let alpha = 0;
+  for (let index = 0; index < data.length; index += 4) {
+    const weight = data[index + 3];
+    red += data[index] * weight;
+    green += data[index + 1] * weight;
+    blue += data[index + 2] * weight;
+    alpha += weight;
+  }
+
+  if (alpha === 0) return null;
+  return rgbToHex(red / alpha, green / alpha, blue / alpha);
+};
+
+/**
+ * Move a color to the front of the recent colors
+ * @param {Array<string>} colors - Recent colors, newest first
+ * @param {string} color - Color that was just used
+ * @returns {Array<string>} - Updated recent colors
+ */
+export const addRecentColor = (colors, color) => (
+  colors[0] === color
+    ? colors
+    : [color, ...colors.filter((candidate) => candidate !== color)].slice(0, MAX_RECENT_COLORS)
+);
+
+/**
+ * Load recent colors and the saved palette
+ * @returns {{recent: Array<string>, palette: Array<string>}} - Stored swatches, or defaults
+ */
+export const loadColorSwatches = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (stored && Array.isArray(stored.recent) && Array.isArray(stored.palette)) {
+      return {
+        recent: stored.recent.filter(isHexColor).slice(0, MAX_RECENT_COLORS),
+        palette: stored.palette.filter(isHexColor).slice(0, MAX_PALETTE_COLORS),
+      };
+    }
+  } catch (err) {
+    console.warn('Could not read saved swatches:', err);
+  }
+
+  return { recent: [], palette: DEFAULT_PALETTE };
+};
+
+/**
+ * Store recent colors and the saved palette
+ * @param {{recent: Array<string>, palette: Array<string>}} swatches - Swatches to keep
+ */
+export const saveColorSwatches = (swatches) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(swatches));
+  } catch (err) {
+    console.warn('Could not save swatches:', err);
+  }
+};
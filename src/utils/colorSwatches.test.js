@@ -0,0 +1,160 @@
+import {
+  MAX_RECENT_COLORS,
+  addRecentColor,
+  formatHslColor,
+  formatRgbColor,
+  hexToHsl,
+  hexToRgb,
+  hslToHex,
+  loadColorSwatches,
+  parseHexColor,
+  parseHslColor,
+  parseRgbColor,
+  rgbToHex,
+  sampleCanvasColor,
+  saveColorSwatches,
+} from './colorSwatches';
+
+const STORAGE_KEY = 'clipboard-photo-editor-swatches';
+
+describe('color conversions', () => {
+  it('converts between hex and RGB', () => {
+    expect(rgbToHex(255, 43, 0)).toBe('#ff2b00');
+    expect(rgbToHex(300, -5, 12.6)).toBe('#ff000d');
+    expect(hexToRgb('#ff2b00')).toEqual({ r: 255, g: 43, b: 0 });
+  });
+
+  it('converts between hex and HSL', () => {
+    expect(hexToHsl('#ff2b2b')).toEqual({ h: 0, s: 100, l: 58 });
+    expect(hexToHsl('#808080')).toEqual({ h: 0, s: 0, l: 50 });
+    expect(hexToHsl('#3b82f6')).toEqual({ h: 217, s: 91, l: 60 });
+    expect(hslToHex(120, 100, 50)).toBe('#00ff00');
+    expect(hslToHex(-120, 100, 50)).toBe('#0000ff');
+    expect(hslToHex(480, 150, 50)).toBe('#00ff00');
+  });
+
+  it('formats colors for the text fields', () => {
+    expect(formatRgbColor('#ff2b2b')).toBe('255, 43, 43');
+    expect(formatHslColor('#ff2b2b')).toBe('0, 100%, 58%');
+  });
+});
+
+describe('parseHexColor', () => {
+  it('accepts the long and short forms with or without #', () => {
+    expect(parseHexColor('#FF2B2B')).toBe('#ff2b2b');
+    expect(parseHexColor(' ff2b2b ')).toBe('#ff2b2b');
+    expect(parseHexColor('#f80')).toBe('#ff8800');
+  });
+
+  it('rejects text that is not a hex color', () => {
+    ['', '#ff2b2', '#ggg', 'red', '#ff2b2b00'].forEach((text) => {
+      expect(parseHexColor(text)).toBeNull();
+    });
+  });
+});
+
+describe('parseRgbColor', () => {
+  it('reads channels with or without rgb()', () => {
+    expect(parseRgbColor('255, 43, 43')).toBe('#ff2b2b');
+    expect(parseRgbColor('rgb(255 43 43)')).toBe('#ff2b2b');
+    expect(parseRgbColor('rgba(255, 43, 43, 0.5)')).toBe('#ff2b2b');
+  });
+
+  it('rejects missing or out of range channels', () => {
+    expect(parseRgbColor('255, 43')).toBeNull();
+    expect(parseRgbColor('255, 43, 256')).toBeNull();
+    expect(parseRgbColor('255, x, 43')).toBeNull();
+  });
+});
+
+describe('parseHslColor', () => {
+  it('reads values with or without hsl() and percent signs', () => {
+    expect(parseHslColor('120, 100%, 50%')).toBe('#00ff00');
+    expect(parseHslColor('hsl(240 100 50)')).toBe('#0000ff');
+  });
+
+  it('rejects missing or out of range values', () => {
+    expect(parseHslColor('120, 100%')).toBeNull();
+    expect(parseHslColor('120, 101%, 50%')).toBeNull();
+    expect(parseHslColor('120, 100%, -1%')).toBeNull();
+  });
+});
+
+describe('sampleCanvasColor', () => {
+  const createCanvas = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = 3;
+    canvas.height = 1;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ff0000';
+    ctx.fillRect(0, 0, 1, 1);
+    ctx.fillStyle = '#0000ff';
+    ctx.fillRect(1, 0, 1, 1);
+    return canvas;
+  };
+
+  it('reads the pixel under the point', () => {
+    expect(sampleCanvasColor(createCanvas(), 1.7, 0.2)).toBe('#0000ff');
+  });
+
+  it('averages opaque pixels and ignores transparent ones', () => {
+    expect(sampleCanvasColor(createCanvas(), 1, 0, 1)).toBe('#800080');
+  });
+
+  it('returns null outside the canvas or over transparency', () => {
+    expect(sampleCanvasColor(createCanvas(), -1, 0)).toBeNull();
+    expect(sampleCanvasColor(createCanvas(), 3, 0)).toBeNull();
+    expect(sampleCanvasColor(createCanvas(), 2, 0)).toBeNull();
+  });
+});
+
+describe('addRecentColor', () => {
+  it('moves a color to the front without duplicates', () => {
+    expect(addRecentColor(['#000000', '#ffffff'], '#ffffff')).toEqual(['#ffffff', '#000000']);
+  });
+
+  it('returns the same list when the color is already first', () => {
+    const colors = ['#000000', '#ffffff'];
+    expect(addRecentColor(colors, '#000000')).toBe(colors);
+  });
+
+  it('keeps at most the newest colors', () => {
+    const colors = Array.from({ length: MAX_RECENT_COLORS }, (_, index) => rgbToHex(index, 0, 0));
+    const updated = addRecentColor(colors, '#ffffff');
+
+    expect(updated).toHaveLength(MAX_RECENT_COLORS);
+    expect(updated[0]).toBe('#ffffff');
+    expect(updated).not.toContain(colors[MAX_RECENT_COLORS - 1]);
+  });
+});
+
+describe('stored swatches', () => {
+  afterEach(() => {
+    window.localStorage.clear();
+    jest.restoreAllMocks();
+  });
+
+  it('returns the default palette when nothing is stored', () => {
+    const { recent, palette } = loadColorSwatches();
+    expect(recent).toEqual([]);
+    expect(palette).toContain('#000000');
+  });
+
+  it('loads what was saved', () => {
+    saveColorSwatches({ recent: ['#ff0000'], palette: ['#00ff00'] });
+    expect(loadColorSwatches()).toEqual({ recent: ['#ff0000'], palette: ['#00ff00'] });
+  });
+
+  it('drops stored values that are not colors', () => {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ recent: ['#ff0000', 'red', 7], palette: [] }));
+    expect(loadColorSwatches()).toEqual({ recent: ['#ff0000'], palette: [] });
+  });
+
+  it('falls back to defaults when the stored value is unreadable', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    window.localStorage.setItem(STORAGE_KEY, '{');
+
+    expect(loadColorSwatches().recent).toEqual([]);
+    expect(console.warn).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,490 @@
+/**
+ * Utility functions for the crop rectangle.
+ *
+ * A crop is {x, y, width, height} in document pixels with an optional
+ * rotationDeg around its center. Unrotated crops are always kept inside the
+ * document; an aspect ratio is a width divided by a height.
+ */
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const rotateOffset = (center, offset, rotationDeg) => {
+  const angle = rotationDeg * Math.PI / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+
+  return {
+    x: center.x + offset.x * cos - offset.y * sin,
+    y: center.y + offset.x * sin + offset.y * cos,
+  };
+};
+
+export const CROP_ASPECT_OPTIONS = [
+  { id: 'free', label: 'Free' },
+  { id: 'original', label: 'Original' },
+  { id: '1:1', label: '1:1', ratio: 1 },
+  { id: '4:3', label: '4:3', ratio: 4 / 3 },
+  { id: '16:9', label: '16:9', ratio: 16 / 9 },
+  { id: '9:16', label: '9:16', ratio: 9 / 16 },
+  { id: 'custom', label: 'Custom' },
+];
+
+export const createDefaultCrop = (doc) => {
+  const insetX = Math.max(1, Math.round(doc.width * 0.1));
+  const insetY = Math.max(1, Math.round(doc.height * 0.1));
+  const width = Math.max(1, doc.width - insetX * 2);
+  const height = Math.max(1, doc.height - insetY * 2);
+
+  return {
+    x: insetX,
+    y: insetY,
+    width,
+    height,
+  };
+};
+
+/**
+ * Build a crop from two opposite edges, kept inside the document and at least 1px on each side
+ * @param {number} left - Left edge
+ * @param {number} top - Top edge
+ * @param {number} right - Right edge
+ * @param {number} bottom - Bottom edge
+ * @param {{width: number, height: number}} doc - Document the crop belongs to
+ * @returns {{x: number, y: number, width: number, height: number}} - Crop in whole pixels
+ */
+export const cropFromEdges = (left, top, right, bottom, doc) => {
+  let nextLeft = clamp(Math.min(left, right), 0, Math.max(0, doc.width - 1));
+  let nextRight = clamp(Math.max(left, right), 1, doc.width);
+  let nextTop = clamp(Math.min(top, bottom), 0, Math.max(0, doc.height - 1));
+  let nextBottom = clamp(Math.max(top, bottom), 1, doc.height);
+
+  if (nextRight - nextLeft < 1) {
+    if (nextRight >= doc.width) {
+      nextLeft = Math.max(0, nextRight - 1);
+    } else {
+      nextRight = Math.min(doc.width, nextLeft + 1);
+    }
+  }
+
+  if (nextBottom - nextTop < 1) {
+    if (nextBottom >= doc.height) {
+      nextTop = Math.max(0, nextBottom - 1);
+    } else {
+      nextBottom = Math.min(doc.height, nextTop + 1);
+    }
+  }
+
+  return {
+    x: Math.round(nextLeft),
+    y: Math.round(nextTop),
+    width: Math.round(nextRight - nextLeft),
+    height: Math.round(nextBottom - nextTop),
+  };
+};
+
+/**
+ * Find what dragging from a point does to an unrotated crop
+ * @param {Object|null} crop - Current crop
+ * @param {{x: number, y: number}} point - Pointer position in the crop's frame
+ * @param {number} tolerance - Distance from an edge that still grabs it
+ * @returns {string} - Handle direction such as 'nw' or 'e', 'move', or 'create'
+ */
+export const getCropHitMode = (crop, point, tolerance) => {
+  if (!crop) return 'create';
+
+  const left = crop.x;
+  const right = crop.x + crop.width;
+  const top = crop.y;
+  const bottom = crop.y + crop.height;
+  const nearLeft = Math.abs(point.x - left) <= tolerance;
+  const nearRight = Math.abs(point.x - right) <= tolerance;
+  const nearTop = Math.abs(point.y - top) <= tolerance;
+  const nearBottom = Math.abs(point.y - bottom) <= tolerance;
+  const inside = point.x >= left && point.x <= right && point.y >= top && point.y <= bottom;
+
+  if (nearLeft && nearTop) return 'nw';
+  if (nearRight && nearTop) return 'ne';
+  if (nearLeft && nearBottom) return 'sw';
+  if (nearRight && nearBottom) return 'se';
+  if (nearLeft && inside) return 'w';
+  if (nearRight && inside) return 'e';
+  if (nearTop && inside) return 'n';
+  if (nearBottom && inside) return 's';
+  if (inside) return 'move';
+  return 'create';
+};
+
+export const moveCrop = (originCrop, dx, dy, doc) => {
+  const x = clamp(originCrop.x + dx, 0, Math.max(0, doc.width - originCrop.width));
+  const y = clamp(originCrop.y + dy, 0, Math.max(0, doc.height - originCrop.height));
+  return {
+    ...originCrop,
+    x: Math.round(x),
+    y: Math.round(y),
+  };
+};
+
+export const resizeCrop = (originCrop, mode, dx, dy, doc) => {
+  let left = originCrop.x;
+  let right = originCrop.x + originCrop.width;
+  let top = originCrop.y;
+  let bottom = originCrop.y + originCrop.height;
+
+  if (mode.includes('w')) left += dx;
+  if (mode.includes('e')) right += dx;
+  if (mode.includes('n')) top += dy;
+  if (mode.includes('s')) bottom += dy;
+
+  return cropFromEdges(left, top, right, bottom, doc);
+};
+
+/**
+ * Get the width to height ratio the crop settings lock to
+ * @param {Object} settings - Crop settings
+ * @param {{width: number, height: number}} doc - Current document
+ * @returns {number|null} - Ratio, or null for a free crop
+ */
+export const getCropAspectRatio = (settings, doc) => {
+  if (settings.aspect === 'original') return doc.width / doc.height;
+  if (settings.aspect === 'custom') {
+    return settings.customWidth > 0 && settings.customHeight > 0
+      ? settings.customWidth / settings.customHeight
+      : null;
+  }
+  return CROP_ASPECT_OPTIONS.find((option) => option.id === settings.aspect)?.ratio ?? null;
+};
+
+/**
+ * Build a crop with a fixed ratio from a fixed corner towards a point
+ * @param {{x: number, y: number}} anchor - Corner that stays in place
+ * @param {{x: number, y: number}} point - Pointer position
+ * @param {number} ratio - Width to height ratio
+ * @param {{width: number, height: number}} doc - Document the crop belongs to
+ * @returns {Object} - Crop inside the document
+ */
+export const cropFromAnchor = (anchor, point, ratio, doc) => {
+  const directionX = point.x < anchor.x ? -1 : 1;
+  const directionY = point.y < anchor.y ? -1 : 1;
+  const maxWidth = directionX > 0 ? doc.width - anchor.x : anchor.x;
+  const maxHeight = directionY > 0 ? doc.height - anchor.y : anchor.y;
+  let width = Math.abs(point.x - anchor.x);
+  let height = Math.abs(point.y - anchor.y);
+
+  if (width / ratio > height) {
+    height = width / ratio;
+  } else {
+    width = height * ratio;
+  }
+  if (width > maxWidth) {
+    width = maxWidth;
+    height = width / ratio;
+  }
+  if (height > maxHeight) {
+    height = maxHeight;
+    width = height * ratio;
+  }
+
+  const left = directionX > 0 ? anchor.x : anchor.x - width;
+  const top = directionY > 0 ? anchor.y : anchor.y - height;
+  return cropFromEdges(left, top, left + width, top + height, doc);
+};
+
+/**
+ * Drag a crop handle while keeping the crop ratio. Corners keep the opposite
+ * corner in place and edges keep the crop centered on the other axis.
+ * @param {Object} originCrop - Crop when the drag started
+ * @param {string} mode - Dragged handle direction
+ * @param {number} dx - Horizontal drag distance
+ * @param {number} dy - Vertical drag distance
+ * @param {{width: number, height: number}} doc - Document the crop belongs to
+ * @param {number} ratio - Width to height ratio
+ * @returns {Object} - Resized crop inside the document
+ */
+export const resizeCropWithAspect = (originCrop, mode, dx, dy, doc, ratio) => {
+  const left = originCrop.x;
+  const right = originCrop.x + originCrop.width;
+  const top = originCrop.y;
+  const bottom = originCrop.y + originCrop.height;
+
+  if (mode.length === 2) {
+    const anchor = {
+      x: mode.includes('w') ? right : left,
+      y: mode.includes('n') ? bottom : top,
+    };
+    const point = {
+      x: (mode.includes('w') ? left : right) + dx,
+      y: (mode.includes('n') ? top : bottom) + dy,
+    };
+    return cropFromAnchor(anchor, point, ratio, doc);
+  }
+
+  if (mode === 'e' || mode === 'w') {
+    const centerY = top + originCrop.height / 2;
+    const maxHeight = 2 * Math.min(centerY, doc.height - centerY);
+    let width = clamp(
+      mode === 'e' ? originCrop.width + dx : originCrop.width - dx,
+      1,
+      mode === 'e' ? doc.width - left : right
+    );
+    let height = width / ratio;
+    if (height > maxHeight) {
+      height = maxHeight;
+      width = height * ratio;
+    }
+    const nextLeft = mode === 'e' ? left : right - width;
+    return cropFromEdges(nextLeft, centerY - height / 2, nextLeft + width, centerY + height / 2, doc);
+  }
+
+  const centerX = left + originCrop.width / 2;
+  const maxWidth = 2 * Math.min(centerX, doc.width - centerX);
+  let height = clamp(
+    mode === 's' ? originCrop.height + dy : originCrop.height - dy,
+    1,
+    mode === 's' ? doc.height - top : bottom
+  );
+  let width = height * ratio;
+  if (width > maxWidth) {
+    width = maxWidth;
+    height = width / ratio;
+  }
+  const nextTop = mode === 's' ? top : bottom - height;
+  return cropFromEdges(centerX - width / 2, nextTop, centerX + width / 2, nextTop + height, doc);
+};
+
+/**
+ * Reshape a crop to a ratio around its center, keeping roughly the same area
+ * @param {Object} crop - Current crop
+ * @param {number} ratio - Width to height ratio
+ * @param {{width: number, height: number}} doc - Document the crop belongs to
+ * @returns {Object} - Crop inside the document
+ */
+export const fitCropToAspect = (crop, ratio, doc) => {
+  const centerX = crop.x + crop.width / 2;
+  const centerY = crop.y + crop.height / 2;
+  let width = Math.sqrt(crop.width * crop.height * ratio);
+  let height = width / ratio;
+
+  if (width > doc.width) {
+    width = doc.width;
+    height = width / ratio;
+  }
+  if (height > doc.height) {
+    height = doc.height;
+    width = height * ratio;
+  }
+
+  const left = clamp(centerX - width / 2, 0, doc.width - width);
+  const top = clamp(centerY - height / 2, 0, doc.height - height);
+  return cropFromEdges(left, top, left + width, top + height, doc);
+};
+
+export const getCropCenter = (crop) => ({
+  x: crop.x + crop.width / 2,
+  y: crop.y + crop.height / 2,
+});
+
+/**
+ * Map a document point into the unrotated frame of a crop
+ * @param {Object} crop - Crop, possibly rotated
+ * @param {{x: number, y: number}} point - Point in document pixels
+ * @returns {{x: number, y: number}} - Point as if the crop had no rotation
+ */
+export const getCropLocalPoint = (crop, point) => {
+  const center = getCropCenter(crop);
+  return rotateOffset(center, {
+    x: point.x - center.x,
+    y: point.y - center.y,
+  }, -(crop.rotationDeg ?? 0));
+};
+
+/**
+ * Get the corners of a crop in document pixels
+ * @param {Object} crop - Crop, possibly rotated
+ * @returns {Array<{x: number, y: number}>} - Corners, clockwise from the top left
+ */
+export const getCropCorners = (crop) => {
+  const center = getCropCenter(crop);
+  const halfWidth = crop.width / 2;
+  const halfHeight = crop.height / 2;
+
+  return [
+    { x: -halfWidth, y: -halfHeight },
+    { x: halfWidth, y: -halfHeight },
+    { x: halfWidth, y: halfHeight },
+    { x: -halfWidth, y: halfHeight },
+  ].map((corner) => rotateOffset(center, corner, crop.rotationDeg ?? 0));
+};
+
+export const isCropInsideDocument = (crop, doc) => (
+  getCropCorners(crop).every((corner) => (
+    corner.x >= -0.5 &&
+    corner.y >= -0.5 &&
+    corner.x <= doc.width + 0.5 &&
+    corner.y <= doc.height + 0.5
+  ))
+);
+
+/**
+ * Shrink a rotated crop around its center until every corner is inside the document
+ * @param {Object} crop - Crop with a rotationDeg
+ * @param {{width: number, height: number}} doc - Document the crop belongs to
+ * @returns {Object} - Crop in whole pixels
+ */
+export const fitRotatedCrop = (crop, doc) => {
+  const center = {
+    x: clamp(crop.x + crop.width / 2, 1, doc.width - 1),
+    y: clamp(crop.y + crop.height / 2, 1, doc.height - 1),
+  };
+  const limits = [1];
+  getCropCorners({ ...crop, x: center.x - crop.width / 2, y: center.y - crop.height / 2 }).forEach((corner) => {
+    const offsetX = corner.x - center.x;
+    const offsetY = corner.y - center.y;
+    if (offsetX > 0) limits.push((doc.width - center.x) / offsetX);
+    if (offsetX < 0) limits.push(center.x / -offsetX);
+    if (offsetY > 0) limits.push((doc.height - center.y) / offsetY);
+    if (offsetY < 0) limits.push(center.y / -offsetY);
+  });
+
+  const scale = Math.min(...limits);
+  const width = Math.max(1, Math.floor(crop.width * scale));
+  const height = Math.max(1, Math.floor(crop.height * scale));
+
+  return {
+    x: Math.round(center.x - width / 2),
+    y: Math.round(center.y - height / 2),
+    width,
+    height,
+    rotationDeg: crop.rotationDeg ?? 0,
+  };
+};
+
+/**
+ * Drag a handle of a rotated crop along the crop's own axes
+ * @param {Object} originCrop - Crop when the drag started
+ * @param {string} mode - Dragged handle direction
+ * @param {number} dx - Horizontal drag distance in document pixels
+ * @param {number} dy - Vertical drag distance in document pixels
+ * @param {{width: number, height: number}} doc - Current document
+ * @param {number|null} ratio - Locked ratio, or null for a free drag
+ * @returns {Object} - Resized crop; callers check it still fits the document
+ */
+export const resizeRotatedCrop = (originCrop, mode, dx, dy, doc, ratio = null) => {
+  const delta = rotateOffset({ x: 0, y: 0 }, { x: dx, y: dy }, -originCrop.rotationDeg);
+  const extent = (doc.width + doc.height) * 2;
+  const frame = { width: extent * 2, height: extent * 2 };
+  const localCrop = {
+    x: extent - originCrop.width / 2,
+    y: extent - originCrop.height / 2,
+    width: originCrop.width,
+    height: originCrop.height,
+  };
+  const nextLocalCrop = ratio
+    ? resizeCropWithAspect(localCrop, mode, delta.x, delta.y, frame, ratio)
+    : resizeCrop(localCrop, mode, delta.x, delta.y, frame);
+  const center = rotateOffset(getCropCenter(originCrop), {
+    x: nextLocalCrop.x + nextLocalCrop.width / 2 - extent,
+    y: nextLocalCrop.y + nextLocalCrop.height / 2 - extent,
+  }, originCrop.rotationDeg);
+
+  return {
+    x: Math.round(center.x - nextLocalCrop.width / 2),
+    y: Math.round(center.y - nextLocalCrop.height / 2),
+    width: nextLocalCrop.width,
+    height: nextLocalCrop.height,
+    rotationDeg: originCrop.rotationDeg,
+  };
+};
+
+/**
+ * Get the ratio a crop drag locks to. The crop settings win; otherwise Shift
+ * locks a new crop to a square and an existing crop to its own shape.
+ * @param {number|null} settingsRatio - Ratio from the crop settings
+ * @param {Object} originCrop - Crop when the drag started
+ * @param {string} mode - Drag mode
+ * @param {boolean} isShiftDown - Whether Shift is held
+ * @returns {number|null} - Ratio, or null for a free drag
+ */
+export const getCropDragAspectRatio = (settingsRatio, originCrop, mode, isShiftDown) => {
+  if (settingsRatio) return settingsRatio;
+  if (!isShiftDown) return null;
+  return mode === 'create' ? 1 : originCrop.width / originCrop.height;
+};
+
+/**
+ * Apply a value typed into the crop X, Y, W or H field
+ * @param {Object} crop - Current crop
+ * @param {string} key - 'x', 'y', 'width' or 'height'
+ * @param {string|number} value - Typed value
+ * @param {number|null} ratio - Locked ratio; changing one side updates the other
+ * @returns {Object|null} - Crop with the value, not yet fitted to the document, or null for a non-numeric value
+ */
+export const setCropValue = (crop, key, value, ratio) => {
+  const number = Math.round(Number(value));
+  if (!Number.isFinite(number)) return null;
+
+  const nextCrop = { ...crop, [key]: number };
+  if (ratio && key === 'width') nextCrop.height = Math.round(number / ratio);
+  if (ratio && key === 'height') nextCrop.width = Math.round(number * ratio);
+  return nextCrop;
+};
+
+/**
+ * Fit an unrotated crop inside the document. With a ratio the position is
+ * kept and the size shrinks until the crop fits.
+ * @param {Object} crop - Crop to fit
+ * @param {number|null} ratio - Locked ratio
+ * @param {{width: number, height: number}} doc - Document the crop belongs to
+ * @returns {Object} - Crop inside the document
+ */
+export const clampCropToDocument = (crop, ratio, doc) => {
+  if (ratio) {
+    const x = clamp(crop.x, 0, doc.width - 1);
+    const y = clamp(crop.y, 0, doc.height - 1);
+    const width = Math.max(1, Math.floor(
+      clamp(crop.width, 1, Math.min(doc.width - x, (doc.height - y) * ratio))
+    ));
+    return {
+      x,
+      y,
+      width,
+      height: Math.max(1, Math.min(doc.height - y, Math.round(width / ratio))),
+    };
+  }
+
+  return cropFromEdges(
+    crop.x,
+    crop.y,
+    crop.x + Math.max(1, crop.width),
+    crop.y + Math.max(1, crop.height),
+    doc
+  );
+};
+
+/**
+ * Map a document point onto the canvas a rotated crop produces
+ * @param {Object} crop - Crop, possibly rotated
+ * @param {{x: number, y: number}} point - Point in document pixels
+ * @returns {{x: number, y: number}} - Point on the cropped canvas
+ */
+export const mapRotatedCropPoint = (crop, point) => {
+  const center = getCropCenter(crop);
+  return rotateOffset({ x: crop.width / 2, y: crop.height / 2 }, {
+    x: point.x - center.x,
+    y: point.y - center.y,
+  }, -(crop.rotationDeg ?? 0));
+};
+
+/**
+ * Set up a context on the cropped canvas so that drawing a layer at 0, 0
+ * resamples it through the rotated crop
+ * @param {CanvasRenderingContext2D} ctx - Context of the cropped canvas
+ * @param {Object} crop - Crop, possibly rotated
+ * @param {number} layerX - Layer position in the document
+ * @param {number} layerY - Layer position in the document
+ */
+export const placeRotatedCropSource = (ctx, crop, layerX, layerY) => {
+  const center = getCropCenter(crop);
+  ctx.translate(crop.width / 2, crop.height / 2);
+  ctx.rotate(-(crop.rotationDeg ?? 0) * Math.PI / 180);
+  ctx.translate(layerX - center.x, layerY - center.y);
+};
@@ -0,0 +1,212 @@
+import {
+  clampCropToDocument,
+  cropFromAnchor,
+  cropFromEdges,
+  fitCropToAspect,
+  fitRotatedCrop,
+  getCropAspectRatio,
+  getCropCorners,
+  getCropDragAspectRatio,
+  getCropHitMode,
+  getCropLocalPoint,
+  isCropInsideDocument,
+  mapRotatedCropPoint,
+  placeRotatedCropSource,
+  resizeCropWithAspect,
+  resizeRotatedCrop,
+  setCropValue,
+} from './cropGeometry';
+import { createCanvas, getCanvasPixels } from '../testHelpers';
+
+const DOC = { width: 200, height: 100 };
+
+const crop = (x, y, width, height) => ({ x, y, width, height });
+
+const roundPoint = (point) => ({ x: Math.round(point.x * 1000) / 1000, y: Math.round(point.y * 1000) / 1000 });
+
+describe('cropFromEdges', () => {
+  it('orders the edges', () => {
+    expect(cropFromEdges(50, 40, 10, 20, DOC)).toEqual(crop(10, 20, 40, 20));
+  });
+
+  it('keeps at least one pixel inside the document', () => {
+    expect(cropFromEdges(200, 100, 200, 100, DOC)).toEqual(crop(199, 99, 1, 1));
+    expect(cropFromEdges(-20, -20, 300, 300, DOC)).toEqual(crop(0, 0, 200, 100));
+  });
+});
+
+describe('getCropHitMode', () => {
+  const current = crop(10, 10, 40, 20);
+
+  it('grabs corners, edges and the inside', () => {
+    expect(getCropHitMode(current, { x: 11, y: 9 }, 2)).toBe('nw');
+    expect(getCropHitMode(current, { x: 50, y: 20 }, 2)).toBe('e');
+    expect(getCropHitMode(current, { x: 30, y: 20 }, 2)).toBe('move');
+  });
+
+  it('creates a new crop outside the current one', () => {
+    expect(getCropHitMode(current, { x: 100, y: 80 }, 2)).toBe('create');
+    expect(getCropHitMode(null, { x: 30, y: 20 }, 2)).toBe('create');
+  });
+});
+
+describe('getCropAspectRatio', () => {
+  it('reads the ratio from the settings', () => {
+    expect(getCropAspectRatio({ aspect: 'free' }, DOC)).toBeNull();
+    expect(getCropAspectRatio({ aspect: 'original' }, DOC)).toBe(2);
+    expect(getCropAspectRatio({ aspect: '16:9' }, DOC)).toBeCloseTo(16 / 9);
+    expect(getCropAspectRatio({ aspect: 'custom', customWidth: 3, customHeight: 2 }, DOC)).toBe(1.5);
+    expect(getCropAspectRatio({ aspect: 'custom', customWidth: 0, customHeight: 2 }, DOC)).toBeNull();
+  });
+});
+
+describe('Shift aspect lock', () => {
+  const origin = crop(20, 20, 40, 20);
+
+  it('locks a new crop to a square and an existing crop to its shape', () => {
+    expect(getCropDragAspectRatio(null, origin, 'create', true)).toBe(1);
+    expect(getCropDragAspectRatio(null, origin, 'se', true)).toBe(2);
+    expect(getCropDragAspectRatio(null, origin, 'se', false)).toBeNull();
+  });
+
+  it('lets the ratio from the settings win', () => {
+    expect(getCropDragAspectRatio(1.5, origin, 'create', true)).toBe(1.5);
+    expect(getCropDragAspectRatio(1.5, origin, 'se', false)).toBe(1.5);
+  });
+
+  it('keeps the shape of a crop dragged by its corner', () => {
+    const ratio = getCropDragAspectRatio(null, origin, 'se', true);
+    expect(resizeCropWithAspect(origin, 'se', 20, 0, DOC, ratio)).toEqual(crop(20, 20, 60, 30));
+  });
+
+  it('draws a square from the starting point', () => {
+    const ratio = getCropDragAspectRatio(null, origin, 'create', true);
+    expect(cropFromAnchor({ x: 50, y: 50 }, { x: 90, y: 60 }, ratio, DOC)).toEqual(crop(50, 50, 40, 40));
+    expect(cropFromAnchor({ x: 50, y: 50 }, { x: 0, y: 0 }, ratio, DOC)).toEqual(crop(0, 0, 50, 50));
+  });
+
+  it('stops at the document edge without losing the ratio', () => {
+    expect(cropFromAnchor({ x: 50, y: 50 }, { x: 200, y: 90 }, 1, DOC)).toEqual(crop(50, 50, 50, 50));
+  });
+});
+
+describe('resizeCropWithAspect', () => {
+  const origin = crop(20, 20, 40, 20);
+
+  it('keeps the crop centered across an edge drag', () => {
+    expect(resizeCropWithAspect(origin, 'e', 20, 0, DOC, 2)).toEqual(crop(20, 15, 60, 30));
+  });
+
+  it('limits an edge drag to the room on both sides', () => {
+    expect(resizeCropWithAspect(origin, 'e', 200, 0, DOC, 2)).toEqual(crop(20, 0, 120, 60));
+  });
+});
+
+describe('fitCropToAspect', () => {
+  it('reshapes the crop around its center', () => {
+    expect(fitCropToAspect(crop(50, 25, 100, 50), 1, DOC)).toEqual(crop(65, 15, 71, 71));
+  });
+
+  it('shrinks the crop to fit the document', () => {
+    expect(fitCropToAspect(crop(0, 0, 200, 100), 4, DOC)).toEqual(crop(0, 25, 200, 50));
+  });
+});
+
+describe('crop fields', () => {
+  const current = crop(10, 10, 40, 20);
+
+  it('rounds the typed value', () => {
+    expect(setCropValue(current, 'x', '12.6', null)).toEqual(crop(13, 10, 40, 20));
+  });
+
+  it('ignores values that are not numbers', () => {
+    expect(setCropValue(current, 'x', 'abc', null)).toBeNull();
+  });
+
+  it('changes the other side with a locked ratio', () => {
+    expect(setCropValue(current, 'width', '80', 2)).toEqual(crop(10, 10, 80, 40));
+    expect(setCropValue(current, 'height', '15', 2)).toEqual(crop(10, 10, 30, 15));
+  });
+
+  it('clamps a free crop to the document', () => {
+    expect(clampCropToDocument(crop(-10, 90, 50, 30), null, DOC)).toEqual(crop(0, 90, 40, 10));
+    expect(clampCropToDocument(crop(10, 10, 0, -5), null, DOC)).toEqual(crop(10, 10, 1, 1));
+  });
+
+  it('keeps the position and shrinks a locked crop to fit', () => {
+    expect(clampCropToDocument(crop(150, 60, 100, 50), 2, DOC)).toEqual(crop(150, 60, 50, 25));
+    expect(clampCropToDocument(crop(10, 80, 50, 50), 1, DOC)).toEqual(crop(10, 80, 20, 20));
+  });
+
+  it('moves a crop typed outside the document back in', () => {
+    expect(clampCropToDocument(crop(500, -20, 10, 10), 1, DOC)).toEqual(crop(199, 0, 1, 1));
+  });
+});
+
+describe('rotated crops', () => {
+  const rotated = { ...crop(10, 20, 40, 20), rotationDeg: 90 };
+
+  it('turns the corners around the crop center', () => {
+    expect(getCropCorners(rotated).map(roundPoint)).toEqual([
+      { x: 40, y: 10 },
+      { x: 40, y: 50 },
+      { x: 20, y: 50 },
+      { x: 20, y: 10 },
+    ]);
+    expect(roundPoint(getCropLocalPoint(rotated, { x: 40, y: 10 }))).toEqual({ x: 10, y: 20 });
+  });
+
+  it('checks the rotated corners against the document', () => {
+    expect(isCropInsideDocument(rotated, DOC)).toBe(true);
+    expect(isCropInsideDocument({ ...crop(0, 0, 100, 100), rotationDeg: 45 }, DOC)).toBe(false);
+  });
+
+  it('shrinks a rotated crop around its center to fit the document', () => {
+    const fitted = fitRotatedCrop({ ...crop(0, 0, 200, 100), rotationDeg: 90 }, DOC);
+
+    expect(fitted).toEqual({ ...crop(50, 25, 100, 50), rotationDeg: 90 });
+    expect(isCropInsideDocument(fitted, DOC)).toBe(true);
+  });
+
+  it('resizes along the crop axes', () => {
+    const origin = { ...crop(50, 25, 100, 50), rotationDeg: 90 };
+
+    expect(resizeRotatedCrop(origin, 'e', 0, 20, DOC)).toEqual({ ...crop(40, 35, 120, 50), rotationDeg: 90 });
+    expect(resizeRotatedCrop(origin, 'e', 0, 20, DOC, 2)).toEqual({ ...crop(40, 30, 120, 60), rotationDeg: 90 });
+  });
+});
+
+describe('rotated crop resampling', () => {
+  // A 4x2 layer with a different value in every pixel
+  const pixelAt = (x, y) => [x * 60, y * 200, 90, 255];
+  const rotated = { ...crop(1, -1, 2, 4), rotationDeg: 90 };
+
+  const resample = (layerX, layerY) => {
+    const target = createCanvas(rotated.width, rotated.height, () => [0, 0, 0, 0]);
+    const ctx = target.getContext('2d');
+    placeRotatedCropSource(ctx, rotated, layerX, layerY);
+    ctx.drawImage(createCanvas(4, 2, pixelAt), 0, 0);
+    return getCanvasPixels(target);
+  };
+
+  it('turns the layer pixels into the crop frame', () => {
+    const expected = [];
+    for (let y = 0; y < 4; y += 1) {
+      for (let x = 0; x < 2; x += 1) {
+        expected.push(pixelAt(3 - y, x));
+      }
+    }
+    expect(resample(0, 0)).toEqual(expected);
+  });
+
+  it('places the layer at its document position', () => {
+    const pixels = resample(1, 0);
+    expect(pixels[0]).toEqual(pixelAt(2, 0));
+    expect(pixels[pixels.length - 1]).toEqual([0, 0, 0, 0]);
+  });
+
+  it('maps points the same way as the pixels', () => {
+    expect(roundPoint(mapRotatedCropPoint(rotated, { x: 3.5, y: 0.5 }))).toEqual({ x: 0.5, y: 0.5 });
+    expect(roundPoint(mapRotatedCropPoint(rotated, { x: 2, y: 1 }))).toEqual({ x: 1, y: 2 });
+  });
+});
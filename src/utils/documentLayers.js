@@ -0,0 +1,179 @@
+/**
+ * Utility functions for the editor's document and layer records.
+ *
+ * A document is { width, height, layers, activeLayerId }, with layers listed
+ * from the bottom of the stack up. Every layer except an adjustment layer
+ * owns a canvas placed at its x/y offset in document coordinates.
+ */
+
+export const MAX_DIMENSION = 12000;
+export const MIN_DIMENSION = 1;
+
+export const LAYER_TYPES = {
+  RASTER: 'raster',
+  TEXT: 'text',
+  SHAPE: 'shape',
+  CALLOUT: 'callout',
+  ADJUSTMENT: 'adjustment',
+};
+
+export const BLEND_MODES = {
+  NORMAL: 'normal',
+  MULTIPLY: 'multiply',
+  SCREEN: 'screen',
+  OVERLAY: 'overlay',
+  DARKEN: 'darken',
+  LIGHTEN: 'lighten',
+  COLOR_DODGE: 'color-dodge',
+  COLOR_BURN: 'color-burn',
+  DIFFERENCE: 'difference',
+  HUE: 'hue',
+  SATURATION: 'saturation',
+  COLOR: 'color',
+  LUMINOSITY: 'luminosity',
+};
+
+/**
+ * Round a width or height and keep it within the supported canvas size
+ * @param {number|string} value - Requested dimension
+ * @returns {number} - Whole number between MIN_DIMENSION and MAX_DIMENSION
+ */
+export const clampDimension = (value) => {
+  const number = Math.round(Number(value));
+  if (!Number.isFinite(number)) return MIN_DIMENSION;
+  return Math.min(Math.max(number, MIN_DIMENSION), MAX_DIMENSION);
+};
+
+/**
+ * Create an empty canvas
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {HTMLCanvasElement} - New canvas
+ */
+export const createCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = clampDimension(width);
+  canvas.height = clampDimension(height);
+  return canvas;
+};
+
+/**
+ * Copy a canvas
+ * @param {HTMLCanvasElement} sourceCanvas - Canvas to copy
+ * @returns {HTMLCanvasElement} - New canvas with the same pixels
+ */
+export const cloneCanvas = (sourceCanvas) => {
+  const canvas = createCanvas(sourceCanvas.width, sourceCanvas.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(sourceCanvas, 0, 0);
+  return canvas;
+};
+
+/**
+ * Find the active layer of a document
+ * @param {Object} doc - Editor document
+ * @returns {Object|null} - Active layer, or null when none is active
+ */
+export const getActiveLayer = (doc) => (
+  doc.layers.find((layer) => layer.id === doc.activeLayerId) || null
+);
+
+/**
+ * Create a unique layer id
+ * @returns {string} - Layer id
+ */
+export const createLayerId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `layer-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+};
+
+export const getLayerX = (layer) => layer.x ?? 0;
+
+export const getLayerY = (layer) => layer.y ?? 0;
+
+export const getLayerType = (layer) => layer.type ?? LAYER_TYPES.RASTER;
+
+export const isTextLayer = (layer) => Boolean(layer) && getLayerType(layer) === LAYER_TYPES.TEXT;
+
+export const isShapeLayer = (layer) => Boolean(layer) && getLayerType(layer) === LAYER_TYPES.SHAPE;
+
+export const isCalloutLayer = (layer) => Boolean(layer) && getLayerType(layer) === LAYER_TYPES.CALLOUT;
+
+export const isVectorLayer = (layer) => isTextLayer(layer) || isShapeLayer(layer) || isCalloutLayer(layer);
+
+export const isAdjustmentLayer = (layer) => Boolean(layer) && getLayerType(layer) === LAYER_TYPES.ADJUSTMENT;
+
+/**
+ * Create a visible raster layer
+ * @param {Object} options - Layer options
+ * @param {string} options.name - Layer name
+ * @param {number} options.width - Canvas width
+ * @param {number} options.height - Canvas height
+ * @param {number} options.x - Offset in the document
+ * @param {number} options.y - Offset in the document
+ * @param {function} options.draw - Called with the context and canvas to paint the layer
+ * @returns {Object} - New layer
+ */
+export const createLayer = ({ name, width, height, x = 0, y = 0, draw }) => {
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  if (draw) {
+    draw(ctx, canvas);
+  }
+
+  return {
+    id: createLayerId(),
+    type: LAYER_TYPES.RASTER,
+    name,
+    canvas,
+    x,
+    y,
+    visible: true,
+    opacity: 100,
+    blendMode: BLEND_MODES.NORMAL,
+  };
+};
+
+/**
+ * Turn a text, shape or callout layer into a raster layer with the same pixels
+ * @param {Object} layer - Layer to rasterize
+ * @returns {Object} - Raster layer
+ */
+export const rasterizeLayer = (layer) => {
+  const { text, shape, callout, ...rest } = layer;
+
+  return {
+    ...rest,
+    type: LAYER_TYPES.RASTER,
+    canvas: cloneCanvas(layer.canvas),
+  };
+};
+
+/**
+ * Replace one layer of a document
+ * @param {Object} doc - Editor document
+ * @param {string} layerId - Id of the layer to replace
+ * @param {function} updater - Called with the layer, returns its replacement
+ * @returns {Object} - Updated document
+ */
+export const updateLayer = (doc, layerId, updater) => ({
+  ...doc,
+  layers: doc.layers.map((layer) => (
+    layer.id === layerId ? updater(layer) : layer
+  )),
+});
+
+/**
+ * Check whether two rectangles overlap
+ * @param {{x: number, y: number, width: number, height: number}} first - First rectangle
+ * @param {{x: number, y: number, width: number, height: number}} second - Second rectangle
+ * @returns {boolean} - True when they share any area
+ */
+export const doRectsIntersect = (first, second) => (
+  first.x < second.x + second.width &&
+  first.x + first.width > second.x &&
+  first.y < second.y + second.height &&
+  first.y + first.height > second.y
+);
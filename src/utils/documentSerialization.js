@@ -0,0 +1,139 @@
+/**
+ * Utility functions for converting editor documents to and from storable records
+ */
+import { getCanvasRevision } from './history';
+
+export const DOCUMENT_FORMAT_VERSION = 3;
+
+const encodedCanvases = new WeakMap();
+
+/**
+ * Encode a canvas as a PNG blob
+ * @param {HTMLCanvasElement} canvas - Canvas to encode
+ * @returns {Promise<Blob>} - PNG blob
+ */
+export const canvasToBlob = (canvas) => (
+  new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('Canvas could not be encoded'));
+      }
+    }, 'image/png');
+  })
+);
+
+const encodeCanvas = async (canvas) => {
+  const revision = getCanvasRevision(canvas);
+  const cached = encodedCanvases.get(canvas);
+  if (
+    cached &&
+    cached.revision === revision &&
+    cached.width === canvas.width &&
+    cached.height === canvas.height
+  ) {
+    return cached.blob;
+  }
+
+  const blob = await canvasToBlob(canvas);
+  encodedCanvases.set(canvas, {
+    revision,
+    width: canvas.width,
+    height: canvas.height,
+    blob,
+  });
+  return blob;
+};
+
+/**
+ * Decode an image blob into a new canvas
+ * @param {Blob} blob - Image blob
+ * @returns {Promise<HTMLCanvasElement>} - Canvas containing the image
+ */
+export const blobToCanvas = async (blob) => {
+  const canvas = document.createElement('canvas');
+
+  if (typeof createImageBitmap === 'function') {
+    const bitmap = await createImageBitmap(blob);
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return canvas;
+  }
+
+  const url = URL.createObjectURL(blob);
+  try {
+    const image = await new Promise((resolve, reject) => {
+      const element = new Image();
+      element.onload = () => resolve(element);
+      element.onerror = reject;
+      element.src = url;
+    });
+    canvas.width = image.naturalWidth;
+    canvas.height = image.naturalHeight;
+    canvas.getContext('2d').drawImage(image, 0, 0);
+    return canvas;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+/**
+ * Convert a document into a record whose layer pixels and masks are PNG blobs.
+ * Canvases that have not changed since they were last encoded reuse their blob.
+ * @param {Object} doc - Editor document
+ * @returns {Promise<Object>} - Serializable document record
+ */
+export const serializeDocument = async (doc) => ({
+  version: DOCUMENT_FORMAT_VERSION,
+  width: doc.width,
+  height: doc.height,
+  activeLayerId: doc.activeLayerId,
+  layers: await Promise.all(doc.layers.map(async ({ canvas, mask, ...layer }) => ({
+    ...layer,
+    image: canvas ? await encodeCanvas(canvas) : null,
+    maskImage: mask ? await encodeCanvas(mask) : null,
+  }))),
+});
+
+/**
+ * Rebuild a document from a record created by serializeDocument
+ * @param {Object} record - Document record
+ * @returns {Promise<Object>} - Editor document
+ */
+export const deserializeDocument = async (record) => {
+  if (record?.version > DOCUMENT_FORMAT_VERSION) {
+    throw new Error('This document was saved by a newer version of the editor');
+  }
+  if (!record || !Array.isArray(record.layers)) {
+    throw new Error('Unsupported document format');
+  }
+
+  const layers = await Promise.all(record.layers.map(async ({ image, maskImage, ...layer }) => ({
+    ...layer,
+    canvas: layer.adjustment ? null : await blobToCanvas(image),
+    mask: maskImage ? await blobToCanvas(maskImage) : null,
+  })));
+
+  return {
+    width: record.width,
+    height: record.height,
+    activeLayerId: layers.some((layer) => layer.id === record.activeLayerId)
+      ? record.activeLayerId
+      : layers[layers.length - 1]?.id ?? null,
+    layers,
+  };
+};
+
+/**
+ * Total the encoded pixel data stored in a document record
+ * @param {Object} record - Document record
+ * @returns {number} - Size in bytes
+ */
+export const getSerializedDocumentSize = (record) => (
+  record.layers.reduce((total, layer) => (
+    total + (layer.image?.size ?? 0) + (layer.maskImage?.size ?? 0)
+  ), 0)
+);
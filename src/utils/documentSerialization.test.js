@@ -0,0 +1,116 @@
+import {
+  DOCUMENT_FORMAT_VERSION,
+  deserializeDocument,
+  getSerializedDocumentSize,
+  serializeDocument,
+} from './documentSerialization';
+import { markCanvasDirty } from './history';
+import { createFilledCanvas, getPixel } from '../testHelpers';
+
+const createDocument = () => ({
+  width: 4,
+  height: 3,
+  activeLayerId: 'top',
+  layers: [
+    {
+      id: 'base',
+      name: 'Background',
+      x: 0,
+      y: 0,
+      opacity: 1,
+      visible: true,
+      canvas: createFilledCanvas(4, 3, '#ff0000'),
+      mask: null,
+    },
+    {
+      id: 'top',
+      name: 'Masked',
+      x: 1,
+      y: 2,
+      opacity: 0.5,
+      visible: false,
+      blendMode: 'multiply',
+      canvas: createFilledCanvas(2, 1, '#0000ff'),
+      mask: createFilledCanvas(2, 1, '#000000'),
+      maskEnabled: false,
+    },
+    {
+      id: 'levels',
+      name: 'Levels',
+      type: 'adjustment',
+      adjustment: { type: 'invert' },
+      canvas: null,
+      mask: null,
+    },
+  ],
+});
+
+describe('serializeDocument', () => {
+  it('stores layer settings next to encoded pixels', async () => {
+    const record = await serializeDocument(createDocument());
+
+    expect(record.version).toBe(DOCUMENT_FORMAT_VERSION);
+    expect(record.layers[1]).toMatchObject({
+      id: 'top',
+      x: 1,
+      y: 2,
+      opacity: 0.5,
+      visible: false,
+      blendMode: 'multiply',
+      maskEnabled: false,
+    });
+    expect(record.layers[1].image).toBeInstanceOf(Blob);
+    expect(record.layers[1].maskImage).toBeInstanceOf(Blob);
+    expect(record.layers[1]).not.toHaveProperty('canvas');
+    expect(record.layers[2].image).toBeNull();
+  });
+
+  it('reuses the encoded blob until the canvas is marked dirty', async () => {
+    const doc = createDocument();
+    const first = await serializeDocument(doc);
+    const second = await serializeDocument(doc);
+    expect(second.layers[0].image).toBe(first.layers[0].image);
+
+    markCanvasDirty(doc.layers[0].canvas, { x: 0, y: 0, width: 1, height: 1 });
+    const third = await serializeDocument(doc);
+    expect(third.layers[0].image).not.toBe(first.layers[0].image);
+    expect(third.layers[1].image).toBe(first.layers[1].image);
+  });
+
+  it('totals the size of the encoded pixels', async () => {
+    const record = await serializeDocument(createDocument());
+    const expected = record.layers[0].image.size + record.layers[1].image.size + record.layers[1].maskImage.size;
+    expect(getSerializedDocumentSize(record)).toBe(expected);
+  });
+});
+
+describe('deserializeDocument', () => {
+  it('restores the document it was given', async () => {
+    const doc = await deserializeDocument(await serializeDocument(createDocument()));
+
+    expect(doc).toMatchObject({ width: 4, height: 3, activeLayerId: 'top' });
+    expect(doc.layers.map((layer) => layer.id)).toEqual(['base', 'top', 'levels']);
+    expect(getPixel(doc.layers[0].canvas, 3, 2)).toEqual([255, 0, 0, 255]);
+    expect(doc.layers[1].canvas.width).toBe(2);
+    expect(getPixel(doc.layers[1].canvas, 1, 0)).toEqual([0, 0, 255, 255]);
+    expect(getPixel(doc.layers[1].mask, 0, 0)).toEqual([0, 0, 0, 255]);
+    expect(doc.layers[1].maskEnabled).toBe(false);
+    expect(doc.layers[2]).toMatchObject({ canvas: null, mask: null, adjustment: { type: 'invert' } });
+  });
+
+  it('falls back to the top layer when the active layer is missing', async () => {
+    const record = await serializeDocument(createDocument());
+    const doc = await deserializeDocument({ ...record, activeLayerId: 'gone' });
+    expect(doc.activeLayerId).toBe('levels');
+  });
+
+  it('rejects records from a newer editor', async () => {
+    const record = await serializeDocument(createDocument());
+    await expect(deserializeDocument({ ...record, version: DOCUMENT_FORMAT_VERSION + 1 }))
+      .rejects.toThrow('newer version');
+  });
+
+  it('rejects records without layers', async () => {
+    await expect(deserializeDocument({ version: 1 })).rejects.toThrow('Unsupported document format');
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Utility functions for running ImageData filters, in a Web Worker when the
+ * image is large enough to freeze the UI
+ */
+import { applyImageDataFilter } from './imageDataFilters';
+
+export const FILTER_WORKER_MIN_PIXELS = 512 * 512;
+
+const createAbortError = () => new DOMException('The filter was cancelled', 'AbortError');
+
+/**
+ * Check whether an error came from cancelling a filter
+ * @param {Error} err - Error thrown by runImageDataFilter
+ * @returns {boolean} - True for cancellations
+ */
+export const isFilterCancelled = (err) => err?.name === 'AbortError';
+
+const runInWorker = (imageData, filter, onProgress, signal) => (
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const worker = new Worker(new URL('./filterWorker.js', import.meta.url));
+    const finish = () => {
+      worker.terminate();
+      signal?.removeEventListener('abort', handleAbort);
+    };
+    const handleAbort = () => {
+      finish();
+      reject(createAbortError());
+    };
+
+    signal?.addEventListener('abort', handleAbort, { once: true });
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        onProgress?.(data.progress);
+        return;
+      }
+
+      finish();
+      if (data.type === 'done') {
+        resolve(new ImageData(new Uint8ClampedArray(data.buffer), data.width, data.height));
+      } else {
+        reject(new Error(data.message || 'The filter failed'));
+      }
+    };
+    worker.onerror = (event) => {
+      finish();
+      reject(new Error(event.message || 'The filter worker failed'));
+    };
+
+    const { width, height, data } = imageData;
+    const buffer = data.buffer.slice(0);
+    worker.postMessage({ width, height, buffer, filter }, [buffer]);
+  })
+);
+
+/**
+ * Run a filter on pixels. Large images are filtered in a Web Worker so the
+ * editor stays responsive and the run can be cancelled.
+ * @param {ImageData} imageData - Source pixels
+ * @param {Object} filter - Filter created by createDefaultFilter
+ * @param {Object} [options] - Run options
+ * @param {function} [options.onProgress] - Called with a 0-1 fraction as the filter runs
+ * @param {AbortSignal} [options.signal] - Cancels the run
+ * @returns {Promise<ImageData>} - Filtered pixels
+ */
+export const runImageDataFilter = async (imageData, filter, { onProgress, signal } = {}) => {
+  const pixelCount = imageData.width * imageData.height;
+  if (typeof Worker !== 'undefined' && pixelCount >= FILTER_WORKER_MIN_PIXELS) {
+    return runInWorker(imageData, filter, onProgress, signal);
+  }
+
+  if (signal?.aborted) throw createAbortError();
+  const result = applyImageDataFilter(imageData, filter, onProgress);
+  onProgress?.(1);
+  return result;
+};
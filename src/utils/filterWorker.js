@@ -0,0 +1,30 @@
+/**
+ * Web Worker that runs ImageData filters off the UI thread
+ */
+import { applyImageDataFilter } from './imageDataFilters';
+
+const PROGRESS_INTERVAL_MS = 100;
+
+onmessage = ({ data }) => {
+  const { width, height, buffer, filter } = data;
+  let lastProgressAt = 0;
+
+  try {
+    const source = new ImageData(new Uint8ClampedArray(buffer), width, height);
+    const result = applyImageDataFilter(source, filter, (progress) => {
+      const now = Date.now();
+      if (now - lastProgressAt < PROGRESS_INTERVAL_MS) return;
+      lastProgressAt = now;
+      postMessage({ type: 'progress', progress });
+    });
+
+    postMessage({
+      type: 'done',
+      width: result.width,
+      height: result.height,
+      buffer: result.data.buffer,
+    }, [result.data.buffer]);
+  } catch (err) {
+    postMessage({ type: 'error', message: err.message });
+  }
+};
@@ -0,0 +1,296 @@
+/**
+ * Utility functions for a memory-budgeted undo history.
+ *
+ * Each history entry keeps the document metadata plus a pixel record per
+ * layer canvas and layer mask; adjustment layers have no pixels. Pixel
+ * records split a layer into immutable tiles that later entries share, so a
+ * commit only copies the tiles that actually changed and a rename, opacity or
+ * reorder step copies no pixels at all.
+ *
+ * Changed tiles are found from dirty regions, not by comparing pixels. Any
+ * code that draws into a canvas that is already part of the document must
+ * call markCanvasDirty with the area it touched. Otherwise the next entry
+ * keeps the old tiles for that area, and autosave keeps the old encoded
+ * image. Replacing a layer's canvas with a new one needs no marking.
+ */
+
+export const HISTORY_TILE_SIZE = 256;
+export const HISTORY_MEMORY_BUDGET = 512 * 1024 * 1024;
+
+const METADATA_ENTRY_BYTES = 2048;
+
+const pixelRecords = new WeakMap();
+const dirtyRegions = new WeakMap();
+const canvasRevisions = new WeakMap();
+let dirtyGeneration = 0;
+
+/**
+ * Record that pixels inside a canvas were changed in place, so the next
+ * history entry copies the affected tiles
+ * @param {HTMLCanvasElement} canvas - Layer canvas that was modified
+ * @param {{x: number, y: number, width: number, height: number}} rect - Changed area in canvas pixels
+ */
+export const markCanvasDirty = (canvas, rect) => {
+  dirtyGeneration += 1;
+  canvasRevisions.set(canvas, dirtyGeneration);
+  const regions = dirtyRegions.get(canvas) || [];
+  regions.push({ generation: dirtyGeneration, rect });
+  dirtyRegions.set(canvas, regions);
+};
+
+/**
+ * Get a number that changes whenever markCanvasDirty is called for a canvas
+ * @param {HTMLCanvasElement} canvas - Layer canvas
+ * @returns {number} - Revision, 0 for a canvas that was never modified in place
+ */
+export const getCanvasRevision = (canvas) => canvasRevisions.get(canvas) ?? 0;
+
+const getDirtyRect = (canvas, sinceGeneration) => {
+  let left = Infinity;
+  let top = Infinity;
+  let right = -Infinity;
+  let bottom = -Infinity;
+
+  (dirtyRegions.get(canvas) || []).forEach(({ generation, rect }) => {
+    if (generation <= sinceGeneration) return;
+    left = Math.min(left, rect.x);
+    top = Math.min(top, rect.y);
+    right = Math.max(right, rect.x + rect.width);
+    bottom = Math.max(bottom, rect.y + rect.height);
+  });
+
+  if (right < left) return null;
+  return { x: left, y: top, width: right - left, height: bottom - top };
+};
+
+const pruneDirtyRegions = (canvas, capturedGeneration) => {
+  const regions = dirtyRegions.get(canvas);
+  if (!regions) return;
+
+  const remaining = regions.filter((region) => region.generation > capturedGeneration);
+  if (remaining.length > 0) {
+    dirtyRegions.set(canvas, remaining);
+  } else {
+    dirtyRegions.delete(canvas);
+  }
+};
+
+const copyTile = (canvas, column, row) => {
+  const x = column * HISTORY_TILE_SIZE;
+  const y = row * HISTORY_TILE_SIZE;
+  const tile = document.createElement('canvas');
+  tile.width = Math.min(HISTORY_TILE_SIZE, canvas.width - x);
+  tile.height = Math.min(HISTORY_TILE_SIZE, canvas.height - y);
+  tile.getContext('2d').drawImage(canvas, -x, -y);
+  return tile;
+};
+
+const getTileGrid = (canvas) => ({
+  columns: Math.ceil(canvas.width / HISTORY_TILE_SIZE),
+  rows: Math.ceil(canvas.height / HISTORY_TILE_SIZE),
+});
+
+const captureAllTiles = (canvas) => {
+  const { columns, rows } = getTileGrid(canvas);
+  const tiles = [];
+  for (let row = 0; row < rows; row += 1) {
+    for (let column = 0; column < columns; column += 1) {
+      tiles.push(copyTile(canvas, column, row));
+    }
+  }
+  return tiles;
+};
+
+const captureDirtyTiles = (canvas, record, rect) => {
+  const { columns } = getTileGrid(canvas);
+  const firstColumn = Math.max(0, Math.floor(rect.x / HISTORY_TILE_SIZE));
+  const lastColumn = Math.min(columns - 1, Math.floor((rect.x + rect.width - 1) / HISTORY_TILE_SIZE));
+  const firstRow = Math.max(0, Math.floor(rect.y / HISTORY_TILE_SIZE));
+  const lastRow = Math.min(
+    Math.ceil(canvas.height / HISTORY_TILE_SIZE) - 1,
+    Math.floor((rect.y + rect.height - 1) / HISTORY_TILE_SIZE)
+  );
+  const tiles = [...record.tiles];
+
+  for (let row = firstRow; row <= lastRow; row += 1) {
+    for (let column = firstColumn; column <= lastColumn; column += 1) {
+      tiles[row * columns + column] = copyTile(canvas, column, row);
+    }
+  }
+
+  return tiles;
+};
+
+const capturePixels = (canvas) => {
+  const previous = pixelRecords.get(canvas);
+  const generation = dirtyGeneration;
+
+  if (previous && previous.width === canvas.width && previous.height === canvas.height) {
+    const dirtyRect = getDirtyRect(canvas, previous.generation);
+    if (!dirtyRect) return previous;
+    pruneDirtyRegions(canvas, generation);
+
+    const record = {
+      width: canvas.width,
+      height: canvas.height,
+      generation,
+      tiles: captureDirtyTiles(canvas, previous, dirtyRect),
+    };
+    pixelRecords.set(canvas, record);
+    return record;
+  }
+
+  const record = {
+    width: canvas.width,
+    height: canvas.height,
+    generation,
+    tiles: captureAllTiles(canvas),
+  };
+  pruneDirtyRegions(canvas, generation);
+  pixelRecords.set(canvas, record);
+  return record;
+};
+
+const restorePixels = (record) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = record.width;
+  canvas.height = record.height;
+
+  const ctx = canvas.getContext('2d');
+  const { columns } = getTileGrid(canvas);
+  record.tiles.forEach((tile, index) => {
+    ctx.drawImage(
+      tile,
+      (index % columns) * HISTORY_TILE_SIZE,
+      Math.floor(index / columns) * HISTORY_TILE_SIZE
+    );
+  });
+
+  pixelRecords.set(canvas, { ...record, generation: dirtyGeneration });
+  return canvas;
+};
+
+const isCanvasAtRecord = (canvas, record) => {
+  const current = pixelRecords.get(canvas);
+  return Boolean(current) &&
+    current.tiles === record.tiles &&
+    !getDirtyRect(canvas, current.generation);
+};
+
+/**
+ * Capture a document as a history entry that shares unchanged tiles with
+ * earlier entries
+ * @param {Object} doc - Editor document
+ * @param {string} label - Description of the step
+ * @returns {Object} - History entry
+ */
+export const createHistoryEntry = (doc, label = 'Edit') => ({
+  label,
+  width: doc.width,
+  height: doc.height,
+  activeLayerId: doc.activeLayerId,
+  layers: doc.layers.map(({ canvas, mask, ...layer }) => ({
+    ...layer,
+    pixels: canvas ? capturePixels(canvas) : null,
+    maskPixels: mask ? capturePixels(mask) : null,
+  })),
+});
+
+/**
+ * Rebuild a document from a history entry, reusing live canvases whose
+ * pixels already match the entry
+ * @param {Object} entry - History entry
+ * @param {Object} currentDoc - Document currently shown in the editor
+ * @returns {Object} - Editor document
+ */
+export const restoreHistoryEntry = (entry, currentDoc) => {
+  const liveLayers = new Map(currentDoc.layers.map((layer) => [layer.id, layer]));
+  const restoreCanvas = (liveCanvas, record) => (
+    liveCanvas && isCanvasAtRecord(liveCanvas, record)
+      ? liveCanvas
+      : restorePixels(record)
+  );
+
+  return {
+    width: entry.width,
+    height: entry.height,
+    activeLayerId: entry.activeLayerId,
+    layers: entry.layers.map(({ pixels, maskPixels, ...layer }) => {
+      const liveLayer = liveLayers.get(layer.id);
+      return {
+        ...layer,
+        canvas: pixels ? restoreCanvas(liveLayer?.canvas, pixels) : null,
+        mask: maskPixels ? restoreCanvas(liveLayer?.mask, maskPixels) : null,
+      };
+    }),
+  };
+};
+
+const getEntryTiles = (entry) => {
+  const tiles = new Set();
+  entry.layers.forEach((layer) => {
+    [layer.pixels, layer.maskPixels].filter(Boolean).forEach((record) => {
+      record.tiles.forEach((tile) => tiles.add(tile));
+    });
+  });
+  return tiles;
+};
+
+const getTileBytes = (tile) => tile.width * tile.height * 4;
+
+/**
+ * Count the bytes held by a list of history entries, counting shared tiles once
+ * @param {Array<Object>} entries - History entries
+ * @returns {number} - Approximate memory use in bytes
+ */
+export const getHistoryMemoryUsage = (entries) => {
+  const tiles = new Set();
+  entries.forEach((entry) => {
+    getEntryTiles(entry).forEach((tile) => tiles.add(tile));
+  });
+
+  let bytes = entries.length * METADATA_ENTRY_BYTES;
+  tiles.forEach((tile) => {
+    bytes += getTileBytes(tile);
+  });
+  return bytes;
+};
+
+/**
+ * Drop the oldest entries until the history fits in the memory budget.
+ * The newest entry is always kept.
+ * @param {Array<Object>} entries - History entries, oldest first
+ * @param {number} budget - Memory budget in bytes
+ * @returns {Array<Object>} - Entries that fit the budget
+ */
+export const trimHistoryToBudget = (entries, budget = HISTORY_MEMORY_BUDGET) => {
+  const entryTiles = entries.map(getEntryTiles);
+  const tileUsers = new Map();
+  let bytes = entries.length * METADATA_ENTRY_BYTES;
+
+  entryTiles.forEach((tiles) => {
+    tiles.forEach((tile) => {
+      const users = tileUsers.get(tile) ?? 0;
+      if (users === 0) bytes += getTileBytes(tile);
+      tileUsers.set(tile, users + 1);
+    });
+  });
+
+  const releaseTiles = (tiles) => {
+    let released = 0;
+    tiles.forEach((tile) => {
+      const users = tileUsers.get(tile) - 1;
+      tileUsers.set(tile, users);
+      if (users === 0) released += getTileBytes(tile);
+    });
+    return released;
+  };
+
+  let start = 0;
+  while (entries.length - start > 1 && bytes > budget) {
+    bytes -= METADATA_ENTRY_BYTES + releaseTiles(entryTiles[start]);
+    start += 1;
+  }
+
+  return start === 0 ? entries : entries.slice(start);
+};
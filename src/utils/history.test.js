@@ -0,0 +1,178 @@
+import {
+  HISTORY_TILE_SIZE,
+  createHistoryEntry,
+  getHistoryMemoryUsage,
+  markCanvasDirty,
+  restoreHistoryEntry,
+  trimHistoryToBudget,
+} from './history';
+import { createFilledCanvas, getPixel } from '../testHelpers';
+
+// Two tiles wide and two tiles tall, with partial tiles on the right and bottom
+const WIDTH = HISTORY_TILE_SIZE + 20;
+const HEIGHT = HISTORY_TILE_SIZE + 10;
+
+const paintPixel = (canvas, x, y, color) => {
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = color;
+  ctx.fillRect(x, y, 1, 1);
+};
+
+const createDocument = (canvas, mask = null) => ({
+  width: canvas.width,
+  height: canvas.height,
+  activeLayerId: 'layer',
+  layers: [{ id: 'layer', name: 'Layer', canvas, mask }],
+});
+
+describe('createHistoryEntry', () => {
+  it('splits layer pixels into tiles', () => {
+    const entry = createHistoryEntry(createDocument(createFilledCanvas(WIDTH, HEIGHT, '#ff0000')), 'Import');
+    const { tiles } = entry.layers[0].pixels;
+
+    expect(entry.label).toBe('Import');
+    expect(tiles.map((tile) => [tile.width, tile.height])).toEqual([
+      [HISTORY_TILE_SIZE, HISTORY_TILE_SIZE],
+      [20, HISTORY_TILE_SIZE],
+      [HISTORY_TILE_SIZE, 10],
+      [20, 10],
+    ]);
+    expect(getPixel(tiles[3], 19, 9)).toEqual([255, 0, 0, 255]);
+    expect(entry.layers[0]).not.toHaveProperty('canvas');
+  });
+
+  it('shares every tile when a canvas has not changed', () => {
+    const canvas = createFilledCanvas(WIDTH, HEIGHT, '#ff0000');
+    const first = createHistoryEntry(createDocument(canvas));
+    const second = createHistoryEntry({ ...createDocument(canvas), activeLayerId: null });
+
+    expect(second.layers[0].pixels).toBe(first.layers[0].pixels);
+  });
+
+  it('copies only the tiles inside a dirty region', () => {
+    const canvas = createFilledCanvas(WIDTH, HEIGHT, '#ff0000');
+    const first = createHistoryEntry(createDocument(canvas));
+
+    paintPixel(canvas, WIDTH - 1, 0, '#0000ff');
+    markCanvasDirty(canvas, { x: WIDTH - 1, y: 0, width: 1, height: 1 });
+    const second = createHistoryEntry(createDocument(canvas));
+
+    const before = first.layers[0].pixels.tiles;
+    const after = second.layers[0].pixels.tiles;
+    expect(after[0]).toBe(before[0]);
+    expect(after[1]).not.toBe(before[1]);
+    expect(after[2]).toBe(before[2]);
+    expect(after[3]).toBe(before[3]);
+    expect(getPixel(after[1], 19, 0)).toEqual([0, 0, 255, 255]);
+    expect(getPixel(before[1], 19, 0)).toEqual([255, 0, 0, 255]);
+  });
+
+  it('does not see in-place changes that were never marked dirty', () => {
+    const canvas = createFilledCanvas(WIDTH, HEIGHT, '#ff0000');
+    const first = createHistoryEntry(createDocument(canvas));
+
+    paintPixel(canvas, 0, 0, '#0000ff');
+    const second = createHistoryEntry(createDocument(canvas));
+
+    expect(second.layers[0].pixels).toBe(first.layers[0].pixels);
+  });
+
+  it('captures layer masks and skips layers without pixels', () => {
+    const doc = createDocument(createFilledCanvas(4, 4, '#ff0000'), createFilledCanvas(4, 4, '#000000'));
+    doc.layers.push({ id: 'adjustment', type: 'adjustment', canvas: null, mask: null });
+    const entry = createHistoryEntry(doc);
+
+    expect(entry.layers[0].maskPixels.tiles).toHaveLength(1);
+    expect(entry.layers[1]).toMatchObject({ pixels: null, maskPixels: null });
+  });
+});
+
+describe('restoreHistoryEntry', () => {
+  it('keeps live canvases that still match the entry', () => {
+    const canvas = createFilledCanvas(WIDTH, HEIGHT, '#ff0000');
+    const doc = createDocument(canvas);
+    const entry = createHistoryEntry(doc);
+
+    expect(restoreHistoryEntry(entry, doc).layers[0].canvas).toBe(canvas);
+  });
+
+  it('rebuilds a canvas that was changed after the entry', () => {
+    const canvas = createFilledCanvas(WIDTH, HEIGHT, '#ff0000');
+    const doc = createDocument(canvas);
+    const entry = createHistoryEntry(doc);
+
+    paintPixel(canvas, WIDTH - 1, HEIGHT - 1, '#0000ff');
+    markCanvasDirty(canvas, { x: WIDTH - 1, y: HEIGHT - 1, width: 1, height: 1 });
+    const restored = restoreHistoryEntry(entry, doc).layers[0].canvas;
+
+    expect(restored).not.toBe(canvas);
+    expect([restored.width, restored.height]).toEqual([WIDTH, HEIGHT]);
+    expect(getPixel(restored, WIDTH - 1, HEIGHT - 1)).toEqual([255, 0, 0, 255]);
+    expect(getPixel(canvas, WIDTH - 1, HEIGHT - 1)).toEqual([0, 0, 255, 255]);
+  });
+
+  it('rebuilds layers that are no longer in the document', () => {
+    const entry = createHistoryEntry(createDocument(createFilledCanvas(WIDTH, HEIGHT, '#00ff00')));
+    const restored = restoreHistoryEntry(entry, { layers: [] });
+
+    expect(restored).toMatchObject({ width: WIDTH, height: HEIGHT, activeLayerId: 'layer' });
+    expect(getPixel(restored.layers[0].canvas, HISTORY_TILE_SIZE, HISTORY_TILE_SIZE)).toEqual([0, 255, 0, 255]);
+  });
+
+  it('shares tiles between a restored canvas and the entry it came from', () => {
+    const entry = createHistoryEntry(createDocument(createFilledCanvas(WIDTH, HEIGHT, '#00ff00')));
+    const restoredDoc = restoreHistoryEntry(entry, { layers: [] });
+    const next = createHistoryEntry(restoredDoc);
+
+    expect(next.layers[0].pixels.tiles).toBe(entry.layers[0].pixels.tiles);
+    expect(restoreHistoryEntry(entry, restoredDoc).layers[0].canvas).toBe(restoredDoc.layers[0].canvas);
+  });
+});
+
+describe('history memory budget', () => {
+  const createEntries = () => {
+    const canvas = createFilledCanvas(WIDTH, HEIGHT, '#ff0000');
+    const entries = [createHistoryEntry(createDocument(canvas))];
+    for (let step = 1; step < 4; step += 1) {
+      paintPixel(canvas, 0, 0, '#0000ff');
+      markCanvasDirty(canvas, { x: 0, y: 0, width: 1, height: 1 });
+      entries.push(createHistoryEntry(createDocument(canvas)));
+    }
+    return entries;
+  };
+
+  it('counts shared tiles once', () => {
+    const entries = createEntries();
+    const single = getHistoryMemoryUsage(entries.slice(0, 1));
+    const tileBytes = HISTORY_TILE_SIZE * HISTORY_TILE_SIZE * 4;
+
+    expect(getHistoryMemoryUsage(entries) - single).toBe(3 * (tileBytes + (single - WIDTH * HEIGHT * 4)));
+  });
+
+  it('keeps every entry that fits', () => {
+    const entries = createEntries();
+    expect(trimHistoryToBudget(entries, getHistoryMemoryUsage(entries))).toBe(entries);
+  });
+
+  it('drops the oldest entries until the rest fit', () => {
+    const entries = createEntries();
+    const budget = getHistoryMemoryUsage(entries.slice(2));
+    const trimmed = trimHistoryToBudget(entries, budget);
+
+    expect(trimmed).toEqual(entries.slice(2));
+    expect(getHistoryMemoryUsage(trimmed)).toBeLessThanOrEqual(budget);
+  });
+
+  it('matches the usage of the entries it keeps at every budget', () => {
+    const entries = createEntries();
+    for (let keep = 1; keep <= entries.length; keep += 1) {
+      const kept = entries.slice(entries.length - keep);
+      expect(trimHistoryToBudget(entries, getHistoryMemoryUsage(kept))).toEqual(kept);
+    }
+  });
+
+  it('always keeps the newest entry', () => {
+    const entries = createEntries();
+    expect(trimHistoryToBudget(entries, 0)).toEqual(entries.slice(-1));
+  });
+});
@@ -0,0 +1,620 @@
+/**
+ * Pixel filters that operate directly on ImageData
+ */
+
+const clampByte = (value) => Math.min(255, Math.max(0, Math.round(value)));
+
+/**
+ * Replace every block of pixels with its alpha-weighted average color
+ * @param {ImageData} imageData - Source pixels
+ * @param {number} blockSize - Block edge length in pixels
+ * @returns {ImageData} - New pixelated ImageData
+ */
+export const pixelateImageData = (imageData, blockSize) => {
+  const { width, height, data } = imageData;
+  const size = Math.max(1, Math.round(blockSize));
+  const output = new ImageData(width, height);
+  const target = output.data;
+
+  for (let blockY = 0; blockY < height; blockY += size) {
+    for (let blockX = 0; blockX < width; blockX += size) {
+      const maxX = Math.min(width, blockX + size);
+      const maxY = Math.min(height, blockY + size);
+      let red = 0;
+      let green = 0;
+      let blue = 0;
+      let alpha = 0;
+      let count = 0;
+
+      for (let y = blockY; y < maxY; y += 1) {
+        for (let x = blockX; x < maxX; x += 1) {
+          const index = (y * width + x) * 4;
+          const pixelAlpha = data[index + 3];
+          red += data[index] * pixelAlpha;
+          green += data[index + 1] * pixelAlpha;
+          blue += data[index + 2] * pixelAlpha;
+          alpha += pixelAlpha;
+          count += 1;
+        }
+      }
+
+      const averageRed = alpha > 0 ? red / alpha : 0;
+      const averageGreen = alpha > 0 ? green / alpha : 0;
+      const averageBlue = alpha > 0 ? blue / alpha : 0;
+      const averageAlpha = count > 0 ? alpha / count : 0;
+
+      for (let y = blockY; y < maxY; y += 1) {
+        for (let x = blockX; x < maxX; x += 1) {
+          const index = (y * width + x) * 4;
+          target[index] = clampByte(averageRed);
+          target[index + 1] = clampByte(averageGreen);
+          target[index + 2] = clampByte(averageBlue);
+          target[index + 3] = clampByte(averageAlpha);
+        }
+      }
+    }
+  }
+
+  return output;
+};
+
+const getGaussianBoxSizes = (sigma, passes) => {
+  const idealWidth = Math.sqrt((12 * sigma * sigma / passes) + 1);
+  let lowerWidth = Math.floor(idealWidth);
+  if (lowerWidth % 2 === 0) lowerWidth -= 1;
+  const upperWidth = lowerWidth + 2;
+  const idealCount = (
+    12 * sigma * sigma -
+    passes * lowerWidth * lowerWidth -
+    4 * passes * lowerWidth -
+    3 * passes
+  ) / (-4 * lowerWidth - 4);
+  const lowerCount = Math.round(idealCount);
+
+  return Array.from({ length: passes }, (_, index) => (
+    index < lowerCount ? lowerWidth : upperWidth
+  ));
+};
+
+const boxBlurPass = (source, target, width, height, radius, horizontal) => {
+  const length = horizontal ? width : height;
+  const lines = horizontal ? height : width;
+  const windowSize = radius * 2 + 1;
+
+  for (let line = 0; line < lines; line += 1) {
+    const sums = [0, 0, 0, 0];
+    const indexAt = (position) => {
+      const clamped = Math.min(length - 1, Math.max(0, position));
+      return (horizontal ? line * width + clamped : clamped * width + line) * 4;
+    };
+
+    for (let offset = -radius; offset <= radius; offset += 1) {
+      const index = indexAt(offset);
+      for (let channel = 0; channel < 4; channel += 1) {
+        sums[channel] += source[index + channel];
+      }
+    }
+
+    for (let position = 0; position < length; position += 1) {
+      const index = indexAt(position);
+      for (let channel = 0; channel < 4; channel += 1) {
+        target[index + channel] = sums[channel] / windowSize;
+      }
+
+      const removeIndex = indexAt(position - radius);
+      const addIndex = indexAt(position + radius + 1);
+      for (let channel = 0; channel < 4; channel += 1) {
+        sums[channel] += source[addIndex + channel] - source[removeIndex + channel];
+      }
+    }
+  }
+};
+
+const premultiply = (data) => {
+  const buffer = new Float32Array(data.length);
+  for (let index = 0; index < data.length; index += 4) {
+    const alpha = data[index + 3] / 255;
+    buffer[index] = data[index] * alpha;
+    buffer[index + 1] = data[index + 1] * alpha;
+    buffer[index + 2] = data[index + 2] * alpha;
+    buffer[index + 3] = data[index + 3];
+  }
+  return buffer;
+};
+
+const unpremultiply = (buffer, target) => {
+  for (let index = 0; index < buffer.length; index += 4) {
+    const alpha = buffer[index + 3];
+    const scale = alpha > 0 ? 255 / alpha : 0;
+    target[index] = clampByte(buffer[index] * scale);
+    target[index + 1] = clampByte(buffer[index + 1] * scale);
+    target[index + 2] = clampByte(buffer[index + 2] * scale);
+    target[index + 3] = clampByte(alpha);
+  }
+};
+
+const copyImageData = (imageData) => {
+  const output = new ImageData(imageData.width, imageData.height);
+  output.data.set(imageData.data);
+  return output;
+};
+
+const reportProgress = (onProgress, done, total) => {
+  if (!onProgress || total <= 0) return;
+  onProgress(Math.min(1, done / total));
+};
+
+const blurWithBoxes = (imageData, boxSizes, onProgress) => {
+  const { width, height, data } = imageData;
+  const output = new ImageData(width, height);
+  const buffer = premultiply(data);
+  const scratch = new Float32Array(data.length);
+
+  boxSizes.forEach((boxSize, pass) => {
+    const boxRadius = Math.max(0, (boxSize - 1) / 2);
+    boxBlurPass(buffer, scratch, width, height, boxRadius, true);
+    boxBlurPass(scratch, buffer, width, height, boxRadius, false);
+    reportProgress(onProgress, pass + 1, boxSizes.length);
+  });
+
+  unpremultiply(buffer, output.data);
+  return output;
+};
+
+/**
+ * Approximate a gaussian blur with three premultiplied box blur passes
+ * @param {ImageData} imageData - Source pixels
+ * @param {number} radius - Blur radius in pixels
+ * @param {function} [onProgress] - Called with a 0-1 fraction as the blur runs
+ * @returns {ImageData} - New blurred ImageData
+ */
+export const gaussianBlurImageData = (imageData, radius, onProgress) => {
+  if (radius <= 0) return copyImageData(imageData);
+  return blurWithBoxes(imageData, getGaussianBoxSizes(radius / 2, 3), onProgress);
+};
+
+/**
+ * Average every pixel with a square of its neighbours
+ * @param {ImageData} imageData - Source pixels
+ * @param {number} radius - Half the box edge length in pixels
+ * @param {function} [onProgress] - Called with a 0-1 fraction as the blur runs
+ * @returns {ImageData} - New blurred ImageData
+ */
+export const boxBlurImageData = (imageData, radius, onProgress) => {
+  const boxRadius = Math.round(radius);
+  if (boxRadius <= 0) return copyImageData(imageData);
+  return blurWithBoxes(imageData, [boxRadius * 2 + 1], onProgress);
+};
+
+/**
+ * Blur along a straight line to simulate camera or subject movement
+ * @param {ImageData} imageData - Source pixels
+ * @param {number} distance - Length of the motion in pixels
+ * @param {number} angle - Direction of the motion in degrees
+ * @param {function} [onProgress] - Called with a 0-1 fraction as the blur runs
+ * @returns {ImageData} - New blurred ImageData
+ */
+export const motionBlurImageData = (imageData, distance, angle, onProgress) => {
+  const { width, height, data } = imageData;
+  const samples = Math.max(1, Math.round(distance));
+  if (samples <= 1) return copyImageData(imageData);
+
+  const source = premultiply(data);
+  const buffer = new Float32Array(data.length);
+  const radians = (angle * Math.PI) / 180;
+  const stepX = Math.cos(radians);
+  const stepY = -Math.sin(radians);
+  const offsets = Array.from({ length: samples }, (_, sample) => {
+    const position = sample - (samples - 1) / 2;
+    return [Math.round(position * stepX), Math.round(position * stepY)];
+  });
+
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const index = (y * width + x) * 4;
+      offsets.forEach(([offsetX, offsetY]) => {
+        const sampleX = Math.min(width - 1, Math.max(0, x + offsetX));
+        const sampleY = Math.min(height - 1, Math.max(0, y + offsetY));
+        const sampleIndex = (sampleY * width + sampleX) * 4;
+        for (let channel = 0; channel < 4; channel += 1) {
+          buffer[index + channel] += source[sampleIndex + channel];
+        }
+      });
+      for (let channel = 0; channel < 4; channel += 1) {
+        buffer[index + channel] /= samples;
+      }
+    }
+    if (y % 32 === 0) reportProgress(onProgress, y, height);
+  }
+
+  const output = new ImageData(width, height);
+  unpremultiply(buffer, output.data);
+  return output;
+};
+
+/**
+ * Run a square convolution kernel over the color channels. Alpha is kept.
+ * @param {ImageData} imageData - Source pixels
+ * @param {Array<number>} kernel - Row-major kernel weights
+ * @param {Object} [options] - Convolution options
+ * @param {number} [options.offset=0] - Value added to every result
+ * @param {boolean} [options.grayscale=false] - Convolve luminance and output gray
+ * @param {function} [options.onProgress] - Called with a 0-1 fraction as the kernel runs
+ * @returns {ImageData} - New convolved ImageData
+ */
+export const convolveImageData = (imageData, kernel, { offset = 0, grayscale = false, onProgress } = {}) => {
+  const { width, height, data } = imageData;
+  const size = Math.round(Math.sqrt(kernel.length));
+  const half = Math.floor(size / 2);
+  const output = new ImageData(width, height);
+  const target = output.data;
+  const luminance = grayscale ? new Float32Array(width * height) : null;
+
+  if (luminance) {
+    for (let pixel = 0; pixel < luminance.length; pixel += 1) {
+      const index = pixel * 4;
+      luminance[pixel] = 0.2126 * data[index] + 0.7152 * data[index + 1] + 0.0722 * data[index + 2];
+    }
+  }
+
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const index = (y * width + x) * 4;
+      let red = 0;
+      let green = 0;
+      let blue = 0;
+
+      for (let kernelY = 0; kernelY < size; kernelY += 1) {
+        const sampleY = Math.min(height - 1, Math.max(0, y + kernelY - half));
+        for (let kernelX = 0; kernelX < size; kernelX += 1) {
+          const weight = kernel[kernelY * size + kernelX];
+          if (weight === 0) continue;
+          const sampleX = Math.min(width - 1, Math.max(0, x + kernelX - half));
+          const samplePixel = sampleY * width + sampleX;
+          if (luminance) {
+            red += luminance[samplePixel] * weight;
+          } else {
+            const sampleIndex = samplePixel * 4;
+            red += data[sampleIndex] * weight;
+            green += data[sampleIndex + 1] * weight;
+            blue += data[sampleIndex + 2] * weight;
+          }
+        }
+      }
+
+      target[index] = clampByte(red + offset);
+      target[index + 1] = clampByte((luminance ? red : green) + offset);
+      target[index + 2] = clampByte((luminance ? red : blue) + offset);
+      target[index + 3] = data[index + 3];
+    }
+    if (y % 32 === 0) reportProgress(onProgress, y, height);
+  }
+
+  return output;
+};
+
+/**
+ * Sharpen edges with a 3x3 kernel
+ * @param {ImageData} imageData - Source pixels
+ * @param {number} amount - Strength in percent
+ * @param {function} [onProgress] - Called with a 0-1 fraction as the filter runs
+ * @returns {ImageData} - New sharpened ImageData
+ */
+export const sharpenImageData = (imageData, amount, onProgress) => {
+  const strength = amount / 100;
+  return convolveImageData(imageData, [
+    0, -strength, 0,
+    -strength, 1 + 4 * strength, -strength,
+    0, -strength, 0,
+  ], { onProgress });
+};
+
+/**
+ * Sharpen by adding back the difference between the image and a blurred copy
+ * @param {ImageData} imageData - Source pixels
+ * @param {number} amount - Strength in percent
+ * @param {number} radius - Blur radius in pixels
+ * @param {number} threshold - Minimum channel difference that gets sharpened
+ * @param {function} [onProgress] - Called with a 0-1 fraction as the filter runs
+ * @returns {ImageData} - New sharpened ImageData
+ */
+export const unsharpMaskImageData = (imageData, amount, radius, threshold, onProgress) => {
+  const blurred = gaussianBlurImageData(imageData, radius, (progress) => (
+    reportProgress(onProgress, progress * 0.8, 1)
+  ));
+  const { width, height, data } = imageData;
+  const output = new ImageData(width, height);
+  const target = output.data;
+  const strength = amount / 100;
+
+  for (let index = 0; index < data.length; index += 4) {
+    for (let channel = 0; channel < 3; channel += 1) {
+      const value = data[index + channel];
+      const difference = value - blurred.data[index + channel];
+      target[index + channel] = Math.abs(difference) >= threshold
+        ? clampByte(value + difference * strength)
+        : value;
+    }
+    target[index + 3] = data[index + 3];
+  }
+
+  reportProgress(onProgress, 1, 1);
+  return output;
+};
+
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Add gaussian noise to the color channels
+ * @param {ImageData} imageData - Source pixels
+ * @param {number} amount - Noise strength in percent
+ * @param {boolean} monochrome - Use the same noise for every channel
+ * @param {number} seed - Random seed so the same settings give the same noise
+ * @param {function} [onProgress] - Called with a 0-1 fraction as the filter runs
+ * @returns {ImageData} - New noisy ImageData
+ */
+export const addNoiseImageData = (imageData, amount, monochrome, seed = 1, onProgress) => {
+  const { width, height, data } = imageData;
+  const output = new ImageData(width, height);
+  const target = output.data;
+  const random = createRandom(seed);
+  const deviation = amount * 1.28;
+  const nextNoise = () => {
+    const first = Math.max(random(), Number.EPSILON);
+    const second = random();
+    return Math.sqrt(-2 * Math.log(first)) * Math.cos(2 * Math.PI * second) * deviation;
+  };
+
+  for (let index = 0; index < data.length; index += 4) {
+    const sharedNoise = monochrome ? nextNoise() : 0;
+    for (let channel = 0; channel < 3; channel += 1) {
+      target[index + channel] = clampByte(data[index + channel] + (monochrome ? sharedNoise : nextNoise()));
+    }
+    target[index + 3] = data[index + 3];
+    if (index % (width * 4 * 32) === 0) reportProgress(onProgress, index, data.length);
+  }
+
+  return output;
+};
+
+/**
+ * Replace every pixel with the median of its neighbourhood to remove speckles
+ * while keeping edges
+ * @param {ImageData} imageData - Source pixels
+ * @param {number} radius - Neighbourhood radius in pixels
+ * @param {function} [onProgress] - Called with a 0-1 fraction as the filter runs
+ * @returns {ImageData} - New denoised ImageData
+ */
+export const medianImageData = (imageData, radius, onProgress) => {
+  const { width, height, data } = imageData;
+  const size = Math.max(0, Math.round(radius));
+  if (size === 0) return copyImageData(imageData);
+
+  const output = new ImageData(width, height);
+  const target = output.data;
+  const windowCount = (size * 2 + 1) * (size * 2 + 1);
+  const middle = Math.floor(windowCount / 2);
+  const histograms = [new Uint32Array(256), new Uint32Array(256), new Uint32Array(256)];
+  const sampleIndex = (x, y) => (
+    (Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))) * 4
+  );
+  const updateColumn = (x, y, change) => {
+    for (let offsetY = -size; offsetY <= size; offsetY += 1) {
+      const index = sampleIndex(x, y + offsetY);
+      histograms[0][data[index]] += change;
+      histograms[1][data[index + 1]] += change;
+      histograms[2][data[index + 2]] += change;
+    }
+  };
+  const findMedian = (histogram) => {
+    let count = 0;
+    for (let value = 0; value < 256; value += 1) {
+      count += histogram[value];
+      if (count > middle) return value;
+    }
+    return 255;
+  };
+
+  for (let y = 0; y < height; y += 1) {
+    histograms.forEach((histogram) => histogram.fill(0));
+    for (let offsetX = -size; offsetX <= size; offsetX += 1) {
+      updateColumn(offsetX, y, 1);
+    }
+
+    for (let x = 0; x < width; x += 1) {
+      const index = (y * width + x) * 4;
+      target[index] = findMedian(histograms[0]);
+      target[index + 1] = findMedian(histograms[1]);
+      target[index + 2] = findMedian(histograms[2]);
+      target[index + 3] = data[index + 3];
+
+      updateColumn(x - size, y, -1);
+      updateColumn(x + size + 1, y, 1);
+    }
+    if (y % 32 === 0) reportProgress(onProgress, y, height);
+  }
+
+  return output;
+};
+
+/**
+ * Turn the image into a gray relief lit from the top left
+ * @param {ImageData} imageData - Source pixels
+ * @param {number} strength - Relief depth
+ * @param {function} [onProgress] - Called with a 0-1 fraction as the filter runs
+ * @returns {ImageData} - New embossed ImageData
+ */
+export const embossImageData = (imageData, strength, onProgress) => (
+  convolveImageData(imageData, [
+    -strength, -strength, 0,
+    -strength, 0, strength,
+    0, strength, strength,
+  ], { offset: 128, grayscale: true, onProgress })
+);
+
+/**
+ * Highlight edges with the Sobel operator
+ * @param {ImageData} imageData - Source pixels
+ * @param {number} strength - Multiplier for the edge magnitude
+ * @param {function} [onProgress] - Called with a 0-1 fraction as the filter runs
+ * @returns {ImageData} - New ImageData with white edges on black
+ */
+export const edgeDetectImageData = (imageData, strength, onProgress) => {
+  const horizontal = convolveImageData(imageData, [
+    -1, 0, 1,
+    -2, 0, 2,
+    -1, 0, 1,
+  ], { offset: 128, grayscale: true, onProgress: (progress) => reportProgress(onProgress, progress * 0.5, 1) });
+  const vertical = convolveImageData(imageData, [
+    -1, -2, -1,
+    0, 0, 0,
+    1, 2, 1,
+  ], { offset: 128, grayscale: true, onProgress: (progress) => reportProgress(onProgress, 0.5 + progress * 0.5, 1) });
+  const output = new ImageData(imageData.width, imageData.height);
+  const target = output.data;
+
+  for (let index = 0; index < target.length; index += 4) {
+    const magnitude = Math.hypot(horizontal.data[index] - 128, vertical.data[index] - 128) * strength;
+    const value = clampByte(magnitude);
+    target[index] = value;
+    target[index + 1] = value;
+    target[index + 2] = value;
+    target[index + 3] = imageData.data[index + 3];
+  }
+
+  return output;
+};
+
+export const FILTER_TYPES = {
+  GAUSSIAN_BLUR: 'gaussian-blur',
+  BOX_BLUR: 'box-blur',
+  MOTION_BLUR: 'motion-blur',
+  SHARPEN: 'sharpen',
+  UNSHARP_MASK: 'unsharp-mask',
+  ADD_NOISE: 'add-noise',
+  MEDIAN: 'median',
+  EMBOSS: 'emboss',
+  EDGE_DETECT: 'edge-detect',
+};
+
+export const FILTER_OPTIONS = [
+  { type: FILTER_TYPES.GAUSSIAN_BLUR, label: 'Gaussian Blur' },
+  { type: FILTER_TYPES.BOX_BLUR, label: 'Box Blur' },
+  { type: FILTER_TYPES.MOTION_BLUR, label: 'Motion Blur' },
+  { type: FILTER_TYPES.SHARPEN, label: 'Sharpen' },
+  { type: FILTER_TYPES.UNSHARP_MASK, label: 'Unsharp Mask' },
+  { type: FILTER_TYPES.ADD_NOISE, label: 'Add Noise' },
+  { type: FILTER_TYPES.MEDIAN, label: 'Median Denoise' },
+  { type: FILTER_TYPES.EMBOSS, label: 'Emboss' },
+  { type: FILTER_TYPES.EDGE_DETECT, label: 'Edge Detect' },
+];
+
+export const FILTER_SLIDERS = {
+  [FILTER_TYPES.GAUSSIAN_BLUR]: [
+    { key: 'radius', label: 'Radius', min: 0.5, max: 100, step: 0.5, unit: 'px' },
+  ],
+  [FILTER_TYPES.BOX_BLUR]: [
+    { key: 'radius', label: 'Radius', min: 1, max: 100, step: 1, unit: 'px' },
+  ],
+  [FILTER_TYPES.MOTION_BLUR]: [
+    { key: 'distance', label: 'Distance', min: 2, max: 200, step: 1, unit: 'px' },
+    { key: 'angle', label: 'Angle', min: -180, max: 180, step: 1, unit: '°' },
+  ],
+  [FILTER_TYPES.SHARPEN]: [
+    { key: 'amount', label: 'Amount', min: 1, max: 300, step: 1, unit: '%' },
+  ],
+  [FILTER_TYPES.UNSHARP_MASK]: [
+    { key: 'amount', label: 'Amount', min: 1, max: 500, step: 1, unit: '%' },
+    { key: 'radius', label: 'Radius', min: 0.5, max: 50, step: 0.5, unit: 'px' },
+    { key: 'threshold', label: 'Threshold', min: 0, max: 255, step: 1 },
+  ],
+  [FILTER_TYPES.ADD_NOISE]: [
+    { key: 'amount', label: 'Amount', min: 1, max: 100, step: 1, unit: '%' },
+  ],
+  [FILTER_TYPES.MEDIAN]: [
+    { key: 'radius', label: 'Radius', min: 1, max: 10, step: 1, unit: 'px' },
+  ],
+  [FILTER_TYPES.EMBOSS]: [
+    { key: 'strength', label: 'Strength', min: 0.5, max: 5, step: 0.1 },
+  ],
+  [FILTER_TYPES.EDGE_DETECT]: [
+    { key: 'strength', label: 'Strength', min: 0.5, max: 5, step: 0.1 },
+  ],
+};
+
+/**
+ * Create a filter of a type with its default settings
+ * @param {string} type - Filter type
+ * @returns {Object} - Filter
+ */
+export const createDefaultFilter = (type) => {
+  switch (type) {
+    case FILTER_TYPES.BOX_BLUR:
+      return { type, radius: 4 };
+    case FILTER_TYPES.MOTION_BLUR:
+      return { type, distance: 20, angle: 0 };
+    case FILTER_TYPES.SHARPEN:
+      return { type, amount: 50 };
+    case FILTER_TYPES.UNSHARP_MASK:
+      return { type, amount: 100, radius: 2, threshold: 0 };
+    case FILTER_TYPES.ADD_NOISE:
+      return { type, amount: 10, monochrome: false, seed: 1 };
+    case FILTER_TYPES.MEDIAN:
+      return { type, radius: 1 };
+    case FILTER_TYPES.EMBOSS:
+    case FILTER_TYPES.EDGE_DETECT:
+      return { type, strength: 1 };
+    default:
+      return { type: FILTER_TYPES.GAUSSIAN_BLUR, radius: 4 };
+  }
+};
+
+/**
+ * Get the display name of a filter
+ * @param {Object} filter - Filter
+ * @returns {string} - Filter name
+ */
+export const getFilterLabel = (filter) => (
+  FILTER_OPTIONS.find((option) => option.type === filter?.type)?.label ?? 'Filter'
+);
+
+/**
+ * Run a filter on pixels
+ * @param {ImageData} imageData - Source pixels
+ * @param {Object} filter - Filter created by createDefaultFilter
+ * @param {function} [onProgress] - Called with a 0-1 fraction as the filter runs
+ * @returns {ImageData} - New filtered ImageData
+ */
+export const applyImageDataFilter = (imageData, filter, onProgress) => {
+  switch (filter.type) {
+    case FILTER_TYPES.GAUSSIAN_BLUR:
+      return gaussianBlurImageData(imageData, filter.radius, onProgress);
+    case FILTER_TYPES.BOX_BLUR:
+      return boxBlurImageData(imageData, filter.radius, onProgress);
+    case FILTER_TYPES.MOTION_BLUR:
+      return motionBlurImageData(imageData, filter.distance, filter.angle, onProgress);
+    case FILTER_TYPES.SHARPEN:
+      return sharpenImageData(imageData, filter.amount, onProgress);
+    case FILTER_TYPES.UNSHARP_MASK:
+      return unsharpMaskImageData(imageData, filter.amount, filter.radius, filter.threshold, onProgress);
+    case FILTER_TYPES.ADD_NOISE:
+      return addNoiseImageData(imageData, filter.amount, filter.monochrome, filter.seed, onProgress);
+    case FILTER_TYPES.MEDIAN:
+      return medianImageData(imageData, filter.radius, onProgress);
+    case FILTER_TYPES.EMBOSS:
+      return embossImageData(imageData, filter.strength, onProgress);
+    case FILTER_TYPES.EDGE_DETECT:
+      return edgeDetectImageData(imageData, filter.strength, onProgress);
+    default:
+      return copyImageData(imageData);
+  }
+};
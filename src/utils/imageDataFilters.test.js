@@ -0,0 +1,207 @@
+import {
+  FILTER_OPTIONS,
+  FILTER_TYPES,
+  addNoiseImageData,
+  applyImageDataFilter,
+  boxBlurImageData,
+  convolveImageData,
+  createDefaultFilter,
+  edgeDetectImageData,
+  embossImageData,
+  gaussianBlurImageData,
+  getFilterLabel,
+  medianImageData,
+  motionBlurImageData,
+  pixelateImageData,
+  sharpenImageData,
+  unsharpMaskImageData,
+} from './imageDataFilters';
+import { createImageData, getImageDataPixel } from '../testHelpers';
+
+const GRAY = [128, 128, 128, 255];
+
+// Black on the left half, white on the right half
+const createEdge = (width = 8, height = 4) => (
+  createImageData(width, height, (x) => (x < width / 2 ? [0, 0, 0, 255] : [255, 255, 255, 255]))
+);
+
+// Dark and light gray halves, so sharpening has room to overshoot both ways
+const createGrayEdge = () => (
+  createImageData(8, 4, (x) => (x < 4 ? [64, 64, 64, 255] : [192, 192, 192, 255]))
+);
+
+const createSolid = (width, height, pixel) => createImageData(width, height, () => pixel);
+
+describe('pixelateImageData', () => {
+  it('fills each block with its alpha-weighted average', () => {
+    const imageData = createImageData(2, 1, (x) => (x === 0 ? [255, 0, 0, 255] : [0, 0, 255, 0]));
+    const output = pixelateImageData(imageData, 2);
+
+    expect(getImageDataPixel(output, 0, 0)).toEqual([255, 0, 0, 128]);
+    expect(getImageDataPixel(output, 1, 0)).toEqual([255, 0, 0, 128]);
+  });
+
+  it('handles partial blocks at the edges', () => {
+    const output = pixelateImageData(createEdge(3, 1), 2);
+    expect(getImageDataPixel(output, 2, 0)).toEqual([255, 255, 255, 255]);
+  });
+});
+
+describe('blurs', () => {
+  it('keep solid areas unchanged', () => {
+    const solid = createSolid(6, 6, [40, 80, 120, 255]);
+    [
+      gaussianBlurImageData(solid, 3),
+      boxBlurImageData(solid, 2),
+      motionBlurImageData(solid, 5, 45),
+    ].forEach((output) => {
+      expect(getImageDataPixel(output, 3, 3)).toEqual([40, 80, 120, 255]);
+    });
+  });
+
+  it('soften a hard edge', () => {
+    [
+      gaussianBlurImageData(createEdge(), 2),
+      boxBlurImageData(createEdge(), 1),
+      motionBlurImageData(createEdge(), 4, 0),
+    ].forEach((output) => {
+      const [left] = getImageDataPixel(output, 3, 1);
+      const [right] = getImageDataPixel(output, 4, 1);
+      expect(left).toBeGreaterThan(0);
+      expect(right).toBeLessThan(255);
+      expect(left).toBeLessThan(right);
+    });
+  });
+
+  it('do not darken colors next to transparent pixels', () => {
+    const imageData = createImageData(4, 1, (x) => (x < 2 ? [255, 0, 0, 255] : [0, 0, 0, 0]));
+    const [red, green, blue, alpha] = getImageDataPixel(boxBlurImageData(imageData, 1), 2, 0);
+
+    expect([red, green, blue]).toEqual([255, 0, 0]);
+    expect(alpha).toBe(85);
+  });
+
+  it('only move pixels along the motion direction', () => {
+    const imageData = createImageData(5, 5, (x, y) => (y === 2 ? [255, 255, 255, 255] : [0, 0, 0, 255]));
+    const output = motionBlurImageData(imageData, 5, 0);
+
+    expect(getImageDataPixel(output, 2, 2)).toEqual([255, 255, 255, 255]);
+    expect(getImageDataPixel(output, 2, 1)).toEqual([0, 0, 0, 255]);
+  });
+
+  it('copy the pixels when the radius is zero', () => {
+    const imageData = createEdge();
+    const output = gaussianBlurImageData(imageData, 0);
+
+    expect(output).not.toBe(imageData);
+    expect(Array.from(output.data)).toEqual(Array.from(imageData.data));
+  });
+
+  it('report progress up to one', () => {
+    const progress = [];
+    gaussianBlurImageData(createEdge(), 2, (value) => progress.push(value));
+
+    expect(progress).toEqual([...progress].sort());
+    expect(progress[progress.length - 1]).toBe(1);
+  });
+});
+
+describe('convolveImageData', () => {
+  it('keeps pixels with an identity kernel', () => {
+    const imageData = createEdge();
+    const output = convolveImageData(imageData, [0, 0, 0, 0, 1, 0, 0, 0, 0]);
+    expect(Array.from(output.data)).toEqual(Array.from(imageData.data));
+  });
+
+  it('adds the offset and keeps alpha', () => {
+    const output = convolveImageData(createSolid(2, 2, [10, 20, 30, 90]), [1], { offset: 5 });
+    expect(getImageDataPixel(output, 1, 1)).toEqual([15, 25, 35, 90]);
+  });
+
+  it('outputs gray from luminance', () => {
+    const output = convolveImageData(createSolid(1, 1, [200, 40, 90, 255]), [1], { grayscale: true });
+    const value = Math.round(0.2126 * 200 + 0.7152 * 40 + 0.0722 * 90);
+    expect(getImageDataPixel(output, 0, 0)).toEqual([value, value, value, 255]);
+  });
+});
+
+describe('sharpening', () => {
+  it('increases contrast across an edge', () => {
+    const sharpened = sharpenImageData(createGrayEdge(), 100);
+    expect(getImageDataPixel(sharpened, 3, 1)[0]).toBeLessThan(64);
+    expect(getImageDataPixel(sharpened, 4, 1)[0]).toBeGreaterThan(192);
+  });
+
+  it('leaves differences under the unsharp mask threshold alone', () => {
+    const imageData = createGrayEdge();
+    const output = unsharpMaskImageData(imageData, 200, 2, 255);
+    expect(Array.from(output.data)).toEqual(Array.from(imageData.data));
+
+    const sharpened = unsharpMaskImageData(imageData, 200, 2, 0);
+    expect(getImageDataPixel(sharpened, 3, 1)[0]).toBeLessThan(64);
+  });
+});
+
+describe('addNoiseImageData', () => {
+  it('gives the same noise for the same seed', () => {
+    const solid = createSolid(4, 4, GRAY);
+    const first = addNoiseImageData(solid, 20, false, 7);
+
+    expect(Array.from(addNoiseImageData(solid, 20, false, 7).data)).toEqual(Array.from(first.data));
+    expect(Array.from(addNoiseImageData(solid, 20, false, 8).data)).not.toEqual(Array.from(first.data));
+  });
+
+  it('uses one value for every channel when monochrome', () => {
+    const output = addNoiseImageData(createSolid(4, 4, GRAY), 20, true, 3);
+    for (let index = 0; index < output.data.length; index += 4) {
+      expect(output.data[index + 1]).toBe(output.data[index]);
+      expect(output.data[index + 2]).toBe(output.data[index]);
+      expect(output.data[index + 3]).toBe(255);
+    }
+  });
+});
+
+describe('medianImageData', () => {
+  it('removes a single speckle and keeps an edge', () => {
+    const speckled = createImageData(5, 5, (x, y) => (x === 2 && y === 2 ? [255, 255, 255, 255] : GRAY));
+    expect(getImageDataPixel(medianImageData(speckled, 1), 2, 2)).toEqual(GRAY);
+
+    const edge = createEdge();
+    expect(Array.from(medianImageData(edge, 1).data)).toEqual(Array.from(edge.data));
+  });
+});
+
+describe('relief filters', () => {
+  it('emboss flat areas to middle gray', () => {
+    expect(getImageDataPixel(embossImageData(createSolid(3, 3, [200, 10, 10, 255]), 2), 1, 1)).toEqual(GRAY);
+  });
+
+  it('detect edges as white on black', () => {
+    const output = edgeDetectImageData(createEdge(), 1);
+    expect(getImageDataPixel(output, 0, 1)).toEqual([0, 0, 0, 255]);
+    expect(getImageDataPixel(output, 4, 1)[0]).toBeGreaterThan(100);
+    expect(getImageDataPixel(edgeDetectImageData(createEdge(), 2), 4, 1)[0]).toBeGreaterThan(200);
+  });
+});
+
+describe('filter settings', () => {
+  it('creates a default for every filter and falls back to gaussian blur', () => {
+    FILTER_OPTIONS.forEach(({ type }) => {
+      expect(createDefaultFilter(type).type).toBe(type);
+    });
+    expect(createDefaultFilter('unknown')).toEqual({ type: FILTER_TYPES.GAUSSIAN_BLUR, radius: 4 });
+  });
+
+  it('names filters', () => {
+    expect(getFilterLabel({ type: FILTER_TYPES.MEDIAN })).toBe('Median Denoise');
+    expect(getFilterLabel(null)).toBe('Filter');
+  });
+
+  it('runs the filter it is given', () => {
+    const imageData = createEdge();
+    expect(Array.from(applyImageDataFilter(imageData, createDefaultFilter(FILTER_TYPES.BOX_BLUR)).data))
+      .toEqual(Array.from(boxBlurImageData(imageData, 4).data));
+    expect(Array.from(applyImageDataFilter(imageData, { type: 'unknown' }).data))
+      .toEqual(Array.from(imageData.data));
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Utility functions for non-destructive layer masks.
+ *
+ * A layer mask is a canvas the size of its layer canvas whose alpha channel
+ * is the layer's visibility: opaque pixels show the layer and transparent
+ * pixels hide it. Masks are shown to the user as grayscale, white for
+ * visible and black for hidden.
+ */
+import { clipCanvasToSelection } from './selection';
+
+const MASK_COLOR = '#ffffff';
+
+const createMaskCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, width);
+  canvas.height = Math.max(1, height);
+  return canvas;
+};
+
+/**
+ * Create a mask that shows the whole layer
+ * @param {number} width - Layer canvas width
+ * @param {number} height - Layer canvas height
+ * @returns {HTMLCanvasElement} - Mask canvas
+ */
+export const createLayerMask = (width, height) => {
+  const canvas = createMaskCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = MASK_COLOR;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  return canvas;
+};
+
+/**
+ * Create a mask that shows only the selected part of the layer
+ * @param {number} width - Layer canvas width
+ * @param {number} height - Layer canvas height
+ * @param {HTMLCanvasElement} selectionMask - Document-sized selection mask
+ * @param {number} offsetX - Layer x position in the document
+ * @param {number} offsetY - Layer y position in the document
+ * @returns {HTMLCanvasElement} - Mask canvas
+ */
+export const createSelectionLayerMask = (width, height, selectionMask, offsetX = 0, offsetY = 0) => (
+  clipCanvasToSelection(createLayerMask(width, height), selectionMask, offsetX, offsetY)
+);
+
+/**
+ * Check whether a layer has a mask
+ * @param {Object} layer - Layer to check
+ * @returns {boolean} - True when the layer has a mask, enabled or not
+ */
+export const hasLayerMask = (layer) => Boolean(layer?.mask);
+
+/**
+ * Check whether a layer's mask currently hides anything
+ * @param {Object} layer - Layer to check
+ * @returns {boolean} - True when the layer has a mask that is not disabled
+ */
+export const isLayerMaskEnabled = (layer) => hasLayerMask(layer) && layer.maskEnabled !== false;
+
+/**
+ * Get the stroke color and composite operation for painting a mask
+ * @param {boolean} reveal - True to show the layer, false to hide it
+ * @returns {{color: string, compositeOperation: string}} - Stroke settings
+ */
+export const getMaskPaint = (reveal) => ({
+  color: MASK_COLOR,
+  compositeOperation: reveal ? 'source-over' : 'destination-out',
+});
+
+/**
+ * Invert a layer mask so hidden areas show and visible areas hide
+ * @param {HTMLCanvasElement} mask - Source mask
+ * @returns {HTMLCanvasElement} - Inverted mask
+ */
+export const invertLayerMask = (mask) => {
+  const canvas = createLayerMask(mask.width, mask.height);
+  const ctx = canvas.getContext('2d');
+  ctx.globalCompositeOperation = 'destination-out';
+  ctx.drawImage(mask, 0, 0);
+  return canvas;
+};
+
+/**
+ * Copy a canvas with a mask applied
+ * @param {HTMLCanvasElement} canvas - Layer pixels
+ * @param {HTMLCanvasElement} mask - Layer mask
+ * @returns {HTMLCanvasElement} - Masked copy of the layer pixels
+ */
+export const applyLayerMask = (canvas, mask) => {
+  const masked = createMaskCanvas(canvas.width, canvas.height);
+  const ctx = masked.getContext('2d');
+  ctx.drawImage(canvas, 0, 0);
+  ctx.globalCompositeOperation = 'destination-in';
+  ctx.drawImage(mask, 0, 0);
+  return masked;
+};
+
+/**
+ * Redraw a mask onto a canvas of a new size. Areas the old mask did not
+ * cover are left visible.
+ * @param {HTMLCanvasElement} mask - Source mask
+ * @param {number} width - New mask width
+ * @param {number} height - New mask height
+ * @param {function} placeMask - Sets the context transform from old mask pixels to new mask pixels
+ * @returns {HTMLCanvasElement} - Remapped mask
+ */
+export const remapLayerMask = (mask, width, height, placeMask) => {
+  const canvas = createLayerMask(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  placeMask(ctx);
+  ctx.globalCompositeOperation = 'destination-out';
+  ctx.fillRect(0, 0, mask.width, mask.height);
+  ctx.globalCompositeOperation = 'source-over';
+  ctx.drawImage(mask, 0, 0);
+  return canvas;
+};
+
+/**
+ * Render a mask as an opaque grayscale image for display
+ * @param {HTMLCanvasElement} mask - Layer mask
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @returns {HTMLCanvasElement} - Grayscale preview
+ */
+export const renderLayerMaskPreview = (mask, width = mask.width, height = mask.height) => {
+  const canvas = createMaskCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#000000';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(mask, 0, 0, canvas.width, canvas.height);
+  return canvas;
+};
@@ -0,0 +1,97 @@
+import {
+  applyLayerMask,
+  createLayerMask,
+  createSelectionLayerMask,
+  getMaskPaint,
+  hasLayerMask,
+  invertLayerMask,
+  isLayerMaskEnabled,
+} from './layerMask';
+import { createCanvas, createFilledCanvas, getPixel } from '../testHelpers';
+
+const RED = [255, 0, 0, 255];
+const WHITE = [255, 255, 255, 255];
+const CLEAR = [0, 0, 0, 0];
+
+// A 4x1 mask that shows the left half of the layer
+const createHalfMask = () => createCanvas(4, 1, (x) => (x < 2 ? WHITE : CLEAR));
+
+const getAlphas = (canvas) => [0, 1, 2, 3].map((x) => getPixel(canvas, x, 0)[3]);
+
+const paintMask = (mask, reveal, x) => {
+  const paint = getMaskPaint(reveal);
+  const dab = createCanvas(4, 1, (px) => (px === x ? WHITE : CLEAR));
+  const ctx = mask.getContext('2d');
+  ctx.globalCompositeOperation = paint.compositeOperation;
+  ctx.drawImage(dab, 0, 0);
+  ctx.globalCompositeOperation = 'source-over';
+  return mask;
+};
+
+describe('createLayerMask', () => {
+  it('shows the whole layer', () => {
+    expect(getAlphas(createLayerMask(4, 1))).toEqual([255, 255, 255, 255]);
+  });
+});
+
+describe('applyLayerMask', () => {
+  it('keeps the layer pixels where the mask shows them', () => {
+    const layerCanvas = createFilledCanvas(4, 1, '#ff0000');
+    const masked = applyLayerMask(layerCanvas, createHalfMask());
+
+    expect(masked).not.toBe(layerCanvas);
+    expect(getPixel(masked, 0, 0)).toEqual(RED);
+    expect(getAlphas(masked)).toEqual([255, 255, 0, 0]);
+    expect(getAlphas(layerCanvas)).toEqual([255, 255, 255, 255]);
+  });
+});
+
+describe('invertLayerMask', () => {
+  it('swaps shown and hidden areas', () => {
+    const mask = createHalfMask();
+    expect(getAlphas(invertLayerMask(mask))).toEqual([0, 0, 255, 255]);
+    expect(getAlphas(mask)).toEqual([255, 255, 0, 0]);
+  });
+});
+
+describe('isLayerMaskEnabled', () => {
+  it('is true for a mask unless it is disabled', () => {
+    const mask = createHalfMask();
+
+    expect(isLayerMaskEnabled({ mask })).toBe(true);
+    expect(isLayerMaskEnabled({ mask, maskEnabled: true })).toBe(true);
+    expect(isLayerMaskEnabled({ mask, maskEnabled: false })).toBe(false);
+    expect(hasLayerMask({ mask, maskEnabled: false })).toBe(true);
+  });
+
+  it('is false without a mask', () => {
+    expect(isLayerMaskEnabled({ maskEnabled: true })).toBe(false);
+    expect(hasLayerMask(null)).toBe(false);
+  });
+});
+
+describe('getMaskPaint', () => {
+  it('reveals the layer with the brush', () => {
+    expect(getAlphas(paintMask(createHalfMask(), true, 3))).toEqual([255, 255, 0, 255]);
+  });
+
+  it('hides the layer with the eraser', () => {
+    expect(getAlphas(paintMask(createHalfMask(), false, 0))).toEqual([0, 255, 0, 0]);
+  });
+
+  it('paints a color the mask preview shows as white', () => {
+    expect(getMaskPaint(true).color).toBe(getMaskPaint(false).color);
+  });
+});
+
+describe('createSelectionLayerMask', () => {
+  it('shows only the selected part of the layer', () => {
+    const selection = createCanvas(6, 1, (x) => (x >= 3 ? WHITE : CLEAR));
+    expect(getAlphas(createSelectionLayerMask(4, 1, selection, 1, 0))).toEqual([0, 0, 255, 255]);
+  });
+
+  it('hides the whole layer when the selection misses it', () => {
+    const selection = createCanvas(8, 1, (x) => (x < 2 ? WHITE : CLEAR));
+    expect(getAlphas(createSelectionLayerMask(4, 1, selection, 4, 0))).toEqual([0, 0, 0, 0]);
+  });
+});
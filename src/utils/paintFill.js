@@ -0,0 +1,200 @@
+/**
+ * Utility functions for the paint bucket and gradient tools.
+ *
+ * Gradients are described by a type and a list of color stops. Each stop has
+ * a position from 0 to 100 along the gradient, a hex color and an opacity
+ * from 0 to 100. Stops may be stored in any order; they are sorted when the
+ * gradient is drawn.
+ */
+
+export const GRADIENT_TYPES = {
+  LINEAR: 'linear',
+  RADIAL: 'radial',
+  ANGULAR: 'angular',
+};
+
+const ANGULAR_LOOKUP_SIZE = 1024;
+
+const createPaintCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, width);
+  canvas.height = Math.max(1, height);
+  return canvas;
+};
+
+const hexToRgb = (hex) => {
+  const value = parseInt(hex.slice(1), 16);
+  return {
+    r: (value >> 16) & 255,
+    g: (value >> 8) & 255,
+    b: value & 255,
+  };
+};
+
+/**
+ * Create the default gradient, from a color to white
+ * @param {string} color - Hex color of the first stop
+ * @returns {{type: string, stops: Array<Object>}} - Gradient settings
+ */
+export const createDefaultGradient = (color) => ({
+  type: GRADIENT_TYPES.LINEAR,
+  stops: [
+    { position: 0, color, opacity: 100 },
+    { position: 100, color: '#ffffff', opacity: 100 },
+  ],
+});
+
+/**
+ * Sort gradient stops by position
+ * @param {Array<Object>} stops - Color stops
+ * @returns {Array<Object>} - Sorted copy of the stops
+ */
+export const sortGradientStops = (stops) => (
+  [...stops].sort((a, b) => a.position - b.position)
+);
+
+/**
+ * Get the CSS color of a gradient stop
+ * @param {Object} stop - Color stop
+ * @returns {string} - rgba() color
+ */
+export const getGradientStopColor = (stop) => {
+  const { r, g, b } = hexToRgb(stop.color);
+  return `rgba(${r}, ${g}, ${b}, ${stop.opacity / 100})`;
+};
+
+/**
+ * Build a left-to-right CSS gradient for previewing stops
+ * @param {Array<Object>} stops - Color stops
+ * @returns {string} - CSS linear-gradient() value
+ */
+export const getGradientCss = (stops) => {
+  const colorStops = sortGradientStops(stops)
+    .map((stop) => `${getGradientStopColor(stop)} ${stop.position}%`)
+    .join(', ');
+  return `linear-gradient(to right, ${colorStops})`;
+};
+
+const addColorStops = (gradient, stops) => {
+  sortGradientStops(stops).forEach((stop) => {
+    gradient.addColorStop(stop.position / 100, getGradientStopColor(stop));
+  });
+  return gradient;
+};
+
+const createAngularLookup = (stops) => {
+  const canvas = createPaintCanvas(ANGULAR_LOOKUP_SIZE, 1);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.fillStyle = addColorStops(ctx.createLinearGradient(0, 0, ANGULAR_LOOKUP_SIZE, 0), stops);
+  ctx.fillRect(0, 0, ANGULAR_LOOKUP_SIZE, 1);
+  return ctx.getImageData(0, 0, ANGULAR_LOOKUP_SIZE, 1).data;
+};
+
+const fillAngularGradient = (ctx, width, height, stops, start, angle) => {
+  const lookup = createAngularLookup(stops);
+  const imageData = ctx.createImageData(width, height);
+  const { data } = imageData;
+
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const turn = (Math.atan2(y + 0.5 - start.y, x + 0.5 - start.x) - angle) / (Math.PI * 2);
+      const t = turn - Math.floor(turn);
+      const source = Math.min(ANGULAR_LOOKUP_SIZE - 1, Math.floor(t * ANGULAR_LOOKUP_SIZE)) * 4;
+      const target = (y * width + x) * 4;
+      data[target] = lookup[source];
+      data[target + 1] = lookup[source + 1];
+      data[target + 2] = lookup[source + 2];
+      data[target + 3] = lookup[source + 3];
+    }
+  }
+
+  ctx.putImageData(imageData, 0, 0);
+};
+
+/**
+ * Draw a gradient across a new canvas. Linear gradients run from start to
+ * end, radial gradients spread out from start with end on the outer edge, and
+ * angular gradients sweep clockwise around start beginning at end.
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {{type: string, stops: Array<Object>}} gradient - Gradient settings
+ * @param {{x: number, y: number}} start - Start point in canvas pixels
+ * @param {{x: number, y: number}} end - End point in canvas pixels
+ * @returns {HTMLCanvasElement} - Canvas filled with the gradient
+ */
+export const renderGradientCanvas = (width, height, gradient, start, end) => {
+  const canvas = createPaintCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  const distance = Math.hypot(end.x - start.x, end.y - start.y);
+  const length = Math.max(1, distance);
+  const direction = distance < 1
+    ? { x: 1, y: 0 }
+    : { x: (end.x - start.x) / distance, y: (end.y - start.y) / distance };
+
+  if (gradient.type === GRADIENT_TYPES.ANGULAR) {
+    fillAngularGradient(ctx, canvas.width, canvas.height, gradient.stops, start, Math.atan2(direction.y, direction.x));
+    return canvas;
+  }
+
+  ctx.fillStyle = addColorStops(
+    gradient.type === GRADIENT_TYPES.RADIAL
+      ? ctx.createRadialGradient(start.x, start.y, 0, start.x, start.y, length)
+      : ctx.createLinearGradient(start.x, start.y, start.x + direction.x * length, start.y + direction.y * length),
+    gradient.stops
+  );
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  return canvas;
+};
+
+/**
+ * Paint a flat color over the pixels of a region
+ * @param {Uint8Array} region - One entry per pixel, 1 when the pixel is filled
+ * @param {number} width - Region width
+ * @param {number} height - Region height
+ * @param {string} color - Hex fill color
+ * @returns {HTMLCanvasElement} - Canvas holding the fill, transparent elsewhere
+ */
+export const createRegionFillCanvas = (region, width, height, color) => {
+  const canvas = createPaintCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  const imageData = ctx.createImageData(width, height);
+  const { r, g, b } = hexToRgb(color);
+
+  for (let pixel = 0; pixel < region.length; pixel += 1) {
+    if (!region[pixel]) continue;
+    const index = pixel * 4;
+    imageData.data[index] = r;
+    imageData.data[index + 1] = g;
+    imageData.data[index + 2] = b;
+    imageData.data[index + 3] = 255;
+  }
+
+  ctx.putImageData(imageData, 0, 0);
+  return canvas;
+};
+
+/**
+ * Find the bounding box of a region
+ * @param {Uint8Array} region - One entry per pixel, 1 when the pixel is included
+ * @param {number} width - Region width
+ * @returns {{x: number, y: number, width: number, height: number}|null} - Bounds, or null when the region is empty
+ */
+export const getRegionBounds = (region, width) => {
+  let left = Infinity;
+  let top = Infinity;
+  let right = -Infinity;
+  let bottom = -Infinity;
+
+  for (let pixel = 0; pixel < region.length; pixel += 1) {
+    if (!region[pixel]) continue;
+    const x = pixel % width;
+    const y = Math.floor(pixel / width);
+    if (x < left) left = x;
+    if (x > right) right = x;
+    if (y < top) top = y;
+    if (y > bottom) bottom = y;
+  }
+
+  if (right < left) return null;
+  return { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+};
@@ -0,0 +1,106 @@
+import {
+  GRADIENT_TYPES,
+  createDefaultGradient,
+  createRegionFillCanvas,
+  getGradientCss,
+  getGradientStopColor,
+  getRegionBounds,
+  renderGradientCanvas,
+  sortGradientStops,
+} from './paintFill';
+import { getPixel } from '../testHelpers';
+
+const getPixels = (canvas, points) => points.map(([x, y]) => getPixel(canvas, x, y));
+
+const createGradient = (type, from, to) => ({
+  type,
+  stops: [
+    { position: 100, color: to, opacity: 100 },
+    { position: 0, color: from, opacity: 100 },
+  ],
+});
+
+describe('gradient stops', () => {
+  it('start from the chosen color and end in white', () => {
+    expect(createDefaultGradient('#123456')).toEqual({
+      type: GRADIENT_TYPES.LINEAR,
+      stops: [
+        { position: 0, color: '#123456', opacity: 100 },
+        { position: 100, color: '#ffffff', opacity: 100 },
+      ],
+    });
+  });
+
+  it('sort by position without changing the original', () => {
+    const stops = createGradient(GRADIENT_TYPES.LINEAR, '#000000', '#ffffff').stops;
+    expect(sortGradientStops(stops).map((stop) => stop.position)).toEqual([0, 100]);
+    expect(stops[0].position).toBe(100);
+  });
+
+  it('convert to rgba() with their opacity', () => {
+    expect(getGradientStopColor({ position: 0, color: '#ff8000', opacity: 50 })).toBe('rgba(255, 128, 0, 0.5)');
+  });
+
+  it('build a sorted CSS preview', () => {
+    expect(getGradientCss(createGradient(GRADIENT_TYPES.LINEAR, '#ff0000', '#0000ff').stops)).toBe(
+      'linear-gradient(to right, rgba(255, 0, 0, 1) 0%, rgba(0, 0, 255, 1) 100%)'
+    );
+  });
+});
+
+describe('renderGradientCanvas', () => {
+  it('runs a linear gradient from start to end', () => {
+    const gradient = createGradient(GRADIENT_TYPES.LINEAR, '#ff0000', '#0000ff');
+    expect(getPixels(
+      renderGradientCanvas(11, 2, gradient, { x: 0.5, y: 0 }, { x: 10.5, y: 0 }),
+      [[0, 1], [5, 1], [10, 1]]
+    )).toEqual([[255, 0, 0, 255], [128, 0, 128, 255], [0, 0, 255, 255]]);
+  });
+
+  it('spreads a radial gradient out from start', () => {
+    const gradient = createGradient(GRADIENT_TYPES.RADIAL, '#ffffff', '#000000');
+    expect(getPixels(
+      renderGradientCanvas(9, 9, gradient, { x: 4.5, y: 4.5 }, { x: 8.5, y: 4.5 }),
+      [[4, 4], [6, 4], [0, 0]]
+    )).toEqual([[255, 255, 255, 255], [128, 128, 128, 255], [0, 0, 0, 255]]);
+  });
+
+  it('sweeps an angular gradient clockwise from end', () => {
+    const gradient = createGradient(GRADIENT_TYPES.ANGULAR, '#000000', '#ffffff');
+    const sweep = getPixels(
+      renderGradientCanvas(4, 4, gradient, { x: 2, y: 2 }, { x: 3, y: 2 }),
+      [[3, 2], [2, 3], [0, 2], [1, 0]]
+    ).map(([red]) => red);
+
+    expect(sweep).toEqual([...sweep].sort((first, second) => first - second));
+    expect(sweep[0]).toBeLessThan(32);
+    expect(sweep[3]).toBeGreaterThan(160);
+  });
+
+  it('falls back to a horizontal direction when start and end meet', () => {
+    const gradient = createGradient(GRADIENT_TYPES.LINEAR, '#000000', '#ffffff');
+    expect(getPixels(
+      renderGradientCanvas(3, 3, gradient, { x: 1, y: 1 }, { x: 1, y: 1 }),
+      [[0, 0], [2, 0]]
+    )).toEqual([[0, 0, 0, 255], [255, 255, 255, 255]]);
+  });
+});
+
+describe('regions', () => {
+  const region = Uint8Array.from([
+    0, 0, 0, 0,
+    0, 1, 1, 0,
+    0, 0, 1, 0,
+  ]);
+
+  it('fills only the pixels inside a region', () => {
+    const canvas = createRegionFillCanvas(region, 4, 3, '#00ff00');
+    expect(getPixel(canvas, 1, 1)).toEqual([0, 255, 0, 255]);
+    expect(getPixel(canvas, 1, 2)).toEqual([0, 0, 0, 0]);
+  });
+
+  it('finds the bounds of a region', () => {
+    expect(getRegionBounds(region, 4)).toEqual({ x: 1, y: 1, width: 2, height: 2 });
+    expect(getRegionBounds(new Uint8Array(4), 2)).toBeNull();
+  });
+});
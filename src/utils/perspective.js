@@ -0,0 +1,174 @@
+/**
+ * Utility functions for perspective correction.
+ *
+ * A perspective crop is described by four corner points in document pixels,
+ * ordered top-left, top-right, bottom-right, bottom-left. Warping maps that
+ * quadrilateral onto a rectangle with a projective transform, sampling the
+ * source with bilinear filtering.
+ */
+
+const solveLinearSystem = (matrix, values) => {
+  const size = values.length;
+  const rows = matrix.map((row, index) => [...row, values[index]]);
+
+  for (let column = 0; column < size; column += 1) {
+    let pivot = column;
+    for (let row = column + 1; row < size; row += 1) {
+      if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) pivot = row;
+    }
+    if (Math.abs(rows[pivot][column]) < 1e-12) return null;
+    [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+
+    for (let row = 0; row < size; row += 1) {
+      if (row === column) continue;
+      const factor = rows[row][column] / rows[column][column];
+      for (let index = column; index <= size; index += 1) {
+        rows[row][index] -= factor * rows[column][index];
+      }
+    }
+  }
+
+  return rows.map((row, index) => row[size] / row[index]);
+};
+
+/**
+ * Compute the projective transform that maps four points onto four others
+ * @param {Array<{x: number, y: number}>} from - Source corners
+ * @param {Array<{x: number, y: number}>} to - Target corners, in the same order
+ * @returns {Array<number>|null} - Row-major 3 x 3 matrix, or null when the corners are degenerate
+ */
+export const computeHomography = (from, to) => {
+  const matrix = [];
+  const values = [];
+
+  from.forEach((point, index) => {
+    const target = to[index];
+    matrix.push([point.x, point.y, 1, 0, 0, 0, -point.x * target.x, -point.y * target.x]);
+    values.push(target.x);
+    matrix.push([0, 0, 0, point.x, point.y, 1, -point.x * target.y, -point.y * target.y]);
+    values.push(target.y);
+  });
+
+  const solution = solveLinearSystem(matrix, values);
+  return solution ? [...solution, 1] : null;
+};
+
+/**
+ * Map a point through a projective transform
+ * @param {Array<number>} homography - Row-major 3 x 3 matrix
+ * @param {{x: number, y: number}} point - Point to map
+ * @returns {{x: number, y: number}} - Mapped point
+ */
+export const applyHomography = (homography, point) => {
+  const [a, b, c, d, e, f, g, h, i] = homography;
+  const w = g * point.x + h * point.y + i;
+  return {
+    x: (a * point.x + b * point.y + c) / w,
+    y: (d * point.x + e * point.y + f) / w,
+  };
+};
+
+/**
+ * Estimate the rectangle size a quadrilateral should be flattened to,
+ * from the average lengths of its opposite edges
+ * @param {Array<{x: number, y: number}>} quad - Corners, clockwise from top-left
+ * @returns {{width: number, height: number}} - Output size in pixels
+ */
+export const getPerspectiveOutputSize = (quad) => {
+  const length = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+  const [nw, ne, se, sw] = quad;
+  return {
+    width: Math.max(1, Math.round((length(nw, ne) + length(sw, se)) / 2)),
+    height: Math.max(1, Math.round((length(nw, sw) + length(ne, se)) / 2)),
+  };
+};
+
+/**
+ * Check whether a quadrilateral is convex with corners in clockwise order
+ * @param {Array<{x: number, y: number}>} quad - Corners, clockwise from top-left
+ * @returns {boolean} - True when the quadrilateral can be flattened
+ */
+export const isPerspectiveQuadValid = (quad) => (
+  quad.every((point, index) => {
+    const next = quad[(index + 1) % 4];
+    const after = quad[(index + 2) % 4];
+    return (next.x - point.x) * (after.y - next.y) - (next.y - point.y) * (after.x - next.x) > 0;
+  })
+);
+
+/**
+ * Flatten the part of a canvas inside a quadrilateral into a rectangle
+ * @param {HTMLCanvasElement} source - Canvas to sample
+ * @param {Array<{x: number, y: number}>} quad - Corners in source canvas pixels, clockwise from top-left
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @returns {HTMLCanvasElement} - Warped canvas
+ */
+export const warpPerspective = (source, quad, width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+
+  const homography = computeHomography([
+    { x: 0, y: 0 },
+    { x: width, y: 0 },
+    { x: width, y: height },
+    { x: 0, y: height },
+  ], quad);
+  if (!homography) return canvas;
+
+  const sourceWidth = source.width;
+  const sourceHeight = source.height;
+  const sourceData = source
+    .getContext('2d', { willReadFrequently: true })
+    .getImageData(0, 0, sourceWidth, sourceHeight).data;
+  const ctx = canvas.getContext('2d');
+  const output = ctx.createImageData(width, height);
+  const { data } = output;
+
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const point = applyHomography(homography, { x: x + 0.5, y: y + 0.5 });
+      const sampleX = point.x - 0.5;
+      const sampleY = point.y - 0.5;
+      const left = Math.floor(sampleX);
+      const top = Math.floor(sampleY);
+      if (left < -1 || top < -1 || left >= sourceWidth || top >= sourceHeight) continue;
+
+      const fractionX = sampleX - left;
+      const fractionY = sampleY - top;
+      let red = 0;
+      let green = 0;
+      let blue = 0;
+      let alpha = 0;
+
+      for (let offsetY = 0; offsetY <= 1; offsetY += 1) {
+        const row = top + offsetY;
+        if (row < 0 || row >= sourceHeight) continue;
+        const weightY = offsetY ? fractionY : 1 - fractionY;
+
+        for (let offsetX = 0; offsetX <= 1; offsetX += 1) {
+          const column = left + offsetX;
+          if (column < 0 || column >= sourceWidth) continue;
+
+          const index = (row * sourceWidth + column) * 4;
+          const weight = (offsetX ? fractionX : 1 - fractionX) * weightY * sourceData[index + 3];
+          red += sourceData[index] * weight;
+          green += sourceData[index + 1] * weight;
+          blue += sourceData[index + 2] * weight;
+          alpha += weight;
+        }
+      }
+
+      if (alpha === 0) continue;
+      const target = (y * width + x) * 4;
+      data[target] = red / alpha;
+      data[target + 1] = green / alpha;
+      data[target + 2] = blue / alpha;
+      data[target + 3] = alpha;
+    }
+  }
+
+  ctx.putImageData(output, 0, 0);
+  return canvas;
+};
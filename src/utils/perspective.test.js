@@ -0,0 +1,95 @@
+import {
+  applyHomography,
+  computeHomography,
+  getPerspectiveOutputSize,
+  isPerspectiveQuadValid,
+  warpPerspective,
+} from './perspective';
+import { createCanvas, getCanvasPixels } from '../testHelpers';
+
+const SQUARE = [{ x: 0, y: 0 }, { x: 4, y: 0 }, { x: 4, y: 4 }, { x: 0, y: 4 }];
+
+describe('computeHomography', () => {
+  it('is the identity between matching corners', () => {
+    const homography = computeHomography(SQUARE, SQUARE);
+    [1, 0, 0, 0, 1, 0, 0, 0, 1].forEach((value, index) => {
+      expect(homography[index]).toBeCloseTo(value);
+    });
+  });
+
+  it('maps every corner onto its target', () => {
+    const quad = [{ x: 10, y: 5 }, { x: 90, y: 20 }, { x: 80, y: 70 }, { x: 5, y: 60 }];
+    const homography = computeHomography(SQUARE, quad);
+
+    SQUARE.forEach((corner, index) => {
+      const mapped = applyHomography(homography, corner);
+      expect(mapped.x).toBeCloseTo(quad[index].x);
+      expect(mapped.y).toBeCloseTo(quad[index].y);
+    });
+  });
+
+  it('returns null when the corners collapse', () => {
+    const point = { x: 1, y: 1 };
+    expect(computeHomography([point, point, point, point], SQUARE)).toBeNull();
+  });
+});
+
+describe('getPerspectiveOutputSize', () => {
+  it('averages opposite edges', () => {
+    const trapezoid = [{ x: 10, y: 0 }, { x: 30, y: 0 }, { x: 40, y: 10 }, { x: 0, y: 10 }];
+    expect(getPerspectiveOutputSize(trapezoid)).toEqual({ width: 30, height: 14 });
+  });
+
+  it('never returns an empty size', () => {
+    const point = { x: 3, y: 3 };
+    expect(getPerspectiveOutputSize([point, point, point, point])).toEqual({ width: 1, height: 1 });
+  });
+});
+
+describe('isPerspectiveQuadValid', () => {
+  it('accepts convex corners in clockwise order', () => {
+    expect(isPerspectiveQuadValid(SQUARE)).toBe(true);
+    expect(isPerspectiveQuadValid([{ x: 10, y: 0 }, { x: 30, y: 0 }, { x: 40, y: 10 }, { x: 0, y: 10 }])).toBe(true);
+  });
+
+  it('rejects counter-clockwise, crossed and concave corners', () => {
+    expect(isPerspectiveQuadValid([...SQUARE].reverse())).toBe(false);
+    expect(isPerspectiveQuadValid([SQUARE[0], SQUARE[2], SQUARE[1], SQUARE[3]])).toBe(false);
+    expect(isPerspectiveQuadValid([{ x: 0, y: 0 }, { x: 4, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 4 }])).toBe(false);
+  });
+});
+
+describe('warpPerspective', () => {
+  it('copies the source when the quad covers it exactly', () => {
+    const source = createCanvas(4, 4, (x, y) => [x * 60, y * 60, 0, 255]);
+    const output = warpPerspective(source, SQUARE, 4, 4);
+
+    expect(output).not.toBe(source);
+    expect(getCanvasPixels(output)).toEqual(getCanvasPixels(source));
+  });
+
+  it('flattens only the area inside the quad', () => {
+    const source = createCanvas(4, 2, (x) => (x < 2 ? [255, 0, 0, 255] : [0, 0, 255, 255]));
+    const quad = [{ x: 2, y: 0 }, { x: 4, y: 0 }, { x: 4, y: 2 }, { x: 2, y: 2 }];
+
+    expect(getCanvasPixels(warpPerspective(source, quad, 2, 2))).toEqual(Array(4).fill([0, 0, 255, 255]));
+  });
+
+  it('follows the corner order, so a rotated quad rotates the output', () => {
+    const source = createCanvas(4, 4, (x, y) => (x === 3 && y === 0 ? [0, 255, 0, 255] : [0, 0, 0, 255]));
+    const quad = [SQUARE[1], SQUARE[2], SQUARE[3], SQUARE[0]];
+    const pixels = getCanvasPixels(warpPerspective(source, quad, 4, 4));
+
+    expect(pixels[0]).toEqual([0, 255, 0, 255]);
+    expect(pixels[3]).toEqual([0, 0, 0, 255]);
+  });
+
+  it('leaves areas outside the source transparent', () => {
+    const source = createCanvas(2, 2, () => [255, 255, 255, 255]);
+    const quad = [{ x: 0, y: 0 }, { x: 8, y: 0 }, { x: 8, y: 2 }, { x: 0, y: 2 }];
+    const pixels = getCanvasPixels(warpPerspective(source, quad, 4, 1));
+
+    expect(pixels[0]).toEqual([255, 255, 255, 255]);
+    expect(pixels[3][3]).toBe(0);
+  });
+});
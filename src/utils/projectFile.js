@@ -0,0 +1,155 @@
+/**
+ * Utility functions for saving and opening layered project files
+ */
+import { deserializeDocument, serializeDocument } from './documentSerialization';
+
+export const PROJECT_FILE_FORMAT = 'clipboard-photo-editor-project';
+export const PROJECT_FILE_VERSION = 3;
+export const PROJECT_FILE_EXTENSION = '.cpe';
+export const PROJECT_FILE_MIME_TYPE = 'application/vnd.clipboard-photo-editor+json';
+
+const blobToDataUrl = (blob) => (
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  })
+);
+
+const dataUrlToBlob = async (dataUrl) => {
+  if (typeof dataUrl !== 'string' || !dataUrl.startsWith('data:image/')) {
+    throw new Error('Layer image is missing');
+  }
+
+  const response = await fetch(dataUrl);
+  return response.blob();
+};
+
+/**
+ * Check whether a file looks like a project file
+ * @param {File} file - File from an input, drop or paste
+ * @returns {boolean} - True for project files
+ */
+export const isProjectFile = (file) => (
+  Boolean(file) && (
+    file.type === PROJECT_FILE_MIME_TYPE ||
+    file.name?.toLowerCase().endsWith(PROJECT_FILE_EXTENSION)
+  )
+);
+
+/**
+ * Check whether pasted text is a project file body
+ * @param {string} text - Pasted text
+ * @returns {boolean} - True when the text declares the project format
+ */
+export const isProjectText = (text) => (
+  typeof text === 'string' &&
+  text.trimStart().startsWith('{') &&
+  text.includes(PROJECT_FILE_FORMAT)
+);
+
+/**
+ * Build a project file containing every layer and layer mask as an embedded PNG
+ * @param {Object} doc - Editor document
+ * @returns {Promise<Blob>} - JSON project file blob
+ */
+export const createProjectBlob = async (doc) => {
+  const record = await serializeDocument(doc);
+  const layers = await Promise.all(record.layers.map(async ({ image, maskImage, ...layer }) => ({
+    ...layer,
+    image: image ? await blobToDataUrl(image) : null,
+    maskImage: maskImage ? await blobToDataUrl(maskImage) : null,
+  })));
+
+  const project = {
+    format: PROJECT_FILE_FORMAT,
+    version: PROJECT_FILE_VERSION,
+    savedAt: new Date().toISOString(),
+    document: {
+      ...record,
+      layers,
+    },
+  };
+
+  return new Blob([JSON.stringify(project)], { type: PROJECT_FILE_MIME_TYPE });
+};
+
+/**
+ * Rebuild a document from project file text
+ * @param {string} text - Project file contents
+ * @returns {Promise<Object>} - Editor document
+ */
+export const parseProjectText = async (text) => {
+  const project = JSON.parse(text);
+  if (project?.format !== PROJECT_FILE_FORMAT) {
+    throw new Error('Not a project file');
+  }
+  if (project.version > PROJECT_FILE_VERSION) {
+    throw new Error('This project was saved by a newer version of the editor');
+  }
+
+  const record = project.document;
+  if (!record || !Array.isArray(record.layers) || !(record.width > 0) || !(record.height > 0)) {
+    throw new Error('Project document is invalid');
+  }
+
+  const layers = await Promise.all(record.layers.map(async ({ image, maskImage, ...layer }) => ({
+    ...layer,
+    image: layer.adjustment ? null : await dataUrlToBlob(image),
+    maskImage: maskImage ? await dataUrlToBlob(maskImage) : null,
+  })));
+
+  return deserializeDocument({
+    ...record,
+    layers,
+  });
+};
+
+/**
+ * Read a project file into a document
+ * @param {Blob} file - Project file
+ * @returns {Promise<Object>} - Editor document
+ */
+export const readProjectFile = async (file) => parseProjectText(await file.text());
+
+/**
+ * Download a document as a project file
+ * @param {Object} doc - Editor document
+ * @param {string} filename - Filename without extension
+ * @param {function} toast - Toast notification function
+ * @returns {Promise<boolean>} - True when the download started
+ */
+export const downloadProjectFile = async (doc, filename = 'project', toast) => {
+  try {
+    const blob = await createProjectBlob(doc);
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${filename}${PROJECT_FILE_EXTENSION}`;
+
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+
+    toast({
+      title: 'Project saved',
+      description: 'Every layer was saved. Open the file with Import, drag and drop, or paste.',
+      status: 'success',
+      duration: 3000,
+      isClosable: true,
+    });
+    return true;
+  } catch (err) {
+    console.error('Project save error:', err);
+    toast({
+      title: 'Error',
+      description: 'Failed to save the project file',
+      status: 'error',
+      duration: 3000,
+      isClosable: true,
+    });
+    return false;
+  }
+};
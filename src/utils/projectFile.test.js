@@ -0,0 +1,117 @@
+import {
+  PROJECT_FILE_FORMAT,
+  PROJECT_FILE_MIME_TYPE,
+  PROJECT_FILE_VERSION,
+  createProjectBlob,
+  isProjectFile,
+  isProjectText,
+  parseProjectText,
+} from './projectFile';
+import { createFilledCanvas, getPixel } from '../testHelpers';
+
+const readBlobText = (blob) => (
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(blob);
+  })
+);
+
+const createDocument = () => ({
+  width: 3,
+  height: 2,
+  activeLayerId: 'photo',
+  layers: [
+    {
+      id: 'photo',
+      name: 'Photo',
+      x: 0,
+      y: 0,
+      canvas: createFilledCanvas(3, 2, '#00ff00'),
+      mask: createFilledCanvas(3, 2, 'rgba(0, 0, 0, 0.5)'),
+    },
+    {
+      id: 'tone',
+      name: 'Brightness/Contrast',
+      type: 'adjustment',
+      adjustment: { type: 'brightness-contrast', brightness: 20, contrast: 0 },
+      canvas: null,
+      mask: null,
+    },
+  ],
+});
+
+const originalFetch = global.fetch;
+
+beforeAll(() => {
+  global.fetch = async (url) => {
+    const [header, body] = url.split(',');
+    const type = header.slice('data:'.length).split(';')[0];
+    const bytes = Uint8Array.from(atob(body), (character) => character.charCodeAt(0));
+    return { blob: async () => new Blob([bytes], { type }) };
+  };
+});
+
+afterAll(() => {
+  global.fetch = originalFetch;
+});
+
+describe('createProjectBlob', () => {
+  it('writes a versioned JSON file with embedded layer images', async () => {
+    const blob = await createProjectBlob(createDocument());
+    const project = JSON.parse(await readBlobText(blob));
+
+    expect(blob.type).toBe(PROJECT_FILE_MIME_TYPE);
+    expect(project).toMatchObject({ format: PROJECT_FILE_FORMAT, version: PROJECT_FILE_VERSION });
+    expect(project.document.layers[0].image).toMatch(/^data:image\/png;base64,/);
+    expect(project.document.layers[0].maskImage).toMatch(/^data:image\/png;base64,/);
+    expect(project.document.layers[1].image).toBeNull();
+  });
+});
+
+describe('parseProjectText', () => {
+  it('restores the layers that were saved', async () => {
+    const text = await readBlobText(await createProjectBlob(createDocument()));
+    const doc = await parseProjectText(text);
+
+    expect(doc).toMatchObject({ width: 3, height: 2, activeLayerId: 'photo' });
+    expect(getPixel(doc.layers[0].canvas, 2, 1)).toEqual([0, 255, 0, 255]);
+    expect(getPixel(doc.layers[0].mask, 0, 0)[3]).toBe(128);
+    expect(doc.layers[1]).toMatchObject({
+      canvas: null,
+      adjustment: { type: 'brightness-contrast', brightness: 20, contrast: 0 },
+    });
+  });
+
+  it('rejects text that is not a project', async () => {
+    await expect(parseProjectText(JSON.stringify({ format: 'other' }))).rejects.toThrow('Not a project file');
+  });
+
+  it('rejects projects from a newer editor', async () => {
+    const text = JSON.stringify({ format: PROJECT_FILE_FORMAT, version: PROJECT_FILE_VERSION + 1 });
+    await expect(parseProjectText(text)).rejects.toThrow('newer version');
+  });
+
+  it('rejects a layer without an image', async () => {
+    const text = JSON.stringify({
+      format: PROJECT_FILE_FORMAT,
+      version: PROJECT_FILE_VERSION,
+      document: { width: 1, height: 1, layers: [{ id: 'empty', image: null }] },
+    });
+    await expect(parseProjectText(text)).rejects.toThrow('Layer image is missing');
+  });
+});
+
+describe('project detection', () => {
+  it('recognizes project files by type or extension', () => {
+    expect(isProjectFile({ name: 'shot.CPE', type: '' })).toBe(true);
+    expect(isProjectFile({ name: 'shot', type: PROJECT_FILE_MIME_TYPE })).toBe(true);
+    expect(isProjectFile({ name: 'shot.png', type: 'image/png' })).toBe(false);
+  });
+
+  it('recognizes pasted project text', () => {
+    expect(isProjectText(`  {"format":"${PROJECT_FILE_FORMAT}"}`)).toBe(true);
+    expect(isProjectText('hello')).toBe(false);
+  });
+});
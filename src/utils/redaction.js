@@ -0,0 +1,301 @@
+/**
+ * Utility functions for destructively redacting regions of a canvas
+ */
+import { gaussianBlurImageData, pixelateImageData } from './imageDataFilters';
+import {
+  cloneCanvas,
+  createLayer,
+  doRectsIntersect,
+  getActiveLayer,
+  getLayerX,
+  getLayerY,
+  isAdjustmentLayer,
+  isVectorLayer,
+  rasterizeLayer,
+  updateLayer,
+} from './documentLayers';
+
+export const REDACTION_MODES = {
+  PIXELATE: 'pixelate',
+  BLUR: 'blur',
+  FILL: 'fill',
+};
+
+export const REDACTION_AREAS = {
+  RECTANGLE: 'rectangle',
+  FREEHAND: 'freehand',
+};
+
+export const REDACTION_TARGETS = {
+  LAYER: 'layer',
+  COMPOSITE: 'composite',
+};
+
+/**
+ * Create the default redaction settings
+ * @returns {Object} - Redaction settings
+ */
+export const createDefaultRedactionSettings = () => ({
+  area: REDACTION_AREAS.RECTANGLE,
+  mode: REDACTION_MODES.PIXELATE,
+  target: REDACTION_TARGETS.COMPOSITE,
+  blockSize: 14,
+  blurRadius: 12,
+  fillColor: '#000000',
+});
+
+/**
+ * Move a redaction region by an offset
+ * @param {Object} region - Rectangle or freehand region
+ * @param {number} dx - Horizontal offset
+ * @param {number} dy - Vertical offset
+ * @returns {Object} - Translated region
+ */
+export const offsetRedactionRegion = (region, dx, dy) => {
+  if (region.type === REDACTION_AREAS.RECTANGLE) {
+    return {
+      ...region,
+      x: region.x + dx,
+      y: region.y + dy,
+    };
+  }
+
+  return {
+    ...region,
+    points: region.points.map((point) => ({ x: point.x + dx, y: point.y + dy })),
+  };
+};
+
+/**
+ * Get the integer bounding box of a redaction region
+ * @param {Object} region - Rectangle or freehand region
+ * @returns {{x: number, y: number, width: number, height: number}} - Bounds
+ */
+export const getRedactionBounds = (region) => {
+  if (region.type === REDACTION_AREAS.RECTANGLE) {
+    const left = Math.floor(Math.min(region.x, region.x + region.width));
+    const top = Math.floor(Math.min(region.y, region.y + region.height));
+    const right = Math.ceil(Math.max(region.x, region.x + region.width));
+    const bottom = Math.ceil(Math.max(region.y, region.y + region.height));
+    return { x: left, y: top, width: right - left, height: bottom - top };
+  }
+
+  const xs = region.points.map((point) => point.x);
+  const ys = region.points.map((point) => point.y);
+  const left = Math.floor(Math.min(...xs));
+  const top = Math.floor(Math.min(...ys));
+
+  return {
+    x: left,
+    y: top,
+    width: Math.ceil(Math.max(...xs)) - left,
+    height: Math.ceil(Math.max(...ys)) - top,
+  };
+};
+
+/**
+ * Check whether a region covers enough area to redact
+ * @param {Object} region - Rectangle or freehand region
+ * @returns {boolean} - True when the region is usable
+ */
+export const isRedactionRegionUsable = (region) => {
+  if (!region) return false;
+  if (region.type === REDACTION_AREAS.FREEHAND && region.points.length < 3) return false;
+
+  const bounds = getRedactionBounds(region);
+  return bounds.width >= 2 && bounds.height >= 2;
+};
+
+/**
+ * Add a region outline to the current canvas path
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Object} region - Rectangle or freehand region
+ */
+export const traceRedactionRegion = (ctx, region) => {
+  ctx.beginPath();
+
+  if (region.type === REDACTION_AREAS.RECTANGLE) {
+    ctx.rect(region.x, region.y, region.width, region.height);
+    return;
+  }
+
+  region.points.forEach((point, index) => {
+    if (index === 0) {
+      ctx.moveTo(point.x, point.y);
+    } else {
+      ctx.lineTo(point.x, point.y);
+    }
+  });
+  ctx.closePath();
+};
+
+/**
+ * Create a hard-edged mask canvas where every touched pixel is fully opaque
+ * @param {number} width - Mask width
+ * @param {number} height - Mask height
+ * @param {Object} region - Region in mask coordinates
+ * @returns {HTMLCanvasElement} - Mask canvas
+ */
+export const createRedactionMask = (width, height, region) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, width);
+  canvas.height = Math.max(1, height);
+
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.fillStyle = '#000000';
+  traceRedactionRegion(ctx, region);
+  ctx.fill();
+
+  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const { data } = imageData;
+  for (let index = 3; index < data.length; index += 4) {
+    data[index] = data[index] > 0 ? 255 : 0;
+  }
+  ctx.putImageData(imageData, 0, 0);
+
+  return canvas;
+};
+
+const hexToRgb = (hex) => {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+};
+
+const getRedactedImageData = (imageData, settings) => {
+  if (settings.mode === REDACTION_MODES.BLUR) {
+    return gaussianBlurImageData(imageData, settings.blurRadius);
+  }
+
+  if (settings.mode === REDACTION_MODES.FILL) {
+    const output = new ImageData(imageData.width, imageData.height);
+    const [red, green, blue] = hexToRgb(settings.fillColor);
+    for (let index = 0; index < output.data.length; index += 4) {
+      output.data[index] = red;
+      output.data[index + 1] = green;
+      output.data[index + 2] = blue;
+      output.data[index + 3] = 255;
+    }
+    return output;
+  }
+
+  return pixelateImageData(imageData, settings.blockSize);
+};
+
+/**
+ * Copy a canvas and overwrite the pixels inside a region with redacted pixels.
+ * Pixels under the region are replaced outright rather than blended, so none
+ * of the original values survive in the returned canvas.
+ * @param {HTMLCanvasElement} sourceCanvas - Canvas to redact
+ * @param {Object} region - Region in canvas coordinates
+ * @param {Object} settings - Redaction settings
+ * @returns {HTMLCanvasElement} - Redacted copy of the canvas
+ */
+export const redactCanvas = (sourceCanvas, region, settings) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = sourceCanvas.width;
+  canvas.height = sourceCanvas.height;
+
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(sourceCanvas, 0, 0);
+
+  const regionBounds = getRedactionBounds(region);
+  const left = Math.max(0, regionBounds.x);
+  const top = Math.max(0, regionBounds.y);
+  const right = Math.min(canvas.width, regionBounds.x + regionBounds.width);
+  const bottom = Math.min(canvas.height, regionBounds.y + regionBounds.height);
+  if (right <= left || bottom <= top) return canvas;
+
+  const width = right - left;
+  const height = bottom - top;
+  const original = ctx.getImageData(left, top, width, height);
+  const redacted = getRedactedImageData(original, settings);
+  const mask = createRedactionMask(width, height, offsetRedactionRegion(region, -left, -top))
+    .getContext('2d', { willReadFrequently: true })
+    .getImageData(0, 0, width, height)
+    .data;
+
+  for (let index = 0; index < original.data.length; index += 4) {
+    if (mask[index + 3] === 0) continue;
+    original.data[index] = redacted.data[index];
+    original.data[index + 1] = redacted.data[index + 1];
+    original.data[index + 2] = redacted.data[index + 2];
+    original.data[index + 3] = redacted.data[index + 3];
+  }
+
+  ctx.putImageData(original, left, top);
+  return canvas;
+};
+
+const eraseLayerRegion = (layer, mask, bounds) => {
+  if (isAdjustmentLayer(layer)) return layer;
+
+  const layerRect = {
+    x: getLayerX(layer),
+    y: getLayerY(layer),
+    width: layer.canvas.width,
+    height: layer.canvas.height,
+  };
+  if (!doRectsIntersect(layerRect, bounds)) return layer;
+
+  const rasterLayer = isVectorLayer(layer) ? rasterizeLayer(layer) : layer;
+  const canvas = cloneCanvas(rasterLayer.canvas);
+  const ctx = canvas.getContext('2d');
+  ctx.globalCompositeOperation = 'destination-out';
+  ctx.drawImage(mask, -layerRect.x, -layerRect.y);
+
+  return {
+    ...rasterLayer,
+    canvas,
+  };
+};
+
+/**
+ * Redact a region of a document.
+ * With the layer target only the active raster layer changes. With the
+ * composite target the region is erased from every layer, visible or not,
+ * and the redacted composite is added as a new layer on top, so the original
+ * pixels survive nowhere in the document.
+ * @param {Object} doc - Editor document
+ * @param {Object} region - Region in document coordinates
+ * @param {Object} settings - Redaction settings
+ * @param {function} renderComposite - Called with the document to render it, only for the composite target
+ * @returns {Object} - Redacted document, or the same document when nothing can be redacted
+ */
+export const redactDocument = (doc, region, settings, renderComposite) => {
+  if (settings.target === REDACTION_TARGETS.LAYER) {
+    const layer = getActiveLayer(doc);
+    if (!layer || isVectorLayer(layer) || isAdjustmentLayer(layer)) return doc;
+
+    return updateLayer(doc, layer.id, (candidate) => ({
+      ...candidate,
+      canvas: redactCanvas(
+        candidate.canvas,
+        offsetRedactionRegion(region, -getLayerX(candidate), -getLayerY(candidate)),
+        settings
+      ),
+    }));
+  }
+
+  const redactedComposite = redactCanvas(renderComposite(doc), region, settings);
+  const mask = createRedactionMask(doc.width, doc.height, region);
+  const bounds = getRedactionBounds(region);
+  const redactionLayer = createLayer({
+    name: `Redaction ${doc.layers.length + 1}`,
+    width: doc.width,
+    height: doc.height,
+    draw: (ctx) => {
+      ctx.drawImage(redactedComposite, 0, 0);
+      ctx.globalCompositeOperation = 'destination-in';
+      ctx.drawImage(mask, 0, 0);
+    },
+  });
+
+  return {
+    ...doc,
+    layers: [
+      ...doc.layers.map((layer) => eraseLayerRegion(layer, mask, bounds)),
+      redactionLayer,
+    ],
+    activeLayerId: redactionLayer.id,
+  };
+};
@@ -0,0 +1,173 @@
+import {
+  REDACTION_AREAS,
+  REDACTION_MODES,
+  REDACTION_TARGETS,
+  createDefaultRedactionSettings,
+  redactCanvas,
+  redactDocument,
+} from './redaction';
+import { LAYER_TYPES } from './documentLayers';
+import { createLayerMask } from './layerMask';
+import { createCanvas, getCanvasPixels, getPixel } from '../testHelpers';
+
+const SIZE = 12;
+const REGION = { type: REDACTION_AREAS.RECTANGLE, x: 2, y: 3, width: 6, height: 5 };
+
+// Irregular pixels, so no average or blur of them lands back on an original value
+const pixelAt = (x, y) => [(x * 37 + y * 91) % 256, (x * x * 13 + y * 7) % 256, (x * y * 29 + 11) % 256, 255];
+
+const isInRegion = (x, y) => (
+  x >= REGION.x && y >= REGION.y && x < REGION.x + REGION.width && y < REGION.y + REGION.height
+);
+
+const getSettings = (mode) => ({ ...createDefaultRedactionSettings(), mode, blockSize: 3, blurRadius: 4 });
+
+const expectRegionDestroyed = (redacted, outsideAt = pixelAt) => {
+  const original = new Set();
+  for (let y = 0; y < SIZE; y += 1) {
+    for (let x = 0; x < SIZE; x += 1) {
+      if (isInRegion(x, y)) original.add(pixelAt(x, y).join());
+    }
+  }
+
+  getCanvasPixels(redacted).forEach((pixel, index) => {
+    const x = index % SIZE;
+    const y = Math.floor(index / SIZE);
+    if (isInRegion(x, y)) {
+      expect(original.has(pixel.join())).toBe(false);
+    } else {
+      expect(pixel).toEqual(outsideAt(x, y));
+    }
+  });
+};
+
+describe('redactCanvas', () => {
+  it.each([REDACTION_MODES.PIXELATE, REDACTION_MODES.BLUR, REDACTION_MODES.FILL])(
+    'leaves no original pixel inside the region with %s',
+    (mode) => {
+      const source = createCanvas(SIZE, SIZE, pixelAt);
+      const redacted = redactCanvas(source, REGION, getSettings(mode));
+
+      expect(redacted).not.toBe(source);
+      expectRegionDestroyed(redacted);
+    }
+  );
+
+  it('fills the region with the fill color', () => {
+    const settings = { ...getSettings(REDACTION_MODES.FILL), fillColor: '#102030' };
+    const redacted = redactCanvas(createCanvas(SIZE, SIZE, pixelAt), REGION, settings);
+    expect(getPixel(redacted, REGION.x, REGION.y)).toEqual([16, 32, 48, 255]);
+    expect(getPixel(redacted, REGION.x + REGION.width - 1, REGION.y + REGION.height - 1)).toEqual([16, 32, 48, 255]);
+  });
+
+  it('only changes pixels inside a freehand region', () => {
+    const triangle = {
+      type: REDACTION_AREAS.FREEHAND,
+      points: [{ x: 0, y: 0 }, { x: 8, y: 0 }, { x: 0, y: 8 }],
+    };
+    const redacted = redactCanvas(createCanvas(SIZE, SIZE, pixelAt), triangle, getSettings(REDACTION_MODES.FILL));
+
+    expect(getPixel(redacted, 1, 1)).toEqual([0, 0, 0, 255]);
+    expect(getPixel(redacted, 7, 7)).toEqual(pixelAt(7, 7));
+  });
+
+  it('ignores the part of the region outside the canvas', () => {
+    const region = { type: REDACTION_AREAS.RECTANGLE, x: -4, y: -4, width: 6, height: 6 };
+    const redacted = redactCanvas(createCanvas(SIZE, SIZE, pixelAt), region, getSettings(REDACTION_MODES.FILL));
+
+    expect(getPixel(redacted, 1, 1)).toEqual([0, 0, 0, 255]);
+    expect(getPixel(redacted, 2, 2)).toEqual(pixelAt(2, 2));
+  });
+});
+
+describe('redactDocument', () => {
+  const createRasterLayer = (id, x = 0, y = 0, width = SIZE, height = SIZE) => ({
+    id,
+    type: LAYER_TYPES.RASTER,
+    name: id,
+    canvas: createCanvas(width, height, (px, py) => pixelAt(px + x, py + y)),
+    x,
+    y,
+    visible: true,
+    opacity: 100,
+  });
+
+  const createDocument = () => {
+    const masked = createRasterLayer('masked');
+    masked.mask = createLayerMask(SIZE, SIZE);
+    masked.mask.getContext('2d').clearRect(0, 0, SIZE, SIZE);
+
+    return {
+      width: SIZE,
+      height: SIZE,
+      activeLayerId: 'background',
+      layers: [
+        createRasterLayer('background'),
+        { ...createRasterLayer('hidden', 1, 1, 8, 8), visible: false },
+        { ...createRasterLayer('shape', 3, 2, 4, 4), type: LAYER_TYPES.SHAPE, shape: { kind: 'rectangle' } },
+        { ...createRasterLayer('text', 4, 4, 6, 3), type: LAYER_TYPES.TEXT, text: { content: 'secret' } },
+        masked,
+        { id: 'adjustment', type: LAYER_TYPES.ADJUSTMENT, canvas: null, adjustment: {}, visible: true },
+        createRasterLayer('outside', 10, 10, 2, 2),
+      ],
+    };
+  };
+
+  const renderComposite = () => createCanvas(SIZE, SIZE, pixelAt);
+
+  const getLayer = (doc, id) => doc.layers.find((layer) => layer.id === id);
+
+  const expectRegionErased = (layer) => {
+    getCanvasPixels(layer.canvas).forEach((pixel, index) => {
+      const x = (index % layer.canvas.width) + layer.x;
+      const y = Math.floor(index / layer.canvas.width) + layer.y;
+      expect(pixel[3]).toBe(isInRegion(x, y) ? 0 : 255);
+    });
+  };
+
+  it('erases the region from every layer and adds the redaction on top', () => {
+    const doc = createDocument();
+    const settings = { ...getSettings(REDACTION_MODES.PIXELATE), target: REDACTION_TARGETS.COMPOSITE };
+    const redacted = redactDocument(doc, REGION, settings, renderComposite);
+
+    ['background', 'hidden', 'shape', 'text', 'masked'].forEach((id) => {
+      expectRegionErased(getLayer(redacted, id));
+    });
+    expect(getLayer(redacted, 'hidden').visible).toBe(false);
+    expect(getLayer(redacted, 'masked').mask).toBe(getLayer(doc, 'masked').mask);
+    expect(getLayer(redacted, 'adjustment')).toBe(getLayer(doc, 'adjustment'));
+    expect(getLayer(redacted, 'outside')).toBe(getLayer(doc, 'outside'));
+
+    const redactionLayer = redacted.layers[redacted.layers.length - 1];
+    expect(redacted.activeLayerId).toBe(redactionLayer.id);
+    expectRegionDestroyed(redactionLayer.canvas, () => [expect.any(Number), expect.any(Number), expect.any(Number), 0]);
+    expect(getPixel(redactionLayer.canvas, REGION.x, REGION.y)[3]).toBe(255);
+  });
+
+  it('rasterizes text and shape layers it erases', () => {
+    const settings = { ...getSettings(REDACTION_MODES.FILL), target: REDACTION_TARGETS.COMPOSITE };
+    const redacted = redactDocument(createDocument(), REGION, settings, renderComposite);
+
+    expect(getLayer(redacted, 'shape')).toEqual(expect.objectContaining({ type: LAYER_TYPES.RASTER }));
+    expect(getLayer(redacted, 'shape').shape).toBeUndefined();
+    expect(getLayer(redacted, 'text').text).toBeUndefined();
+  });
+
+  it('only redacts the active raster layer with the layer target', () => {
+    const doc = createDocument();
+    const renderSpy = jest.fn(renderComposite);
+    const settings = { ...getSettings(REDACTION_MODES.FILL), target: REDACTION_TARGETS.LAYER };
+    const redacted = redactDocument(doc, REGION, settings, renderSpy);
+
+    expect(renderSpy).not.toHaveBeenCalled();
+    expect(redacted.layers).toHaveLength(doc.layers.length);
+    expect(getPixel(getLayer(redacted, 'background').canvas, REGION.x, REGION.y)).toEqual([0, 0, 0, 255]);
+    expect(getLayer(redacted, 'hidden')).toBe(getLayer(doc, 'hidden'));
+  });
+
+  it('leaves the document alone when the active layer is a text layer', () => {
+    const doc = { ...createDocument(), activeLayerId: 'text' };
+    const settings = { ...getSettings(REDACTION_MODES.FILL), target: REDACTION_TARGETS.LAYER };
+    expect(redactDocument(doc, REGION, settings, renderComposite)).toBe(doc);
+  });
+});
@@ -0,0 +1,355 @@
+/**
+ * Utility functions for pixel selections stored as document-sized mask canvases
+ */
+
+export const SELECTION_SHAPES = {
+  RECTANGLE: 'rectangle',
+  ELLIPSE: 'ellipse',
+  POLYGON: 'polygon',
+  FREEHAND: 'freehand',
+  WAND: 'wand',
+};
+
+export const SELECTION_MODES = {
+  REPLACE: 'replace',
+  ADD: 'add',
+  SUBTRACT: 'subtract',
+  INTERSECT: 'intersect',
+};
+
+const OUTLINE_THRESHOLD = 128;
+
+/**
+ * Resolve the combine mode from modifier keys, falling back to the chosen mode
+ * @param {MouseEvent} event - Pointer event with modifier keys
+ * @param {string} fallbackMode - Mode selected in the tool options
+ * @returns {string} - Selection combine mode
+ */
+export const getSelectionModeFromEvent = (event, fallbackMode) => {
+  if (event.shiftKey && event.altKey) return SELECTION_MODES.INTERSECT;
+  if (event.shiftKey) return SELECTION_MODES.ADD;
+  if (event.altKey) return SELECTION_MODES.SUBTRACT;
+  return fallbackMode;
+};
+
+const createMaskCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, width);
+  canvas.height = Math.max(1, height);
+  return canvas;
+};
+
+/**
+ * Add the outline of a selection shape to the current canvas path
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Object} shape - Rectangle, ellipse or polygon selection shape
+ */
+export const traceSelectionShape = (ctx, shape) => {
+  ctx.beginPath();
+
+  if (shape.type === SELECTION_SHAPES.RECTANGLE) {
+    ctx.rect(shape.x, shape.y, shape.width, shape.height);
+    return;
+  }
+
+  if (shape.type === SELECTION_SHAPES.ELLIPSE) {
+    ctx.ellipse(
+      shape.x + shape.width / 2,
+      shape.y + shape.height / 2,
+      Math.max(0.5, shape.width / 2),
+      Math.max(0.5, shape.height / 2),
+      0,
+      0,
+      Math.PI * 2
+    );
+    return;
+  }
+
+  shape.points.forEach((point, index) => {
+    if (index === 0) {
+      ctx.moveTo(point.x, point.y);
+    } else {
+      ctx.lineTo(point.x, point.y);
+    }
+  });
+  ctx.closePath();
+};
+
+/**
+ * Check whether a selection shape encloses any area
+ * @param {Object} shape - Selection shape
+ * @returns {boolean} - True when the shape can become a selection
+ */
+export const isSelectionShapeUsable = (shape) => {
+  if (!shape) return false;
+  if (shape.points) return shape.points.length >= 3;
+  return shape.width >= 1 && shape.height >= 1;
+};
+
+/**
+ * Rasterize a selection shape into a mask canvas
+ * @param {number} width - Document width
+ * @param {number} height - Document height
+ * @param {Object} shape - Selection shape in document coordinates
+ * @returns {HTMLCanvasElement} - Mask canvas
+ */
+export const createShapeSelectionMask = (width, height, shape) => {
+  const canvas = createMaskCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#000000';
+  traceSelectionShape(ctx, shape);
+  ctx.fill();
+  return canvas;
+};
+
+/**
+ * Create a mask that selects the whole document
+ * @param {number} width - Document width
+ * @param {number} height - Document height
+ * @returns {HTMLCanvasElement} - Mask canvas
+ */
+export const createFullSelectionMask = (width, height) => {
+  const canvas = createMaskCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#000000';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  return canvas;
+};
+
+/**
+ * Invert a mask canvas
+ * @param {HTMLCanvasElement} mask - Source mask
+ * @returns {HTMLCanvasElement} - Inverted mask
+ */
+export const invertSelectionMask = (mask) => {
+  const canvas = createFullSelectionMask(mask.width, mask.height);
+  const ctx = canvas.getContext('2d');
+  ctx.globalCompositeOperation = 'destination-out';
+  ctx.drawImage(mask, 0, 0);
+  return canvas;
+};
+
+/**
+ * Combine an existing selection mask with a new one
+ * @param {HTMLCanvasElement|null} currentMask - Existing mask
+ * @param {HTMLCanvasElement} nextMask - Mask of the new selection
+ * @param {string} mode - Selection combine mode
+ * @returns {HTMLCanvasElement} - Combined mask
+ */
+export const combineSelectionMasks = (currentMask, nextMask, mode) => {
+  if (!currentMask || mode === SELECTION_MODES.REPLACE) {
+    return mode === SELECTION_MODES.SUBTRACT || mode === SELECTION_MODES.INTERSECT
+      ? createMaskCanvas(nextMask.width, nextMask.height)
+      : nextMask;
+  }
+
+  const canvas = createMaskCanvas(currentMask.width, currentMask.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(currentMask, 0, 0);
+
+  if (mode === SELECTION_MODES.SUBTRACT) {
+    ctx.globalCompositeOperation = 'destination-out';
+  } else if (mode === SELECTION_MODES.INTERSECT) {
+    ctx.globalCompositeOperation = 'destination-in';
+  }
+
+  ctx.drawImage(nextMask, 0, 0);
+  return canvas;
+};
+
+/**
+ * Find the pixels connected to (or, when not contiguous, matching) a seed color
+ * @param {ImageData} imageData - Pixels to sample
+ * @param {number} seedX - Seed x coordinate
+ * @param {number} seedY - Seed y coordinate
+ * @param {number} tolerance - Maximum channel difference (0-255)
+ * @param {boolean} contiguous - Only include pixels connected to the seed
+ * @returns {Uint8Array} - One entry per pixel, 1 when the pixel matches
+ */
+export const findColorRegion = (imageData, seedX, seedY, tolerance, contiguous = true) => {
+  const { width, height, data } = imageData;
+  const region = new Uint8Array(width * height);
+  const x0 = Math.min(width - 1, Math.max(0, Math.floor(seedX)));
+  const y0 = Math.min(height - 1, Math.max(0, Math.floor(seedY)));
+  const seedIndex = (y0 * width + x0) * 4;
+  const seed = [data[seedIndex], data[seedIndex + 1], data[seedIndex + 2], data[seedIndex + 3]];
+
+  const matches = (pixel) => {
+    const index = pixel * 4;
+    return (
+      Math.abs(data[index] - seed[0]) <= tolerance &&
+      Math.abs(data[index + 1] - seed[1]) <= tolerance &&
+      Math.abs(data[index + 2] - seed[2]) <= tolerance &&
+      Math.abs(data[index + 3] - seed[3]) <= tolerance
+    );
+  };
+
+  if (!contiguous) {
+    for (let pixel = 0; pixel < region.length; pixel += 1) {
+      if (matches(pixel)) region[pixel] = 1;
+    }
+    return region;
+  }
+
+  const stack = [y0 * width + x0];
+  while (stack.length > 0) {
+    const pixel = stack.pop();
+    const y = Math.floor(pixel / width);
+    let x = pixel % width;
+
+    while (x > 0 && !region[y * width + x - 1] && matches(y * width + x - 1)) {
+      x -= 1;
+    }
+
+    let spanAbove = false;
+    let spanBelow = false;
+    for (; x < width; x += 1) {
+      const current = y * width + x;
+      if (region[current] || !matches(current)) break;
+      region[current] = 1;
+
+      if (y > 0) {
+        const above = current - width;
+        const canFillAbove = !region[above] && matches(above);
+        if (canFillAbove && !spanAbove) stack.push(above);
+        spanAbove = canFillAbove;
+      }
+
+      if (y < height - 1) {
+        const below = current + width;
+        const canFillBelow = !region[below] && matches(below);
+        if (canFillBelow && !spanBelow) stack.push(below);
+        spanBelow = canFillBelow;
+      }
+    }
+  }
+
+  return region;
+};
+
+/**
+ * Create a mask canvas from a per-pixel region
+ * @param {Uint8Array} region - One entry per pixel, 1 when selected
+ * @param {number} width - Mask width
+ * @param {number} height - Mask height
+ * @returns {HTMLCanvasElement} - Mask canvas
+ */
+export const createRegionSelectionMask = (region, width, height) => {
+  const canvas = createMaskCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  const imageData = ctx.createImageData(width, height);
+  for (let pixel = 0; pixel < region.length; pixel += 1) {
+    if (region[pixel]) imageData.data[pixel * 4 + 3] = 255;
+  }
+  ctx.putImageData(imageData, 0, 0);
+  return canvas;
+};
+
+/**
+ * Build the marching-ants outline and bounds of a mask
+ * @param {HTMLCanvasElement} mask - Mask canvas
+ * @returns {{outline: Path2D, bounds: Object}|null} - Outline path and bounds, or null when empty
+ */
+export const describeSelectionMask = (mask) => {
+  const { width, height } = mask;
+  const data = mask.getContext('2d', { willReadFrequently: true })
+    .getImageData(0, 0, width, height)
+    .data;
+  const isInside = (x, y) => (
+    x >= 0 && y >= 0 && x < width && y < height &&
+    data[(y * width + x) * 4 + 3] >= OUTLINE_THRESHOLD
+  );
+  const outline = new Path2D();
+  let minX = width;
+  let minY = height;
+  let maxX = -1;
+  let maxY = -1;
+
+  for (let y = 0; y <= height; y += 1) {
+    let runStart = -1;
+    for (let x = 0; x <= width; x += 1) {
+      const inside = x < width && isInside(x, y);
+      if (inside) {
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+      }
+
+      const isEdge = x < width && inside !== isInside(x, y - 1);
+      if (isEdge && runStart === -1) runStart = x;
+      if (!isEdge && runStart !== -1) {
+        outline.moveTo(runStart, y);
+        outline.lineTo(x, y);
+        runStart = -1;
+      }
+    }
+  }
+
+  if (maxX === -1) return null;
+
+  for (let x = 0; x <= width; x += 1) {
+    let runStart = -1;
+    for (let y = 0; y <= height; y += 1) {
+      const isEdge = y < height && isInside(x, y) !== isInside(x - 1, y);
+      if (isEdge && runStart === -1) runStart = y;
+      if (!isEdge && runStart !== -1) {
+        outline.moveTo(x, runStart);
+        outline.lineTo(x, y);
+        runStart = -1;
+      }
+    }
+  }
+
+  return {
+    outline,
+    bounds: {
+      x: minX,
+      y: minY,
+      width: maxX - minX + 1,
+      height: maxY - minY + 1,
+    },
+  };
+};
+
+/**
+ * Remove everything outside the selection from a canvas in place
+ * @param {HTMLCanvasElement} canvas - Canvas to clip
+ * @param {HTMLCanvasElement} mask - Document-sized selection mask
+ * @param {number} offsetX - Canvas x position in the document
+ * @param {number} offsetY - Canvas y position in the document
+ * @returns {HTMLCanvasElement} - The clipped canvas
+ */
+export const clipCanvasToSelection = (canvas, mask, offsetX = 0, offsetY = 0) => {
+  const ctx = canvas.getContext('2d');
+  ctx.save();
+  ctx.globalCompositeOperation = 'destination-in';
+  ctx.drawImage(mask, -offsetX, -offsetY);
+  ctx.restore();
+  return canvas;
+};
+
+/**
+ * Combine an edited canvas with its original so only selected pixels change
+ * @param {HTMLCanvasElement} originalCanvas - Pixels before the edit
+ * @param {HTMLCanvasElement} editedCanvas - Pixels after the edit
+ * @param {HTMLCanvasElement} mask - Document-sized selection mask
+ * @param {number} offsetX - Canvas x position in the document
+ * @param {number} offsetY - Canvas y position in the document
+ * @returns {HTMLCanvasElement} - Merged canvas
+ */
+export const mergeWithinSelection = (originalCanvas, editedCanvas, mask, offsetX = 0, offsetY = 0) => {
+  const inside = createMaskCanvas(editedCanvas.width, editedCanvas.height);
+  const insideCtx = inside.getContext('2d');
+  insideCtx.drawImage(editedCanvas, 0, 0);
+  clipCanvasToSelection(inside, mask, offsetX, offsetY);
+
+  const canvas = createMaskCanvas(originalCanvas.width, originalCanvas.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(originalCanvas, 0, 0);
+  ctx.globalCompositeOperation = 'destination-out';
+  ctx.drawImage(mask, -offsetX, -offsetY);
+  ctx.globalCompositeOperation = 'source-over';
+  ctx.drawImage(inside, 0, 0);
+  return canvas;
+};
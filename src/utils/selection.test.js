@@ -0,0 +1,140 @@
+import {
+  SELECTION_MODES,
+  SELECTION_SHAPES,
+  combineSelectionMasks,
+  createFullSelectionMask,
+  createRegionSelectionMask,
+  describeSelectionMask,
+  findColorRegion,
+  getSelectionModeFromEvent,
+  invertSelectionMask,
+  isSelectionShapeUsable,
+  mergeWithinSelection,
+} from './selection';
+import { createImageData, getPixel } from '../testHelpers';
+
+const createRectMask = (width, height, rect) => {
+  const region = new Uint8Array(width * height);
+  for (let y = rect.y; y < rect.y + rect.height; y += 1) {
+    for (let x = rect.x; x < rect.x + rect.width; x += 1) {
+      region[y * width + x] = 1;
+    }
+  }
+  return createRegionSelectionMask(region, width, height);
+};
+
+const getAlpha = (canvas, x, y) => getPixel(canvas, x, y)[3];
+
+const RED = [255, 0, 0, 255];
+const BLUE = [0, 0, 255, 255];
+
+describe('getSelectionModeFromEvent', () => {
+  it('maps modifier keys to combine modes', () => {
+    expect(getSelectionModeFromEvent({ shiftKey: true }, SELECTION_MODES.REPLACE)).toBe(SELECTION_MODES.ADD);
+    expect(getSelectionModeFromEvent({ altKey: true }, SELECTION_MODES.REPLACE)).toBe(SELECTION_MODES.SUBTRACT);
+    expect(getSelectionModeFromEvent({ shiftKey: true, altKey: true }, SELECTION_MODES.REPLACE))
+      .toBe(SELECTION_MODES.INTERSECT);
+  });
+
+  it('falls back to the chosen mode without modifiers', () => {
+    expect(getSelectionModeFromEvent({}, SELECTION_MODES.SUBTRACT)).toBe(SELECTION_MODES.SUBTRACT);
+  });
+});
+
+describe('isSelectionShapeUsable', () => {
+  it('needs an area of at least one pixel', () => {
+    expect(isSelectionShapeUsable(null)).toBe(false);
+    expect(isSelectionShapeUsable({ type: SELECTION_SHAPES.RECTANGLE, width: 0, height: 5 })).toBe(false);
+    expect(isSelectionShapeUsable({ type: SELECTION_SHAPES.RECTANGLE, width: 1, height: 1 })).toBe(true);
+  });
+
+  it('needs at least three polygon points', () => {
+    expect(isSelectionShapeUsable({ type: SELECTION_SHAPES.POLYGON, points: [{ x: 0, y: 0 }, { x: 1, y: 1 }] }))
+      .toBe(false);
+    expect(isSelectionShapeUsable({
+      type: SELECTION_SHAPES.POLYGON,
+      points: [{ x: 0, y: 0 }, { x: 4, y: 0 }, { x: 0, y: 4 }],
+    })).toBe(true);
+  });
+});
+
+describe('findColorRegion', () => {
+  // Two red squares separated by a blue column
+  const imageData = createImageData(5, 2, (x) => (x === 2 ? BLUE : RED));
+
+  it('only fills pixels connected to the seed when contiguous', () => {
+    const region = findColorRegion(imageData, 0, 0, 0, true);
+    expect(Array.from(region)).toEqual([
+      1, 1, 0, 0, 0,
+      1, 1, 0, 0, 0,
+    ]);
+  });
+
+  it('selects every matching pixel when not contiguous', () => {
+    const region = findColorRegion(imageData, 0, 0, 0, false);
+    expect(Array.from(region)).toEqual([
+      1, 1, 0, 1, 1,
+      1, 1, 0, 1, 1,
+    ]);
+  });
+
+  it('includes colors within the tolerance', () => {
+    const shaded = createImageData(3, 1, (x) => [255 - x * 10, 0, 0, 255]);
+    expect(Array.from(findColorRegion(shaded, 0, 0, 10))).toEqual([1, 1, 0]);
+    expect(Array.from(findColorRegion(shaded, 0, 0, 20))).toEqual([1, 1, 1]);
+  });
+
+  it('clamps a seed outside the image to the nearest pixel', () => {
+    const region = findColorRegion(imageData, 99, -4, 0);
+    expect(Array.from(region)).toEqual([
+      0, 0, 0, 1, 1,
+      0, 0, 0, 1, 1,
+    ]);
+  });
+});
+
+describe('selection masks', () => {
+  it('inverts a mask', () => {
+    const mask = createRectMask(4, 4, { x: 1, y: 1, width: 2, height: 2 });
+    const inverted = invertSelectionMask(mask);
+    expect(getAlpha(inverted, 0, 0)).toBe(255);
+    expect(getAlpha(inverted, 1, 1)).toBe(0);
+  });
+
+  it('combines masks with each mode', () => {
+    const current = createRectMask(4, 1, { x: 0, y: 0, width: 2, height: 1 });
+    const next = createRectMask(4, 1, { x: 1, y: 0, width: 2, height: 1 });
+    const alphas = (mask) => [0, 1, 2, 3].map((x) => getAlpha(mask, x, 0));
+
+    expect(alphas(combineSelectionMasks(current, next, SELECTION_MODES.REPLACE))).toEqual([0, 255, 255, 0]);
+    expect(alphas(combineSelectionMasks(current, next, SELECTION_MODES.ADD))).toEqual([255, 255, 255, 0]);
+    expect(alphas(combineSelectionMasks(current, next, SELECTION_MODES.SUBTRACT))).toEqual([255, 0, 0, 0]);
+    expect(alphas(combineSelectionMasks(current, next, SELECTION_MODES.INTERSECT))).toEqual([0, 255, 0, 0]);
+  });
+
+  it('starts from an empty selection when subtracting without a current mask', () => {
+    const next = createRectMask(2, 1, { x: 0, y: 0, width: 2, height: 1 });
+    const combined = combineSelectionMasks(null, next, SELECTION_MODES.SUBTRACT);
+    expect(getAlpha(combined, 0, 0)).toBe(0);
+  });
+
+  it('describes the bounds of a mask', () => {
+    const mask = createRectMask(6, 5, { x: 2, y: 1, width: 3, height: 2 });
+    expect(describeSelectionMask(mask).bounds).toEqual({ x: 2, y: 1, width: 3, height: 2 });
+  });
+
+  it('describes an empty mask as null', () => {
+    expect(describeSelectionMask(createRegionSelectionMask(new Uint8Array(4), 2, 2))).toBeNull();
+  });
+
+  it('only changes selected pixels when merging an edit', () => {
+    const original = createFullSelectionMask(3, 1);
+    const edited = document.createElement('canvas');
+    edited.width = 3;
+    edited.height = 1;
+    const mask = createRectMask(3, 1, { x: 1, y: 0, width: 1, height: 1 });
+
+    const merged = mergeWithinSelection(original, edited, mask);
+    expect([0, 1, 2].map((x) => getAlpha(merged, x, 0))).toEqual([255, 0, 255]);
+  });
+});
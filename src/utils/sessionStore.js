@@ -0,0 +1,103 @@
+/**
+ * Utility functions for autosaving the editor session to IndexedDB
+ */
+import { getSerializedDocumentSize, serializeDocument } from './documentSerialization';
+
+const DB_NAME = 'clipboard-photo-editor';
+const DB_VERSION = 1;
+const STORE_NAME = 'sessions';
+const SESSION_KEY = 'current';
+
+let databasePromise = null;
+let writeQueue = Promise.resolve();
+
+const openDatabase = () => {
+  if (databasePromise) return databasePromise;
+
+  databasePromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+        request.result.createObjectStore(STORE_NAME);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  databasePromise.catch(() => {
+    databasePromise = null;
+  });
+
+  return databasePromise;
+};
+
+const runRequest = async (mode, createRequest) => {
+  const database = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(STORE_NAME, mode);
+    const request = createRequest(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+const enqueueWrite = (write) => {
+  const result = writeQueue.then(write);
+  writeQueue = result.catch(() => {});
+  return result;
+};
+
+/**
+ * Check whether this browser can persist sessions
+ * @returns {boolean} - True when IndexedDB is available
+ */
+export const isSessionStoreAvailable = () => typeof indexedDB !== 'undefined';
+
+/**
+ * Save a document as the current session. Writes are queued so an older,
+ * slower save can never overwrite a newer one.
+ * @param {Object} doc - Editor document
+ * @returns {Promise<number>} - Stored size in bytes
+ */
+export const saveSession = (doc) => enqueueWrite(async () => {
+  const record = await serializeDocument(doc);
+  const size = getSerializedDocumentSize(record);
+  await runRequest('readwrite', (store) => store.put({
+    ...record,
+    savedAt: Date.now(),
+    size,
+  }, SESSION_KEY));
+  return size;
+});
+
+/**
+ * Load the saved session record
+ * @returns {Promise<Object|null>} - Session record, or null when none is saved
+ */
+export const loadSession = async () => {
+  await writeQueue;
+  const record = await runRequest('readonly', (store) => store.get(SESSION_KEY));
+  return record || null;
+};
+
+/**
+ * Delete the saved session
+ * @returns {Promise<void>}
+ */
+export const clearSession = () => enqueueWrite(() => (
+  runRequest('readwrite', (store) => store.delete(SESSION_KEY))
+));
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - Human readable size
+ */
+export const formatByteSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+};
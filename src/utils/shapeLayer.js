@@ -0,0 +1,392 @@
+/**
+ * Utility functions for rendering editable shape and arrow layers
+ */
+
+export const SHAPE_KINDS = {
+  RECTANGLE: 'rectangle',
+  ELLIPSE: 'ellipse',
+  LINE: 'line',
+  ARROW: 'arrow',
+};
+
+export const ARROW_HEADS = [
+  { label: 'Triangle', value: 'triangle' },
+  { label: 'Open', value: 'open' },
+  { label: 'Diamond', value: 'diamond' },
+  { label: 'Circle', value: 'circle' },
+  { label: 'Bar', value: 'bar' },
+];
+
+export const DASH_STYLES = [
+  { label: 'Solid', value: 'solid' },
+  { label: 'Dashed', value: 'dashed' },
+  { label: 'Dotted', value: 'dotted' },
+];
+
+/**
+ * Create the default style for new shapes
+ * @param {Object} overrides - Settings that replace the defaults
+ * @returns {Object} - Shape style settings
+ */
+export const createDefaultShapeStyle = (overrides = {}) => ({
+  strokeColor: '#ff2b2b',
+  strokeWidth: 6,
+  fillEnabled: false,
+  fillColor: '#ffd60a',
+  dashStyle: 'solid',
+  arrowHead: 'triangle',
+  arrowBothEnds: false,
+  ...overrides,
+});
+
+/**
+ * Check whether a shape is drawn as a straight segment
+ * @param {Object} shape - Shape data
+ * @returns {boolean} - True for lines and arrows
+ */
+export const isLinearShape = (shape) => (
+  shape.kind === SHAPE_KINDS.LINE || shape.kind === SHAPE_KINDS.ARROW
+);
+
+const rotatePoint = (point, center, rotationDeg) => {
+  const angle = rotationDeg * Math.PI / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const dx = point.x - center.x;
+  const dy = point.y - center.y;
+
+  return {
+    x: center.x + dx * cos - dy * sin,
+    y: center.y + dx * sin + dy * cos,
+  };
+};
+
+/**
+ * Get the center of a shape in its own coordinate space
+ * @param {Object} shape - Shape data
+ * @returns {{x: number, y: number}} - Center point
+ */
+export const getShapeCenter = (shape) => ({
+  x: (shape.start.x + shape.end.x) / 2,
+  y: (shape.start.y + shape.end.y) / 2,
+});
+
+/**
+ * Get the draggable handles of a shape in its own coordinate space
+ * @param {Object} shape - Shape data
+ * @returns {Object} - Handle points keyed by handle id
+ */
+export const getShapeHandles = (shape) => {
+  if (isLinearShape(shape)) {
+    return {
+      start: shape.start,
+      end: shape.end,
+    };
+  }
+
+  const center = getShapeCenter(shape);
+  const left = Math.min(shape.start.x, shape.end.x);
+  const right = Math.max(shape.start.x, shape.end.x);
+  const top = Math.min(shape.start.y, shape.end.y);
+  const bottom = Math.max(shape.start.y, shape.end.y);
+  const rotationDeg = shape.rotationDeg ?? 0;
+
+  return {
+    nw: rotatePoint({ x: left, y: top }, center, rotationDeg),
+    ne: rotatePoint({ x: right, y: top }, center, rotationDeg),
+    se: rotatePoint({ x: right, y: bottom }, center, rotationDeg),
+    sw: rotatePoint({ x: left, y: bottom }, center, rotationDeg),
+  };
+};
+
+export const OPPOSITE_SHAPE_HANDLES = {
+  nw: 'se',
+  ne: 'sw',
+  se: 'nw',
+  sw: 'ne',
+  start: 'end',
+  end: 'start',
+};
+
+/**
+ * Resize a box shape by dragging one corner while the opposite corner stays fixed
+ * @param {Object} shape - Box shape data
+ * @param {{x: number, y: number}} anchor - Fixed opposite corner
+ * @param {{x: number, y: number}} point - Dragged corner position
+ * @param {boolean} keepSquare - Constrain the box to equal sides
+ * @returns {Object} - Updated shape data
+ */
+export const resizeBoxShape = (shape, anchor, point, keepSquare = false) => {
+  const rotationDeg = shape.rotationDeg ?? 0;
+  const local = rotatePoint(point, anchor, -rotationDeg);
+  let dx = local.x - anchor.x;
+  let dy = local.y - anchor.y;
+
+  if (keepSquare) {
+    const size = Math.max(Math.abs(dx), Math.abs(dy));
+    dx = Math.sign(dx || 1) * size;
+    dy = Math.sign(dy || 1) * size;
+  }
+
+  const center = rotatePoint({ x: anchor.x + dx / 2, y: anchor.y + dy / 2 }, anchor, rotationDeg);
+  const halfWidth = Math.abs(dx) / 2;
+  const halfHeight = Math.abs(dy) / 2;
+
+  return {
+    ...shape,
+    start: { x: center.x - halfWidth, y: center.y - halfHeight },
+    end: { x: center.x + halfWidth, y: center.y + halfHeight },
+  };
+};
+
+/**
+ * Scale a box shape by a scale given along the document axes. Each side of a
+ * rotated box is scaled by how much the scale stretches that side's direction.
+ * @param {Object} shape - Box shape data
+ * @param {{x: number, y: number}} center - New center of the box
+ * @param {number} scaleX - Horizontal scale factor
+ * @param {number} scaleY - Vertical scale factor
+ * @returns {Object} - Updated shape data, keeping its rotation
+ */
+export const scaleBoxShape = (shape, center, scaleX, scaleY) => {
+  const angle = (shape.rotationDeg ?? 0) * Math.PI / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const halfWidth = Math.abs(shape.end.x - shape.start.x) * Math.hypot(scaleX * cos, scaleY * sin) / 2;
+  const halfHeight = Math.abs(shape.end.y - shape.start.y) * Math.hypot(scaleX * sin, scaleY * cos) / 2;
+
+  return {
+    ...shape,
+    start: { x: center.x - halfWidth, y: center.y - halfHeight },
+    end: { x: center.x + halfWidth, y: center.y + halfHeight },
+  };
+};
+
+/**
+ * Snap a segment end point to 45 degree increments
+ * @param {{x: number, y: number}} start - Fixed segment start
+ * @param {{x: number, y: number}} end - Free segment end
+ * @returns {{x: number, y: number}} - Snapped end point
+ */
+export const snapSegmentEnd = (start, end) => {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const length = Math.hypot(dx, dy);
+  const step = Math.PI / 4;
+  const angle = Math.round(Math.atan2(dy, dx) / step) * step;
+
+  return {
+    x: start.x + Math.cos(angle) * length,
+    y: start.y + Math.sin(angle) * length,
+  };
+};
+
+/**
+ * Move every point of a shape by an offset
+ * @param {Object} shape - Shape data
+ * @param {number} dx - Horizontal offset
+ * @param {number} dy - Vertical offset
+ * @returns {Object} - Translated shape data
+ */
+export const translateShape = (shape, dx, dy) => ({
+  ...shape,
+  start: { x: shape.start.x + dx, y: shape.start.y + dy },
+  end: { x: shape.end.x + dx, y: shape.end.y + dy },
+});
+
+const getArrowHeadLength = (shape) => Math.max(12, shape.strokeWidth * 3.5);
+
+const getShapeOutline = (shape) => {
+  if (isLinearShape(shape)) return [shape.start, shape.end];
+
+  if (shape.kind === SHAPE_KINDS.ELLIPSE) {
+    const center = getShapeCenter(shape);
+    const radiusX = Math.abs(shape.end.x - shape.start.x) / 2;
+    const radiusY = Math.abs(shape.end.y - shape.start.y) / 2;
+    const angle = (shape.rotationDeg ?? 0) * Math.PI / 180;
+    const extentX = Math.hypot(radiusX * Math.cos(angle), radiusY * Math.sin(angle));
+    const extentY = Math.hypot(radiusX * Math.sin(angle), radiusY * Math.cos(angle));
+
+    return [
+      { x: center.x - extentX, y: center.y - extentY },
+      { x: center.x + extentX, y: center.y + extentY },
+    ];
+  }
+
+  return Object.values(getShapeHandles(shape));
+};
+
+const getDashPattern = (shape) => {
+  const width = Math.max(1, shape.strokeWidth);
+  if (shape.dashStyle === 'dashed') return [width * 3, width * 2];
+  if (shape.dashStyle === 'dotted') return [0, width * 2];
+  return [];
+};
+
+const drawArrowHead = (ctx, shape, tip, tail) => {
+  const length = getArrowHeadLength(shape);
+  const angle = Math.atan2(tip.y - tail.y, tip.x - tail.x);
+  const halfWidth = length * 0.55;
+  const back = {
+    x: tip.x - Math.cos(angle) * length,
+    y: tip.y - Math.sin(angle) * length,
+  };
+  const normal = { x: -Math.sin(angle), y: Math.cos(angle) };
+  const left = { x: back.x + normal.x * halfWidth, y: back.y + normal.y * halfWidth };
+  const right = { x: back.x - normal.x * halfWidth, y: back.y - normal.y * halfWidth };
+
+  ctx.save();
+  ctx.setLineDash([]);
+  ctx.fillStyle = shape.strokeColor;
+  ctx.strokeStyle = shape.strokeColor;
+  ctx.beginPath();
+
+  if (shape.arrowHead === 'open') {
+    ctx.moveTo(left.x, left.y);
+    ctx.lineTo(tip.x, tip.y);
+    ctx.lineTo(right.x, right.y);
+    ctx.stroke();
+  } else if (shape.arrowHead === 'circle') {
+    ctx.arc(tip.x, tip.y, length / 2.4, 0, Math.PI * 2);
+    ctx.fill();
+  } else if (shape.arrowHead === 'bar') {
+    ctx.moveTo(tip.x + normal.x * halfWidth, tip.y + normal.y * halfWidth);
+    ctx.lineTo(tip.x - normal.x * halfWidth, tip.y - normal.y * halfWidth);
+    ctx.stroke();
+  } else if (shape.arrowHead === 'diamond') {
+    const middle = {
+      x: tip.x - Math.cos(angle) * length / 2,
+      y: tip.y - Math.sin(angle) * length / 2,
+    };
+    ctx.moveTo(tip.x, tip.y);
+    ctx.lineTo(middle.x + normal.x * halfWidth * 0.7, middle.y + normal.y * halfWidth * 0.7);
+    ctx.lineTo(back.x, back.y);
+    ctx.lineTo(middle.x - normal.x * halfWidth * 0.7, middle.y - normal.y * halfWidth * 0.7);
+    ctx.closePath();
+    ctx.fill();
+  } else {
+    ctx.moveTo(tip.x, tip.y);
+    ctx.lineTo(left.x, left.y);
+    ctx.lineTo(right.x, right.y);
+    ctx.closePath();
+    ctx.fill();
+  }
+
+  ctx.restore();
+};
+
+const getTrimmedSegmentEnd = (shape, tip, tail) => {
+  if (shape.arrowHead !== 'triangle' && shape.arrowHead !== 'diamond') return tip;
+
+  const length = Math.hypot(tip.x - tail.x, tip.y - tail.y);
+  if (length === 0) return tip;
+
+  const trim = Math.min(length / 2, getArrowHeadLength(shape) * 0.6);
+  return {
+    x: tip.x - (tip.x - tail.x) / length * trim,
+    y: tip.y - (tip.y - tail.y) / length * trim,
+  };
+};
+
+const drawShapePath = (ctx, shape) => {
+  if (shape.kind === SHAPE_KINDS.ELLIPSE) {
+    const center = getShapeCenter(shape);
+    ctx.beginPath();
+    ctx.ellipse(
+      center.x,
+      center.y,
+      Math.max(0.5, Math.abs(shape.end.x - shape.start.x) / 2),
+      Math.max(0.5, Math.abs(shape.end.y - shape.start.y) / 2),
+      (shape.rotationDeg ?? 0) * Math.PI / 180,
+      0,
+      Math.PI * 2
+    );
+    return;
+  }
+
+  const { nw, ne, se, sw } = getShapeHandles(shape);
+  ctx.beginPath();
+  ctx.moveTo(nw.x, nw.y);
+  ctx.lineTo(ne.x, ne.y);
+  ctx.lineTo(se.x, se.y);
+  ctx.lineTo(sw.x, sw.y);
+  ctx.closePath();
+};
+
+/**
+ * Draw a shape onto a canvas context in the shape's coordinate space
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Object} shape - Shape data
+ */
+export const drawShape = (ctx, shape) => {
+  ctx.save();
+  ctx.lineWidth = Math.max(1, shape.strokeWidth);
+  ctx.strokeStyle = shape.strokeColor;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = shape.kind === SHAPE_KINDS.RECTANGLE ? 'miter' : 'round';
+  ctx.setLineDash(getDashPattern(shape));
+
+  if (isLinearShape(shape)) {
+    const isArrow = shape.kind === SHAPE_KINDS.ARROW;
+    const hasStartHead = isArrow && shape.arrowBothEnds;
+    const lineStart = hasStartHead ? getTrimmedSegmentEnd(shape, shape.start, shape.end) : shape.start;
+    const lineEnd = isArrow ? getTrimmedSegmentEnd(shape, shape.end, shape.start) : shape.end;
+
+    ctx.beginPath();
+    ctx.moveTo(lineStart.x, lineStart.y);
+    ctx.lineTo(lineEnd.x, lineEnd.y);
+    ctx.stroke();
+
+    if (isArrow) {
+      drawArrowHead(ctx, shape, shape.end, shape.start);
+    }
+    if (hasStartHead) {
+      drawArrowHead(ctx, shape, shape.start, shape.end);
+    }
+    ctx.restore();
+    return;
+  }
+
+  drawShapePath(ctx, shape);
+  if (shape.fillEnabled) {
+    ctx.fillStyle = shape.fillColor;
+    ctx.fill();
+  }
+  if (shape.strokeWidth > 0) {
+    ctx.stroke();
+  }
+  ctx.restore();
+};
+
+/**
+ * Render a shape into a canvas sized to its visible extent
+ * @param {Object} shape - Shape data
+ * @returns {{canvas: HTMLCanvasElement, offsetX: number, offsetY: number}} - Canvas and the
+ * position of its top-left corner in the shape's coordinate space
+ */
+export const renderShapeCanvas = (shape) => {
+  const points = getShapeOutline(shape);
+  const padding = Math.ceil(
+    Math.max(1, shape.strokeWidth) +
+    (shape.kind === SHAPE_KINDS.ARROW ? getArrowHeadLength(shape) : 0) +
+    2
+  );
+  const offsetX = Math.floor(Math.min(...points.map((point) => point.x))) - padding;
+  const offsetY = Math.floor(Math.min(...points.map((point) => point.y))) - padding;
+  const right = Math.ceil(Math.max(...points.map((point) => point.x))) + padding;
+  const bottom = Math.ceil(Math.max(...points.map((point) => point.y))) + padding;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, right - offsetX);
+  canvas.height = Math.max(1, bottom - offsetY);
+
+  const ctx = canvas.getContext('2d');
+  ctx.translate(-offsetX, -offsetY);
+  drawShape(ctx, shape);
+
+  return {
+    canvas,
+    offsetX,
+    offsetY,
+  };
+};
@@ -0,0 +1,48 @@
+import { SHAPE_KINDS, getShapeHandles, scaleBoxShape } from './shapeLayer';
+
+const createBox = (rotationDeg) => ({
+  kind: SHAPE_KINDS.RECTANGLE,
+  start: { x: 0, y: 0 },
+  end: { x: 40, y: 20 },
+  rotationDeg,
+});
+
+const getSize = (shape) => ({
+  width: Math.round((shape.end.x - shape.start.x) * 1000) / 1000,
+  height: Math.round((shape.end.y - shape.start.y) * 1000) / 1000,
+});
+
+const getDocumentExtent = (shape) => {
+  const points = Object.values(getShapeHandles(shape));
+  const xs = points.map((point) => point.x);
+  const ys = points.map((point) => point.y);
+  return {
+    width: Math.round((Math.max(...xs) - Math.min(...xs)) * 1000) / 1000,
+    height: Math.round((Math.max(...ys) - Math.min(...ys)) * 1000) / 1000,
+  };
+};
+
+describe('scaleBoxShape', () => {
+  it('scales an unrotated box along its sides', () => {
+    expect(getSize(scaleBoxShape(createBox(0), { x: 20, y: 10 }, 2, 1))).toEqual({ width: 80, height: 20 });
+  });
+
+  it('stretches the side of a rotated box that lies along the scale', () => {
+    const scaled = scaleBoxShape(createBox(90), { x: 20, y: 10 }, 1, 2);
+
+    expect(getSize(scaled)).toEqual({ width: 80, height: 20 });
+    expect(scaled.rotationDeg).toBe(90);
+    expect(getDocumentExtent(scaled)).toEqual({ width: 20, height: 80 });
+  });
+
+  it('keeps a rotated box the same shape under a uniform scale', () => {
+    expect(getSize(scaleBoxShape(createBox(30), { x: 20, y: 10 }, 1.5, 1.5))).toEqual({ width: 60, height: 30 });
+  });
+
+  it('moves the box to the new center', () => {
+    const scaled = scaleBoxShape(createBox(45), { x: 100, y: 50 }, 2, 1);
+
+    expect((scaled.start.x + scaled.end.x) / 2).toBeCloseTo(100);
+    expect((scaled.start.y + scaled.end.y) / 2).toBeCloseTo(50);
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Utility functions for rendering editable text layers
+ */
+
+export const TEXT_FONT_FAMILIES = [
+  { label: 'Sans Serif', value: 'Arial, Helvetica, sans-serif' },
+  { label: 'System', value: 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif' },
+  { label: 'Serif', value: 'Georgia, "Times New Roman", serif' },
+  { label: 'Monospace', value: '"SFMono-Regular", Menlo, Consolas, "Courier New", monospace' },
+  { label: 'Impact', value: 'Impact, "Arial Black", sans-serif' },
+];
+
+export const TEXT_FONT_WEIGHTS = [
+  { label: 'Regular', value: 400 },
+  { label: 'Medium', value: 500 },
+  { label: 'Bold', value: 700 },
+  { label: 'Black', value: 900 },
+];
+
+export const TEXT_ALIGNMENTS = ['left', 'center', 'right'];
+
+const LINE_HEIGHT = 1.25;
+
+/**
+ * Create the default text settings for a new text layer
+ * @param {Object} overrides - Settings that replace the defaults
+ * @returns {Object} - Text settings
+ */
+export const createDefaultTextSettings = (overrides = {}) => ({
+  content: 'Text',
+  fontFamily: TEXT_FONT_FAMILIES[0].value,
+  fontSize: 48,
+  fontWeight: 700,
+  color: '#ff2b2b',
+  align: 'left',
+  outlineEnabled: false,
+  outlineColor: '#ffffff',
+  outlineWidth: 4,
+  backgroundEnabled: false,
+  backgroundColor: '#0f172a',
+  backgroundPadding: 12,
+  rotationDeg: 0,
+  ...overrides,
+});
+
+/**
+ * Build the CSS font shorthand for text settings
+ * @param {Object} text - Text settings
+ * @returns {string} - Canvas font string
+ */
+export const getTextFont = (text) => (
+  `${text.fontWeight} ${Math.max(1, text.fontSize)}px ${text.fontFamily}`
+);
+
+/**
+ * Add a rounded rectangle path to a canvas context
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} width - Rectangle width
+ * @param {number} height - Rectangle height
+ * @param {number} radius - Corner radius, limited to half the shorter side
+ */
+export const traceRoundedRect = (ctx, x, y, width, height, radius) => {
+  const r = Math.max(0, Math.min(radius, width / 2, height / 2));
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.lineTo(x + width - r, y);
+  ctx.arcTo(x + width, y, x + width, y + r, r);
+  ctx.lineTo(x + width, y + height - r);
+  ctx.arcTo(x + width, y + height, x + width - r, y + height, r);
+  ctx.lineTo(x + r, y + height);
+  ctx.arcTo(x, y + height, x, y + height - r, r);
+  ctx.lineTo(x, y + r);
+  ctx.arcTo(x, y, x + r, y, r);
+  ctx.closePath();
+};
+
+const drawUnrotatedText = (text) => {
+  const measureCanvas = document.createElement('canvas');
+  const measureCtx = measureCanvas.getContext('2d');
+  const font = getTextFont(text);
+  const fontSize = Math.max(1, text.fontSize);
+  const lines = String(text.content ?? '').split('\n');
+  measureCtx.font = font;
+
+  const lineWidths = lines.map((line) => measureCtx.measureText(line || ' ').width);
+  const lineHeight = fontSize * LINE_HEIGHT;
+  const contentWidth = Math.max(1, ...lineWidths);
+  const contentHeight = Math.max(lineHeight, lines.length * lineHeight);
+  const outline = text.outlineEnabled ? Math.max(0, text.outlineWidth) : 0;
+  const padding = text.backgroundEnabled ? Math.max(0, text.backgroundPadding) : 0;
+  const inset = padding + outline + 2;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.ceil(contentWidth + inset * 2));
+  canvas.height = Math.max(1, Math.ceil(contentHeight + inset * 2));
+
+  const ctx = canvas.getContext('2d');
+
+  if (text.backgroundEnabled) {
+    const boxX = outline + 1;
+    const boxY = outline + 1;
+    const boxWidth = canvas.width - boxX * 2;
+    const boxHeight = canvas.height - boxY * 2;
+    traceRoundedRect(ctx, boxX, boxY, boxWidth, boxHeight, Math.min(boxHeight / 2, fontSize * 0.8));
+    ctx.fillStyle = text.backgroundColor;
+    ctx.fill();
+  }
+
+  ctx.font = font;
+  ctx.textBaseline = 'middle';
+  ctx.lineJoin = 'round';
+  ctx.miterLimit = 2;
+
+  lines.forEach((line, index) => {
+    const lineWidth = lineWidths[index];
+    let x = inset;
+    if (text.align === 'center') x = inset + (contentWidth - lineWidth) / 2;
+    if (text.align === 'right') x = inset + contentWidth - lineWidth;
+    const y = inset + lineHeight * index + lineHeight / 2;
+
+    if (outline > 0) {
+      ctx.lineWidth = outline * 2;
+      ctx.strokeStyle = text.outlineColor;
+      ctx.strokeText(line, x, y);
+    }
+
+    ctx.fillStyle = text.color;
+    ctx.fillText(line, x, y);
+  });
+
+  return canvas;
+};
+
+/**
+ * Render text settings into a tightly sized canvas
+ * @param {Object} text - Text settings
+ * @returns {HTMLCanvasElement} - Canvas containing the rendered text
+ */
+export const renderTextCanvas = (text) => {
+  const source = drawUnrotatedText(text);
+  const rotationDeg = text.rotationDeg ?? 0;
+  if (Math.round(rotationDeg * 100) === 0) return source;
+
+  const angle = rotationDeg * Math.PI / 180;
+  const cos = Math.abs(Math.cos(angle));
+  const sin = Math.abs(Math.sin(angle));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.ceil(source.width * cos + source.height * sin));
+  canvas.height = Math.max(1, Math.ceil(source.width * sin + source.height * cos));
+
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.translate(canvas.width / 2, canvas.height / 2);
+  ctx.rotate(angle);
+  ctx.drawImage(source, -source.width / 2, -source.height / 2);
+  return canvas;
+};
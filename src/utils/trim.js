@@ -0,0 +1,66 @@
+/**
+ * Utility functions for trimming empty borders from an image.
+ *
+ * A border is a run of whole rows or columns at the edge of the image whose
+ * pixels all match the top-left pixel within a tolerance, such as the padding
+ * around a window screenshot.
+ */
+
+export const TRIM_MODES = {
+  TRANSPARENT: 'transparent',
+  COLOR: 'color',
+};
+
+/**
+ * Find the part of an image left after removing a uniform border
+ * @param {ImageData} imageData - Pixels to scan
+ * @param {number} tolerance - Maximum channel difference from the border color (0-255)
+ * @returns {{x: number, y: number, width: number, height: number}|null} - Bounds of the
+ * content, or null when every pixel matches the border color
+ */
+export const findUniformBorderBounds = (imageData, tolerance) => {
+  const { width, height, data } = imageData;
+  const border = [data[0], data[1], data[2], data[3]];
+
+  const matches = (x, y) => {
+    const index = (y * width + x) * 4;
+    return (
+      Math.abs(data[index] - border[0]) <= tolerance &&
+      Math.abs(data[index + 1] - border[1]) <= tolerance &&
+      Math.abs(data[index + 2] - border[2]) <= tolerance &&
+      Math.abs(data[index + 3] - border[3]) <= tolerance
+    );
+  };
+  const isRowBorder = (y, left, right) => {
+    for (let x = left; x <= right; x += 1) {
+      if (!matches(x, y)) return false;
+    }
+    return true;
+  };
+  const isColumnBorder = (x, top, bottom) => {
+    for (let y = top; y <= bottom; y += 1) {
+      if (!matches(x, y)) return false;
+    }
+    return true;
+  };
+
+  let top = 0;
+  while (top < height && isRowBorder(top, 0, width - 1)) top += 1;
+  if (top === height) return null;
+
+  let bottom = height - 1;
+  while (bottom > top && isRowBorder(bottom, 0, width - 1)) bottom -= 1;
+
+  let left = 0;
+  while (left < width - 1 && isColumnBorder(left, top, bottom)) left += 1;
+
+  let right = width - 1;
+  while (right > left && isColumnBorder(right, top, bottom)) right -= 1;
+
+  return {
+    x: left,
+    y: top,
+    width: right - left + 1,
+    height: bottom - top + 1,
+  };
+};
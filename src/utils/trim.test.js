@@ -0,0 +1,50 @@
+import { findUniformBorderBounds } from './trim';
+import { createImageData } from '../testHelpers';
+
+const WHITE = [255, 255, 255, 255];
+const BLACK = [0, 0, 0, 255];
+
+// A white image with black pixels inside a rectangle
+const createFramed = (width, height, content) => createImageData(width, height, (x, y) => (
+  x >= content.x && y >= content.y && x < content.x + content.width && y < content.y + content.height
+    ? BLACK
+    : WHITE
+));
+
+describe('findUniformBorderBounds', () => {
+  it('finds the content inside a border', () => {
+    const content = { x: 2, y: 1, width: 3, height: 2 };
+    expect(findUniformBorderBounds(createFramed(8, 5, content), 0)).toEqual(content);
+  });
+
+  it('keeps the whole image when there is no border', () => {
+    const imageData = createImageData(3, 2, (x, y) => (x === 0 && y === 0 ? BLACK : WHITE));
+    expect(findUniformBorderBounds(imageData, 0)).toEqual({ x: 0, y: 0, width: 3, height: 2 });
+  });
+
+  it('only trims sides that have a border', () => {
+    const content = { x: 0, y: 0, width: 3, height: 3 };
+    expect(findUniformBorderBounds(createImageData(5, 4, (x, y) => (
+      x < content.width && y < content.height && (x > 0 || y > 0) ? BLACK : WHITE
+    )), 0)).toEqual(content);
+  });
+
+  it('treats colors within the tolerance as border', () => {
+    const noisy = createImageData(5, 3, (x, y) => {
+      if (x === 2 && y === 1) return BLACK;
+      return (x + y) % 2 ? [250, 252, 255, 255] : WHITE;
+    });
+
+    expect(findUniformBorderBounds(noisy, 0)).toEqual({ x: 0, y: 0, width: 5, height: 3 });
+    expect(findUniformBorderBounds(noisy, 5)).toEqual({ x: 2, y: 1, width: 1, height: 1 });
+  });
+
+  it('trims a transparent border', () => {
+    const imageData = createImageData(4, 4, (x, y) => (x === 1 && y === 2 ? [255, 0, 0, 128] : [0, 0, 0, 0]));
+    expect(findUniformBorderBounds(imageData, 0)).toEqual({ x: 1, y: 2, width: 1, height: 1 });
+  });
+
+  it('returns null when every pixel matches the border', () => {
+    expect(findUniformBorderBounds(createImageData(3, 3, () => WHITE), 0)).toBeNull();
+  });
+});
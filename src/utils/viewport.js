@@ -0,0 +1,115 @@
+/**
+ * Utility functions for zooming and panning the editing viewport
+ */
+
+export const MIN_ZOOM = 0.05;
+export const MAX_ZOOM = 32;
+export const ZOOM_STEPS = [0.05, 0.1, 0.125, 0.25, 0.333, 0.5, 0.667, 1, 1.5, 2, 3, 4, 6, 8, 12, 16, 24, 32];
+
+const FIT_PADDING = 24;
+const MIN_VISIBLE = 48;
+
+/**
+ * Clamp a zoom factor to the supported range
+ * @param {number} zoom - Zoom factor where 1 is 100%
+ * @returns {number} - Clamped zoom factor
+ */
+export const clampZoom = (zoom) => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+
+/**
+ * Center a document in the viewport at a given zoom
+ * @param {{width: number, height: number}} doc - Document size
+ * @param {{width: number, height: number}} view - Viewport size in CSS pixels
+ * @param {number} zoom - Zoom factor
+ * @returns {{zoom: number, panX: number, panY: number, isFit: boolean}} - Viewport
+ */
+export const getCenteredViewport = (doc, view, zoom) => {
+  const nextZoom = clampZoom(zoom);
+  return {
+    zoom: nextZoom,
+    panX: Math.round((view.width - doc.width * nextZoom) / 2),
+    panY: Math.round((view.height - doc.height * nextZoom) / 2),
+    isFit: false,
+  };
+};
+
+/**
+ * Fit a document inside the viewport without enlarging it past 100%
+ * @param {{width: number, height: number}} doc - Document size
+ * @param {{width: number, height: number}} view - Viewport size in CSS pixels
+ * @returns {{zoom: number, panX: number, panY: number, isFit: boolean}} - Viewport
+ */
+export const getFitViewport = (doc, view) => {
+  const availableWidth = Math.max(1, view.width - FIT_PADDING * 2);
+  const availableHeight = Math.max(1, view.height - FIT_PADDING * 2);
+  const zoom = Math.min(1, availableWidth / doc.width, availableHeight / doc.height);
+
+  return {
+    ...getCenteredViewport(doc, view, zoom),
+    isFit: true,
+  };
+};
+
+/**
+ * Keep enough of the document on screen that it cannot be panned out of reach
+ * @param {Object} viewport - Current viewport
+ * @param {{width: number, height: number}} doc - Document size
+ * @param {{width: number, height: number}} view - Viewport size in CSS pixels
+ * @returns {Object} - Viewport with clamped pan offsets
+ */
+export const clampViewportPan = (viewport, doc, view) => {
+  const scaledWidth = doc.width * viewport.zoom;
+  const scaledHeight = doc.height * viewport.zoom;
+  const visibleX = Math.min(MIN_VISIBLE, scaledWidth);
+  const visibleY = Math.min(MIN_VISIBLE, scaledHeight);
+
+  return {
+    ...viewport,
+    panX: Math.min(view.width - visibleX, Math.max(visibleX - scaledWidth, viewport.panX)),
+    panY: Math.min(view.height - visibleY, Math.max(visibleY - scaledHeight, viewport.panY)),
+  };
+};
+
+/**
+ * Convert a viewport point in CSS pixels to document coordinates
+ * @param {Object} viewport - Current viewport
+ * @param {{x: number, y: number}} point - Point relative to the viewport
+ * @returns {{x: number, y: number}} - Document point
+ */
+export const viewportToDocument = (viewport, point) => ({
+  x: (point.x - viewport.panX) / viewport.zoom,
+  y: (point.y - viewport.panY) / viewport.zoom,
+});
+
+/**
+ * Change the zoom while keeping the document point under an anchor fixed
+ * @param {Object} viewport - Current viewport
+ * @param {number} zoom - Requested zoom factor
+ * @param {{x: number, y: number}} anchor - Anchor point relative to the viewport
+ * @returns {Object} - Zoomed viewport
+ */
+export const zoomViewportAt = (viewport, zoom, anchor) => {
+  const nextZoom = clampZoom(zoom);
+  const documentPoint = viewportToDocument(viewport, anchor);
+
+  return {
+    zoom: nextZoom,
+    panX: anchor.x - documentPoint.x * nextZoom,
+    panY: anchor.y - documentPoint.y * nextZoom,
+    isFit: false,
+  };
+};
+
+/**
+ * Find the next preset zoom level in a direction
+ * @param {number} zoom - Current zoom factor
+ * @param {number} direction - 1 to zoom in, -1 to zoom out
+ * @returns {number} - Next zoom factor
+ */
+export const getSteppedZoom = (zoom, direction) => {
+  if (direction > 0) {
+    return ZOOM_STEPS.find((step) => step > zoom + 0.001) ?? MAX_ZOOM;
+  }
+
+  return [...ZOOM_STEPS].reverse().find((step) => step < zoom - 0.001) ?? MIN_ZOOM;
+};
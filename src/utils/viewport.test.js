@@ -0,0 +1,118 @@
+import {
+  MAX_ZOOM,
+  MIN_ZOOM,
+  clampViewportPan,
+  clampZoom,
+  getCenteredViewport,
+  getFitViewport,
+  getSteppedZoom,
+  viewportToDocument,
+  zoomViewportAt,
+} from './viewport';
+
+const VIEW = { width: 800, height: 600 };
+
+describe('getFitViewport', () => {
+  it('shrinks a large document to fit inside the padding and centers it', () => {
+    const viewport = getFitViewport({ width: 1504, height: 552 }, VIEW);
+
+    expect(viewport.zoom).toBeCloseTo(0.5);
+    expect(viewport.panX).toBe(24);
+    expect(viewport.panY).toBe(162);
+    expect(viewport.isFit).toBe(true);
+  });
+
+  it('uses the tighter of the two sides', () => {
+    expect(getFitViewport({ width: 400, height: 2208 }, VIEW).zoom).toBeCloseTo(0.25);
+  });
+
+  it('never enlarges a small document past 100%', () => {
+    expect(getFitViewport({ width: 100, height: 50 }, VIEW)).toEqual({
+      zoom: 1,
+      panX: 350,
+      panY: 275,
+      isFit: true,
+    });
+  });
+});
+
+describe('getCenteredViewport', () => {
+  it('centers the document at 100%', () => {
+    expect(getCenteredViewport({ width: 1000, height: 200 }, VIEW, 1)).toEqual({
+      zoom: 1,
+      panX: -100,
+      panY: 200,
+      isFit: false,
+    });
+  });
+
+  it('clamps the zoom', () => {
+    expect(getCenteredViewport({ width: 10, height: 10 }, VIEW, 100).zoom).toBe(MAX_ZOOM);
+    expect(clampZoom(0)).toBe(MIN_ZOOM);
+  });
+});
+
+describe('zoomViewportAt', () => {
+  it('keeps the document point under the cursor fixed', () => {
+    const viewport = { zoom: 0.5, panX: 40, panY: 30, isFit: true };
+    const cursor = { x: 240, y: 180 };
+    const before = viewportToDocument(viewport, cursor);
+    const zoomed = zoomViewportAt(viewport, 2, cursor);
+    const after = viewportToDocument(zoomed, cursor);
+
+    expect(zoomed.zoom).toBe(2);
+    expect(zoomed.isFit).toBe(false);
+    expect(after.x).toBeCloseTo(before.x);
+    expect(after.y).toBeCloseTo(before.y);
+  });
+
+  it('goes from fit to 100% around the view center', () => {
+    const fit = getFitViewport({ width: 1504, height: 552 }, VIEW);
+    const actualSize = zoomViewportAt(fit, 1, { x: 400, y: 300 });
+
+    expect(actualSize).toEqual({ zoom: 1, panX: -352, panY: 24, isFit: false });
+    expect(viewportToDocument(actualSize, { x: 400, y: 300 })).toEqual({ x: 752, y: 276 });
+  });
+
+  it('keeps the anchor fixed when the zoom is clamped', () => {
+    const viewport = { zoom: 16, panX: -500, panY: -200, isFit: false };
+    const cursor = { x: 10, y: 20 };
+    const zoomed = zoomViewportAt(viewport, 1000, cursor);
+
+    expect(zoomed.zoom).toBe(MAX_ZOOM);
+    expect(viewportToDocument(zoomed, cursor).x).toBeCloseTo(viewportToDocument(viewport, cursor).x);
+  });
+});
+
+describe('clampViewportPan', () => {
+  const doc = { width: 400, height: 300 };
+
+  it('leaves a pan that keeps the document in view', () => {
+    const viewport = { zoom: 1, panX: 100, panY: -50, isFit: false };
+    expect(clampViewportPan(viewport, doc, VIEW)).toEqual(viewport);
+  });
+
+  it('keeps part of the document on screen', () => {
+    const farRight = clampViewportPan({ zoom: 1, panX: 5000, panY: 5000, isFit: false }, doc, VIEW);
+    expect(farRight.panX).toBe(752);
+    expect(farRight.panY).toBe(552);
+
+    const farLeft = clampViewportPan({ zoom: 2, panX: -5000, panY: -5000, isFit: false }, doc, VIEW);
+    expect(farLeft.panX).toBe(-752);
+    expect(farLeft.panY).toBe(-552);
+  });
+});
+
+describe('getSteppedZoom', () => {
+  it('moves to the next preset level', () => {
+    expect(getSteppedZoom(1, 1)).toBe(1.5);
+    expect(getSteppedZoom(1, -1)).toBe(0.667);
+    expect(getSteppedZoom(0.8, 1)).toBe(1);
+    expect(getSteppedZoom(0.8, -1)).toBe(0.667);
+  });
+
+  it('stops at the zoom limits', () => {
+    expect(getSteppedZoom(MAX_ZOOM, 1)).toBe(MAX_ZOOM);
+    expect(getSteppedZoom(MIN_ZOOM, -1)).toBe(MIN_ZOOM);
+  });
+});